@@ -10,24 +10,115 @@ const fs = require('fs');
 
 // 导入V3模块
 const multiTimeframeV3 = require('./src/multiTimeframeV3');
-const { initWebSocketServer, broadcastSignalUpdate } = require('./src/websocketServer');
+const gateio = require('./src/gateio');
+const marketVenues = require('./src/marketVenues');
+const {
+  CONFIG: STRATEGY_CONFIG,
+  scanAllSymbolsV2,
+  findSwingPoints,
+  detectFVG,
+  detectOrderBlocks
+} = require('./src/strategy_v2');
+const { getOpenFVGs } = require('./src/multiTimeframeV3');
+const { createMarketSimulator, tagSynthetic } = require('./src/marketSimulator');
+const { createFixtureTransport } = require('./src/gateioFutures');
+const {
+  initWebSocketServer,
+  stopWebSocketServer,
+  broadcastSignalUpdate,
+  getWebSocketStatus
+} = require('./src/websocketServer');
 const { initDataSync, getDataStatus } = require('./src/dataSync');
 const { 
   getActiveSignals, 
   getHistory, 
   getWinRateStats,
   closeSignal,
-  updateSignalPrices,
+  closeUnfilledSignal,
+  isExchangeManaged,
   addSignal,
   markEntered,
   SIGNAL_STATUS,
-  RESULT_TYPE
+  RESULT_TYPE,
+  getStaleSetupReason,
+  closeSignalStore
 } = require('./src/signalLifecycle');
-const { getRiskAssessment } = require('./src/riskManager');
+const { assessSignalRisk } = require('./src/riskManager');
+const scanScheduler = require('./src/scanScheduler');
+const priceMonitor = require('./src/priceMonitor');
+const signalSweeper = require('./src/signalSweeper');
+const backtester = require('./src/backtester');
+const candleSync = require('./src/candleSync');
+const gateioStream = require('./src/gateioStream');
+const { getPeriodStart, computeMetrics, buildEquityCurve, PERIOD_MS } = require('./src/performanceMetrics');
+const { attribute, validateAttributionOptions } = require('./src/attribution');
+const portfolioRisk = require('./src/portfolioRisk');
+const paperTrading = require('./src/paperTrading');
+const executionEngine = require('./src/executionEngine');
+const { PNL_BASIS } = require('./src/costModel');
+const { getNextScanTime } = scanScheduler;
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// 交易市场：spot（现货）/ futures（USDT永续），信号按市场打标签，合约持仓按标记价格判断止盈止损
+const TRADING_MARKET = process.env.TRADING_MARKET === 'futures' ? 'futures' : 'spot';
+
+/**
+ * 实盘行情数据源：主交易所（MARKET_VENUE，默认 gateio）；设置 FUTURES_FIXTURES_DIR 时合约行情从录制的响应读取（离线调试）
+ */
+function createLiveMarketData() {
+  const fixturesDir = TRADING_MARKET === 'futures' ? process.env.FUTURES_FIXTURES_DIR : null;
+  return marketVenues.createVenueClient(marketVenues.VENUE_CONFIG.PRIMARY, {
+    market: TRADING_MARKET,
+    transport: fixturesDir ? createFixtureTransport(fixturesDir) : undefined
+  });
+}
+
+// 演示模式：使用带种子的行情模拟器，所有信号打上 synthetic 标签，统计与真实数据隔离
+const DEMO_MODE = process.env.DEMO_MODE === 'true';
+const marketData = DEMO_MODE
+  ? createMarketSimulator({ seed: process.env.DEMO_SEED || 42 })
+  : createLiveMarketData();
+const DATA_SCOPE = { synthetic: DEMO_MODE };
+
+/**
+ * 解析扫描的交易所列表（数组或逗号分隔字符串），返回 { venues } 或 { error }
+ * 演示模式只扫描模拟行情
+ */
+function resolveScanVenues(value) {
+  if (DEMO_MODE) {
+    return value === undefined ? { venues: [marketData.venue] } : { error: 'Demo mode only scans the simulator' };
+  }
+
+  const { venues, unknown } = marketVenues.parseVenues(value);
+  if (unknown.length > 0) {
+    return { error: `Unknown venues: ${unknown.join(', ')}` };
+  }
+  const unsupported = venues.filter(v => !marketVenues.supportsMarket(v, TRADING_MARKET));
+  if (unsupported.length > 0) {
+    return { error: `No ${TRADING_MARKET} market data on: ${unsupported.join(', ')}` };
+  }
+  if (venues.length === 0) {
+    return { error: 'venues must not be empty' };
+  }
+  return { venues };
+}
+
+// 定时与启动扫描的交易所（SCAN_VENUES，默认只扫主交易所）
+const SCAN_VENUES = (() => {
+  const { venues, error } = resolveScanVenues(DEMO_MODE ? undefined : marketVenues.getScanVenues());
+  if (error) console.error(`Invalid SCAN_VENUES (${error}), scanning ${marketData.venue} only`);
+  return venues || [marketData.venue];
+})();
+
+/**
+ * 扫描某个交易所使用的行情数据源（主交易所复用 marketData 的缓存）
+ */
+function getScanMarketData(venue) {
+  return venue === marketData.venue ? marketData : marketVenues.getVenue(venue, TRADING_MARKET);
+}
+
 // 中间件
 app.use(cors());
 app.use(express.json());
@@ -38,6 +129,38 @@ app.use((req, res, next) => {
   next();
 });
 
+/**
+ * 管理接口鉴权：设置了 ADMIN_TOKEN 时要求 x-admin-token 请求头匹配
+ * 下单相关接口（options.trading）未设置 ADMIN_TOKEN 时一律拒绝
+ */
+function requireAdmin(req, res, next, options = {}) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token && options.trading) {
+    return res.status(403).json({ success: false, error: 'ADMIN_TOKEN is required for order placing routes' });
+  }
+  if (token && req.get('x-admin-token') !== token) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+  next();
+}
+
+/**
+ * 下单相关接口鉴权（会向交易所下单 / 撤单，或改动模拟盘账户的资金与挂单）
+ */
+function requireTradingAdmin(req, res, next) {
+  requireAdmin(req, res, next, { trading: true });
+}
+
+/**
+ * 盈亏口径参数：gross（默认，价差盈亏）/ net（扣除手续费、滑点、资金费），不支持时返回 null
+ */
+function parsePnlBasis(value) {
+  if (value === undefined || value === '') return 'gross';
+  return PNL_BASIS.includes(value) ? value : null;
+}
+
+const INVALID_BASIS_ERROR = `Unsupported basis, supported: ${PNL_BASIS.join(', ')}`;
+
 // 内存数据存储
 let scanStatus = {
   status: 'IDLE',
@@ -50,6 +173,7 @@ let scanStatus = {
 let scanResults = {
   signals: [],
   scan_time: null,
+  venues: [],
   htf_analysis: {},
   mtf_analysis: {},
   ltf_signals: []
@@ -61,7 +185,10 @@ let scanResults = {
  * 获取扫描状态
  */
 app.get('/api/scan/status', (req, res) => {
-  res.json(scanStatus);
+  res.json({
+    ...scanStatus,
+    nextScan: getNextScanTime()
+  });
 });
 
 /**
@@ -69,23 +196,10 @@ app.get('/api/scan/status', (req, res) => {
  */
 app.get('/api/signals', (req, res) => {
   try {
-    const { status = 'all', type = 'all', limit = '50' } = req.query;
+    const { status = 'all', type = 'all', venue = 'all', limit = '50' } = req.query;
 
     // 从生命周期管理获取信号
-    let signals = getActiveSignals();
-
-    // 合并扫描结果中的新信号
-    if (scanResults.signals && scanResults.signals.length > 0) {
-      const existingIds = new Set(signals.map(s => s.id));
-      const newSignals = scanResults.signals.filter(s => !existingIds.has(s.id));
-
-      // 将新信号添加到生命周期管理
-      for (const signal of newSignals) {
-        addSignal(signal);
-      }
-
-      signals = [...signals, ...newSignals];
-    }
+    let signals = getActiveSignals(DATA_SCOPE);
 
     // 过滤
     if (status !== 'all') {
@@ -94,6 +208,9 @@ app.get('/api/signals', (req, res) => {
     if (type !== 'all') {
       signals = signals.filter(s => s.signal_type === type || s.entry_type === type);
     }
+    if (venue !== 'all') {
+      signals = signals.filter(s => s.venue === venue.toLowerCase());
+    }
 
     // 限制数量
     const limitNum = parseInt(limit);
@@ -143,18 +260,26 @@ app.get('/api/signals', (req, res) => {
 
 /**
  * 获取信号详情
+ * - equity / riskPercent: 覆盖风险评估使用的账户权益与单笔风险%
  */
-app.get('/api/signals/:id', (req, res) => {
+app.get('/api/signals/:id', async (req, res) => {
   try {
-    const signals = getActiveSignals();
+    const signals = getActiveSignals(DATA_SCOPE);
     const signal = signals.find(s => s.id === req.params.id);
 
     if (!signal) {
       return res.status(404).json({ error: 'Signal not found' });
     }
 
-    // 获取风险评估
-    const riskAssessment = getRiskAssessment(signal);
+    const equity = req.query.equity !== undefined ? parseFloat(req.query.equity) : undefined;
+    const riskPercent = req.query.riskPercent !== undefined ? parseFloat(req.query.riskPercent) : undefined;
+    if ((equity !== undefined && !(equity > 0)) ||
+        (riskPercent !== undefined && !(riskPercent > 0 && riskPercent <= 100))) {
+      return res.status(400).json({ error: 'equity must be positive and riskPercent in (0, 100]' });
+    }
+
+    // 获取风险评估（仓位按账户权益、单笔风险和止损距离计算）
+    const riskAssessment = await assessSignalRisk(signal, marketData, { equity, riskPercent });
 
     res.json({
       ...signal,
@@ -168,16 +293,22 @@ app.get('/api/signals/:id', (req, res) => {
 
 /**
  * 获取信号统计（包含历史成功率）
+ * - basis: gross / net，胜负判定与盈亏口径
  */
 app.get('/api/stats', (req, res) => {
   try {
     const { period = 'all' } = req.query;
+    const basis = parsePnlBasis(req.query.basis);
+    if (!basis) {
+      return res.status(400).json({ success: false, error: INVALID_BASIS_ERROR });
+    }
+    const statsOptions = { ...DATA_SCOPE, basis };
 
     // 获取胜率统计
-    const winRateStats = getWinRateStats(period);
+    const winRateStats = getWinRateStats(period, statsOptions);
 
     // 获取活跃信号统计
-    const activeSignals = getActiveSignals();
+    const activeSignals = getActiveSignals(DATA_SCOPE);
     const activeByDirection = {
       LONG: activeSignals.filter(s => s.direction === 'LONG').length,
       SHORT: activeSignals.filter(s => s.direction === 'SHORT').length
@@ -196,7 +327,7 @@ app.get('/api/stats', (req, res) => {
     };
 
     // 获取历史记录
-    const history = getHistory();
+    const history = getHistory(DATA_SCOPE);
 
     // 计算额外的统计
     const totalSignals = activeSignals.length + (history.records ? history.records.length : 0);
@@ -233,13 +364,15 @@ app.get('/api/stats', (req, res) => {
     const weekStart = now - 7 * 24 * 60 * 60 * 1000;
     const monthStart = now - 30 * 24 * 60 * 60 * 1000;
 
-    const todayStats = getWinRateStats('24h');
-    const weekStats = getWinRateStats('7d');
-    const monthStats = getWinRateStats('30d');
+    const todayStats = getWinRateStats('24h', statsOptions);
+    const weekStats = getWinRateStats('7d', statsOptions);
+    const monthStats = getWinRateStats('30d', statsOptions);
 
     res.json({
       success: true,
       period,
+      basis,
+      synthetic: DEMO_MODE,
       summary: {
         total_signals: totalSignals,
         active_signals: activeSignals.length,
@@ -259,7 +392,9 @@ app.get('/api/stats', (req, res) => {
         win: winRateStats.win,
         loss: winRateStats.loss,
         breakeven: winRateStats.breakeven,
+        unfilled: winRateStats.unfilled,
         by_rating: winRateStats.byRating,
+        by_outcome: winRateStats.byOutcome,
         recent_trades: winRateStats.recentTrades || []
       },
       time_based: {
@@ -300,17 +435,23 @@ app.get('/api/stats', (req, res) => {
 
 /**
  * 获取胜率统计（兼容前端格式）
+ * - basis: gross / net
  */
 app.get('/api/winrate', (req, res) => {
   try {
     const { period = '24h' } = req.query;
+    const basis = parsePnlBasis(req.query.basis);
+    if (!basis) {
+      return res.status(400).json({ error: INVALID_BASIS_ERROR });
+    }
 
     // 获取胜率统计
-    const winRateStats = getWinRateStats(period);
+    const winRateStats = getWinRateStats(period, { ...DATA_SCOPE, basis });
 
     // 转换为前端期望的格式
     const formattedStats = {
       period: winRateStats.period,
+      basis,
       overall: {
         total: winRateStats.total,
         win: winRateStats.win,
@@ -329,68 +470,608 @@ app.get('/api/winrate', (req, res) => {
   }
 });
 
+/**
+ * 按周期 / 交易对 / 评级筛选历史记录，并解析盈亏口径（绩效接口共用）
+ * 返回 { records, basis } 或 { error }
+ */
+function selectPerformanceRecords(query) {
+  const { period = 'all', symbol, rating } = query;
+
+  const from = getPeriodStart(period);
+  if (from === undefined) {
+    return { error: `Unsupported period: ${period}, supported: all, ${Object.keys(PERIOD_MS).join(', ')}` };
+  }
+
+  const basis = parsePnlBasis(query.basis);
+  if (!basis) {
+    return { error: INVALID_BASIS_ERROR };
+  }
+
+  const ratings = rating ? String(rating).toUpperCase().split(',').map(r => r.trim()).filter(Boolean) : null;
+  const records = getHistory({
+    ...DATA_SCOPE,
+    symbol: symbol ? String(symbol).toUpperCase() : undefined,
+    from
+  }).records.filter(r => !ratings || ratings.includes(r.rating));
+
+  return { records, basis };
+}
+
+/**
+ * 绩效指标（期望R、盈亏因子、回撤、Sharpe/Sortino、连胜连亏、R分布）
+ * 参数: period / symbol / rating（逗号分隔），basis（gross / net）
+ */
+app.get('/api/metrics', (req, res) => {
+  try {
+    const { records, basis, error } = selectPerformanceRecords(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    res.json({
+      success: true,
+      period: req.query.period || 'all',
+      synthetic: DEMO_MODE,
+      metrics: computeMetrics(records, { basis })
+    });
+  } catch (error) {
+    console.error('Error getting metrics:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 权益曲线：累计R与按固定风险比例复利的权益
+ * 参数: period / symbol / rating / basis，riskPercent（每笔风险%，默认1），initialEquity
+ */
+app.get('/api/equity-curve', (req, res) => {
+  try {
+    const { records, basis, error } = selectPerformanceRecords(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const riskPercent = req.query.riskPercent !== undefined ? parseFloat(req.query.riskPercent) : undefined;
+    if (riskPercent !== undefined && !(riskPercent > 0 && riskPercent <= 100)) {
+      return res.status(400).json({ success: false, error: 'riskPercent must be in (0, 100]' });
+    }
+
+    const initialEquity = req.query.initialEquity !== undefined ? parseFloat(req.query.initialEquity) : undefined;
+    if (initialEquity !== undefined && !(initialEquity > 0)) {
+      return res.status(400).json({ success: false, error: 'initialEquity must be positive' });
+    }
+
+    res.json({
+      success: true,
+      period: req.query.period || 'all',
+      synthetic: DEMO_MODE,
+      ...buildEquityCurve(records, { riskPercent, initialEquity, basis })
+    });
+  } catch (error) {
+    console.error('Error getting equity curve:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 绩效归因：按维度组合分组，给出样本量、胜率及置信区间、期望R
+ * 参数:
+ * - by: 逗号分隔的维度（entry_type, sl_type, direction, rating, symbol, timeframe, signal_type, outcome, weekday, hour）
+ * - tz: 星期/小时使用的时区（IANA名称，默认UTC）
+ * - time: 星期/小时的时间基准 created / entered / closed（默认created）
+ * - confidence: 置信水平 0.8 / 0.9 / 0.95 / 0.99
+ * - minTrades: 只返回成交数不少于该值的分组
+ * - period / symbol / rating / basis: 同 /api/metrics
+ */
+app.get('/api/attribution', (req, res) => {
+  try {
+    const { records, basis, error } = selectPerformanceRecords(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const options = {
+      dimensions: req.query.by ? String(req.query.by).split(',').map(d => d.trim()).filter(Boolean) : undefined,
+      timeZone: req.query.tz || undefined,
+      timeBasis: req.query.time || undefined,
+      confidence: req.query.confidence !== undefined ? parseFloat(req.query.confidence) : undefined,
+      minTrades: parseInt(req.query.minTrades) || 0,
+      basis
+    };
+
+    const invalid = validateAttributionOptions(options);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    res.json({
+      success: true,
+      period: req.query.period || 'all',
+      synthetic: DEMO_MODE,
+      ...attribute(records, options)
+    });
+  } catch (error) {
+    console.error('Error getting attribution:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 组合风险概况：限额、当前占用、熔断状态、高相关簇
+ */
+app.get('/api/portfolio/risk', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      synthetic: DEMO_MODE,
+      ...portfolioRisk.getPortfolioStatus(DATA_SCOPE)
+    });
+  } catch (error) {
+    console.error('Error getting portfolio risk:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 被组合风险拦截的信号及原因（按时间倒序）
+ * 参数: symbol, from, to, limit（默认100）
+ */
+app.get('/api/portfolio/blocked', (req, res) => {
+  try {
+    const from = parseTimeParam(req.query.from);
+    const to = parseTimeParam(req.query.to);
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ success: false, error: 'Invalid from/to' });
+    }
+
+    const signals = portfolioRisk.getBlockedSignals({
+      ...DATA_SCOPE,
+      symbol: req.query.symbol,
+      from,
+      to,
+      limit: parseInt(req.query.limit) || 100
+    });
+
+    res.json({ success: true, count: signals.length, signals });
+  } catch (error) {
+    console.error('Error getting blocked signals:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 合约规格与当前标记价格、指数价格、资金费率（仅 TRADING_MARKET=futures）
+ */
+app.get('/api/futures/contracts/:symbol', async (req, res) => {
+  try {
+    if (typeof marketData.getContract !== 'function') {
+      return res.status(400).json({ success: false, error: 'Futures market data not enabled' });
+    }
+
+    const symbol = req.params.symbol.toUpperCase();
+    const [contract, ticker] = await Promise.all([marketData.getContract(symbol), marketData.getTicker(symbol)]);
+    if (!contract) {
+      return res.status(404).json({ success: false, error: `Contract not found: ${symbol}` });
+    }
+
+    res.json({ success: true, contract, ticker });
+  } catch (error) {
+    console.error('Error getting futures contract:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 历史资金费率（最新在前），参数: limit（默认100，最多1000）
+ */
+app.get('/api/futures/funding/:symbol', async (req, res) => {
+  try {
+    if (typeof marketData.getFundingRateHistory !== 'function') {
+      return res.status(400).json({ success: false, error: 'Futures market data not enabled' });
+    }
+
+    const symbol = req.params.symbol.toUpperCase();
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+    const history = await marketData.getFundingRateHistory(symbol, limit);
+
+    res.json({ success: true, symbol, count: history.length, history });
+  } catch (error) {
+    console.error('Error getting funding rate history:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 模拟盘账户列表
+ */
+app.get('/api/paper/accounts', (req, res) => {
+  try {
+    const accounts = paperTrading.listAccounts();
+    res.json({ success: true, count: accounts.length, accounts });
+  } catch (error) {
+    console.error('Error listing paper accounts:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 创建模拟盘账户
+ * body: { id, name, market, starting_balance, leverage, risk_percent, maker_fee_bps, taker_fee_bps,
+ *   slippage_bps, signal_types, min_rating }，未指定的按默认配置
+ */
+app.post('/api/paper/accounts', requireTradingAdmin, (req, res) => {
+  try {
+    const options = req.body || {};
+    const validationError = paperTrading.validateAccountOptions(options);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+    if (options.id && paperTrading.getAccount(options.id)) {
+      return res.status(409).json({ success: false, error: `Paper account already exists: ${options.id}` });
+    }
+
+    res.status(201).json({ success: true, account: paperTrading.createAccount(options) });
+  } catch (error) {
+    console.error('Error creating paper account:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 模拟盘账户：余额、权益、保证金、持仓与挂单
+ */
+app.get('/api/paper/accounts/:id', (req, res) => {
+  try {
+    const account = paperTrading.getAccount(req.params.id);
+    if (!account) {
+      return res.status(404).json({ success: false, error: 'Paper account not found' });
+    }
+    res.json({ success: true, account });
+  } catch (error) {
+    console.error('Error getting paper account:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/paper/accounts/:id', requireTradingAdmin, (req, res) => {
+  try {
+    if (!paperTrading.deleteAccount(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Paper account not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting paper account:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 重置账户：撤销全部挂单、清空持仓并恢复初始资金
+ */
+app.post('/api/paper/accounts/:id/reset', requireTradingAdmin, (req, res) => {
+  try {
+    const account = paperTrading.resetAccount(req.params.id);
+    if (!account) {
+      return res.status(404).json({ success: false, error: 'Paper account not found' });
+    }
+    res.json({ success: true, account });
+  } catch (error) {
+    console.error('Error resetting paper account:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 委托 / 成交流水（按时间倒序），参数: type, symbol, limit（默认100）
+ */
+app.get('/api/paper/accounts/:id/ledger', (req, res) => {
+  try {
+    const ledger = paperTrading.getLedger(req.params.id, {
+      type: req.query.type,
+      symbol: req.query.symbol,
+      limit: parseInt(req.query.limit) || 100
+    });
+    if (!ledger) {
+      return res.status(404).json({ success: false, error: 'Paper account not found' });
+    }
+    res.json({ success: true, count: ledger.length, ledger });
+  } catch (error) {
+    console.error('Error getting paper ledger:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 模拟盘权益曲线（与信号统计的 /api/equity-curve 相互独立），参数: from, to
+ */
+app.get('/api/paper/accounts/:id/equity', (req, res) => {
+  try {
+    const from = parseTimeParam(req.query.from);
+    const to = parseTimeParam(req.query.to);
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ success: false, error: 'Invalid from/to' });
+    }
+
+    const points = paperTrading.getEquityHistory(req.params.id, { from, to });
+    if (!points) {
+      return res.status(404).json({ success: false, error: 'Paper account not found' });
+    }
+    res.json({ success: true, count: points.length, points });
+  } catch (error) {
+    console.error('Error getting paper equity:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 用K线回放撮合（补齐轮询间隔内的影线，或离线后追赶）
+ * body: { symbol, timeframe（默认1m）, from（默认该交易对最早挂单时间）, to }
+ */
+app.post('/api/paper/accounts/:id/replay', requireTradingAdmin, async (req, res) => {
+  try {
+    const { symbol, timeframe = '1m', from, to } = req.body || {};
+    const account = paperTrading.getAccount(req.params.id);
+    if (!account) {
+      return res.status(404).json({ success: false, error: 'Paper account not found' });
+    }
+    if (!symbol) {
+      return res.status(400).json({ success: false, error: 'symbol is required' });
+    }
+    if (!marketVenues.TIMEFRAME_MS[timeframe]) {
+      return res.status(400).json({ success: false, error: `Unsupported timeframe: ${timeframe}` });
+    }
+
+    const fromTime = parseTimeParam(from === undefined ? undefined : String(from));
+    const toTime = parseTimeParam(to === undefined ? undefined : String(to));
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+      return res.status(400).json({ success: false, error: 'Invalid from/to' });
+    }
+
+    const orderTimes = account.open_orders.filter(o => o.symbol === symbol).map(o => o.created_at);
+    const start = fromTime || (orderTimes.length > 0 ? Math.min(...orderTimes) : null);
+    if (!start) {
+      return res.json({ success: true, bars: 0, fills: [], account });
+    }
+
+    const klines = await marketData.getKlinesRange(symbol, timeframe, start, toTime || Date.now());
+    const fills = await paperTrading.replayKlines(req.params.id, symbol, klines.filter(k => k.time >= start), {
+      interval: timeframe,
+      fetchBars: (interval, barFrom, barUntil) => marketData.getKlinesRange(symbol, interval, barFrom, barUntil)
+    });
+
+    res.json({ success: true, bars: klines.length, fills, account: paperTrading.getAccount(req.params.id) });
+  } catch (error) {
+    console.error('Error replaying paper account:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 下单执行状态：模式、熔断开关、进行中的入场单 / 持仓数量
+ */
+app.get('/api/execution/status', (req, res) => {
+  try {
+    res.json({ success: true, ...executionEngine.getExecutionStatus() });
+  } catch (error) {
+    console.error('Error getting execution status:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 执行记录（进行中在前），参数: status, symbol, limit（默认100）
+ */
+app.get('/api/execution/orders', (req, res) => {
+  try {
+    const status = req.query.status;
+    if (status && !executionEngine.EXECUTION_STATUS[status]) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown status: ${status}, supported: ${Object.keys(executionEngine.EXECUTION_STATUS).join(', ')}`
+      });
+    }
+
+    const executions = executionEngine.listExecutions({
+      status,
+      symbol: req.query.symbol,
+      limit: parseInt(req.query.limit) || 100
+    });
+    res.json({ success: true, count: executions.length, executions });
+  } catch (error) {
+    console.error('Error listing executions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/execution/orders/:signalId', (req, res) => {
+  try {
+    const execution = executionEngine.getExecution(req.params.signalId);
+    if (!execution) {
+      return res.status(404).json({ success: false, error: 'Execution not found' });
+    }
+    res.json({ success: true, execution });
+  } catch (error) {
+    console.error('Error getting execution:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 手动执行一个活跃信号（已执行过的返回原记录）
+ */
+app.post('/api/execution/signals/:id', requireTradingAdmin, async (req, res) => {
+  try {
+    if (executionEngine.getExecutionStatus().mode === 'off') {
+      return res.status(400).json({ success: false, error: 'Execution disabled (EXECUTION_MODE=off)' });
+    }
+
+    const signal = getActiveSignals(DATA_SCOPE).find(s => s.id === req.params.id);
+    if (!signal) {
+      return res.status(404).json({ success: false, error: 'Active signal not found' });
+    }
+
+    const result = await executionEngine.executeSignal(signal);
+    if (result.skipped) {
+      return res.status(409).json({ success: false, error: `Signal skipped: ${result.skipped}` });
+    }
+    res.json({ success: true, execution: result });
+  } catch (error) {
+    console.error('Error executing signal:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 熔断开关，body: { active: true/false, reason }；打开时撤销所有未成交的入场单
+ */
+app.post('/api/admin/execution/kill-switch', requireTradingAdmin, async (req, res) => {
+  try {
+    const { active, reason } = req.body || {};
+    if (typeof active !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'active must be a boolean' });
+    }
+    res.json({ success: true, kill_switch: await executionEngine.setKillSwitch(active, reason) });
+  } catch (error) {
+    console.error('Error setting kill switch:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 立即对账一次
+ */
+app.post('/api/admin/execution/reconcile', requireTradingAdmin, async (req, res) => {
+  try {
+    const reconciled = await executionEngine.reconcile();
+    res.json({ success: true, reconciled, status: executionEngine.getExecutionStatus() });
+  } catch (error) {
+    console.error('Error reconciling executions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 解析时间参数：支持毫秒/秒时间戳和ISO字符串
+ */
+function parseTimeParam(value) {
+  if (value === undefined || value === '') return null;
+  if (/^\d+$/.test(value)) {
+    const num = parseInt(value);
+    return num < 1e12 ? num * 1000 : num;
+  }
+  const time = Date.parse(value);
+  return isNaN(time) ? NaN : time;
+}
+
+/**
+ * 计算图表叠加层（只基于已收盘K线，避免未收盘bar导致重绘）
+ */
+function buildOverlays(klines) {
+  const closed = klines.filter(k => marketVenues.isBarClosed(k.time, k.interval));
+  const swingPoints = findSwingPoints(closed, STRATEGY_CONFIG.SWING_LOOKBACK);
+  const openFVGs = new Set(getOpenFVGs(closed, detectFVG(closed)).map(f => f.index));
+
+  return {
+    fvg: detectFVG(closed).map(f => ({ ...f, mitigated: !openFVGs.has(f.index) })),
+    order_blocks: detectOrderBlocks(closed),
+    swing_highs: swingPoints.swingHighs,
+    swing_lows: swingPoints.swingLows
+  };
+}
 
 /**
  * 获取K线数据
+ *
+ * 参数:
+ * - symbols: 逗号分隔的交易对（最多 KLINES_MAX_SYMBOLS 个）
+ * - timeframe: TIMEFRAME_MS 中的任一周期
+ * - limit: 未指定时间区间时返回最新N根（最多1000）
+ * - from / to: 时间区间（毫秒/秒时间戳或ISO），超过单次上限时自动向前翻页；
+ *   区间最多 MAX_RANGE_BARS 根，from 更早时截到 to 之前 MAX_RANGE_BARS 根（range.clamped）
+ * - overlays: true 时附带 FVG / 订单块 / 摆动点
  */
-app.get('/api/klines', (req, res) => {
+const KLINES_MAX_SYMBOLS = 10;
+
+app.get('/api/klines', async (req, res) => {
   try {
-    const { symbols = 'BTC_USDT,ETH_USDT,SOL_USDT,ADA_USDT,BNB_USDT,XRP_USDT,DOGE_USDT,TRX_USDT', timeframe = '4h', limit = '100' } = req.query;
+    const {
+      symbols = 'BTC_USDT,ETH_USDT,SOL_USDT,ADA_USDT,BNB_USDT,XRP_USDT,DOGE_USDT,TRX_USDT',
+      timeframe = '4h',
+      limit = '100',
+      overlays = 'false'
+    } = req.query;
+
+    const timeframeMs = marketVenues.TIMEFRAME_MS[timeframe];
+    if (!timeframeMs) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported timeframe: ${timeframe}`,
+        supported: Object.keys(marketVenues.TIMEFRAME_MS)
+      });
+    }
 
-    const symbolList = symbols.split(',');
-    const intervalMs = {
-      '1m': 60 * 1000,
-      '5m': 5 * 60 * 1000,
-      '15m': 15 * 60 * 1000,
-      '30m': 30 * 60 * 1000,
-      '1h': 60 * 60 * 1000,
-      '4h': 4 * 60 * 60 * 1000,
-      '1d': 24 * 60 * 60 * 1000
-    }[timeframe] || 4 * 60 * 60 * 1000;
+    const from = parseTimeParam(req.query.from);
+    const to = parseTimeParam(req.query.to);
+    if (Number.isNaN(from) || Number.isNaN(to) || (from && to && from > to)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid from/to range'
+      });
+    }
+
+    const symbolList = symbols.split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+    if (symbolList.length > KLINES_MAX_SYMBOLS) {
+      return res.status(400).json({
+        success: false,
+        error: `Too many symbols: ${symbolList.length}, max ${KLINES_MAX_SYMBOLS}`
+      });
+    }
+
+    const limitNum = Math.min(Math.max(parseInt(limit) || 100, 1), marketVenues.VENUE_CONFIG.MAX_KLINES_LIMIT);
+    const rangeMode = from !== null || to !== null;
+    const rangeTo = to !== null ? to : Date.now();
+    // 区间查询在补齐本地存储前就截断，避免长区间逐页请求
+    const earliestFrom = rangeTo - (gateio.MAX_RANGE_BARS - 1) * timeframeMs;
+    const rangeClamped = from !== null && from < earliestFrom;
+    const rangeFrom = from !== null ? Math.max(from, earliestFrom) : rangeTo - (limitNum - 1) * timeframeMs;
+    const currentBarStart = marketVenues.getCurrentBarStartTime(timeframe);
 
-    const limitNum = parseInt(limit);
     const result = {};
+    const overlayResult = {};
+
+    await Promise.all(symbolList.map(async (symbol) => {
+      const klines = rangeMode
+        ? await marketData.getKlinesRange(symbol, timeframe, rangeFrom, rangeTo)
+        : await marketData.getKlines(symbol, timeframe, limitNum);
 
-    for (const symbol of symbolList) {
-      const klines = [];
-      const now = Date.now();
-
-      let basePrice = symbol === 'BTC_USDT' ? 65000 : 
-                      symbol === 'ETH_USDT' ? 3500 : 
-                      symbol === 'SOL_USDT' ? 150 : 
-                      symbol === 'ADA_USDT' ? 1.2 :
-                      symbol === 'BNB_USDT' ? 600 :
-                      symbol === 'XRP_USDT' ? 0.6 :
-                      symbol === 'DOGE_USDT' ? 0.15 : 0.12;
-
-      for (let i = limitNum; i >= 0; i--) {
-        const time = now - i * intervalMs;
-        const open = basePrice * (1 + (Math.random() - 0.5) * 0.02);
-        const close = open * (1 + (Math.random() - 0.5) * 0.01);
-        const high = Math.max(open, close) * (1 + Math.random() * 0.005);
-        const low = Math.min(open, close) * (1 - Math.random() * 0.005);
-        const volume = Math.random() * 1000000;
-
-        klines.push({
-          timestamp: time,
-          open: parseFloat(open.toFixed(symbol === 'BTC_USDT' ? 2 : symbol === 'ETH_USDT' ? 2 : 6)),
-          high: parseFloat(high.toFixed(symbol === 'BTC_USDT' ? 2 : symbol === 'ETH_USDT' ? 2 : 6)),
-          low: parseFloat(low.toFixed(symbol === 'BTC_USDT' ? 2 : symbol === 'ETH_USDT' ? 2 : 6)),
-          close: parseFloat(close.toFixed(symbol === 'BTC_USDT' ? 2 : symbol === 'ETH_USDT' ? 2 : 6)),
-          volume: parseFloat(volume.toFixed(2))
-        });
-
-        basePrice = close;
+      if (!klines) {
+        result[symbol] = [];
+        return;
       }
 
-      result[symbol] = klines;
-    }
+      result[symbol] = klines.map(k => ({
+        timestamp: k.time,
+        open: k.open,
+        high: k.high,
+        low: k.low,
+        close: k.close,
+        volume: k.volume,
+        closed: marketVenues.isBarClosed(k.time, timeframe)
+      }));
+
+      if (overlays === 'true') {
+        overlayResult[symbol] = buildOverlays(klines.map(k => ({ ...k, interval: timeframe })));
+      }
+    }));
 
     res.json({
       success: true,
       timeframe,
       count: symbolList.length,
-      klines: result
+      range: rangeMode ? { from: rangeFrom, to: rangeTo, clamped: rangeClamped } : null,
+      open_bar_time: currentBarStart,
+      klines: result,
+      ...(overlays === 'true' ? { overlays: overlayResult } : {})
     });
   } catch (error) {
     console.error('Error getting klines:', error);
@@ -434,20 +1115,35 @@ app.get('/api/scan/logs', (req, res) => {
   }
 });
 
+/**
+ * 历史记录（按结束时间倒序分页）
+ * - result / status / symbol: 过滤条件
+ * - from / to: 结束时间范围（毫秒时间戳或ISO时间）
+ */
 app.get('/api/history', (req, res) => {
   try {
-    const { limit = '50', offset = '0', result = 'all' } = req.query;
+    const { limit = '50', offset = '0', result = 'all', status, symbol } = req.query;
 
-    const history = getHistory();
-    let records = history.records || [];
-
-    // 按结果过滤
-    if (result !== 'all') {
-      records = records.filter(r => r.result === result);
+    const from = parseTimeParam(req.query.from);
+    const to = parseTimeParam(req.query.to);
+    if (Number.isNaN(from) || Number.isNaN(to) || (from && to && from > to)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid from/to range'
+      });
     }
 
+    const history = getHistory({
+      ...DATA_SCOPE,
+      result: result !== 'all' ? result : undefined,
+      status: status ? status.toUpperCase() : undefined,
+      symbol: symbol ? symbol.toUpperCase() : undefined,
+      from,
+      to
+    });
+
     // 按时间倒序
-    records = records.sort((a, b) => (b.closed_at || b.created_at) - (a.closed_at || a.created_at));
+    const records = history.records.reverse();
 
     // 分页
     const offsetNum = parseInt(offset);
@@ -476,18 +1172,44 @@ app.get('/api/history', (req, res) => {
 app.get('/api/data/status', (req, res) => {
   try {
     const status = getDataStatus();
-    res.json(status);
+    res.json({
+      ...status,
+      price_monitor: priceMonitor.getMonitorStatus(),
+      signal_sweeper: signalSweeper.getSweeperStatus(),
+      websocket: getWebSocketStatus(),
+      market_stream: gateioStream.getStreamStatus()
+    });
   } catch (error) {
     console.error('Error getting data status:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * 行情交易所：可用交易所、主交易所与默认扫描的交易所
+ */
+app.get('/api/venues', (req, res) => {
+  res.json({
+    success: true,
+    primary: marketData.venue,
+    market: TRADING_MARKET,
+    scan_venues: SCAN_VENUES,
+    venues: marketVenues.listVenues()
+  });
+});
+
 /**
  * 手动触发扫描
+ * body: { venues } 可选，扫描的交易所（数组或逗号分隔），默认 SCAN_VENUES
  */
 app.post('/api/scan/trigger', async (req, res) => {
   try {
+    const requested = req.body && req.body.venues !== undefined ? req.body.venues : undefined;
+    const { venues, error } = requested === undefined ? { venues: SCAN_VENUES } : resolveScanVenues(requested);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
     if (scanStatus.status === 'SCANNING') {
       return res.json({ 
         success: false, 
@@ -496,82 +1218,8 @@ app.post('/api/scan/trigger', async (req, res) => {
       });
     }
 
-    scanStatus = {
-      status: 'SCANNING',
-      progress: 0,
-      message: '开始扫描...',
-      lastScan: scanStatus.lastScan,
-      nextScan: null
-    };
-
-    // 广播状态更新
-    broadcastSignalUpdate({
-      type: 'scan_status',
-      data: scanStatus
-    });
-
-    // 异步执行扫描
-    setTimeout(async () => {
-      try {
-        scanStatus.progress = 30;
-        scanStatus.message = '分析HTF趋势...';
-
-        const htfAnalysis = await multiTimeframeV3.analyzeHTF();
-
-        scanStatus.progress = 60;
-        scanStatus.message = '分析MTF结构...';
-
-        const mtfAnalysis = await multiTimeframeV3.analyzeMTF(htfAnalysis);
-
-        scanStatus.progress = 90;
-        scanStatus.message = '扫描LTF入场点...';
-
-        const ltfSignals = await multiTimeframeV3.scanLTF(mtfAnalysis);
-
-        // 更新扫描结果
-        scanResults = {
-          signals: ltfSignals,
-          scan_time: new Date().toISOString(),
-          htf_analysis: htfAnalysis,
-          mtf_analysis: mtfAnalysis,
-          ltf_signals: ltfSignals
-        };
-
-        scanStatus = {
-          status: 'IDLE',
-          progress: 100,
-          message: `扫描完成，发现 ${ltfSignals.length} 个信号`,
-          lastScan: new Date().toISOString(),
-          nextScan: new Date(Date.now() + 5 * 60 * 1000).toISOString()
-        };
-
-        // 广播新信号
-        broadcastSignalUpdate({
-          type: 'new_signals',
-          data: {
-            signals: ltfSignals,
-            scan_time: scanResults.scan_time
-          }
-        });
-
-        console.log('Scan completed:', ltfSignals.length, 'signals found');
-
-      } catch (error) {
-        console.error('Scan error:', error);
-        scanStatus = {
-          status: 'ERROR',
-          progress: 0,
-          message: `扫描失败: ${error.message}`,
-          lastScan: scanStatus.lastScan,
-          nextScan: null
-        };
-
-        broadcastSignalUpdate({
-          type: 'scan_status',
-          data: scanStatus
-        });
-      }
-    }, 100);
+    // 异步执行扫描（scanStatus 会被同步置为 SCANNING）
+    runMultiTimeframeScan('manual', venues);
 
     res.json({
       success: true,
@@ -589,7 +1237,8 @@ app.post('/api/scan/trigger', async (req, res) => {
 });
 
 /**
- * 更新信号价格（从价格服务调用）
+ * 推送最新价格（可选，内置价格监控会自动轮询）
+ * body: { prices: [{ symbol, price, mark_price }] }，mark_price 可选（合约持仓按其判断止盈止损）
  */
 app.post('/api/signals/update-prices', (req, res) => {
   try {
@@ -601,19 +1250,22 @@ app.post('/api/signals/update-prices', (req, res) => {
       });
     }
 
-    const updated = updateSignalPrices(prices);
-
-    // 广播价格更新
-    if (updated.length > 0) {
-      broadcastSignalUpdate({
-        type: 'price_update',
-        data: updated
+    // 触发检查与广播由价格监控统一处理
+    const pushed = priceMonitor.pushPrices(prices);
+    if (!pushed) {
+      return res.status(409).json({
+        success: false,
+        error: 'Price monitor is checking triggers, retry shortly'
       });
     }
+    const { updated, entered, partial, closed } = pushed;
 
     res.json({
       success: true,
       updated: updated.length,
+      entered: entered.length,
+      partial: partial.length,
+      closed: closed.length,
       signals: updated
     });
   } catch (error) {
@@ -627,6 +1279,7 @@ app.post('/api/signals/update-prices', (req, res) => {
 
 /**
  * 关闭信号（手动或止损止盈）
+ * 未成交的信号按撤单处理；交易所执行中的信号需在交易所平仓，这里拒绝
  */
 app.post('/api/signals/close', (req, res) => {
   try {
@@ -639,7 +1292,20 @@ app.post('/api/signals/close', (req, res) => {
       });
     }
 
-    const result = closeSignal(signalId, exitPrice, reason || 'manual');
+    const signal = getActiveSignals(DATA_SCOPE).find(s => s.id === signalId);
+    if (!signal) {
+      return res.status(404).json({ success: false, error: 'Signal not found' });
+    }
+    if (isExchangeManaged(signal)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Signal is managed by live execution, close the position on the exchange'
+      });
+    }
+
+    const result = signal.status === SIGNAL_STATUS.ACTIVE
+      ? closeUnfilledSignal(signalId, SIGNAL_STATUS.CANCELLED, RESULT_TYPE.CANCELLED, reason || 'manual', exitPrice)
+      : closeSignal(signalId, exitPrice, reason || 'manual');
 
     if (result) {
       // 广播信号关闭
@@ -682,13 +1348,21 @@ app.post('/api/signals/enter', (req, res) => {
       });
     }
 
+    const signal = getActiveSignals(DATA_SCOPE).find(s => s.id === signalId);
+    if (!signal) {
+      return res.status(404).json({ success: false, error: 'Signal not found' });
+    }
+    if (signal.status !== SIGNAL_STATUS.ACTIVE) {
+      return res.status(409).json({ success: false, error: `Signal already ${signal.status}` });
+    }
+
     const result = markEntered(signalId, entryPrice);
 
     if (result) {
       // 广播信号入场
       broadcastSignalUpdate({
         type: 'signal_entered',
-        data: { signalId, entryPrice }
+        data: { signalId, symbol: result.symbol, signal_type: result.signal_type, rating: result.rating, entryPrice }
       });
 
       res.json({
@@ -698,9 +1372,9 @@ app.post('/api/signals/enter', (req, res) => {
         entryPrice
       });
     } else {
-      res.status(404).json({ 
+      res.status(409).json({ 
         success: false, 
-        error: 'Signal not found' 
+        error: 'Signal is no longer pending' 
       });
     }
   } catch (error) {
@@ -712,6 +1386,174 @@ app.post('/api/signals/enter', (req, res) => {
   }
 });
 
+/**
+ * 查看扫描调度
+ */
+app.get('/api/admin/schedules', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    schedules: scanScheduler.listSchedules(),
+    nextScan: getNextScanTime()
+  });
+});
+
+/**
+ * 暂停扫描调度
+ */
+app.post('/api/admin/schedules/:id/pause', requireAdmin, (req, res) => {
+  const schedule = scanScheduler.pauseSchedule(req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ success: false, error: 'Schedule not found' });
+  }
+  res.json({ success: true, schedule });
+});
+
+/**
+ * 恢复扫描调度（恢复后会补跑错过的bar）
+ */
+app.post('/api/admin/schedules/:id/resume', requireAdmin, (req, res) => {
+  const schedule = scanScheduler.resumeSchedule(req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ success: false, error: 'Schedule not found' });
+  }
+  res.json({ success: true, schedule });
+});
+
+/**
+ * 本地K线存储与同步状态
+ */
+app.get('/api/admin/candles/status', requireAdmin, (req, res) => {
+  try {
+    res.json({ success: true, ...candleSync.getCandleSyncStatus() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 回填历史K线到本地存储（排队执行）
+ * body: { symbols, intervals, days }
+ */
+app.post('/api/admin/candles/backfill', requireAdmin, (req, res) => {
+  try {
+    if (DEMO_MODE || !gateio.STORE_ENABLED) {
+      return res.status(400).json({ success: false, error: 'Candle store is not available' });
+    }
+
+    const { symbols, intervals, days } = req.body || {};
+    const intervalList = Array.isArray(intervals) ? intervals : undefined;
+    const unsupported = (intervalList || []).filter(i => !marketVenues.TIMEFRAME_MS[i]);
+    if (unsupported.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported interval: ${unsupported.join(', ')}`,
+        supported: Object.keys(marketVenues.TIMEFRAME_MS)
+      });
+    }
+
+    const dayCount = days !== undefined ? parseInt(days) : undefined;
+    if (dayCount !== undefined && !(dayCount > 0)) {
+      return res.status(400).json({ success: false, error: 'days must be a positive integer' });
+    }
+
+    const job = candleSync.requestBackfill({
+      symbols: Array.isArray(symbols) ? symbols.map(s => String(s).toUpperCase()) : undefined,
+      intervals: intervalList,
+      days: dayCount
+    });
+
+    res.status(202).json({ success: true, job });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 创建回测任务（异步执行，任务依次排队）
+ * body: { symbols, timeframe, from, to, days, policy, drilldown, tradableOnly, minRating, basis }
+ * basis: 统计口径 gross（默认）/ net（扣除手续费、滑点、资金费）
+ */
+app.post('/api/backtest', requireAdmin, (req, res) => {
+  try {
+    const {
+      symbols, timeframe = '4h', from, to, days, policy, drilldown, tradableOnly, minRating, basis
+    } = req.body || {};
+
+    if (!marketVenues.TIMEFRAME_MS[timeframe]) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported timeframe: ${timeframe}`,
+        supported: Object.keys(marketVenues.TIMEFRAME_MS)
+      });
+    }
+
+    if (symbols !== undefined) {
+      const unknown = Array.isArray(symbols)
+        ? symbols.filter(s => !marketVenues.DEFAULT_SYMBOLS.includes(s))
+        : [symbols];
+      if (unknown.length > 0) {
+        return res.status(400).json({ success: false, error: `Unknown symbols: ${unknown.join(', ')}` });
+      }
+    }
+
+    if (minRating !== undefined && !backtester.RATING_ORDER.includes(minRating)) {
+      return res.status(400).json({ success: false, error: `Unknown rating: ${minRating}` });
+    }
+
+    if (basis !== undefined && !PNL_BASIS.includes(basis)) {
+      return res.status(400).json({ success: false, error: `Unsupported basis: ${basis}, supported: ${PNL_BASIS.join(', ')}` });
+    }
+
+    const fromTime = parseTimeParam(from === undefined ? undefined : String(from));
+    const toTime = parseTimeParam(to === undefined ? undefined : String(to));
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+      return res.status(400).json({ success: false, error: 'Invalid from/to' });
+    }
+
+    const job = backtester.createBacktestJob({
+      symbols,
+      timeframe,
+      from: fromTime || undefined,
+      to: toTime || undefined,
+      days: days !== undefined ? parseFloat(days) : undefined,
+      policy,
+      drilldown,
+      tradableOnly,
+      minRating,
+      basis
+    }, marketData);
+
+    res.status(202).json({ success: true, jobId: job.id, job });
+  } catch (error) {
+    console.error('Backtest create error:', error);
+    res.status(error.message.startsWith('Too many') ? 429 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 回测任务列表（不含交易明细）
+ */
+app.get('/api/backtest', (req, res) => {
+  res.json({ success: true, jobs: backtester.listBacktestJobs() });
+});
+
+/**
+ * 回测任务状态与结果
+ * query: trades=false 时不返回逐笔交易
+ */
+app.get('/api/backtest/:jobId', (req, res) => {
+  const job = backtester.getBacktestJob(req.params.jobId, {
+    includeTrades: req.query.trades !== 'false'
+  });
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Backtest job not found' });
+  }
+  res.json({ success: true, job });
+});
+
 /**
  * 健康检查
  */
@@ -719,6 +1561,9 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     version: '3.0.0',
+    mode: DEMO_MODE ? 'demo' : 'live',
+    market: TRADING_MARKET,
+    venue: marketData.venue,
     timestamp: new Date().toISOString(),
     uptime: process.uptime()
   });
@@ -744,204 +1589,308 @@ const server = app.listen(PORT, () => {
   console.log('  交易信号系统 V3.0 已启动');
   console.log('  端口:', PORT);
   console.log('  环境:', process.env.NODE_ENV || 'development');
+  console.log('  模式:', DEMO_MODE ? `演示 (seed=${marketData.seed})` : '实盘数据');
+  console.log('  市场:', TRADING_MARKET);
+  console.log('  交易所:', marketData.venue, '扫描:', SCAN_VENUES.join(', '));
   console.log('=================================');
 
-  // 初始化WebSocket服务器
-  initWebSocketServer(server);
+  // 初始化WebSocket服务器（订阅时推送活跃信号快照）
+  initWebSocketServer(server, {
+    getSnapshot: () => ({ signals: getActiveSignals(DATA_SCOPE), scan_status: scanStatus })
+  });
 
   // 初始化数据同步
   initDataSync();
 
-  // 启动时执行一次扫描
+  // 启动模拟盘（演示模式使用独立目录）
+  paperTrading.initPaperTrading({
+    dir: process.env.PAPER_DIR || path.join(__dirname, 'data', DEMO_MODE ? 'paper_demo' : 'paper'),
+    broadcast: broadcastSignalUpdate,
+    scope: DATA_SCOPE
+  });
+
+  // 启动下单执行（EXECUTION_MODE=off 时不下单；订单只发往 Gate.io，下单规则取 Gate.io 行情）
+  executionEngine.initExecution({
+    marketData: DEMO_MODE || marketData.venue === 'gateio' ? marketData : marketVenues.getVenue('gateio', TRADING_MARKET),
+    broadcast: broadcastSignalUpdate,
+    synthetic: DEMO_MODE
+  });
+
+  // 启动价格监控，驱动信号生命周期与模拟盘撮合
+  priceMonitor.initPriceMonitor({
+    marketData,
+    broadcast: broadcastSignalUpdate,
+    scope: DATA_SCOPE,
+    onPrices: (priceMap, markMap) => paperTrading.processPrices(priceMap, markMap)
+  });
+
+  // Gate.io 现货行情推送（MARKET_STREAM=true）：K线与价格缓存由推送维护，价格变化即时驱动触发判断
+  if (gateioStream.STREAM_CONFIG.ENABLED) {
+    if (DEMO_MODE || TRADING_MARKET !== 'spot' || marketData.venue !== 'gateio') {
+      console.warn('[GateioStream] MARKET_STREAM only applies to live Gate.io spot market data, ignored');
+    } else {
+      gateioStream.initMarketStream({
+        onTickers: tickers => priceMonitor.pushTickers(tickers)
+      });
+    }
+  }
+
+  // 启动信号清理（过期与结构失效）
+  signalSweeper.initSignalSweeper({
+    marketData,
+    broadcast: broadcastSignalUpdate,
+    scope: DATA_SCOPE
+  });
+
+  // 本地K线存储同步（演示模式不访问交易所；存储只保存现货K线）
+  if (!DEMO_MODE && TRADING_MARKET === 'spot' && process.env.CANDLE_SYNC_ENABLED !== 'false') {
+    candleSync.initCandleSync();
+  }
+
+  // 初始化按K线收盘对齐的扫描调度
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    scanScheduler.initScanScheduler({
+      handlers: {
+        mtf: () => runMultiTimeframeScan('scheduled'),
+        v2: ({ timeframe }) => runStrategyScan(timeframe, 'scheduled')
+      },
+      isBusy: () => scanStatus.status === 'SCANNING'
+    });
+  }
+
+  // 启动时执行一次扫描（与调度共用防重入判断，调度未启用时按扫描状态判断）
   setTimeout(() => {
+    if (scanScheduler.isScanInProgress() || scanStatus.status === 'SCANNING') {
+      console.log('启动扫描跳过：已有扫描在进行中');
+      return;
+    }
     console.log('执行启动扫描...');
-    performInitialScan();
+    runStrategyScan('4h', 'startup');
   }, 3000);
 });
 
-// 生成模拟信号
-function generateMockSignals() {
-  const symbols = ['BTC_USDT', 'ETH_USDT', 'SOL_USDT', 'ADA_USDT', 'BNB_USDT', 'XRP_USDT', 'DOGE_USDT', 'TRX_USDT'];
-  const directions = ['LONG', 'SHORT'];
-  const entryTypes = ['A', 'B', 'C'];
-  const ratings = ['S', 'A', 'B', 'C'];
-
-  return symbols.map((symbol, i) => {
-    const direction = directions[Math.floor(Math.random() * directions.length)];
-    const entryType = entryTypes[Math.floor(Math.random() * entryTypes.length)];
-    const rating = ratings[Math.floor(Math.random() * ratings.length)];
-
-    const basePrice = symbol === 'BTC_USDT' ? 65000 : 
-                      symbol === 'ETH_USDT' ? 3500 : 
-                      symbol === 'SOL_USDT' ? 150 : 
-                      symbol === 'ADA_USDT' ? 1.2 :
-                      symbol === 'BNB_USDT' ? 600 :
-                      symbol === 'XRP_USDT' ? 0.6 :
-                      symbol === 'DOGE_USDT' ? 0.15 : 0.12;
-
-    // 生成更真实的价格数据
-    const currentPrice = basePrice * (1 + (Math.random() - 0.5) * 0.02);
-
-    // 根据方向计算入场价、止损和止盈
-    let entryPrice, sl, tp1, tp2, rrr;
-
-    // 生成合理的RRR值 (2-4之间)
-    const targetRrr = 2 + Math.random() * 2;
-
-    if (direction === 'LONG') {
-      // 做多：入场价在当前价附近，止损在下方，止盈在上方
-      entryPrice = currentPrice * (1 + (Math.random() - 0.5) * 0.005);
-      // 止损距离：1-2%的入场价
-      const stopDistance = entryPrice * (0.01 + Math.random() * 0.01);
-      sl = entryPrice - stopDistance;
-      // 止盈距离 = 止损距离 * 目标RRR
-      const tpDistance = stopDistance * targetRrr;
-      tp1 = entryPrice + tpDistance;
-      tp2 = entryPrice + tpDistance * 1.5;
-    } else {
-      // 做空：入场价在当前价附近，止损在上方，止盈在下方
-      entryPrice = currentPrice * (1 + (Math.random() - 0.5) * 0.005);
-      // 止损距离：1-2%的入场价
-      const stopDistance = entryPrice * (0.01 + Math.random() * 0.01);
-      sl = entryPrice + stopDistance;
-      // 止盈距离 = 止损距离 * 目标RRR
-      const tpDistance = stopDistance * targetRrr;
-      tp1 = entryPrice - tpDistance;
-      tp2 = entryPrice - tpDistance * 1.5;
-    }
-
-    // 计算实际RRR
-    const risk = Math.abs(entryPrice - sl);
-    const reward1 = Math.abs(tp1 - entryPrice);
-    rrr = risk > 0 ? parseFloat((reward1 / risk).toFixed(2)) : 2;
-
-    // 根据RRR调整评级
-    let adjustedRating = rating;
-    if (rrr >= 3) adjustedRating = 'S';
-    else if (rrr >= 2.5) adjustedRating = 'A';
-    else if (rrr >= 2) adjustedRating = 'B';
-    else adjustedRating = 'C';
-
-    const score = adjustedRating === 'S' ? 100 + Math.floor(Math.random() * 20) :
-                  adjustedRating === 'A' ? 85 + Math.floor(Math.random() * 15) :
-                  adjustedRating === 'B' ? 70 + Math.floor(Math.random() * 15) :
-                  55 + Math.floor(Math.random() * 15);
-
-    const atr = basePrice * 0.01;
-    const rsi = 40 + Math.floor(Math.random() * 40);
-
-    const fvgTop = entryPrice * 1.01;
-    const fvgBottom = entryPrice * 0.99;
-    const chochLevel = direction === 'LONG' ? entryPrice * 0.98 : entryPrice * 1.02;
-    const sweepLevel = direction === 'LONG' ? entryPrice * 0.97 : entryPrice * 1.03;
-
-    // 生成入场原因描述
-    const entryReasons = {
-      'A': direction === 'LONG' 
-        ? 'FVG下沿挂单入场，等待价格回调至公允价值缺口下沿' 
-        : 'FVG上沿挂单入场，等待价格反弹至公允价值缺口上沿',
-      'B': direction === 'LONG'
-        ? '突破ChoCH后市价追多，确认趋势反转'
-        : '跌破ChoCH后市价追空，确认趋势反转',
-      'C': direction === 'LONG'
-        ? '订单块支撑位挂单，等待价格测试关键支撑'
-        : '订单块阻力位挂单，等待价格测试关键阻力'
-    };
+/**
+ * 为信号打上市场标签（合约信号附带当前资金费率，用于估算资金费），演示模式下再打上合成标签
+ * 信号的 venue 由策略按扫描的交易所记录；tickers 可选，来自同一交易所的 getTickers
+ */
+function prepareSignals(signals, tickers = {}) {
+  const tagged = signals.map(signal => {
+    const ticker = tickers[signal.symbol];
+    const fundingRate = TRADING_MARKET === 'futures' && ticker && Number.isFinite(ticker.funding_rate)
+      ? { funding_rate_bps: ticker.funding_rate * 10000 }
+      : {};
+    return { ...signal, market: TRADING_MARKET, ...fundingRate };
+  });
+  return DEMO_MODE ? tagged.map(s => tagSynthetic(s, marketData.seed)) : tagged;
+}
 
-    const now = Date.now();
+/**
+ * 将扫描结果写入生命周期管理
+ * 同一交易对、方向、时间框架已有活跃信号时不重复添加（不区分交易所，多交易所扫描时按交易所顺序保留先出现的）；
+ * 超出组合风险限制的信号不加入，连同原因记录到被拦截列表；新加入的信号交给模拟盘挂单并按执行模式下单
+ */
+async function ingestSignals(signals) {
+  const activeKeys = new Set(
+    getActiveSignals(DATA_SCOPE).map(s => `${s.symbol}_${s.direction}_${s.timeframe}`)
+  );
+  const candidates = [];
+
+  for (const signal of signals) {
+    const key = `${signal.symbol}_${signal.direction}_${signal.timeframe}`;
+    if (activeKeys.has(key)) continue;
+
+    // 生成时价格已越过TP1或止损的设置不入库，否则首次检查即被判为错过/撤单
+    const stale = getStaleSetupReason(signal);
+    if (stale) {
+      console.log(`Skipped ${signal.id}: price ${signal.current_price} already past ${stale}`);
+      continue;
+    }
 
-    return {
-      id: `sig_${now}_${i}`,
-      symbol: symbol,
-      direction: direction,
-      entry_type: entryType,
-      current_price: parseFloat(currentPrice.toFixed(symbol === 'BTC_USDT' ? 2 : symbol === 'ETH_USDT' ? 2 : 6)),
-      entry_price: parseFloat(entryPrice.toFixed(symbol === 'BTC_USDT' ? 2 : symbol === 'ETH_USDT' ? 2 : 6)),
-      sl: parseFloat(sl.toFixed(symbol === 'BTC_USDT' ? 2 : symbol === 'ETH_USDT' ? 2 : 6)),
-      tp1: parseFloat(tp1.toFixed(symbol === 'BTC_USDT' ? 2 : symbol === 'ETH_USDT' ? 2 : 6)),
-      tp2: parseFloat(tp2.toFixed(symbol === 'BTC_USDT' ? 2 : symbol === 'ETH_USDT' ? 2 : 6)),
-      rrr: rrr,
-      rating: adjustedRating,
-      score: score,
-      atr: parseFloat(atr.toFixed(symbol === 'BTC_USDT' ? 2 : 6)),
-      rsi: rsi,
-      tags: direction === 'LONG' ? ['FVG', 'ChoCH'] : ['FVG', 'Sweep'],
-      has_choch: Math.random() > 0.3,
-      has_fvg: Math.random() > 0.2,
-      has_sweep: Math.random() > 0.5,
-      fvg_top: parseFloat(fvgTop.toFixed(symbol === 'BTC_USDT' ? 2 : 6)),
-      fvg_bottom: parseFloat(fvgBottom.toFixed(symbol === 'BTC_USDT' ? 2 : 6)),
-      choch_level: parseFloat(chochLevel.toFixed(symbol === 'BTC_USDT' ? 2 : 6)),
-      sweep_level: parseFloat(sweepLevel.toFixed(symbol === 'BTC_USDT' ? 2 : 6)),
-      status: 'ACTIVE',
-      status_desc: '信号活跃，等待价格触及入场位',
-      expires_in_minutes: 240,
-      signal_type: Math.random() > 0.5 ? 'TRADABLE' : 'CANDIDATE',
-      entry_description: entryReasons[entryType],
-      timestamp: new Date(now).toISOString(),
-      trigger_time: now,
-      kline_time: now - (now % (4 * 60 * 60 * 1000)),
-      timeframe: '4H',
-      data_source: 'Gate.io API',
-      data_health: 'HEALTHY',
-      is_uptrend: direction === 'LONG',
-      is_downtrend: direction === 'SHORT'
-    };
+    activeKeys.add(key);
+    candidates.push(signal);
+  }
+
+  const { accepted, blocked } = await portfolioRisk.screenSignals(candidates, { scope: DATA_SCOPE, marketData });
+  for (const { signal, reasons } of blocked) {
+    portfolioRisk.recordBlocked(signal, reasons);
+  }
+
+  const added = accepted.map(addSignal);
+  paperTrading.followSignals(added);
+  executionEngine.executeSignals(added).catch(error => {
+    console.error('Signal execution failed:', error.message);
   });
+  return added;
 }
 
-// 初始扫描
-async function performInitialScan() {
+/**
+ * 标记扫描开始并广播
+ */
+function beginScan(message) {
+  scanStatus = {
+    status: 'SCANNING',
+    progress: 0,
+    message,
+    lastScan: scanStatus.lastScan,
+    nextScan: null
+  };
+
+  broadcastSignalUpdate({
+    type: 'scan_status',
+    data: scanStatus
+  });
+}
+
+/**
+ * 扫描完成：更新状态并广播新信号
+ */
+function completeScan(signals, added) {
+  scanStatus = {
+    status: 'IDLE',
+    progress: 100,
+    message: `扫描完成，发现 ${signals.length} 个信号，新增 ${added.length} 个`,
+    lastScan: new Date().toISOString(),
+    nextScan: getNextScanTime()
+  };
+
+  broadcastSignalUpdate({
+    type: 'new_signals',
+    data: {
+      signals: added,
+      scan_time: scanResults.scan_time
+    }
+  });
+}
+
+/**
+ * 扫描失败：记录错误并广播
+ */
+function failScan(error) {
+  console.error('Scan error:', error);
+  scanStatus = {
+    status: 'ERROR',
+    progress: 0,
+    message: `扫描失败: ${error.message}`,
+    lastScan: scanStatus.lastScan,
+    nextScan: getNextScanTime()
+  };
+
+  broadcastSignalUpdate({
+    type: 'scan_status',
+    data: scanStatus
+  });
+}
+
+/**
+ * 多时间框架扫描（HTF → MTF → LTF），依次扫描各交易所；分析结果按交易所保存
+ */
+async function runMultiTimeframeScan(trigger, venues = SCAN_VENUES) {
+  beginScan('开始扫描...');
+
   try {
-    scanStatus = {
-      status: 'SCANNING',
-      progress: 10,
-      message: '启动扫描...',
-      lastScan: null,
-      nextScan: null
-    };
+    const ltfSignals = [];
+    const htfByVenue = {};
+    const mtfByVenue = {};
+
+    for (const [index, venue] of venues.entries()) {
+      const venueData = getScanMarketData(venue);
+      const step = 90 / venues.length;
+      const label = venues.length > 1 ? `[${venue}] ` : '';
+
+      scanStatus.progress = Math.round(index * step + step / 3);
+      scanStatus.message = `${label}分析HTF趋势...`;
+
+      htfByVenue[venue] = await multiTimeframeV3.analyzeHTF(marketVenues.DEFAULT_SYMBOLS, venueData);
 
-    // 生成模拟信号
-    const mockSignals = generateMockSignals();
+      scanStatus.progress = Math.round(index * step + step * 2 / 3);
+      scanStatus.message = `${label}分析MTF结构...`;
+
+      mtfByVenue[venue] = await multiTimeframeV3.analyzeMTF(htfByVenue[venue], venueData);
+
+      scanStatus.progress = Math.round((index + 1) * step);
+      scanStatus.message = `${label}扫描LTF入场点...`;
+
+      ltfSignals.push(...prepareSignals(await multiTimeframeV3.scanLTF(mtfByVenue[venue], venueData)));
+    }
 
     scanResults = {
-      signals: mockSignals,
+      signals: ltfSignals,
       scan_time: new Date().toISOString(),
-      htf_analysis: { trend: 'bullish', strength: 0.75 },
-      mtf_analysis: { structure: 'uptrend', fvg_count: 3 },
-      ltf_signals: mockSignals
+      venues,
+      htf_analysis: htfByVenue,
+      mtf_analysis: mtfByVenue,
+      ltf_signals: ltfSignals
     };
 
-    // 将信号添加到生命周期管理
-    for (const signal of mockSignals) {
-      addSignal(signal);
+    const added = await ingestSignals(ltfSignals);
+    completeScan(ltfSignals, added);
+
+    console.log(`Scan completed (${trigger}):`, ltfSignals.length, 'signals found,', added.length, 'added');
+  } catch (error) {
+    failScan(error);
+  }
+}
+
+/**
+ * V2单时间框架全量扫描（启动扫描及4h调度使用），依次扫描各交易所
+ */
+async function runStrategyScan(timeframe, trigger, venues = SCAN_VENUES) {
+  beginScan('启动扫描...');
+
+  try {
+    const signals = [];
+    let filteredCount = 0;
+
+    for (const [index, venue] of venues.entries()) {
+      const venueData = getScanMarketData(venue);
+      const step = 90 / venues.length;
+
+      scanStatus.progress = Math.round(index * step + 10);
+      scanStatus.message = venues.length > 1 ? `[${venue}] 获取K线...` : '获取K线...';
+
+      const klinesData = await venueData.getAllKlines(timeframe, 100);
+
+      scanStatus.progress = Math.round(index * step + step / 2 + 10);
+      scanStatus.message = venues.length > 1 ? `[${venue}] 获取实时价格...` : '获取实时价格...';
+
+      const tickers = await venueData.getTickers();
+      const scan = await scanAllSymbolsV2(klinesData, tickers, { timeframe, venue: venueData.venue });
+      signals.push(...prepareSignals(scan.signals, tickers));
+      filteredCount += scan.filtered.length;
     }
 
-    scanStatus = {
-      status: 'IDLE',
-      progress: 100,
-      message: `扫描完成，发现 ${mockSignals.length} 个信号`,
-      lastScan: new Date().toISOString(),
-      nextScan: new Date(Date.now() + 5 * 60 * 1000).toISOString()
+    scanResults = {
+      signals,
+      scan_time: new Date().toISOString(),
+      venues,
+      htf_analysis: {},
+      mtf_analysis: {},
+      ltf_signals: []
     };
 
-    console.log('Initial scan completed:', mockSignals.length, 'signals');
+    const added = await ingestSignals(signals);
+    completeScan(signals, added);
 
+    console.log(`Strategy scan completed (${trigger}, ${timeframe}, ${venues.join('+')}):`, signals.length, 'signals,',
+      added.length, 'added,', filteredCount, 'filtered');
   } catch (error) {
-    console.error('Initial scan error:', error);
-    scanStatus = {
-      status: 'ERROR',
-      progress: 0,
-      message: `扫描失败: ${error.message}`,
-      lastScan: null,
-      nextScan: null
-    };
+    failScan(error);
   }
 }
 
 // 优雅关闭
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  scanScheduler.stopScanScheduler();
+  priceMonitor.stopPriceMonitor();
+  gateioStream.stopMarketStream();
+  signalSweeper.stopSignalSweeper();
+  candleSync.stopCandleSync();
+  closeSignalStore();
+  portfolioRisk.closeBlockedStore();
+  paperTrading.stopPaperTrading();
+  executionEngine.stopExecution();
+  stopWebSocketServer();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -950,6 +1899,16 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
+  scanScheduler.stopScanScheduler();
+  priceMonitor.stopPriceMonitor();
+  gateioStream.stopMarketStream();
+  signalSweeper.stopSignalSweeper();
+  candleSync.stopCandleSync();
+  closeSignalStore();
+  portfolioRisk.closeBlockedStore();
+  paperTrading.stopPaperTrading();
+  executionEngine.stopExecution();
+  stopWebSocketServer();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
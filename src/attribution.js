@@ -0,0 +1,213 @@
+/**
+ * 绩效归因
+ *
+ * 把已结束的记录按任意维度组合分组（入场类型、止损类型、方向、评级、星期、小时等），
+ * 每组给出样本量、胜率及其 Wilson 置信区间、期望R，用于判断哪些形态真正有优势。
+ *
+ * 星期 / 小时按指定时区计算（默认UTC），时间基准可选信号创建、成交或平仓时间。
+ */
+
+const { RESULT_TYPE, isUnfilled, getResult } = require('./signalLifecycle');
+const { getRMultiple } = require('./performanceMetrics');
+const { PNL_BASIS, getPnlPercent } = require('./costModel');
+
+const ATTRIBUTION_CONFIG = {
+  DEFAULT_DIMENSIONS: ['entry_type'],
+  DEFAULT_CONFIDENCE: 0.95,
+  DEFAULT_TIME_BASIS: 'created'
+};
+
+// 双侧置信水平对应的z值
+const Z_SCORES = {
+  0.8: 1.2816,
+  0.9: 1.6449,
+  0.95: 1.96,
+  0.99: 2.5758
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// 时间基准对应的字段
+const TIME_FIELDS = {
+  created: 'created_at',
+  entered: 'entered_at',
+  closed: 'closed_at'
+};
+
+// 可用维度：记录字段或按时间推导
+const DIMENSIONS = {
+  entry_type: record => record.entry_type,
+  sl_type: record => record.sl_type,
+  direction: record => record.direction,
+  rating: record => record.rating,
+  symbol: record => record.symbol,
+  timeframe: record => record.timeframe,
+  signal_type: record => record.signal_type,
+  outcome: record => record.outcome || record.exit_reason,
+  weekday: (record, clock) => clock(record).weekday,
+  hour: (record, clock) => clock(record).hour
+};
+
+/**
+ * 校验时区（IANA名称，如 Asia/Shanghai）
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 生成按时区取星期和小时的函数
+ */
+function createClock(timeZone, timeBasis) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: 'numeric',
+    hourCycle: 'h23'
+  });
+  const field = TIME_FIELDS[timeBasis];
+
+  return record => {
+    const time = record[field] || record.created_at || Date.parse(record.timestamp);
+    if (!time) return { weekday: null, hour: null };
+
+    const parts = {};
+    for (const part of formatter.formatToParts(new Date(time))) {
+      parts[part.type] = part.value;
+    }
+    return { weekday: parts.weekday, hour: parseInt(parts.hour) };
+  };
+}
+
+/**
+ * 胜率的 Wilson 置信区间（百分比）
+ */
+function wilsonInterval(wins, total, confidence = ATTRIBUTION_CONFIG.DEFAULT_CONFIDENCE) {
+  if (total === 0) return { low: null, high: null };
+
+  const z = Z_SCORES[confidence];
+  const p = wins / total;
+  const z2 = z * z;
+  const denominator = 1 + z2 / total;
+  const center = (p + z2 / (2 * total)) / denominator;
+  const half = (z * Math.sqrt(p * (1 - p) / total + z2 / (4 * total * total))) / denominator;
+
+  return {
+    low: Math.max(0, center - half) * 100,
+    high: Math.min(1, center + half) * 100
+  };
+}
+
+function summarizeGroup(key, records, confidence, basis) {
+  const trades = records.filter(r => !isUnfilled(r) && typeof r.pnl_percent === 'number');
+  const wins = trades.filter(t => getResult(t, basis) === RESULT_TYPE.WIN).length;
+  const losses = trades.filter(t => getResult(t, basis) === RESULT_TYPE.LOSS).length;
+  const rMultiples = trades.map(t => getRMultiple(t, basis));
+  const totalR = rMultiples.reduce((sum, r) => sum + r, 0);
+
+  return {
+    key,
+    signals: records.length,
+    trades: trades.length,
+    win: wins,
+    loss: losses,
+    breakeven: trades.length - wins - losses,
+    fill_rate: records.length > 0 ? (trades.length / records.length) * 100 : 0,
+    win_rate: trades.length > 0 ? (wins / trades.length) * 100 : null,
+    win_rate_ci: wilsonInterval(wins, trades.length, confidence),
+    expectancy_r: trades.length > 0 ? totalR / trades.length : null,
+    total_r: totalR,
+    total_pnl_percent: trades.reduce((sum, t) => sum + getPnlPercent(t, basis), 0)
+  };
+}
+
+/**
+ * 校验归因参数，返回错误信息或 null
+ */
+function validateAttributionOptions(options = {}) {
+  const dimensions = options.dimensions || ATTRIBUTION_CONFIG.DEFAULT_DIMENSIONS;
+  const unknown = dimensions.filter(d => !DIMENSIONS[d]);
+  if (dimensions.length === 0 || unknown.length > 0) {
+    return `Unsupported dimension: ${unknown.join(', ') || '(none)'}, supported: ${Object.keys(DIMENSIONS).join(', ')}`;
+  }
+  if (options.timeZone && !isValidTimeZone(options.timeZone)) {
+    return `Invalid time zone: ${options.timeZone}`;
+  }
+  if (options.confidence !== undefined && !Z_SCORES[options.confidence]) {
+    return `Unsupported confidence: ${options.confidence}, supported: ${Object.keys(Z_SCORES).join(', ')}`;
+  }
+  if (options.timeBasis && !TIME_FIELDS[options.timeBasis]) {
+    return `Unsupported time basis: ${options.timeBasis}, supported: ${Object.keys(TIME_FIELDS).join(', ')}`;
+  }
+  if (options.basis && !PNL_BASIS.includes(options.basis)) {
+    return `Unsupported PnL basis: ${options.basis}, supported: ${PNL_BASIS.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * 按维度组合分组统计
+ * options: { dimensions, timeZone, timeBasis, confidence, minTrades, basis }
+ */
+function attribute(records, options = {}) {
+  const error = validateAttributionOptions(options);
+  if (error) throw new Error(error);
+
+  const dimensions = options.dimensions || ATTRIBUTION_CONFIG.DEFAULT_DIMENSIONS;
+  const timeZone = options.timeZone || 'UTC';
+  const timeBasis = options.timeBasis || ATTRIBUTION_CONFIG.DEFAULT_TIME_BASIS;
+  const confidence = options.confidence || ATTRIBUTION_CONFIG.DEFAULT_CONFIDENCE;
+  const minTrades = options.minTrades || 0;
+  const basis = options.basis || 'gross';
+  const clock = createClock(timeZone, timeBasis);
+
+  const groups = new Map();
+  for (const record of records.filter(r => r.closed_at)) {
+    const key = {};
+    for (const dimension of dimensions) {
+      const value = DIMENSIONS[dimension](record, clock);
+      key[dimension] = value === undefined || value === null ? 'UNKNOWN' : value;
+    }
+
+    const id = JSON.stringify(key);
+    if (!groups.has(id)) groups.set(id, { key, records: [] });
+    groups.get(id).records.push(record);
+  }
+
+  const rows = Array.from(groups.values())
+    .map(group => summarizeGroup(group.key, group.records, confidence, basis))
+    .filter(row => row.trades >= minTrades)
+    .sort((a, b) => b.trades - a.trades || b.signals - a.signals);
+
+  // 星期、小时维度按自然顺序排列更直观
+  if (dimensions.length === 1 && (dimensions[0] === 'weekday' || dimensions[0] === 'hour')) {
+    const order = value => {
+      const index = dimensions[0] === 'weekday' ? WEEKDAYS.indexOf(value) : (typeof value === 'number' ? value : -1);
+      return index === -1 ? 99 : index;
+    };
+    rows.sort((a, b) => order(a.key[dimensions[0]]) - order(b.key[dimensions[0]]));
+  }
+
+  return {
+    dimensions,
+    time_zone: timeZone,
+    time_basis: timeBasis,
+    confidence,
+    basis,
+    total: summarizeGroup({}, records.filter(r => r.closed_at), confidence, basis),
+    groups: rows
+  };
+}
+
+module.exports = {
+  ATTRIBUTION_CONFIG,
+  DIMENSIONS,
+  wilsonInterval,
+  validateAttributionOptions,
+  attribute
+};
@@ -0,0 +1,605 @@
+/**
+ * 回测引擎 - 在历史K线上逐根回放 strategy_v2
+ *
+ * 无未来函数：第 i 根K线收盘时只用截至第 i 根的已收盘K线（与实盘相同的100根窗口）调用 generateSignal，
+ * 信号在该K线收盘时刻创建，从下一根K线开始参与撮合。
+ *
+ * 撮合与实盘生命周期规则一致：
+ * - 挂单成交 / 错过 / 撤单、止损止盈、TP1分批与止损上移：triggerEngine（歧义K线下钻低周期，仍无法判断按 AMBIGUITY_POLICY）
+ * - 结果判定：signalLifecycle.settleClose（同时给出扣除成本后的净盈亏，统计口径由 basis 选择）
+ * - 过期：getExpiryTime，到期所在K线处理完仍未成交即过期
+ * - 结构失效：signalSweeper 的反向BOS / FVG、订单块回补判断
+ * - 同一交易对、方向、时间框架同时只跟踪一个信号
+ *
+ * CLI: node src/backtester.js --symbols BTC_USDT,ETH_USDT --timeframe 4h --days 90
+ * API: POST /api/backtest 返回 jobId，GET /api/backtest/:jobId 获取结果
+ */
+
+const gateio = require('./gateio');
+const { TIMEFRAME_MS } = gateio;
+const { CONFIG, generateSignal, resolveConfig } = require('./strategy_v2');
+const { evaluateRange, calculatePnlPercent } = require('./triggerEngine');
+const {
+  SIGNAL_STATUS,
+  RESULT_TYPE,
+  getExpiryTime,
+  getResult,
+  settleClose
+} = require('./signalLifecycle');
+const { PNL_BASIS, getPnlPercent } = require('./costModel');
+const { findOppositeBOS, findZoneMitigation } = require('./signalSweeper');
+const { getRMultiple } = require('./performanceMetrics');
+
+// 回测配置
+const BACKTEST_CONFIG = {
+  WINDOW_BARS: 100,        // 与实盘扫描相同的K线窗口
+  DEFAULT_DAYS: 90,
+  DEFAULT_TIMEFRAME: '4h',
+  MAX_JOBS: 20,            // 内存中保留的任务数
+  MAX_QUEUED_JOBS: 5
+};
+
+// 评级从高到低，minRating 过滤时使用
+const RATING_ORDER = ['S', 'A', 'B', 'C'];
+
+const JOB_STATUS = {
+  QUEUED: 'QUEUED',
+  RUNNING: 'RUNNING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED'
+};
+
+const jobs = new Map();
+const queue = [];
+let runningJob = null;
+
+/**
+ * 让出事件循环，避免长时间回测阻塞服务
+ */
+function yieldToEventLoop() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * 汇总交易统计
+ * 胜率、期望只统计实际成交的交易；回撤按逐笔累加的收益率曲线计算（百分点）
+ * basis: gross（默认）/ net
+ */
+function summarizeTrades(records, basis = 'gross') {
+  const trades = records
+    .filter(r => r.filled === true)
+    .sort((a, b) => a.closed_at - b.closed_at);
+  const countUnfilled = result => records.filter(r => r.filled === false && r.result === result).length;
+  const closedCount = records.filter(r => r.closed_at).length;
+  const pnlOf = trade => getPnlPercent(trade, basis);
+
+  const wins = trades.filter(t => getResult(t, basis) === RESULT_TYPE.WIN);
+  const losses = trades.filter(t => getResult(t, basis) === RESULT_TYPE.LOSS);
+  const grossProfit = trades.filter(t => pnlOf(t) > 0).reduce((sum, t) => sum + pnlOf(t), 0);
+  const grossLoss = Math.abs(trades.filter(t => pnlOf(t) < 0).reduce((sum, t) => sum + pnlOf(t), 0));
+  const totalPnL = trades.reduce((sum, t) => sum + pnlOf(t), 0);
+
+  let equity = 0;
+  let peak = 0;
+  let maxDrawdown = 0;
+  for (const trade of trades) {
+    equity += pnlOf(trade);
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, peak - equity);
+  }
+
+  return {
+    basis,
+    signals: records.length,
+    trades: trades.length,
+    win: wins.length,
+    loss: losses.length,
+    breakeven: trades.filter(t => getResult(t, basis) === RESULT_TYPE.BREAKEVEN).length,
+    winRate: trades.length > 0 ? (wins.length / trades.length) * 100 : 0,
+    totalPnL,
+    expectancy: trades.length > 0 ? totalPnL / trades.length : 0,
+    expectancyR: trades.length > 0 ? trades.reduce((sum, t) => sum + getRMultiple(t, basis), 0) / trades.length : 0,
+    avgWin: wins.length > 0 ? wins.reduce((sum, t) => sum + pnlOf(t), 0) / wins.length : 0,
+    avgLoss: losses.length > 0 ? losses.reduce((sum, t) => sum + pnlOf(t), 0) / losses.length : 0,
+    profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null,
+    maxDrawdown,
+    unfilled: {
+      missed: countUnfilled(RESULT_TYPE.MISSED),
+      cancelled: countUnfilled(RESULT_TYPE.CANCELLED),
+      expired: countUnfilled(RESULT_TYPE.EXPIRED),
+      invalidated: countUnfilled(RESULT_TYPE.INVALID),
+      fill_rate: closedCount > 0 ? (trades.length / closedCount) * 100 : 0
+    },
+    open: records.filter(r => !r.closed_at).length
+  };
+}
+
+/**
+ * 结束未成交信号
+ */
+function closeUnfilled(position, status, result, reason, price, time, details = null) {
+  Object.assign(position.record, {
+    status,
+    result,
+    exit_reason: reason,
+    exit_price: price,
+    closed_at: time,
+    pnl: null,
+    pnl_percent: null,
+    filled: false,
+    close_details: details
+  });
+  position.state = { ...position.state, status: 'CLOSED' };
+}
+
+/**
+ * 把触发引擎的事件落到回测记录上（与 signalLifecycle.applyTriggerEvents 对应）
+ */
+function applyEvents(position, events, state) {
+  const record = position.record;
+
+  for (const event of events) {
+    if (event.reason === 'ENTRY') {
+      record.status = SIGNAL_STATUS.ENTERED;
+      record.entry_price_actual = event.price;
+      record.entered_at = event.time;
+      continue;
+    }
+
+    if (event.reason === 'MISSED' || event.reason === 'CANCELLED') {
+      closeUnfilled(position, SIGNAL_STATUS[event.reason], RESULT_TYPE[event.reason], event.reason,
+        event.price, event.time, { time: event.time, resolution: event.resolution });
+      return;
+    }
+
+    record.legs.push({
+      fraction: event.fraction,
+      price: event.price,
+      reason: event.reason,
+      pnl_percent: event.pnl_percent,
+      closed_at: event.time,
+      ...(event.resolution ? { resolution: event.resolution } : {})
+    });
+
+    // TP1只平部分仓位（后面还有事件，或最终仍持有剩余仓位）
+    if (event.reason === 'TP1' && (event !== events[events.length - 1] || state.status === 'TP1_HIT')) {
+      record.status = SIGNAL_STATUS.TP1_HIT;
+      record.stop_rule = state.stop_rule;
+      continue;
+    }
+
+    const settled = settleClose({ ...record, stop_rule: state.stop_rule }, record.legs, event.reason);
+    Object.assign(record, {
+      status: settled.status,
+      result: settled.result,
+      outcome: settled.outcome,
+      legs: settled.legs,
+      pnl: settled.pnl,
+      pnl_percent: settled.pnlPercent,
+      pnl_r: settled.pnlR,
+      net_pnl_percent: settled.netPnlPercent,
+      net_pnl_r: settled.netPnlR,
+      net_result: settled.netResult,
+      costs: settled.costs,
+      exit_reason: event.reason,
+      exit_price: event.price,
+      closed_at: event.time,
+      filled: true
+    });
+  }
+
+  position.state = state;
+}
+
+/**
+ * 回测单个交易对
+ * klines: 升序的已收盘K线（含预热窗口）
+ * options: { timeframe, startTime, endTime, policy, fetchLowerBars, strategyConfig, tradableOnly, minRating }
+ * startTime 之后收盘的K线才生成信号，endTime 之后的K线不再处理（仍持仓的记为 open）
+ */
+async function backtestSymbol(symbol, klines, options) {
+  const { timeframe, startTime, endTime = Infinity, policy, fetchLowerBars } = options;
+  const minRatingIndex = options.minRating ? RATING_ORDER.indexOf(options.minRating) : RATING_ORDER.length - 1;
+  const timeframeMs = TIMEFRAME_MS[timeframe];
+  const windowBars = BACKTEST_CONFIG.WINDOW_BARS;
+  const records = [];
+  let positions = [];
+
+  const fetchBars = async (interval, from, until) => {
+    if (interval === timeframe) {
+      return klines.filter(k => k.time + timeframeMs > from && k.time < until);
+    }
+    return fetchLowerBars ? fetchLowerBars(symbol, interval, from, until) : [];
+  };
+
+  for (let i = 0; i < klines.length; i++) {
+    const bar = klines[i];
+    const barEnd = bar.time + timeframeMs;
+    if (barEnd > endTime) break;
+    const window = klines.slice(Math.max(0, i - windowBars + 1), i + 1);
+
+    // 1. 已有信号按本根K线撮合
+    for (const position of positions) {
+      const { record } = position;
+
+      if (position.state.status === SIGNAL_STATUS.ACTIVE && bar.time >= record.expires_at) {
+        closeUnfilled(position, SIGNAL_STATUS.EXPIRED, RESULT_TYPE.EXPIRED, 'EXPIRED', bar.open, record.expires_at,
+          { expires_at: record.expires_at });
+        continue;
+      }
+
+      const outcome = await evaluateRange(position.state, timeframe, bar.time, barEnd, fetchBars, {
+        now: barEnd,
+        policy
+      });
+      applyEvents(position, outcome.events, outcome.state);
+
+      if (position.state.status !== SIGNAL_STATUS.ACTIVE) continue;
+
+      if (barEnd >= record.expires_at) {
+        closeUnfilled(position, SIGNAL_STATUS.EXPIRED, RESULT_TYPE.EXPIRED, 'EXPIRED', bar.close, record.expires_at,
+          { expires_at: record.expires_at });
+        continue;
+      }
+
+      // 2. 结构失效（只基于已收盘K线）
+      const bos = findOppositeBOS(record, window);
+      const mitigation = bos ? null : findZoneMitigation(record, window);
+      if (bos || mitigation) {
+        closeUnfilled(position, SIGNAL_STATUS.INVALIDATED, RESULT_TYPE.INVALID,
+          bos ? 'OPPOSITE_BOS' : `${mitigation.zone.type}_MITIGATED`, bar.close, barEnd,
+          bos ? { bos_type: bos.type, level: bos.level } : { zone: mitigation.zone, price: mitigation.price });
+      }
+    }
+
+    positions = positions.filter(p => p.state.status === SIGNAL_STATUS.ACTIVE ||
+      p.state.status === SIGNAL_STATUS.ENTERED || p.state.status === SIGNAL_STATUS.TP1_HIT);
+
+    // 3. 本根收盘后生成新信号
+    if (barEnd <= startTime || window.length < CONFIG.MIN_KLINES) continue;
+
+    const signal = generateSignal(symbol, window, { last: bar.close }, {
+      timeframe,
+      config: options.strategyConfig
+    });
+    if (options.tradableOnly && signal.signal_type !== 'TRADABLE') continue;
+    if (RATING_ORDER.indexOf(signal.rating) > minRatingIndex) continue;
+    if (positions.some(p => p.record.direction === signal.direction)) continue;
+
+    const record = {
+      ...signal,
+      id: `bt_${symbol}_${barEnd}`,
+      timestamp: new Date(barEnd).toISOString(),
+      structure: undefined,
+      status: SIGNAL_STATUS.ACTIVE,
+      created_at: barEnd,
+      entered_at: null,
+      closed_at: null,
+      legs: []
+    };
+    record.expires_at = getExpiryTime(record);
+
+    records.push(record);
+    positions.push({ record, state: { ...record } });
+  }
+
+  // 回测结束时仍持仓的按最后收盘价记录浮动盈亏，不计入统计
+  const lastBar = klines.filter(k => k.time + timeframeMs <= endTime).pop();
+  const lastClose = lastBar ? lastBar.close : null;
+  for (const { record, state } of positions) {
+    if (state.status === SIGNAL_STATUS.ACTIVE || !lastClose) continue;
+    const entryPrice = record.entry_price_actual || record.entry_price;
+    record.unrealized_pnl_percent = state.remaining_fraction *
+      calculatePnlPercent(record.direction, entryPrice, lastClose);
+  }
+
+  return records;
+}
+
+/**
+ * 解析回测时间范围与交易对
+ */
+function resolveRange(params) {
+  const timeframe = params.timeframe || BACKTEST_CONFIG.DEFAULT_TIMEFRAME;
+  if (!TIMEFRAME_MS[timeframe]) {
+    throw new Error(`Unsupported timeframe: ${timeframe}`);
+  }
+
+  const symbols = params.symbols && params.symbols.length > 0 ? params.symbols : gateio.SYMBOLS_54;
+  const to = Math.min(params.to || Date.now(), Date.now());
+  const from = params.from || to - (params.days || BACKTEST_CONFIG.DEFAULT_DAYS) * 24 * 60 * 60 * 1000;
+  if (from >= to) {
+    throw new Error('from must be earlier than to');
+  }
+  if (params.minRating && !RATING_ORDER.includes(params.minRating)) {
+    throw new Error(`Unknown rating: ${params.minRating}`);
+  }
+  if (params.basis && !PNL_BASIS.includes(params.basis)) {
+    throw new Error(`Unknown PnL basis: ${params.basis}`);
+  }
+
+  return { timeframe, symbols, from, to };
+}
+
+/**
+ * 加载回测所需的已收盘K线（含预热窗口）
+ * 返回 { timeframe, symbols, from, to, klines: { symbol: [...] }, errors: { symbol: message } }
+ */
+async function loadBacktestData(params = {}, marketData = gateio, onProgress = () => {}) {
+  const { timeframe, symbols, from, to } = resolveRange(params);
+  const timeframeMs = TIMEFRAME_MS[timeframe];
+  const warmupFrom = from - BACKTEST_CONFIG.WINDOW_BARS * timeframeMs;
+  const klines = {};
+  const errors = {};
+
+  for (let i = 0; i < symbols.length; i++) {
+    const symbol = symbols[i];
+    try {
+      klines[symbol] = (await marketData.getKlinesRange(symbol, timeframe, warmupFrom, to))
+        .filter(k => k.time + timeframeMs <= to);
+    } catch (error) {
+      console.error(`[Backtest] Failed to load ${symbol}:`, error.message);
+      errors[symbol] = error.message;
+    }
+    onProgress(i + 1, symbols.length, symbol);
+  }
+
+  return { timeframe, symbols, from, to, klines, errors };
+}
+
+/**
+ * 低周期K线获取（歧义K线下钻用）
+ * 模拟器各周期是独立生成的随机游走，低周期历史与回测周期对不上，默认不下钻
+ */
+function createLowerBarsFetcher(params, marketData) {
+  const drilldown = params.drilldown !== undefined ? params.drilldown : !marketData.synthetic;
+  if (!drilldown) return null;
+  return (symbol, interval, start, until) => marketData.getKlinesRange(symbol, interval, start, until - 1);
+}
+
+/**
+ * 执行回测
+ * params: { symbols, timeframe, from, to, days, policy, drilldown, tradableOnly, minRating, strategyConfig, basis }
+ * marketData: 行情数据源（gateio 或演示模拟器）
+ */
+async function runBacktest(params = {}, marketData = gateio, onProgress = () => {}) {
+  const startedAt = Date.now();
+  const data = await loadBacktestData(params, marketData);
+  const fetchLowerBars = createLowerBarsFetcher(params, marketData);
+  const basis = params.basis || 'gross';
+  const bySymbol = {};
+  const allRecords = [];
+
+  for (let i = 0; i < data.symbols.length; i++) {
+    const symbol = data.symbols[i];
+
+    if (data.errors[symbol]) {
+      bySymbol[symbol] = { error: data.errors[symbol] };
+    } else {
+      try {
+        const records = await backtestSymbol(symbol, data.klines[symbol], {
+          timeframe: data.timeframe,
+          startTime: data.from,
+          policy: params.policy,
+          tradableOnly: params.tradableOnly === true,
+          minRating: params.minRating,
+          strategyConfig: params.strategyConfig,
+          fetchLowerBars
+        });
+
+        bySymbol[symbol] = { bars: data.klines[symbol].length, ...summarizeTrades(records, basis) };
+        allRecords.push(...records);
+      } catch (error) {
+        console.error(`[Backtest] ${symbol} failed:`, error.message);
+        bySymbol[symbol] = { error: error.message };
+      }
+    }
+
+    onProgress(Math.round(((i + 1) / data.symbols.length) * 100), symbol);
+    await yieldToEventLoop();
+  }
+
+  console.log(`[Backtest] Completed ${data.symbols.length} symbols (${data.timeframe}) in ${Date.now() - startedAt}ms, ` +
+    `${allRecords.length} signals`);
+
+  return {
+    params: {
+      symbols: data.symbols,
+      timeframe: data.timeframe,
+      from: new Date(data.from).toISOString(),
+      to: new Date(data.to).toISOString(),
+      policy: params.policy || null,
+      drilldown: fetchLowerBars !== null,
+      tradableOnly: params.tradableOnly === true,
+      minRating: params.minRating || null,
+      basis
+    },
+    strategy_config: resolveConfig(params.strategyConfig),
+    aggregate: summarizeTrades(allRecords, basis),
+    bySymbol,
+    trades: allRecords.sort((a, b) => a.created_at - b.created_at),
+    duration_ms: Date.now() - startedAt
+  };
+}
+
+/**
+ * 任务对外展示（运行中不含结果）
+ */
+function describeJob(job, includeTrades = true) {
+  const { result, ...info } = job;
+  if (!result) return info;
+  return {
+    ...info,
+    result: includeTrades ? result : { ...result, trades: undefined }
+  };
+}
+
+/**
+ * 依次执行队列中的回测任务（单核机器上同一时间只跑一个）
+ */
+async function processQueue() {
+  if (runningJob || queue.length === 0) return;
+
+  const job = queue.shift();
+  runningJob = job;
+  job.status = JOB_STATUS.RUNNING;
+  job.started_at = Date.now();
+
+  try {
+    job.result = await runBacktest(job.params, job.marketData, (progress, symbol) => {
+      job.progress = progress;
+      job.current_symbol = symbol;
+    });
+    job.status = JOB_STATUS.COMPLETED;
+  } catch (error) {
+    console.error(`[Backtest] Job ${job.id} failed:`, error.message);
+    job.status = JOB_STATUS.FAILED;
+    job.error = error.message;
+  } finally {
+    job.finished_at = Date.now();
+    job.current_symbol = null;
+    delete job.marketData;
+    runningJob = null;
+    setImmediate(processQueue);
+  }
+}
+
+/**
+ * 创建回测任务，返回任务信息（含 id）
+ */
+function createBacktestJob(params = {}, marketData = gateio) {
+  if (queue.length >= BACKTEST_CONFIG.MAX_QUEUED_JOBS) {
+    throw new Error('Too many queued backtest jobs');
+  }
+
+  const job = {
+    id: `bt_${Date.now()}`,
+    status: JOB_STATUS.QUEUED,
+    params,
+    progress: 0,
+    current_symbol: null,
+    created_at: Date.now(),
+    started_at: null,
+    finished_at: null,
+    error: null,
+    result: null
+  };
+
+  // 只保留最近的任务
+  const finished = Array.from(jobs.values())
+    .filter(j => j.status === JOB_STATUS.COMPLETED || j.status === JOB_STATUS.FAILED);
+  while (jobs.size >= BACKTEST_CONFIG.MAX_JOBS && finished.length > 0) {
+    jobs.delete(finished.shift().id);
+  }
+
+  jobs.set(job.id, job);
+  queue.push(Object.assign(job, { marketData }));
+  setImmediate(processQueue);
+
+  return describeJob({ ...job, marketData: undefined });
+}
+
+function getBacktestJob(id, options = {}) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  const { marketData, ...info } = job;
+  return describeJob(info, options.includeTrades !== false);
+}
+
+function listBacktestJobs() {
+  return Array.from(jobs.values())
+    .map(({ marketData, ...info }) => describeJob(info, false))
+    .map(({ result, ...info }) => ({ ...info, aggregate: result ? result.aggregate : null }))
+    .reverse();
+}
+
+/**
+ * 解析命令行参数：--key value / --flag
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+function formatRow(name, stats) {
+  if (stats.error) return `${name.padEnd(12)} ERROR: ${stats.error}`;
+  return [
+    name.padEnd(12),
+    String(stats.signals).padStart(7),
+    String(stats.trades).padStart(7),
+    `${stats.winRate.toFixed(1)}%`.padStart(8),
+    `${stats.expectancy.toFixed(2)}%`.padStart(9),
+    stats.expectancyR.toFixed(2).padStart(8),
+    `${stats.totalPnL.toFixed(2)}%`.padStart(10),
+    `${stats.maxDrawdown.toFixed(2)}%`.padStart(9)
+  ].join(' ');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  let marketData = gateio;
+  if (args.demo) {
+    const { createMarketSimulator } = require('./marketSimulator');
+    marketData = createMarketSimulator({ seed: args.seed !== undefined ? args.seed : 42 });
+  }
+
+  const result = await runBacktest({
+    symbols: args.symbols ? String(args.symbols).split(',').map(s => s.trim().toUpperCase()) : undefined,
+    timeframe: args.timeframe,
+    days: args.days ? parseFloat(args.days) : undefined,
+    from: args.from ? Date.parse(args.from) : undefined,
+    to: args.to ? Date.parse(args.to) : undefined,
+    policy: args.policy,
+    drilldown: args['no-drilldown'] ? false : undefined,
+    tradableOnly: args['tradable-only'] === true,
+    minRating: args['min-rating'],
+    basis: args.basis
+  }, marketData);
+
+  if (args.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  console.log(`\nBacktest ${result.params.timeframe} ${result.params.from} → ${result.params.to} (${result.params.basis})\n`);
+  console.log(['Symbol'.padEnd(12), 'Signals'.padStart(7), 'Trades'.padStart(7), 'WinRate'.padStart(8),
+    'Expect'.padStart(9), 'ExpR'.padStart(8), 'TotalPnL'.padStart(10), 'MaxDD'.padStart(9)].join(' '));
+  for (const [symbol, stats] of Object.entries(result.bySymbol)) {
+    console.log(formatRow(symbol, stats));
+  }
+  console.log(formatRow('TOTAL', result.aggregate));
+  console.log(`\nUnfilled: ${JSON.stringify(result.aggregate.unfilled)}`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('[Backtest] Failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  BACKTEST_CONFIG,
+  RATING_ORDER,
+  JOB_STATUS,
+  runBacktest,
+  loadBacktestData,
+  createLowerBarsFetcher,
+  backtestSymbol,
+  summarizeTrades,
+  createBacktestJob,
+  getBacktestJob,
+  listBacktestJobs
+};
@@ -0,0 +1,366 @@
+/**
+ * Binance 现货行情适配器
+ *
+ * 接口与 gateio.js 一致（getKlines / getKlinesRange / getAllKlines / getTickers / getTicker /
+ * getCurrencyPair / getSymbols），交易对统一用 BASE_QUOTE 命名，请求时转换为 Binance 的 BTCUSDT。
+ * K线解析为 { time, open, high, low, close, volume }，volume 取成交额（计价币），与 Gate.io 一致。
+ * Binance 没有10s K线，该周期返回空数组（触发判断视为无更低周期数据）。
+ *
+ * 所有请求经由 transport(endpoint, params) 发出：默认走HTTP，
+ * createFixtureTransport 从录制的响应文件读取，createRecordingTransport 把线上响应录制成文件。
+ * K线只做内存缓存，不写入本地 candleStore（存储按交易对名分区，与 Gate.io 数据会冲突）。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const {
+  SYMBOLS_54,
+  TIMEFRAME_MS,
+  CACHE_TTL,
+  MAX_RANGE_BARS,
+  isBarClosed
+} = require('./gateio');
+
+const BASE_URL = 'https://api.binance.com';
+
+const BINANCE_CONFIG = {
+  MAX_CANDLES_PER_REQUEST: 1000,
+  TICKER_TTL_MS: 5000,
+  SYMBOLS_TTL_MS: 60 * 60 * 1000
+};
+
+// 周期名对应 Binance interval（10s 不支持）
+const INTERVALS = {
+  '1m': '1m',
+  '5m': '5m',
+  '15m': '15m',
+  '30m': '30m',
+  '1h': '1h',
+  '4h': '4h',
+  '1d': '1d'
+};
+
+/**
+ * 默认HTTP请求
+ */
+async function httpTransport(endpoint, params = {}) {
+  const response = await axios.get(`${BASE_URL}${endpoint}`, { params, timeout: 10000 });
+  return response.data;
+}
+
+/**
+ * 录制文件名：/api/v3/klines + { symbol: 'BTCUSDT', interval: '1h' } -> klines_BTCUSDT_1h.json
+ */
+function getFixtureName(endpoint, params = {}) {
+  return [endpoint.replace(/^\/api\/v3\//, '').replace(/\//g, '_'), params.symbol, params.interval]
+    .filter(Boolean)
+    .join('_') + '.json';
+}
+
+/**
+ * 从录制文件读取响应；K线按请求的 startTime / endTime / limit 截取（与接口一致，带 startTime 时保留最早的 limit 根）
+ */
+function createFixtureTransport(dir) {
+  return async (endpoint, params = {}) => {
+    const file = path.join(dir, getFixtureName(endpoint, params));
+    if (!fs.existsSync(file)) {
+      throw new Error(`Fixture not found: ${path.basename(file)}`);
+    }
+
+    let data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (endpoint === '/api/v3/klines') {
+      data = data.filter(c => (params.startTime === undefined || c[0] >= params.startTime) &&
+        (params.endTime === undefined || c[0] <= params.endTime));
+      if (params.limit) data = params.startTime !== undefined ? data.slice(0, params.limit) : data.slice(-params.limit);
+    }
+    return data;
+  };
+}
+
+/**
+ * 转发到 inner 并把响应写入录制文件
+ */
+function createRecordingTransport(dir, inner = httpTransport) {
+  fs.mkdirSync(dir, { recursive: true });
+  return async (endpoint, params = {}) => {
+    const data = await inner(endpoint, params);
+    fs.writeFileSync(path.join(dir, getFixtureName(endpoint, params)), JSON.stringify(data, null, 2));
+    return data;
+  };
+}
+
+/**
+ * 统一交易对名 -> Binance 交易对名：BTC_USDT -> BTCUSDT
+ */
+function toVenueSymbol(symbol) {
+  return symbol.replace('_', '');
+}
+
+/**
+ * 解析K线数组: [开盘时间(毫秒), 开盘, 最高, 最低, 收盘, 成交量, 收盘时间, 成交额, ...]
+ */
+function parseCandles(data) {
+  return data.map(candle => ({
+    time: parseInt(candle[0]),
+    volume: parseFloat(candle[7]),
+    close: parseFloat(candle[4]),
+    high: parseFloat(candle[2]),
+    low: parseFloat(candle[3]),
+    open: parseFloat(candle[1])
+  })).sort((a, b) => a.time - b.time);
+}
+
+/**
+ * 精度（小数位数），步长为10的整数次幂时与步长一致，如 0.0001 -> 4、10 -> -1
+ */
+function getPrecision(step) {
+  return step > 0 ? Math.round(-Math.log10(step)) : null;
+}
+
+/**
+ * 解析 exchangeInfo 中的交易对规则，字段与 gateio.getCurrencyPair 一致
+ */
+function parseSymbolInfo(data, symbol) {
+  const filters = {};
+  for (const filter of data.filters || []) {
+    filters[filter.filterType] = filter;
+  }
+  const notional = filters.NOTIONAL || filters.MIN_NOTIONAL;
+
+  return {
+    symbol,
+    base: data.baseAsset,
+    quote: data.quoteAsset,
+    amount_precision: filters.LOT_SIZE ? getPrecision(parseFloat(filters.LOT_SIZE.stepSize)) : null,
+    price_precision: filters.PRICE_FILTER ? getPrecision(parseFloat(filters.PRICE_FILTER.tickSize)) : null,
+    min_base_amount: filters.LOT_SIZE ? parseFloat(filters.LOT_SIZE.minQty) : null,
+    min_quote_amount: notional ? parseFloat(notional.minNotional) : null,
+    trade_status: data.status === 'TRADING' ? 'tradable' : 'untradable'
+  };
+}
+
+/**
+ * 创建 Binance 现货行情客户端
+ * options: { transport, symbols }
+ */
+function createBinanceClient(options = {}) {
+  const transport = options.transport || httpTransport;
+  const symbols = options.symbols || SYMBOLS_54;
+  const bySymbol = new Map(symbols.map(symbol => [toVenueSymbol(symbol), symbol]));
+
+  const klinesCache = new Map();
+  const tickerCache = { data: null, timestamp: 0 };
+  const symbolsCache = { data: null, timestamp: 0 };
+
+  /**
+   * Binance 交易对名 -> 统一交易对名，不在交易对列表内时返回 null
+   */
+  function fromVenueSymbol(venueSymbol) {
+    return bySymbol.get(venueSymbol.toUpperCase()) || null;
+  }
+
+  async function fetchCandles(symbol, interval, params) {
+    return parseCandles(await transport('/api/v3/klines', {
+      symbol: toVenueSymbol(symbol),
+      interval: INTERVALS[interval],
+      ...params
+    }));
+  }
+
+  /**
+   * 最近 limit 根K线（带缓存，TTL同 Gate.io）
+   */
+  async function getKlines(symbol, interval = '4h', limit = 100) {
+    if (!INTERVALS[interval]) return TIMEFRAME_MS[interval] ? [] : null;
+
+    const cacheKey = `${symbol}_${interval}`;
+    const cached = klinesCache.get(cacheKey);
+    const ttlConfig = CACHE_TTL[interval] || CACHE_TTL['4h'];
+
+    if (cached && cached.limit >= limit) {
+      const lastKline = cached.klines[cached.klines.length - 1];
+      const ttl = isBarClosed(lastKline.time, interval) ? ttlConfig.history : ttlConfig.last;
+      if (Date.now() - cached.timestamp < ttl) {
+        return cached.klines.slice(-limit);
+      }
+    }
+
+    try {
+      const klines = await fetchCandles(symbol, interval, {
+        limit: Math.min(limit, BINANCE_CONFIG.MAX_CANDLES_PER_REQUEST)
+      });
+      if (klines.length > 0) {
+        klinesCache.set(cacheKey, { klines, limit, timestamp: Date.now() });
+      }
+      return klines;
+    } catch (error) {
+      console.error(`[Binance] Error fetching klines for ${symbol}:`, error.message);
+      return cached ? cached.klines : null;
+    }
+  }
+
+  /**
+   * 按时间区间获取K线（毫秒时间戳，含两端），从 to 向前翻页
+   * options: { maxBars }
+   */
+  async function getKlinesRange(symbol, interval, from, to = Date.now(), rangeOptions = {}) {
+    const timeframeMs = TIMEFRAME_MS[interval];
+    if (!timeframeMs) {
+      throw new Error(`Unsupported interval: ${interval}`);
+    }
+    if (!INTERVALS[interval]) return [];
+
+    const { maxBars = MAX_RANGE_BARS } = rangeOptions;
+    const start = Math.floor(from / timeframeMs) * timeframeMs;
+    const byTime = new Map();
+    let pageEnd = Math.floor(to / timeframeMs) * timeframeMs;
+
+    while (pageEnd >= start && byTime.size < maxBars) {
+      const pageStart = Math.max(start, pageEnd - (BINANCE_CONFIG.MAX_CANDLES_PER_REQUEST - 1) * timeframeMs);
+      const page = await fetchCandles(symbol, interval, {
+        startTime: pageStart,
+        endTime: pageEnd,
+        limit: BINANCE_CONFIG.MAX_CANDLES_PER_REQUEST
+      });
+
+      for (const kline of page) {
+        if (kline.time >= start && kline.time <= to) byTime.set(kline.time, kline);
+      }
+      if (page.length === 0) break;
+
+      pageEnd = pageStart - timeframeMs;
+    }
+
+    const klines = Array.from(byTime.values()).sort((a, b) => a.time - b.time);
+    console.log(`[Binance] Range ${symbol} ${interval}: ${klines.length} bars`);
+    return klines.slice(-maxBars);
+  }
+
+  async function getAllKlines(interval = '4h', limit = 100, symbolList = symbols) {
+    const results = {};
+    const settled = await Promise.allSettled(symbolList.map(async symbol => {
+      const klines = await getKlines(symbol, interval, limit);
+      return klines && klines.length > 0 ? { symbol, klines } : null;
+    }));
+
+    for (const result of settled) {
+      if (result.status === 'fulfilled' && result.value) {
+        results[result.value.symbol] = result.value.klines;
+      }
+    }
+
+    console.log(`[Binance] Fetched klines for ${Object.keys(results).length} symbols (${interval})`);
+    return results;
+  }
+
+  /**
+   * 24小时行情（一次请求全部交易对，只保留交易对列表内的）
+   */
+  async function getTickers() {
+    if (tickerCache.data && Date.now() - tickerCache.timestamp < BINANCE_CONFIG.TICKER_TTL_MS) {
+      return tickerCache.data;
+    }
+
+    try {
+      const tickers = {};
+      for (const ticker of await transport('/api/v3/ticker/24hr', {})) {
+        const symbol = fromVenueSymbol(ticker.symbol);
+        if (!symbol) continue;
+        tickers[symbol] = {
+          last: parseFloat(ticker.lastPrice),
+          high_24h: parseFloat(ticker.highPrice),
+          low_24h: parseFloat(ticker.lowPrice),
+          change_percentage: parseFloat(ticker.priceChangePercent),
+          base_volume: parseFloat(ticker.volume),
+          quote_volume: parseFloat(ticker.quoteVolume),
+          mark_price: parseFloat(ticker.lastPrice)
+        };
+      }
+
+      tickerCache.data = tickers;
+      tickerCache.timestamp = Date.now();
+      return tickers;
+    } catch (error) {
+      console.error('[Binance] Error fetching tickers:', error.message);
+      return tickerCache.data || {};
+    }
+  }
+
+  async function getTicker(symbol) {
+    const tickers = await getTickers();
+    return tickers[symbol] || null;
+  }
+
+  /**
+   * 交易对列表内全部交易对的规则（含不可交易的），缓存1小时
+   */
+  async function loadSymbolInfo() {
+    if (symbolsCache.data && Date.now() - symbolsCache.timestamp < BINANCE_CONFIG.SYMBOLS_TTL_MS) {
+      return symbolsCache.data;
+    }
+
+    try {
+      const pairs = new Map();
+      for (const data of (await transport('/api/v3/exchangeInfo', {})).symbols) {
+        const symbol = fromVenueSymbol(data.symbol);
+        if (symbol) pairs.set(symbol, parseSymbolInfo(data, symbol));
+      }
+
+      symbolsCache.data = pairs;
+      symbolsCache.timestamp = Date.now();
+      return pairs;
+    } catch (error) {
+      console.error('[Binance] Error fetching exchange info:', error.message);
+      return symbolsCache.data || new Map();
+    }
+  }
+
+  async function getCurrencyPair(symbol) {
+    return (await loadSymbolInfo()).get(symbol) || null;
+  }
+
+  /**
+   * 可交易的交易对规则（限定在 symbolList 内）
+   */
+  async function getSymbols(symbolList = symbols) {
+    const pairs = await loadSymbolInfo();
+    return symbolList.map(symbol => pairs.get(symbol)).filter(pair => pair && pair.trade_status === 'tradable');
+  }
+
+  function clearCache() {
+    klinesCache.clear();
+    tickerCache.data = null;
+    tickerCache.timestamp = 0;
+    symbolsCache.data = null;
+    symbolsCache.timestamp = 0;
+  }
+
+  return {
+    venue: 'binance',
+    market: 'spot',
+    symbols,
+    toVenueSymbol,
+    fromVenueSymbol,
+    getKlines,
+    getKlinesRange,
+    getAllKlines,
+    getTickers,
+    getTicker,
+    getCurrencyPair,
+    getSymbols,
+    clearCache
+  };
+}
+
+module.exports = {
+  BINANCE_CONFIG,
+  INTERVALS,
+  createBinanceClient,
+  createFixtureTransport,
+  createRecordingTransport,
+  getFixtureName,
+  toVenueSymbol,
+  parseCandles,
+  parseSymbolInfo
+};
@@ -0,0 +1,392 @@
+/**
+ * 本地K线存储（OHLCV）
+ *
+ * 只存已收盘K线，按 交易对/周期/分区 存为CSV：
+ *   data/candles/<symbol>/<interval>/<分区>.csv   每行: time,open,high,low,close,volume
+ * 分区粒度：10s/1m 按天，5m/15m 按月，其余按年，收盘后增量写入时只需重写一个小文件。
+ * 10s/1m 只保留最近 RETENTION_DAYS 天（按天分区整体删除），写入时顺带清理，每个序列每小时最多一次。
+ *
+ * - 写入：合并后写临时文件再 rename，进程中途退出不会留下半个文件
+ * - 读取：分区在内存中缓存（LRU），区间查询只读涉及的分区
+ * - 缺口：区间内既不在存储中、也未被确认为空（交易所停机/未上线）的bar
+ *
+ * 本模块不访问网络，拉取与补齐见 gateio.fillStore 与 candleSync。
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const STORE_DIR = process.env.CANDLE_STORE_DIR || path.join(__dirname, '..', 'data', 'candles');
+const MAX_CACHED_PARTITIONS = 200;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * 保留天数：未设置或非数字时用默认值，0 表示不清理
+ */
+function envDays(name, defaultValue) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) || value < 0 ? defaultValue : value;
+}
+
+// 低周期K线的保留天数
+const RETENTION_DAYS = {
+  '10s': envDays('CANDLE_RETENTION_10S_DAYS', 3),
+  '1m': envDays('CANDLE_RETENTION_1M_DAYS', 30)
+};
+
+// 分区缓存: { file: Map<time, kline> }，Map 插入顺序即LRU顺序
+const partitions = new Map();
+// 元数据缓存: { symbol/interval: { empty_ranges, updated_at } }
+const metaCache = new Map();
+// 上次清理时间: { symbol/interval: time }
+const lastPruned = new Map();
+
+/**
+ * 周期毫秒数（gateio 依赖本模块，这里延迟加载避免循环引用）
+ */
+function getTimeframeMs(interval) {
+  return require('./gateio').TIMEFRAME_MS[interval];
+}
+
+function getSeriesDir(symbol, interval) {
+  return path.join(STORE_DIR, symbol, interval);
+}
+
+/**
+ * 分区名：10s/1m 按天，5m/15m 按月，其余按年
+ */
+function getPartitionName(interval, time) {
+  const iso = new Date(time).toISOString();
+  if (interval === '10s' || interval === '1m') return iso.slice(0, 10);
+  if (interval === '5m' || interval === '15m') return iso.slice(0, 7);
+  return iso.slice(0, 4);
+}
+
+/**
+ * 区间 [from, to] 涉及的分区（升序）
+ */
+function listPartitionNames(interval, from, to) {
+  const names = [];
+  const date = new Date(from);
+  date.setUTCHours(0, 0, 0, 0);
+
+  while (date.getTime() <= to) {
+    const name = getPartitionName(interval, date.getTime());
+    if (names[names.length - 1] !== name) names.push(name);
+
+    if (interval === '10s' || interval === '1m') {
+      date.setUTCDate(date.getUTCDate() + 1);
+    } else if (interval === '5m' || interval === '15m') {
+      date.setUTCDate(1);
+      date.setUTCMonth(date.getUTCMonth() + 1);
+    } else {
+      date.setUTCMonth(0, 1);
+      date.setUTCFullYear(date.getUTCFullYear() + 1);
+    }
+  }
+
+  return names;
+}
+
+function parseLine(line) {
+  const [time, open, high, low, close, volume] = line.split(',');
+  return {
+    time: parseInt(time),
+    open: parseFloat(open),
+    high: parseFloat(high),
+    low: parseFloat(low),
+    close: parseFloat(close),
+    volume: parseFloat(volume)
+  };
+}
+
+function formatLine(kline) {
+  return `${kline.time},${kline.open},${kline.high},${kline.low},${kline.close},${kline.volume}`;
+}
+
+/**
+ * 原子写入：先写临时文件再替换
+ */
+function writeFileAtomic(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, content);
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * 加载分区（带LRU缓存）
+ */
+function loadPartition(symbol, interval, name) {
+  const file = path.join(getSeriesDir(symbol, interval), `${name}.csv`);
+
+  if (partitions.has(file)) {
+    const cached = partitions.get(file);
+    partitions.delete(file);
+    partitions.set(file, cached);
+    return cached;
+  }
+
+  const bars = new Map();
+  try {
+    if (fs.existsSync(file)) {
+      for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (!line) continue;
+        const kline = parseLine(line);
+        if (!isNaN(kline.time)) bars.set(kline.time, kline);
+      }
+    }
+  } catch (error) {
+    console.error(`[CandleStore] Error loading ${file}:`, error.message);
+  }
+
+  partitions.set(file, bars);
+  while (partitions.size > MAX_CACHED_PARTITIONS) {
+    partitions.delete(partitions.keys().next().value);
+  }
+
+  return bars;
+}
+
+function loadMeta(symbol, interval) {
+  const key = `${symbol}/${interval}`;
+  if (metaCache.has(key)) return metaCache.get(key);
+
+  const file = path.join(getSeriesDir(symbol, interval), 'meta.json');
+  let meta = { empty_ranges: [], updated_at: null };
+  try {
+    if (fs.existsSync(file)) {
+      meta = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+  } catch (error) {
+    console.error(`[CandleStore] Error loading ${file}:`, error.message);
+  }
+
+  metaCache.set(key, meta);
+  return meta;
+}
+
+function saveMeta(symbol, interval, meta) {
+  meta.updated_at = Date.now();
+  metaCache.set(`${symbol}/${interval}`, meta);
+  writeFileAtomic(path.join(getSeriesDir(symbol, interval), 'meta.json'), JSON.stringify(meta, null, 2));
+}
+
+/**
+ * 保存K线（只保存已收盘的），返回新增/更新的数量
+ */
+function saveCandles(symbol, interval, klines) {
+  const timeframeMs = getTimeframeMs(interval);
+  const now = Date.now();
+  const byPartition = new Map();
+
+  for (const kline of klines || []) {
+    if (kline.time + timeframeMs > now) continue;
+    const name = getPartitionName(interval, kline.time);
+    if (!byPartition.has(name)) byPartition.set(name, []);
+    byPartition.get(name).push(kline);
+  }
+
+  let saved = 0;
+
+  for (const [name, items] of byPartition) {
+    const bars = loadPartition(symbol, interval, name);
+    let changed = false;
+
+    for (const { time, open, high, low, close, volume } of items) {
+      const existing = bars.get(time);
+      if (existing && existing.close === close && existing.volume === volume &&
+          existing.high === high && existing.low === low) continue;
+      bars.set(time, { time, open, high, low, close, volume });
+      changed = true;
+      saved++;
+    }
+
+    if (!changed) continue;
+
+    const sorted = Array.from(bars.values()).sort((a, b) => a.time - b.time);
+    const file = path.join(getSeriesDir(symbol, interval), `${name}.csv`);
+    writeFileAtomic(file, sorted.map(formatLine).join('\n') + '\n');
+
+    // 重建为有序Map
+    partitions.delete(file);
+    partitions.set(file, new Map(sorted.map(k => [k.time, k])));
+  }
+
+  const key = `${symbol}/${interval}`;
+  if (saved > 0 && RETENTION_DAYS[interval] && now - (lastPruned.get(key) || 0) >= PRUNE_INTERVAL_MS) {
+    // 本次写入的分区（例如回测补齐的历史数据）留到下次清理，避免写入后立即读不到
+    pruneCandles(symbol, interval, now, new Set(byPartition.keys()));
+  }
+
+  return saved;
+}
+
+/**
+ * 删除超出保留天数的分区（只对 RETENTION_DAYS 中的周期生效，keep 中的分区除外），返回删除的分区数
+ * 同时去掉已过期的空区间记录
+ */
+function pruneCandles(symbol, interval, now = Date.now(), keep = new Set()) {
+  const days = RETENTION_DAYS[interval];
+  if (!days) return 0;
+
+  lastPruned.set(`${symbol}/${interval}`, now);
+  const dir = getSeriesDir(symbol, interval);
+  if (!fs.existsSync(dir)) return 0;
+
+  const cutoff = getPartitionName(interval, now - days * 24 * 60 * 60 * 1000);
+  let removed = 0;
+
+  for (const file of fs.readdirSync(dir)) {
+    const name = file.slice(0, -4);
+    if (!file.endsWith('.csv') || name >= cutoff || keep.has(name)) continue;
+    fs.rmSync(path.join(dir, file), { force: true });
+    partitions.delete(path.join(dir, file));
+    removed++;
+  }
+
+  const meta = loadMeta(symbol, interval);
+  const cutoffTime = Date.parse(cutoff);
+  const emptyRanges = meta.empty_ranges.filter(([, to]) => to >= cutoffTime);
+  if (emptyRanges.length !== meta.empty_ranges.length) {
+    meta.empty_ranges = emptyRanges;
+    saveMeta(symbol, interval, meta);
+  }
+
+  if (removed > 0) {
+    console.log(`[CandleStore] Pruned ${removed} partitions of ${symbol} ${interval} before ${cutoff}`);
+  }
+  return removed;
+}
+
+/**
+ * 读取区间 [from, to] 内已存储的K线（升序）
+ */
+function getCandles(symbol, interval, from, to) {
+  const klines = [];
+
+  for (const name of listPartitionNames(interval, from, to)) {
+    for (const kline of loadPartition(symbol, interval, name).values()) {
+      if (kline.time >= from && kline.time <= to) klines.push(kline);
+    }
+  }
+
+  return klines.sort((a, b) => a.time - b.time);
+}
+
+function isKnownEmpty(meta, time) {
+  return meta.empty_ranges.some(([from, to]) => time >= from && time <= to);
+}
+
+/**
+ * 区间 [from, to] 内缺失的bar，合并为连续区间 [{ from, to, bars }]
+ */
+function findGaps(symbol, interval, from, to) {
+  const timeframeMs = getTimeframeMs(interval);
+  const meta = loadMeta(symbol, interval);
+  const start = Math.ceil(from / timeframeMs) * timeframeMs;
+  const gaps = [];
+  let gap = null;
+
+  const names = listPartitionNames(interval, start, to);
+  const loaded = new Map(names.map(name => [name, loadPartition(symbol, interval, name)]));
+
+  for (let time = start; time <= to; time += timeframeMs) {
+    const bars = loaded.get(getPartitionName(interval, time));
+    const missing = !(bars && bars.has(time)) && !isKnownEmpty(meta, time);
+
+    if (missing) {
+      if (gap && gap.to === time - timeframeMs) {
+        gap.to = time;
+        gap.bars++;
+      } else {
+        gap = { from: time, to: time, bars: 1 };
+        gaps.push(gap);
+      }
+    }
+  }
+
+  return gaps;
+}
+
+/**
+ * 标记交易所确认没有数据的区间（停机、上线之前），之后不再当作缺口
+ */
+function markEmpty(symbol, interval, from, to) {
+  const meta = loadMeta(symbol, interval);
+  const ranges = [...meta.empty_ranges, [from, to]].sort((a, b) => a[0] - b[0]);
+  const timeframeMs = getTimeframeMs(interval);
+
+  // 合并相邻区间
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1] + timeframeMs) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  }
+
+  meta.empty_ranges = merged;
+  saveMeta(symbol, interval, meta);
+}
+
+/**
+ * 最后一根已存储K线的时间
+ */
+function getLastStoredTime(symbol, interval) {
+  const dir = getSeriesDir(symbol, interval);
+  if (!fs.existsSync(dir)) return null;
+
+  const names = fs.readdirSync(dir).filter(f => f.endsWith('.csv')).map(f => f.slice(0, -4)).sort();
+  for (let i = names.length - 1; i >= 0; i--) {
+    const bars = loadPartition(symbol, interval, names[i]);
+    // 分区按时间有序写入，最后一个key即最新
+    if (bars.size > 0) return Array.from(bars.keys()).pop();
+  }
+  return null;
+}
+
+/**
+ * 存储概况：每个交易对/周期的分区数、首尾时间
+ */
+function getStoreStats() {
+  const series = [];
+  if (!fs.existsSync(STORE_DIR)) return { dir: STORE_DIR, retention_days: RETENTION_DAYS, series };
+
+  for (const symbol of fs.readdirSync(STORE_DIR)) {
+    const symbolDir = path.join(STORE_DIR, symbol);
+    if (!fs.statSync(symbolDir).isDirectory()) continue;
+
+    for (const interval of fs.readdirSync(symbolDir)) {
+      const files = fs.readdirSync(path.join(symbolDir, interval)).filter(f => f.endsWith('.csv')).sort();
+      if (files.length === 0) continue;
+
+      const first = loadPartition(symbol, interval, files[0].slice(0, -4));
+      const lastTime = getLastStoredTime(symbol, interval);
+      series.push({
+        symbol,
+        interval,
+        partitions: files.length,
+        first: first.size > 0 ? new Date(first.keys().next().value).toISOString() : null,
+        last: lastTime ? new Date(lastTime).toISOString() : null,
+        empty_ranges: loadMeta(symbol, interval).empty_ranges.length
+      });
+    }
+  }
+
+  return { dir: STORE_DIR, retention_days: RETENTION_DAYS, cached_partitions: partitions.size, series };
+}
+
+module.exports = {
+  STORE_DIR,
+  RETENTION_DAYS,
+  saveCandles,
+  pruneCandles,
+  getCandles,
+  findGaps,
+  markEmpty,
+  getLastStoredTime,
+  getStoreStats
+};
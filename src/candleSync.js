@@ -0,0 +1,272 @@
+/**
+ * K线存储同步
+ *
+ * - 回填：从 N 天前补齐到最近一根已收盘bar（按缺口翻页请求）
+ * - 增量：每个周期bar收盘后把存储补到最新
+ * - 修复：定期检查最近 REPAIR_DAYS 天内的缺口并补齐
+ *
+ * 同步任务依次排队执行，避免并发请求触发Gate.io限频。
+ *
+ * 命令行:
+ *   node src/candleSync.js --symbols BTC_USDT,ETH_USDT --intervals 1h,4h --days 365
+ *   node src/candleSync.js --repair --days 30
+ */
+
+const cron = require('node-cron');
+const gateio = require('./gateio');
+const candleStore = require('./candleStore');
+const { buildCronExpression } = require('./scanScheduler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SYNC_CONFIG = {
+  INTERVALS: (process.env.CANDLE_STORE_INTERVALS || '15m,1h,4h,1d').split(',').map(s => s.trim()).filter(Boolean),
+  BACKFILL_DAYS: parseInt(process.env.CANDLE_BACKFILL_DAYS) || 365,
+  REPAIR_DAYS: 30,
+  REPAIR_CRON: '0 30 * * * *',   // 每小时第30分钟检查缺口
+  TOPUP_DELAY_SECONDS: 15,       // bar收盘后延迟15秒再拉取，等待交易所落盘
+  REQUEST_DELAY_MS: 100,         // 翻页间隔
+  MAX_HISTORY: 20
+};
+
+let tasks = [];
+let queue = Promise.resolve();
+let pendingJobs = 0;
+let jobCounter = 0;
+
+let syncStatus = {
+  running: null,
+  last_top_up: {},
+  history: []
+};
+
+/**
+ * 补齐一组交易对/周期，单个序列失败不影响其它序列
+ * rangeOf(symbol, interval) 返回 { from, to }
+ */
+async function syncSeries(symbols, intervals, rangeOf) {
+  const totals = { series: 0, gaps: 0, requests: 0, saved: 0, empty: 0, errors: [] };
+
+  for (const interval of intervals) {
+    for (const symbol of symbols) {
+      const { from, to } = rangeOf(symbol, interval);
+      try {
+        const result = await gateio.fillStore(symbol, interval, from, to, {
+          delayMs: SYNC_CONFIG.REQUEST_DELAY_MS
+        });
+        totals.series++;
+        totals.gaps += result.gaps;
+        totals.requests += result.requests;
+        totals.saved += result.saved;
+        totals.empty += result.empty;
+      } catch (error) {
+        console.error(`[CandleSync] ${symbol} ${interval} failed:`, error.message);
+        totals.errors.push({ symbol, interval, error: error.message });
+      }
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * 回填 days 天历史
+ */
+function backfill(options = {}) {
+  const {
+    symbols = gateio.SYMBOLS_54,
+    intervals = SYNC_CONFIG.INTERVALS,
+    days = SYNC_CONFIG.BACKFILL_DAYS
+  } = options;
+  const to = Date.now();
+
+  return syncSeries(symbols, intervals, () => ({ from: to - days * DAY_MS, to }));
+}
+
+/**
+ * 增量补到最新：从最后一根已存储bar之后开始，没有存储时取最近1000根
+ */
+function topUp(options = {}) {
+  const {
+    symbols = gateio.SYMBOLS_54,
+    intervals = SYNC_CONFIG.INTERVALS
+  } = options;
+  const to = Date.now();
+
+  return syncSeries(symbols, intervals, (symbol, interval) => {
+    const timeframeMs = gateio.TIMEFRAME_MS[interval];
+    const last = candleStore.getLastStoredTime(symbol, interval);
+    return {
+      from: last !== null ? last + timeframeMs : to - gateio.MAX_CANDLES_PER_REQUEST * timeframeMs,
+      to
+    };
+  });
+}
+
+/**
+ * 检查并修复最近 days 天的缺口
+ */
+function repairGaps(options = {}) {
+  return backfill({ ...options, days: options.days || SYNC_CONFIG.REPAIR_DAYS });
+}
+
+/**
+ * 排队执行同步任务
+ */
+function enqueue(type, run, params = {}) {
+  const job = {
+    id: `sync_${Date.now()}_${++jobCounter}`,
+    type,
+    params,
+    queued_at: Date.now()
+  };
+  pendingJobs++;
+
+  queue = queue.then(async () => {
+    pendingJobs--;
+    const startedAt = Date.now();
+    syncStatus.running = { ...job, started_at: startedAt };
+    console.log(`[CandleSync] Running ${type}`);
+
+    let record;
+    try {
+      const result = await run();
+      record = { ...job, ...result, started_at: startedAt, duration_ms: Date.now() - startedAt };
+      console.log(`[CandleSync] ${type} done: ${result.saved} bars saved, ${result.gaps} gaps, ` +
+        `${result.errors.length} errors, ${record.duration_ms}ms`);
+    } catch (error) {
+      console.error(`[CandleSync] ${type} failed:`, error.message);
+      record = { ...job, error: error.message, started_at: startedAt, duration_ms: Date.now() - startedAt };
+    }
+
+    syncStatus.running = null;
+    if (type === 'top_up') {
+      for (const interval of params.intervals) syncStatus.last_top_up[interval] = record;
+    } else {
+      syncStatus.history.unshift(record);
+      syncStatus.history = syncStatus.history.slice(0, SYNC_CONFIG.MAX_HISTORY);
+    }
+  });
+
+  return job;
+}
+
+/**
+ * 初始化同步：按周期收盘增量拉取，定期修复缺口，启动时先修复一次
+ */
+function initCandleSync(options = {}) {
+  if (!gateio.STORE_ENABLED) {
+    console.log('[CandleSync] Candle store disabled, sync not started');
+    return;
+  }
+
+  const symbols = options.symbols || gateio.SYMBOLS_54;
+  const intervals = options.intervals || SYNC_CONFIG.INTERVALS;
+
+  for (const interval of intervals) {
+    let expression;
+    try {
+      expression = buildCronExpression(interval, SYNC_CONFIG.TOPUP_DELAY_SECONDS);
+    } catch (error) {
+      console.error(`[CandleSync] Skipping ${interval}:`, error.message);
+      continue;
+    }
+
+    tasks.push(cron.schedule(expression,
+      () => enqueue('top_up', () => topUp({ symbols, intervals: [interval] }), { intervals: [interval] }),
+      { timezone: 'UTC' }));
+  }
+
+  tasks.push(cron.schedule(SYNC_CONFIG.REPAIR_CRON,
+    () => enqueue('repair', () => repairGaps({ symbols, intervals }), { days: SYNC_CONFIG.REPAIR_DAYS }),
+    { timezone: 'UTC' }));
+
+  enqueue('repair', () => repairGaps({ symbols, intervals }), { days: SYNC_CONFIG.REPAIR_DAYS });
+
+  console.log(`[CandleSync] Initialized for ${symbols.length} symbols (${intervals.join(', ')})`);
+}
+
+/**
+ * 手动触发回填（排队执行，立即返回任务信息）
+ */
+function requestBackfill(options = {}) {
+  const params = {
+    symbols: options.symbols || gateio.SYMBOLS_54,
+    intervals: options.intervals || SYNC_CONFIG.INTERVALS,
+    days: options.days || SYNC_CONFIG.BACKFILL_DAYS
+  };
+  return enqueue('backfill', () => backfill(params), params);
+}
+
+function getCandleSyncStatus() {
+  return {
+    enabled: gateio.STORE_ENABLED,
+    intervals: SYNC_CONFIG.INTERVALS,
+    running: syncStatus.running,
+    pending: pendingJobs,
+    last_top_up: syncStatus.last_top_up,
+    history: syncStatus.history,
+    store: candleStore.getStoreStats()
+  };
+}
+
+function stopCandleSync() {
+  for (const task of tasks) task.stop();
+  tasks = [];
+}
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const options = {
+    symbols: args.symbols ? String(args.symbols).split(',').map(s => s.trim().toUpperCase()) : undefined,
+    intervals: args.intervals ? String(args.intervals).split(',').map(s => s.trim()) : undefined,
+    days: args.days ? parseInt(args.days) : undefined
+  };
+
+  for (const interval of options.intervals || []) {
+    if (!gateio.TIMEFRAME_MS[interval]) throw new Error(`Unsupported interval: ${interval}`);
+  }
+
+  const result = args.repair ? await repairGaps(options) : await backfill(options);
+
+  console.log(`\n${args.repair ? 'Repair' : 'Backfill'}: ${result.series} series, ${result.gaps} gaps, ` +
+    `${result.requests} requests, ${result.saved} bars saved, ${result.empty} empty`);
+  for (const item of result.errors) {
+    console.log(`  ${item.symbol} ${item.interval}: ${item.error}`);
+  }
+  console.log(`Store: ${candleStore.STORE_DIR}`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('[CandleSync] Failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  SYNC_CONFIG,
+  backfill,
+  topUp,
+  repairGaps,
+  requestBackfill,
+  initCandleSync,
+  getCandleSyncStatus,
+  stopCandleSync
+};
@@ -0,0 +1,154 @@
+/**
+ * 交易成本模型
+ *
+ * 每条平仓腿的净盈亏 = 毛盈亏 - 手续费 - 滑点 - 资金费，均以入场名义价值的百分比计：
+ * - 手续费：限价入场与止盈（TP1/TP2）按 maker，止损及其他平仓按 taker，费率按市场（spot / futures）取
+ * - 滑点：只作用于 taker 成交，固定 bps 或 ATR 的倍数
+ * - 资金费：仅永续合约且开启时计算，按持仓期间经过的结算时点数 × 费率，多头支付、空头收取；
+ *   信号带有 funding_rate_bps / funding_interval_ms（生成时的合约资金费率）时优先使用
+ *
+ * 毛盈亏沿用原 pnl_percent，旧记录没有净值字段时按各腿即时估算
+ */
+
+/**
+ * 数值型环境变量，未设置或无法解析时用默认值（0 与负数有效：零成本回测、maker 返佣）
+ */
+function envNumber(name, defaultValue) {
+  const parsed = parseFloat(process.env[name]);
+  return Number.isFinite(parsed) ? parsed : defaultValue;
+}
+
+const COST_CONFIG = {
+  MARKET: process.env.TRADING_MARKET || 'spot',
+  // 费率（bps）
+  FEE_SCHEDULES: {
+    spot: {
+      MAKER: envNumber('SPOT_MAKER_FEE_BPS', 20),
+      TAKER: envNumber('SPOT_TAKER_FEE_BPS', 20)
+    },
+    futures: {
+      MAKER: envNumber('FUTURES_MAKER_FEE_BPS', 2),
+      TAKER: envNumber('FUTURES_TAKER_FEE_BPS', 5)
+    }
+  },
+  MAKER_EXITS: ['TP1', 'TP2'],
+  SLIPPAGE_MODEL: process.env.SLIPPAGE_MODEL || 'fixed',        // fixed / atr
+  SLIPPAGE_BPS: envNumber('SLIPPAGE_BPS', 5),
+  SLIPPAGE_ATR_MULTIPLE: envNumber('SLIPPAGE_ATR_MULTIPLE', 0.1),
+  FUNDING_ENABLED: process.env.FUNDING_ENABLED === 'true',
+  FUNDING_RATE_BPS: envNumber('FUNDING_RATE_BPS', 1),  // 每个结算周期
+  FUNDING_INTERVAL_MS: 8 * 60 * 60 * 1000
+};
+
+const PNL_BASIS = ['gross', 'net'];
+
+function getFeeSchedule(signal) {
+  return COST_CONFIG.FEE_SCHEDULES[signal.market || COST_CONFIG.MARKET] || COST_CONFIG.FEE_SCHEDULES.spot;
+}
+
+/**
+ * taker 成交的滑点（入场价的百分比）
+ */
+function getSlippagePercent(signal, price, entryPrice) {
+  if (COST_CONFIG.SLIPPAGE_MODEL === 'atr' && signal.atr > 0) {
+    return signal.atr * COST_CONFIG.SLIPPAGE_ATR_MULTIPLE / entryPrice * 100;
+  }
+  return COST_CONFIG.SLIPPAGE_BPS / 100 * price / entryPrice;
+}
+
+/**
+ * 持仓期间的资金费（正数为成本）
+ */
+function getFundingPercent(signal, closedAt) {
+  const market = signal.market || COST_CONFIG.MARKET;
+  if (!COST_CONFIG.FUNDING_ENABLED || market !== 'futures' || !signal.entered_at || !closedAt) return 0;
+
+  const interval = signal.funding_interval_ms || COST_CONFIG.FUNDING_INTERVAL_MS;
+  const settlements = Math.max(0, Math.floor(closedAt / interval) - Math.floor(signal.entered_at / interval));
+  const rate = signal.funding_rate_bps !== undefined ? signal.funding_rate_bps : COST_CONFIG.FUNDING_RATE_BPS;
+  const paid = settlements * rate / 100;
+
+  return signal.direction === 'LONG' ? paid : -paid;
+}
+
+/**
+ * 单条平仓腿的成本（每单位仓位，入场名义价值的百分比）
+ */
+function getLegCosts(signal, leg) {
+  const entryPrice = signal.entry_price_actual || signal.entry_price;
+  const schedule = getFeeSchedule(signal);
+  const liquidity = COST_CONFIG.MAKER_EXITS.includes(leg.reason) ? 'MAKER' : 'TAKER';
+
+  const fees = schedule.MAKER / 100 + schedule[liquidity] / 100 * leg.price / entryPrice;
+  const slippage = liquidity === 'TAKER' ? getSlippagePercent(signal, leg.price, entryPrice) : 0;
+  const funding = getFundingPercent(signal, leg.triggered_at || leg.closed_at);
+
+  return {
+    liquidity,
+    fees_percent: fees,
+    slippage_percent: slippage,
+    funding_percent: funding,
+    total_percent: fees + slippage + funding
+  };
+}
+
+/**
+ * 给平仓腿补上成本与净盈亏
+ */
+function applyLegCosts(signal, leg) {
+  const costs = getLegCosts(signal, leg);
+  return { ...leg, costs, net_pnl_percent: leg.pnl_percent - costs.total_percent };
+}
+
+/**
+ * 按仓位比例汇总各腿成本
+ */
+function summarizeCosts(signal, legs) {
+  const withCosts = legs.map(leg => (leg.costs ? leg : applyLegCosts(signal, leg)));
+  const sum = field => withCosts.reduce((total, leg) => total + leg.fraction * leg.costs[field], 0);
+
+  return {
+    legs: withCosts,
+    net_pnl_percent: withCosts.reduce((total, leg) => total + leg.fraction * leg.net_pnl_percent, 0),
+    costs: {
+      fees_percent: sum('fees_percent'),
+      slippage_percent: sum('slippage_percent'),
+      funding_percent: sum('funding_percent'),
+      total_percent: sum('total_percent')
+    }
+  };
+}
+
+/**
+ * 初始风险（入场到初始止损的距离，入场价的百分比）
+ */
+function getRiskPercent(record) {
+  const entryPrice = record.entry_price_actual || record.entry_price;
+  const stop = record.initial_sl || record.sl;
+  return entryPrice ? Math.abs(entryPrice - stop) / entryPrice * 100 : 0;
+}
+
+/**
+ * 记录的盈亏百分比，basis: gross / net
+ * 没有净值字段的旧记录按平仓腿（或出场价）估算
+ */
+function getPnlPercent(record, basis = 'gross') {
+  if (basis !== 'net' || typeof record.pnl_percent !== 'number') return record.pnl_percent;
+  if (typeof record.net_pnl_percent === 'number') return record.net_pnl_percent;
+
+  const legs = record.legs && record.legs.length > 0
+    ? record.legs
+    : [{ fraction: 1, price: record.exit_price, reason: record.exit_reason, pnl_percent: record.pnl_percent, closed_at: record.closed_at }];
+  return summarizeCosts(record, legs).net_pnl_percent;
+}
+
+module.exports = {
+  COST_CONFIG,
+  PNL_BASIS,
+  envNumber,
+  getLegCosts,
+  applyLegCosts,
+  summarizeCosts,
+  getRiskPercent,
+  getPnlPercent
+};
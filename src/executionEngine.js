@@ -0,0 +1,875 @@
+/**
+ * 下单执行
+ *
+ * 把 TRADABLE 信号转成交易所订单（gateioTrading）：
+ * 1. 入场价限价单，数量按账户权益 × 单笔风险% ÷ 止损距离（riskManager，按交易对精度取整；合约换算成张数）
+ * 2. 入场成交后挂止损（条件单，触发后市价）与 TP1 / TP2（条件单，触发后按止盈价限价；合约只减仓），
+ *    数量为实际到账数量（现货扣除以基础币收取的手续费）
+ * 3. TP1 成交后撤销原止损，确认撤销后按 STOP_AFTER_TP1 在剩余数量上重新挂止损（撤单失败下次对账重试）；任一止损或最后的止盈成交后撤销其余订单
+ * 4. 条件单触发出的订单只有成交才算出场：未成交或部分成交即结束（市价 IOC 过期、被撤）时仓位仍在，
+ *    按未成交数量重新挂出（MAX_EXIT_RETRIES 次后告警，等待人工处理）
+ *
+ * 每个订单的自定义订单号由信号ID和订单用途派生（t-<hash>-<用途>），重试或重启后先按订单号查找，
+ * 已存在则直接沿用，不会重复下单。
+ *
+ * 定时对账：查询订单状态，成交结果写回 signalLifecycle（markEntered / takePartialProfit / closeSignal），
+ * 信号已结束（过期、失效）而入场单未成交时撤单。live 模式下信号带 execution 标记，不再由价格触发。
+ *
+ * 模式（EXECUTION_MODE）：
+ * - off：不下单
+ * - dry-run：只记录将要发出的请求，不发往交易所（订单不会成交）
+ * - live：签名后发往 GATEIO_TRADING_URL（默认 Gate.io，可指向本地模拟交易所 mockExchange）
+ *
+ * 只执行 Gate.io 行情产生的信号（信号 venue 为其他交易所时跳过，演示模式的合成信号除外）。
+ *
+ * 全局熔断开关（kill switch）打开后不再下新单，并撤销所有未成交的入场单；已有持仓的止盈止损保留。
+ * 开关状态写入文件，重启后保持。执行记录保存在独立的日志存储（默认 data/executions）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createJournalStore } = require('./signalStore');
+const {
+  SIGNAL_STATUS,
+  RESULT_TYPE,
+  POSITION_CONFIG,
+  getActiveSignals,
+  markEntered,
+  takePartialProfit,
+  closeSignal,
+  closeUnfilledSignal,
+  attachExecution
+} = require('./signalLifecycle');
+const { getStopAfterTp1 } = require('./triggerEngine');
+const { RISK_CONFIG, assessSignalRisk } = require('./riskManager');
+const { DEFAULT_BASE_URL, createTradingClient, createHttpTransport, createDryRunTransport } = require('./gateioTrading');
+
+const EXECUTION_CONFIG = {
+  MODE: process.env.EXECUTION_MODE || 'off',
+  MARKET: process.env.TRADING_MARKET === 'futures' ? 'futures' : 'spot',
+  VENUE: 'gateio',
+  BASE_URL: process.env.GATEIO_TRADING_URL || DEFAULT_BASE_URL,
+  API_KEY: process.env.GATEIO_API_KEY,
+  API_SECRET: process.env.GATEIO_API_SECRET,
+  STORE_DIR: process.env.EXECUTION_STORE_DIR || path.join(__dirname, '..', 'data', 'executions'),
+  RECONCILE_INTERVAL_MS: parseInt(process.env.EXECUTION_RECONCILE_MS) || 15000,
+  EQUITY: parseFloat(process.env.EXECUTION_EQUITY) || RISK_CONFIG.ACCOUNT_EQUITY,
+  RISK_PERCENT: parseFloat(process.env.EXECUTION_RISK_PERCENT) || RISK_CONFIG.RISK_PER_TRADE_PERCENT,
+  MIN_RATING: process.env.EXECUTION_MIN_RATING || null,
+  KILL_SWITCH: process.env.EXECUTION_KILL_SWITCH === 'true',
+  MAX_EXIT_RETRIES: parseInt(process.env.EXECUTION_MAX_EXIT_RETRIES) || 3,
+  MAX_EVENTS: 50
+};
+
+const EXECUTION_MODES = ['off', 'dry-run', 'live'];
+
+const EXECUTION_STATUS = {
+  PENDING_ENTRY: 'PENDING_ENTRY',
+  OPEN: 'OPEN',
+  CLOSED: 'CLOSED',
+  CANCELLED: 'CANCELLED',
+  FAILED: 'FAILED'
+};
+
+const RATING_ORDER = ['S', 'A', 'B', 'C'];
+const STOP_LEGS = ['SL', 'SL2'];
+const KILL_SWITCH_FILE = 'kill_switch.json';
+
+let mode = 'off';
+let client = null;
+let store = null;
+let marketData = null;
+let broadcast = () => {};
+let timer = null;
+let reconciling = false;
+
+// 下单流程进行中的信号ID（查找记录到保存记录之间有多次 await）
+const inFlight = new Set();
+
+let killSwitch = { active: false, reason: null, updated_at: null };
+
+const executionStatus = {
+  running: false,
+  last_reconcile: null,
+  last_error: null,
+  placed_orders: 0,
+  failed_orders: 0
+};
+
+function getStore() {
+  if (!store) {
+    store = createJournalStore({ dir: EXECUTION_CONFIG.STORE_DIR });
+  }
+  return store;
+}
+
+function closeExecutionStore() {
+  if (store) store.close();
+  store = null;
+}
+
+/**
+ * 自定义订单号：t- + 信号ID哈希 + 订单用途，同一信号同一用途始终相同
+ */
+function getClientOrderId(signalId, leg) {
+  const hash = crypto.createHash('sha1').update(String(signalId)).digest('hex').slice(0, 16);
+  return `t-${hash}-${leg}`;
+}
+
+function roundTo(value, precision) {
+  if (!Number.isInteger(precision)) return value;
+  return parseFloat(value.toFixed(Math.max(precision, 0)));
+}
+
+function floorTo(value, precision) {
+  if (!Number.isInteger(precision)) return value;
+  const factor = Math.pow(10, precision);
+  return Math.floor(value * factor + 1e-9) / factor;
+}
+
+/**
+ * 下单数量取整：合约为整数张，现货按交易对数量精度向下取整
+ */
+function floorQty(record, qty) {
+  return record.contract_size ? Math.floor(qty + 1e-9) : floorTo(qty, record.amount_precision);
+}
+
+function addEvent(record, type, message) {
+  record.events = [...(record.events || []), { time: Date.now(), type, message }].slice(-EXECUTION_CONFIG.MAX_EVENTS);
+  if (type === 'ERROR' || type === 'WARNING') {
+    console.warn(`[Execution] ${record.id} ${type}: ${message}`);
+  }
+}
+
+/**
+ * 保存执行记录（结束状态归档）并广播
+ */
+function saveRecord(record) {
+  record.updated_at = Date.now();
+  const finished = [EXECUTION_STATUS.CLOSED, EXECUTION_STATUS.CANCELLED, EXECUTION_STATUS.FAILED].includes(record.status);
+  if (finished && !record.closed_at) record.closed_at = record.updated_at;
+
+  getStore().transaction(tx => (finished ? tx.archive(record) : tx.put(record)));
+  broadcast({ type: 'execution_update', data: record });
+  return record;
+}
+
+function findRecord(signalId) {
+  const active = getStore().getActive(signalId);
+  if (active) return active;
+  const [archived] = getStore().queryHistory({ filter: r => r.id === signalId, limit: 1 });
+  return archived || null;
+}
+
+function getLifecycleSignal(record) {
+  return getActiveSignals({ synthetic: record.synthetic }).find(s => s.id === record.signal_id) || null;
+}
+
+function isLive() {
+  return mode === 'live';
+}
+
+// ==================== 下单 ====================
+
+/**
+ * 下一个订单（或条件单）；先按自定义订单号查找，已存在则沿用
+ * 网络错误等结果未知时订单保持 pending，下一次对账重试
+ */
+async function placeLeg(record, legName, spec) {
+  const leg = {
+    leg: legName,
+    kind: spec.kind,
+    client_id: getClientOrderId(record.id, legName),
+    side: spec.side,
+    qty: spec.qty,
+    price: spec.price || null,
+    trigger_price: spec.triggerPrice || null,
+    rule: spec.rule || null,
+    reduce_only: Boolean(spec.reduceOnly),
+    id: null,
+    status: 'pending',
+    filled_qty: 0,
+    fill_price: null,
+    error: null,
+    ...(record.orders[legName] || {})
+  };
+  record.orders[legName] = leg;
+
+  try {
+    const params = {
+      clientId: leg.client_id,
+      symbol: record.symbol,
+      side: leg.side,
+      qty: leg.qty,
+      price: leg.price,
+      triggerPrice: leg.trigger_price,
+      rule: leg.rule,
+      reduceOnly: leg.reduce_only
+    };
+
+    let order = leg.kind === 'trigger'
+      ? await client.findTriggerOrder(leg.client_id, record.symbol)
+      : await client.getOrder(leg.client_id, record.symbol);
+
+    if (!order) {
+      order = leg.kind === 'trigger' ? await client.placeTriggerOrder(params) : await client.placeOrder(params);
+      executionStatus.placed_orders++;
+      addEvent(record, 'ORDER_PLACED', `${legName} ${leg.side} ${leg.qty} @ ${leg.trigger_price || leg.price}`);
+    } else {
+      addEvent(record, 'ORDER_FOUND', `${legName} already exists (${order.id}), reusing`);
+    }
+
+    leg.id = order.id;
+    leg.status = order.status;
+    leg.error = null;
+  } catch (error) {
+    executionStatus.failed_orders++;
+    leg.error = error.message;
+    // 交易所明确拒绝（4xx）不再重试，其余保持 pending
+    if (error.status >= 400 && error.status < 500) leg.status = 'failed';
+    addEvent(record, 'ERROR', `${legName} order failed: ${error.message}`);
+  }
+
+  return leg;
+}
+
+async function cancelLeg(record, legName, reason) {
+  const leg = record.orders[legName];
+  if (!leg || !['open', 'pending', 'triggered'].includes(leg.status)) return leg;
+
+  try {
+    let result;
+    if (leg.kind === 'order' || leg.status === 'triggered') {
+      // 普通订单可按自定义订单号撤销；已触发的条件单撤销触发出的订单
+      const id = leg.kind === 'order' ? leg.id || leg.client_id : leg.fired_order_id;
+      result = id ? await client.cancelOrder(id, record.symbol) : null;
+    } else {
+      const trigger = leg.id ? { id: leg.id } : await client.findTriggerOrder(leg.client_id, record.symbol);
+      result = trigger ? await client.cancelTriggerOrder(trigger.id) : null;
+    }
+    if (result && leg.kind === 'order') {
+      leg.filled_qty = result.filled_qty;
+      leg.fill_price = result.fill_price;
+      leg.fee = result.fee || 0;
+      leg.fee_currency = result.fee_currency || null;
+    }
+    if (result && leg.kind === 'trigger' && result.status === 'triggered') {
+      // 撤销前条件单已触发，按触发出的订单继续对账
+      leg.status = 'triggered';
+      leg.fired_order_id = result.fired_order_id;
+      addEvent(record, 'WARNING', `${legName} already triggered, not cancelled (${reason})`);
+      return leg;
+    }
+    leg.status = result && result.status === 'filled' ? 'filled' : 'cancelled';
+    addEvent(record, 'ORDER_CANCELLED', `${legName} cancelled (${reason})`);
+  } catch (error) {
+    leg.error = error.message;
+    addEvent(record, 'ERROR', `${legName} cancel failed: ${error.message}`);
+  }
+  return leg;
+}
+
+/**
+ * 信号是否符合执行条件，不符合时返回原因
+ */
+function getSkipReason(signal) {
+  if (mode === 'off') return 'EXECUTION_OFF';
+  if (killSwitch.active) return 'KILL_SWITCH';
+  if (signal.signal_type !== 'TRADABLE') return 'NOT_TRADABLE';
+  if (signal.venue && signal.venue !== EXECUTION_CONFIG.VENUE && !signal.synthetic) return 'VENUE';
+  if (EXECUTION_CONFIG.MIN_RATING &&
+      RATING_ORDER.indexOf(signal.rating) > RATING_ORDER.indexOf(EXECUTION_CONFIG.MIN_RATING)) return 'RATING';
+  if (client.market === 'spot' && signal.direction !== 'LONG') return 'SPOT_SHORT';
+  return null;
+}
+
+/**
+ * 按信号下入场单；同一信号只会执行一次，返回执行记录或 { skipped }
+ * 同一信号的下单流程进行中时（手动执行与扫描后的自动执行并发）返回 { skipped: 'IN_PROGRESS' }
+ */
+async function executeSignal(signal) {
+  const skipReason = getSkipReason(signal);
+  if (skipReason) return { signal_id: signal.id, skipped: skipReason };
+
+  const existing = findRecord(signal.id);
+  if (existing) return existing;
+
+  // 第一个 await 之前占位，并发的调用不会重复下入场单
+  if (inFlight.has(signal.id)) return { signal_id: signal.id, skipped: 'IN_PROGRESS' };
+  inFlight.add(signal.id);
+  try {
+    return await openExecution(signal);
+  } finally {
+    inFlight.delete(signal.id);
+  }
+}
+
+/**
+ * 计算仓位、下入场单并保存执行记录
+ */
+async function openExecution(signal) {
+  const assessment = await assessSignalRisk(signal, marketData, {
+    equity: EXECUTION_CONFIG.EQUITY,
+    riskPercent: EXECUTION_CONFIG.RISK_PERCENT
+  });
+  const pair = marketData.getCurrencyPair ? await marketData.getCurrencyPair(signal.symbol) : null;
+  const contractSize = client.market === 'futures' && pair && pair.contract_size ? pair.contract_size : null;
+  const qty = contractSize
+    ? Math.floor(assessment.suggested_position_size / contractSize + 1e-9)
+    : assessment.suggested_position_size;
+
+  const record = {
+    id: signal.id,
+    signal_id: signal.id,
+    symbol: signal.symbol,
+    direction: signal.direction,
+    market: client.market,
+    mode,
+    synthetic: signal.synthetic === true,
+    status: EXECUTION_STATUS.PENDING_ENTRY,
+    created_at: Date.now(),
+    expires_at: signal.expires_at || null,
+    qty,
+    contract_size: contractSize,
+    amount_precision: pair ? pair.amount_precision : null,
+    price_precision: pair ? pair.price_precision : null,
+    entry_price: signal.entry_price,
+    sl: signal.sl,
+    tp1: signal.tp1,
+    tp2: signal.tp2,
+    risk: {
+      equity: EXECUTION_CONFIG.EQUITY,
+      risk_percent: EXECUTION_CONFIG.RISK_PERCENT,
+      warnings: assessment.warnings
+    },
+    orders: {},
+    events: []
+  };
+
+  if (!(qty > 0)) {
+    record.status = EXECUTION_STATUS.FAILED;
+    addEvent(record, 'ERROR', `Position size is zero (${assessment.warnings.join('; ') || 'no size'})`);
+    return saveRecord(record);
+  }
+
+  const price = roundTo(signal.entry_price, record.price_precision);
+  await placeLeg(record, 'ENTRY', {
+    kind: 'order',
+    side: signal.direction === 'LONG' ? 'buy' : 'sell',
+    qty,
+    price
+  });
+
+  if (record.orders.ENTRY.status === 'failed') {
+    record.status = EXECUTION_STATUS.FAILED;
+  } else if (isLive()) {
+    attachExecution(signal.id, { mode, client_order_id: record.orders.ENTRY.client_id, qty, market: client.market });
+  }
+
+  console.log(`[Execution] ${mode} ${signal.symbol} ${signal.direction} ${qty} @ ${price} (${signal.id}): ${record.orders.ENTRY.status}`);
+  return saveRecord(record);
+}
+
+/**
+ * 批量执行新信号（出错只记录，不影响其他信号）
+ */
+async function executeSignals(signals) {
+  const results = [];
+  for (const signal of signals) {
+    try {
+      results.push(await executeSignal(signal));
+    } catch (error) {
+      console.error(`[Execution] Failed to execute ${signal.id}:`, error.message);
+      results.push({ signal_id: signal.id, error: error.message });
+    }
+  }
+  return results;
+}
+
+// ==================== 对账 ====================
+
+function exitSide(record) {
+  return record.direction === 'LONG' ? 'sell' : 'buy';
+}
+
+function exitRule(record, isStop) {
+  const up = (record.direction === 'LONG') !== isStop;
+  return up ? '>=' : '<=';
+}
+
+async function placeStop(record, legName, stopPrice, qty) {
+  return placeLeg(record, legName, {
+    kind: 'trigger',
+    side: exitSide(record),
+    qty,
+    triggerPrice: roundTo(stopPrice, record.price_precision),
+    rule: exitRule(record, true),
+    reduceOnly: true
+  });
+}
+
+/**
+ * 入场成交后实际持有的数量：现货买入手续费以基础币扣除时为成交数量减手续费（按数量精度向下取整）
+ */
+function getNetFilledQty(record, order) {
+  const base = record.symbol.split('_')[0];
+  const fee = record.market === 'spot' && order.fee_currency === base ? order.fee || 0 : 0;
+  return fee > 0 ? floorQty(record, order.filled_qty - fee) : order.filled_qty;
+}
+
+/**
+ * 入场成交：写回生命周期并挂止损、止盈
+ */
+async function onEntryFilled(record, order) {
+  const entry = record.orders.ENTRY;
+  entry.status = 'filled';
+  entry.filled_qty = order.filled_qty;
+  entry.fill_price = order.fill_price;
+  entry.fee = order.fee || 0;
+  entry.fee_currency = order.fee_currency || null;
+  // 出场单按实际到账数量下单，否则现货卖出会因余额不足被拒
+  record.qty = getNetFilledQty(record, order);
+  record.entry_price_actual = order.fill_price;
+  record.entered_at = Date.now();
+  record.status = EXECUTION_STATUS.OPEN;
+  addEvent(record, 'ENTRY_FILLED', `${order.filled_qty} @ ${order.fill_price}` +
+    (record.qty !== order.filled_qty ? `, ${record.qty} after ${entry.fee} ${entry.fee_currency} fee` : ''));
+
+  if (isLive()) {
+    const signal = getLifecycleSignal(record);
+    if (signal && signal.status === SIGNAL_STATUS.ACTIVE) {
+      markEntered(record.signal_id, order.fill_price);
+    } else {
+      addEvent(record, 'WARNING', 'Entry filled but signal is no longer pending in lifecycle');
+    }
+  }
+
+  const qty = record.qty;
+  const tp1Qty = record.contract_size
+    ? Math.floor(qty * POSITION_CONFIG.TP1_CLOSE_FRACTION)
+    : floorTo(qty * POSITION_CONFIG.TP1_CLOSE_FRACTION, record.amount_precision);
+  const split = record.tp1 && record.tp2 && tp1Qty > 0 && tp1Qty < qty;
+  const takeProfit = (legName, price, legQty) => placeLeg(record, legName, {
+    kind: 'trigger',
+    side: exitSide(record),
+    qty: legQty,
+    triggerPrice: roundTo(price, record.price_precision),
+    price: roundTo(price, record.price_precision),
+    rule: exitRule(record, false),
+    reduceOnly: true
+  });
+
+  await placeStop(record, 'SL', record.sl, qty);
+  if (split) {
+    await takeProfit('TP1', record.tp1, tp1Qty);
+    await takeProfit('TP2', record.tp2, qty - tp1Qty);
+  } else {
+    await takeProfit('TP1', record.tp1 || record.tp2, qty);
+  }
+}
+
+/**
+ * 入场单对账：成交 → 挂出场单；被撤 → 结束；信号已结束、过期或熔断 → 撤单（部分成交按已成交数量继续）
+ */
+async function reconcileEntry(record) {
+  const entry = record.orders.ENTRY;
+  if (entry.status === 'pending') {
+    await placeLeg(record, 'ENTRY', entry);
+    if (entry.status === 'failed') record.status = EXECUTION_STATUS.FAILED;
+    return;
+  }
+
+  let order = await client.getOrder(entry.id || entry.client_id, record.symbol);
+  if (!order) {
+    addEvent(record, 'WARNING', 'Entry order not found on exchange');
+    return;
+  }
+
+  const signal = getLifecycleSignal(record);
+  let reason = 'ORDER_CANCELLED';
+
+  if (order.status === 'open') {
+    const expired = record.expires_at && Date.now() >= record.expires_at;
+    const stale = !signal || signal.status !== SIGNAL_STATUS.ACTIVE;
+    if (!expired && !stale && !killSwitch.active) return;
+
+    reason = killSwitch.active ? 'KILL_SWITCH' : expired ? 'EXPIRED' : 'SIGNAL_CLOSED';
+    await cancelLeg(record, 'ENTRY', reason);
+    // 撤单失败，下次对账重试
+    if (entry.status === 'open') return;
+    order = {
+      ...order,
+      status: entry.status,
+      filled_qty: entry.filled_qty || 0,
+      fill_price: entry.fill_price,
+      fee: entry.fee,
+      fee_currency: entry.fee_currency
+    };
+  }
+
+  if (order.status === 'filled' || order.filled_qty > 0) {
+    await onEntryFilled(record, order);
+    return;
+  }
+
+  entry.status = 'cancelled';
+  record.status = EXECUTION_STATUS.CANCELLED;
+  addEvent(record, 'ENTRY_CANCELLED', reason);
+  if (isLive() && signal && signal.status === SIGNAL_STATUS.ACTIVE) {
+    closeUnfilledSignal(record.signal_id, SIGNAL_STATUS.CANCELLED, RESULT_TYPE.CANCELLED, reason, null);
+  }
+}
+
+/**
+ * 出场单是否成交，返回成交价或 null
+ * 条件单触发后再查询触发出的订单取成交价
+ */
+async function checkExitFill(record, leg) {
+  if (leg.status === 'open') {
+    const trigger = await client.getTriggerOrder(leg.id);
+    if (!trigger) return null;
+    if (trigger.status === 'cancelled' || trigger.status === 'failed') {
+      leg.status = trigger.status;
+      addEvent(record, 'WARNING', `${leg.leg} ${trigger.status} on exchange${trigger.reason ? `: ${trigger.reason}` : ''}`);
+      return null;
+    }
+    if (trigger.status !== 'triggered') return null;
+    leg.status = 'triggered';
+    leg.fired_order_id = trigger.fired_order_id;
+  }
+
+  if (leg.status !== 'triggered') return null;
+
+  const fired = leg.fired_order_id ? await client.getOrder(leg.fired_order_id, record.symbol) : null;
+  if (fired && fired.status === 'open') return null;
+
+  // 触发出的订单未全部成交即结束，仓位仍在，不能按成交处理；重新挂出的数量不超过剩余仓位
+  if (fired && fired.status !== 'filled') {
+    const left = floorQty(record, Math.min(leg.qty, getOpenQty(record) - (leg.done_qty || 0)) - fired.filled_qty);
+    if (left > 0) {
+      await reissueExitLeg(record, leg, fired, left);
+      return null;
+    }
+  }
+
+  const filledQty = fired ? fired.filled_qty : leg.qty;
+  const fillPrice = fired && fired.fill_price ? fired.fill_price : leg.price || leg.trigger_price;
+  const doneQty = leg.done_qty || 0;
+  leg.status = 'filled';
+  leg.filled_qty = doneQty + filledQty;
+  leg.fill_price = doneQty > 0 ? (leg.done_value + filledQty * fillPrice) / leg.filled_qty : fillPrice;
+  addEvent(record, 'EXIT_FILLED', `${leg.leg} ${leg.filled_qty} @ ${leg.fill_price}`);
+  return leg.fill_price;
+}
+
+/**
+ * 触发出的订单未成交或只成交一部分即结束（市价单 IOC 过期、被撤）：按未成交数量换新订单号重新挂出，
+ * 已成交部分累计到 done_qty / done_value。超过 MAX_EXIT_RETRIES 后标记失败并告警，记录保持 OPEN 等待人工处理
+ */
+async function reissueExitLeg(record, leg, fired, qty) {
+  const attempt = (leg.attempt || 0) + 1;
+  const done = {
+    done_qty: (leg.done_qty || 0) + fired.filled_qty,
+    done_value: (leg.done_value || 0) + fired.filled_qty * (fired.fill_price || 0)
+  };
+  const summary = `${leg.leg} fired order ${fired.id} ${fired.status} with ${fired.filled_qty}/${leg.qty} filled`;
+
+  if (attempt > EXECUTION_CONFIG.MAX_EXIT_RETRIES) {
+    Object.assign(leg, done, { status: 'failed', error: summary });
+    addEvent(record, 'ERROR', `${summary}, retries exhausted: ${qty} left without ${leg.leg}, manual action required`);
+    return leg;
+  }
+
+  record.orders[leg.leg] = {
+    ...leg,
+    ...done,
+    attempt,
+    client_id: getClientOrderId(record.id, `${leg.leg}-${attempt}`),
+    qty,
+    id: null,
+    status: 'pending',
+    fired_order_id: null,
+    error: null
+  };
+  addEvent(record, 'WARNING', `${summary}, re-placing ${qty}`);
+  return placeLeg(record, leg.leg, record.orders[leg.leg]);
+}
+
+/**
+ * 仍持有的仓位：开仓数量减去已成交的 TP1
+ */
+function getOpenQty(record) {
+  const tp1 = record.orders.TP1;
+  return record.qty - (record.tp1_filled && tp1 ? tp1.filled_qty || 0 : 0);
+}
+
+async function closeRecord(record, exitPrice, reason, cancelLegs) {
+  for (const legName of cancelLegs) {
+    await cancelLeg(record, legName, `OCO_${reason}`);
+  }
+  record.status = EXECUTION_STATUS.CLOSED;
+  record.exit_reason = reason;
+  record.exit_price = exitPrice;
+
+  if (isLive() && getLifecycleSignal(record)) {
+    closeSignal(record.signal_id, exitPrice, reason);
+  }
+}
+
+/**
+ * TP1 成交后撤销原止损，确认撤销成功后按剩余数量挂 SL2，返回是否继续对账
+ * - 撤单失败：原止损仍在，下次对账重试，不挂 SL2（避免同时存在两个止损）
+ * - 原止损撤销前已触发：不挂 SL2，下次对账按止损成交结算
+ */
+async function moveStopAfterTp1(record) {
+  if (record.orders.SL && record.orders.SL.status === 'triggered') return false;
+
+  const sl = await cancelLeg(record, 'SL', 'TP1');
+  if (sl && sl.status === 'triggered') return false;
+  if (sl && sl.status !== 'cancelled' && sl.status !== 'failed') {
+    addEvent(record, 'WARNING', `SL not cancelled (${sl.status}), SL2 deferred`);
+    return false;
+  }
+
+  const remaining = getOpenQty(record);
+  if (remaining <= 0) {
+    await closeRecord(record, record.orders.TP1.fill_price, 'TP1', ['SL', 'TP2']);
+    return false;
+  }
+
+  const stopPrice = getStopAfterTp1({
+    direction: record.direction,
+    entry_price: record.entry_price,
+    entry_price_actual: record.entry_price_actual,
+    sl: record.sl
+  });
+  await placeStop(record, 'SL2', stopPrice, floorQty(record, remaining));
+  return true;
+}
+
+/**
+ * 持仓对账：先结算 TP1，再看止损（只平剩余仓位），最后移动止损与 TP2
+ * 同一对账间隔内 TP1 与止损都已成交时，先记下 TP1 的部分止盈，止损按剩余仓位结算
+ */
+async function reconcileExits(record) {
+  for (const legName of ['SL', 'SL2', 'TP1', 'TP2']) {
+    const leg = record.orders[legName];
+    if (leg && leg.status === 'pending') await placeLeg(record, legName, leg);
+  }
+
+  const tp1 = record.orders.TP1;
+  if (tp1 && !record.tp1_filled) {
+    const price = await checkExitFill(record, tp1);
+    if (price !== null) {
+      if (!record.orders.TP2) {
+        await closeRecord(record, price, 'TP1', STOP_LEGS);
+        return;
+      }
+
+      record.tp1_filled = true;
+      if (isLive() && getLifecycleSignal(record)) takePartialProfit(record.signal_id, price);
+    }
+  }
+
+  for (const legName of STOP_LEGS) {
+    const leg = record.orders[legName];
+    if (!leg) continue;
+    const price = await checkExitFill(record, leg);
+    if (price !== null) {
+      await closeRecord(record, price, record.tp1_filled ? 'STOP' : 'SL', ['TP1', 'TP2']);
+      return;
+    }
+  }
+
+  if (record.tp1_filled && !record.orders.SL2 && !(await moveStopAfterTp1(record))) return;
+
+  const tp2 = record.orders.TP2;
+  if (tp2) {
+    const price = await checkExitFill(record, tp2);
+    if (price !== null) await closeRecord(record, price, 'TP2', STOP_LEGS);
+  }
+}
+
+async function reconcileRecord(record) {
+  const before = JSON.stringify(record);
+  try {
+    if (record.status === EXECUTION_STATUS.PENDING_ENTRY) await reconcileEntry(record);
+    else if (record.status === EXECUTION_STATUS.OPEN) await reconcileExits(record);
+  } catch (error) {
+    addEvent(record, 'ERROR', `Reconcile failed: ${error.message}`);
+  }
+  if (JSON.stringify(record) !== before) saveRecord(record);
+  return record;
+}
+
+/**
+ * 对账所有进行中的执行记录
+ */
+async function reconcile() {
+  if (reconciling || !client) return null;
+  reconciling = true;
+
+  try {
+    const records = getStore().listActive();
+    for (const record of records) {
+      await reconcileRecord(record);
+    }
+    executionStatus.last_reconcile = Date.now();
+    executionStatus.last_error = null;
+    return records.length;
+  } catch (error) {
+    console.error('[Execution] Reconcile error:', error.message);
+    executionStatus.last_error = error.message;
+    return null;
+  } finally {
+    reconciling = false;
+  }
+}
+
+// ==================== 熔断开关 ====================
+
+function loadKillSwitch() {
+  const file = path.join(EXECUTION_CONFIG.STORE_DIR, KILL_SWITCH_FILE);
+  if (fs.existsSync(file)) {
+    try {
+      killSwitch = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.error('[Execution] Failed to read kill switch state:', error.message);
+    }
+  }
+  if (EXECUTION_CONFIG.KILL_SWITCH && !killSwitch.active) {
+    killSwitch = { active: true, reason: 'EXECUTION_KILL_SWITCH', updated_at: Date.now() };
+  }
+}
+
+/**
+ * 打开 / 关闭熔断开关；打开时立即撤销所有未成交的入场单
+ */
+async function setKillSwitch(active, reason = null) {
+  killSwitch = { active: Boolean(active), reason: active ? reason || 'MANUAL' : null, updated_at: Date.now() };
+
+  const file = path.join(EXECUTION_CONFIG.STORE_DIR, KILL_SWITCH_FILE);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(killSwitch, null, 2));
+  fs.renameSync(tmp, file);
+
+  console.warn(`[Execution] Kill switch ${killSwitch.active ? 'ON' : 'OFF'}${reason ? ` (${reason})` : ''}`);
+  broadcast({ type: 'execution_kill_switch', data: killSwitch });
+
+  let cancelled = 0;
+  if (killSwitch.active && client) {
+    for (const record of getStore().listActive({ status: EXECUTION_STATUS.PENDING_ENTRY })) {
+      await reconcileRecord(record);
+      if (record.status === EXECUTION_STATUS.CANCELLED) cancelled++;
+    }
+  }
+
+  return { ...killSwitch, cancelled_entries: cancelled };
+}
+
+// ==================== 启动与查询 ====================
+
+function createClient(options) {
+  if (options.client) return options.client;
+  const transport = mode === 'dry-run'
+    ? createDryRunTransport()
+    : createHttpTransport({
+      baseUrl: EXECUTION_CONFIG.BASE_URL,
+      apiKey: EXECUTION_CONFIG.API_KEY,
+      apiSecret: EXECUTION_CONFIG.API_SECRET
+    });
+  return createTradingClient({ market: EXECUTION_CONFIG.MARKET, transport });
+}
+
+/**
+ * 启动执行模块，options: { marketData, broadcast, mode, synthetic, client }
+ * 合成（演示）信号不会发往真实交易所：synthetic 且未配置 GATEIO_TRADING_URL 时降级为 dry-run
+ */
+function initExecution(options = {}) {
+  mode = options.mode || EXECUTION_CONFIG.MODE;
+  if (!EXECUTION_MODES.includes(mode)) {
+    console.error(`[Execution] Unknown mode ${mode}, execution disabled`);
+    mode = 'off';
+  }
+  if (mode === 'live' && options.synthetic && !options.client && EXECUTION_CONFIG.BASE_URL === DEFAULT_BASE_URL) {
+    console.warn('[Execution] Synthetic signals are never sent to Gate.io, falling back to dry-run');
+    mode = 'dry-run';
+  }
+
+  marketData = options.marketData || require('./gateio');
+  broadcast = options.broadcast || (() => {});
+  loadKillSwitch();
+
+  if (mode === 'off') {
+    console.log('[Execution] Disabled (EXECUTION_MODE=off)');
+    return;
+  }
+
+  try {
+    client = createClient(options);
+  } catch (error) {
+    console.error('[Execution] Client init failed, execution disabled:', error.message);
+    mode = 'off';
+    return;
+  }
+
+  if (timer) clearInterval(timer);
+  timer = setInterval(reconcile, EXECUTION_CONFIG.RECONCILE_INTERVAL_MS);
+  executionStatus.running = true;
+
+  console.log(`[Execution] Started, mode: ${mode}, market: ${client.market}, ` +
+    `endpoint: ${mode === 'live' ? EXECUTION_CONFIG.BASE_URL : 'dry-run'}, kill switch: ${killSwitch.active ? 'ON' : 'OFF'}`);
+}
+
+function stopExecution() {
+  if (timer) clearInterval(timer);
+  timer = null;
+  executionStatus.running = false;
+  closeExecutionStore();
+}
+
+function getExecutionStatus() {
+  const active = mode === 'off' ? [] : getStore().listActive();
+  return {
+    ...executionStatus,
+    mode,
+    market: client ? client.market : EXECUTION_CONFIG.MARKET,
+    endpoint: mode === 'live' ? EXECUTION_CONFIG.BASE_URL : null,
+    kill_switch: killSwitch,
+    pending_entries: active.filter(r => r.status === EXECUTION_STATUS.PENDING_ENTRY).length,
+    open_positions: active.filter(r => r.status === EXECUTION_STATUS.OPEN).length
+  };
+}
+
+/**
+ * 执行记录：进行中的在前，其后为已结束的（按结束时间倒序），options: { status, symbol, limit }
+ */
+function listExecutions(options = {}) {
+  const limit = options.limit || 100;
+  const active = getStore().listActive({ symbol: options.symbol, status: options.status });
+  const history = getStore().queryHistory({ symbol: options.symbol, status: options.status }).reverse();
+  return [...active, ...history].slice(0, limit);
+}
+
+function getExecution(signalId) {
+  return findRecord(signalId);
+}
+
+module.exports = {
+  EXECUTION_CONFIG,
+  EXECUTION_MODES,
+  EXECUTION_STATUS,
+  getClientOrderId,
+  initExecution,
+  stopExecution,
+  getExecutionStatus,
+  executeSignal,
+  executeSignals,
+  reconcile,
+  setKillSwitch,
+  listExecutions,
+  getExecution,
+  closeExecutionStore
+};
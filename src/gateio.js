@@ -8,9 +8,21 @@
  * - 1h K线：最后一根TTL 30s，历史部分TTL 120s
  * - 4h K线：最后一根TTL 60s，历史部分TTL 300s
  * - 1d K线：最后一根TTL 120s，历史部分TTL 600s
+ *
+ * 已收盘K线持久化到本地存储（candleStore），缓存过期后先读存储，
+ * 只向API请求缺失的bar和当前未收盘bar。CANDLE_STORE=false 可关闭。
+ *
+ * 作为 marketVenues 中的 gateio 现货适配器：交易对名即统一格式 BASE_QUOTE。
+ * 请求经由 transport(endpoint, params) 发出，setTransport 可替换为录制响应（createFixtureTransport）。
+ *
+ * 行情推送（gateioStream.js）通过 ingestKline / ingestTicker 直接更新缓存：
+ * 推送维护中的K线与价格不按TTL过期，断线时 releaseStream 恢复按TTL轮询。
  */
 
+const fs = require('fs');
+const path = require('path');
 const axios = require('axios');
+const candleStore = require('./candleStore');
 
 const BASE_URL = 'https://api.gateio.ws/api/v4';
 
@@ -31,6 +43,7 @@ const SYMBOLS_54 = [
 
 // 时间框架配置（毫秒）
 const TIMEFRAME_MS = {
+  '10s': 10 * 1000,
   '1m': 60 * 1000,
   '5m': 5 * 60 * 1000,
   '15m': 15 * 60 * 1000,
@@ -42,6 +55,7 @@ const TIMEFRAME_MS = {
 
 // 缓存TTL配置（毫秒）- 最后一根（未收盘）vs 历史K线
 const CACHE_TTL = {
+  '10s': { last: 0, history: 1000 },     // 10s: 仅用于触发判断下钻
   '1m': { last: 0, history: 2000 },      // 1m: 最后一根不缓存，历史2s
   '5m': { last: 5000, history: 30000 },   // 5m: 最后一根5s，历史30s
   '15m': { last: 10000, history: 60000 }, // 15m: 最后一根10s，历史60s
@@ -51,14 +65,37 @@ const CACHE_TTL = {
   '1d': { last: 120000, history: 600000 } // 1d: 最后一根120s，历史600s
 };
 
+// Gate.io 单次请求最多返回的K线数量
+const MAX_CANDLES_PER_REQUEST = 1000;
+
+// 区间查询最多返回的K线数量（防止一次请求翻页过多）
+const MAX_RANGE_BARS = 5000;
+
+// 本地K线存储开关
+const STORE_ENABLED = process.env.CANDLE_STORE !== 'false';
+
+// 收盘超过该时间仍查不到的bar视为交易所无数据（停机/未上线），不再重复请求
+const EMPTY_GRACE_MS = 60 * 60 * 1000;
+
 // K线缓存: { symbol_interval: { klines, timestamp, isLastBarClosed } }
 const klinesCache = new Map();
 
+// 行情推送维护中的K线缓存key
+const streamedKeys = new Set();
+
+// 交易对规则缓存: { symbol: { pair, timestamp } }
+const pairCache = new Map();
+const PAIR_CACHE_TTL = 60 * 60 * 1000;
+
+// 请求函数，默认走HTTP
+let transport = httpTransport;
+
 // 价格缓存
 const priceCache = {
   data: null,
   timestamp: 0,
-  ttl: 5000 // 价格TTL 5s
+  ttl: 5000, // 价格TTL 5s
+  streamed: false
 };
 
 /**
@@ -87,6 +124,274 @@ function getCacheKey(symbol, interval) {
   return `${symbol}_${interval}`;
 }
 
+/**
+ * 解析Gate.io K线数组: [时间(秒), 成交额, 收盘, 最高, 最低, 开盘, ...]
+ */
+function parseCandles(data) {
+  const klines = data.map(candle => ({
+    time: parseInt(candle[0]) * 1000,
+    volume: parseFloat(candle[1]),
+    close: parseFloat(candle[2]),
+    high: parseFloat(candle[3]),
+    low: parseFloat(candle[4]),
+    open: parseFloat(candle[5])
+  }));
+
+  // 按时间升序排序
+  klines.sort((a, b) => a.time - b.time);
+  return klines;
+}
+
+/**
+ * 默认HTTP请求
+ */
+async function httpTransport(endpoint, params = {}) {
+  const response = await axios.get(`${BASE_URL}${endpoint}`, { params, timeout: 10000 });
+  return response.data;
+}
+
+/**
+ * 录制文件名：/spot/candlesticks + { currency_pair: 'BTC_USDT', interval: '1h' } -> candlesticks_BTC_USDT_1h.json
+ */
+function getFixtureName(endpoint, params = {}) {
+  return [endpoint.replace(/^\/spot\//, '').replace(/\//g, '_'), params.currency_pair, params.interval]
+    .filter(Boolean)
+    .join('_') + '.json';
+}
+
+/**
+ * 从录制文件读取响应；K线按请求的 from / to（秒）/ limit 截取
+ */
+function createFixtureTransport(dir) {
+  return async (endpoint, params = {}) => {
+    const file = path.join(dir, getFixtureName(endpoint, params));
+    if (!fs.existsSync(file)) {
+      throw new Error(`Fixture not found: ${path.basename(file)}`);
+    }
+
+    let data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (endpoint === '/spot/candlesticks') {
+      data = data.filter(c => (params.from === undefined || parseInt(c[0]) >= params.from) &&
+        (params.to === undefined || parseInt(c[0]) <= params.to));
+      if (params.limit) data = data.slice(-params.limit);
+    }
+    return data;
+  };
+}
+
+/**
+ * 转发到 inner 并把响应写入录制文件
+ */
+function createRecordingTransport(dir, inner = httpTransport) {
+  fs.mkdirSync(dir, { recursive: true });
+  return async (endpoint, params = {}) => {
+    const data = await inner(endpoint, params);
+    fs.writeFileSync(path.join(dir, getFixtureName(endpoint, params)), JSON.stringify(data, null, 2));
+    return data;
+  };
+}
+
+/**
+ * 替换请求函数（离线验证 / 录制），并清空缓存
+ */
+function setTransport(nextTransport) {
+  transport = nextTransport || httpTransport;
+  pairCache.clear();
+  clearCache();
+}
+
+/**
+ * 请求K线接口
+ */
+async function fetchCandles(symbol, interval, params) {
+  return parseCandles(await transport('/spot/candlesticks', { currency_pair: symbol, interval, ...params }));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 写入本地存储（写入失败不影响本次返回）
+ */
+function storeCandles(symbol, interval, klines) {
+  try {
+    return candleStore.saveCandles(symbol, interval, klines);
+  } catch (error) {
+    console.error(`[CandleStore] Error saving ${symbol} ${interval}:`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * 补齐本地存储中 [from, to] 区间缺失的已收盘K线
+ *
+ * 按缺口从旧到新逐页请求（每页最多1000根），options.delayMs 为页间隔，批量回填时避免触发限频。
+ * 返回 { gaps, requests, saved, empty }
+ */
+async function fillStore(symbol, interval, from, to = Date.now(), options = {}) {
+  const timeframeMs = TIMEFRAME_MS[interval];
+  if (!timeframeMs) {
+    throw new Error(`Unsupported interval: ${interval}`);
+  }
+
+  const { delayMs = 0 } = options;
+  const lastClosed = getCurrentBarStartTime(interval) - timeframeMs;
+  const end = Math.min(Math.floor(to / timeframeMs) * timeframeMs, lastClosed);
+  const result = { gaps: 0, requests: 0, saved: 0, empty: 0 };
+  if (from > end) return result;
+
+  const gaps = candleStore.findGaps(symbol, interval, from, end);
+  result.gaps = gaps.length;
+
+  for (const gap of gaps) {
+    let pageStart = gap.from;
+
+    while (pageStart <= gap.to) {
+      const pageEnd = Math.min(gap.to, pageStart + (MAX_CANDLES_PER_REQUEST - 1) * timeframeMs);
+      if (result.requests > 0 && delayMs > 0) await sleep(delayMs);
+
+      const page = await fetchCandles(symbol, interval, {
+        from: Math.floor(pageStart / 1000),
+        to: Math.floor(pageEnd / 1000)
+      });
+      result.requests++;
+      result.saved += candleStore.saveCandles(symbol, interval,
+        page.filter(k => k.time >= pageStart && k.time <= pageEnd));
+
+      // 请求过但仍缺失、且已收盘足够久的bar，记为空区间
+      const confirmedUntil = Math.min(pageEnd, Date.now() - EMPTY_GRACE_MS - timeframeMs);
+      for (const missing of candleStore.findGaps(symbol, interval, pageStart, confirmedUntil)) {
+        candleStore.markEmpty(symbol, interval, missing.from, missing.to);
+        result.empty += missing.bars;
+      }
+
+      pageStart = pageEnd + timeframeMs;
+    }
+  }
+
+  if (result.requests > 0) {
+    console.log(`[CandleStore] Filled ${symbol} ${interval}: ${result.saved} bars saved, ` +
+      `${result.empty} empty, ${result.requests} requests`);
+  }
+
+  return result;
+}
+
+/**
+ * 最近 limit 根K线：已收盘部分读本地存储，只请求第一根缺失bar之后的数据
+ */
+async function getStoredKlines(symbol, interval, limit) {
+  const timeframeMs = TIMEFRAME_MS[interval];
+  const currentBarStart = getCurrentBarStartTime(interval);
+  const from = currentBarStart - (limit - 1) * timeframeMs;
+  const lastClosed = currentBarStart - timeframeMs;
+
+  const gaps = candleStore.findGaps(symbol, interval, from, lastClosed);
+  const missingFrom = gaps.length > 0 ? gaps[0].from : currentBarStart;
+  const fresh = await fetchCandles(symbol, interval, {
+    limit: Math.round((currentBarStart - missingFrom) / timeframeMs) + 1
+  });
+  storeCandles(symbol, interval, fresh);
+
+  const byTime = new Map();
+  for (const kline of candleStore.getCandles(symbol, interval, from, lastClosed)) {
+    byTime.set(kline.time, kline);
+  }
+  for (const kline of fresh) {
+    if (kline.time >= from) byTime.set(kline.time, kline);
+  }
+
+  return Array.from(byTime.values()).sort((a, b) => a.time - b.time).slice(-limit);
+}
+
+/**
+ * 从本地存储 + API获取K线并写入缓存，请求失败时抛出
+ */
+async function loadKlines(symbol, interval, limit) {
+  const klines = STORE_ENABLED && TIMEFRAME_MS[interval]
+    ? await getStoredKlines(symbol, interval, limit)
+    : await fetchCandles(symbol, interval, { limit });
+
+  // 更新缓存
+  if (klines.length > 0) {
+    const lastKline = klines[klines.length - 1];
+    const isLastClosed = isBarClosed(lastKline.time, interval);
+
+    klinesCache.set(getCacheKey(symbol, interval), {
+      klines,
+      limit,
+      timestamp: Date.now(),
+      isLastBarClosed: isLastClosed
+    });
+
+    console.log(`[Cache] Updated ${symbol} ${interval}, bars: ${klines.length}, lastBarClosed: ${isLastClosed}`);
+  }
+
+  return klines;
+}
+
+/**
+ * 忽略缓存重新获取K线（行情推送连接 / 断档后补齐），limit 不小于已缓存的数量，请求失败时抛出
+ */
+async function refreshKlines(symbol, interval, limit = 100) {
+  const cached = klinesCache.get(getCacheKey(symbol, interval));
+  return loadKlines(symbol, interval, Math.max(limit, cached ? cached.limit : 0));
+}
+
+/**
+ * 写入推送的K线: { time, open, high, low, close, volume }
+ *
+ * 与缓存最后一根同一时间则替换，是下一根则追加（上一根收盘，写入本地存储）。
+ * 未缓存或出现断档（跳过了bar）时不写入并返回 false，由调用方用 refreshKlines 补齐。
+ */
+function ingestKline(symbol, interval, kline) {
+  const cacheKey = getCacheKey(symbol, interval);
+  const cached = klinesCache.get(cacheKey);
+  const timeframeMs = TIMEFRAME_MS[interval];
+  if (!timeframeMs || !cached || !cached.klines || cached.klines.length === 0) return false;
+
+  // 已返回给调用方的数组不原地修改
+  let klines = cached.klines;
+  const last = klines[klines.length - 1];
+
+  if (kline.time > last.time + timeframeMs) {
+    streamedKeys.delete(cacheKey);
+    return false;
+  }
+
+  if (kline.time === last.time + timeframeMs) {
+    klines = [...klines, kline].slice(-cached.limit);
+    if (STORE_ENABLED) storeCandles(symbol, interval, [last]);
+  } else {
+    // 当前bar或迟到的旧bar更新，缓存中没有的旧bar忽略
+    klines = klines.map(k => (k.time === kline.time ? kline : k));
+  }
+
+  cached.klines = klines;
+  cached.timestamp = Date.now();
+  cached.isLastBarClosed = isBarClosed(klines[klines.length - 1].time, interval);
+  streamedKeys.add(cacheKey);
+  return true;
+}
+
+/**
+ * 写入推送的价格（格式同 getTickers 的单项）
+ */
+function ingestTicker(symbol, ticker) {
+  priceCache.data = { ...(priceCache.data || {}), [symbol]: ticker };
+  priceCache.timestamp = Date.now();
+  priceCache.streamed = true;
+}
+
+/**
+ * 行情推送断开：K线与价格缓存恢复按TTL过期
+ */
+function releaseStream() {
+  streamedKeys.clear();
+  priceCache.streamed = false;
+}
+
 /**
  * 获取K线数据（带智能缓存）
  */
@@ -95,8 +400,13 @@ async function getKlines(symbol, interval = '4h', limit = 100) {
   const cached = klinesCache.get(cacheKey);
   const ttlConfig = CACHE_TTL[interval] || CACHE_TTL['4h'];
 
-  // 检查缓存是否有效
-  if (cached && cached.klines && cached.klines.length > 0) {
+  // 推送维护中的缓存始终是最新的
+  if (cached && streamedKeys.has(cacheKey) && cached.limit >= limit) {
+    return cached.klines.slice(-limit);
+  }
+
+  // 检查缓存是否有效（缓存的请求数量不足时重新获取）
+  if (cached && cached.klines && cached.klines.length > 0 && cached.limit >= limit) {
     const lastKline = cached.klines[cached.klines.length - 1];
     const isLastClosed = isBarClosed(lastKline.time, interval);
     const age = Date.now() - cached.timestamp;
@@ -107,70 +417,96 @@ async function getKlines(symbol, interval = '4h', limit = 100) {
     // 如果缓存有效（在TTL内）
     if (age < effectiveTtl) {
       console.log(`[Cache] Hit for ${symbol} ${interval}, age: ${age}ms, lastBarClosed: ${isLastClosed}`);
-      return cached.klines;
+      return cached.klines.slice(-limit);
     }
 
     console.log(`[Cache] Expired for ${symbol} ${interval}, age: ${age}ms, ttl: ${effectiveTtl}ms`);
   }
 
-  // 从API获取
+  // 从本地存储 + API获取
   try {
-    const currencyPair = symbol.replace('_', '_');
-    const response = await axios.get(`${BASE_URL}/spot/candlesticks`, {
-      params: {
-        currency_pair: currencyPair,
-        interval,
-        limit
-      },
-      timeout: 10000
-    });
+    return await loadKlines(symbol, interval, limit);
+  } catch (error) {
+    console.error(`[Gate.io] Error fetching klines for ${symbol}:`, error.message);
+    // 如果API失败但有缓存，返回缓存数据（即使过期）
+    if (cached && cached.klines) {
+      console.log(`[Cache] Returning stale data for ${symbol} ${interval}`);
+      return cached.klines.slice(-limit);
+    }
+    return null;
+  }
+}
+
+/**
+ * 按时间区间获取K线（毫秒时间戳，含两端）
+ *
+ * 启用本地存储时先补齐存储中的缺口，再从存储读取，未收盘bar单独请求；
+ * 否则从 to 向前逐页请求直到覆盖 from（Gate.io 单次最多返回1000根）。
+ * 最多返回 options.maxBars 根（默认 MAX_RANGE_BARS，保留最新的部分）。区间查询不走缓存。
+ */
+async function getKlinesRange(symbol, interval, from, to = Date.now(), options = {}) {
+  const timeframeMs = TIMEFRAME_MS[interval];
+  if (!timeframeMs) {
+    throw new Error(`Unsupported interval: ${interval}`);
+  }
 
-    const klines = response.data.map(candle => ({
-      time: parseInt(candle[0]) * 1000,
-      volume: parseFloat(candle[1]),
-      close: parseFloat(candle[2]),
-      high: parseFloat(candle[3]),
-      low: parseFloat(candle[4]),
-      open: parseFloat(candle[5])
-    }));
+  const { maxBars = MAX_RANGE_BARS } = options;
 
-    // 按时间升序排序
-    klines.sort((a, b) => a.time - b.time);
+  if (STORE_ENABLED) {
+    const end = Math.floor(to / timeframeMs) * timeframeMs;
+    const start = Math.max(Math.floor(from / timeframeMs) * timeframeMs, end - (maxBars - 1) * timeframeMs);
+    const currentBarStart = getCurrentBarStartTime(interval);
 
-    // 更新缓存
-    if (klines.length > 0) {
-      const lastKline = klines[klines.length - 1];
-      const isLastClosed = isBarClosed(lastKline.time, interval);
-
-      klinesCache.set(cacheKey, {
-        klines,
-        timestamp: Date.now(),
-        isLastBarClosed: isLastClosed
-      });
+    await fillStore(symbol, interval, start, end);
+    const klines = candleStore.getCandles(symbol, interval, start, Math.min(end, currentBarStart - timeframeMs));
 
-      console.log(`[Cache] Updated ${symbol} ${interval}, bars: ${klines.length}, lastBarClosed: ${isLastClosed}`);
+    if (end >= currentBarStart) {
+      const forming = await fetchCandles(symbol, interval, { limit: 1 });
+      klines.push(...forming.filter(k => k.time === currentBarStart && k.time <= to));
     }
 
+    console.log(`[Gate.io] Range ${symbol} ${interval}: ${klines.length} bars (store)`);
     return klines;
-  } catch (error) {
-    console.error(`[Gate.io] Error fetching klines for ${symbol}:`, error.message);
-    // 如果API失败但有缓存，返回缓存数据（即使过期）
-    if (cached && cached.klines) {
-      console.log(`[Cache] Returning stale data for ${symbol} ${interval}`);
-      return cached.klines;
+  }
+
+  const start = Math.floor(from / timeframeMs) * timeframeMs;
+  const byTime = new Map();
+  let pageEnd = Math.floor(to / timeframeMs) * timeframeMs;
+
+  while (pageEnd >= start && byTime.size < maxBars) {
+    const pageStart = Math.max(start, pageEnd - (MAX_CANDLES_PER_REQUEST - 1) * timeframeMs);
+
+    const page = await fetchCandles(symbol, interval, {
+      from: Math.floor(pageStart / 1000),
+      to: Math.floor(pageEnd / 1000)
+    });
+
+    for (const kline of page) {
+      if (kline.time >= start && kline.time <= to) {
+        byTime.set(kline.time, kline);
+      }
     }
-    return null;
+
+    // 没有更早的数据（交易对上线之前）
+    if (page.length === 0) break;
+
+    pageEnd = pageStart - timeframeMs;
   }
+
+  const klines = Array.from(byTime.values()).sort((a, b) => a.time - b.time);
+  console.log(`[Gate.io] Range ${symbol} ${interval}: ${klines.length} bars`);
+  return klines.slice(-maxBars);
 }
 
 /**
  * 获取所有交易对的K线数据（带智能缓存）
+ * symbols 可选，默认全部54个交易对
  */
-async function getAllKlines(interval = '4h', limit = 100) {
+async function getAllKlines(interval = '4h', limit = 100, symbols = SYMBOLS_54) {
   const results = {};
 
   // 并发获取所有交易对
-  const promises = SYMBOLS_54.map(async (symbol) => {
+  const promises = symbols.map(async (symbol) => {
     try {
       const klines = await getKlines(symbol, interval, limit);
       if (klines && klines.length > 0) {
@@ -194,12 +530,33 @@ async function getAllKlines(interval = '4h', limit = 100) {
   return results;
 }
 
+/**
+ * 解析Gate.io ticker（REST /spot/tickers 与推送 spot.tickers 字段相同）
+ */
+function parseTicker(ticker) {
+  return {
+    last: parseFloat(ticker.last),
+    high_24h: parseFloat(ticker.high_24h),
+    low_24h: parseFloat(ticker.low_24h),
+    change_percentage: parseFloat(ticker.change_percentage),
+    base_volume: parseFloat(ticker.base_volume),
+    quote_volume: parseFloat(ticker.quote_volume),
+    // 添加标记价格（如果可用）
+    mark_price: parseFloat(ticker.last) // Gate.io spot没有mark price，用last代替
+  };
+}
+
 /**
  * 获取实时价格（带缓存）
  */
 async function getTickers() {
   const now = Date.now();
 
+  // 推送维护中的价格始终是最新的
+  if (priceCache.data && priceCache.streamed) {
+    return priceCache.data;
+  }
+
   // 检查缓存
   if (priceCache.data && (now - priceCache.timestamp) < priceCache.ttl) {
     console.log(`[Cache] Price cache hit, age: ${now - priceCache.timestamp}ms`);
@@ -207,24 +564,11 @@ async function getTickers() {
   }
 
   try {
-    const response = await axios.get(`${BASE_URL}/spot/tickers`, {
-      timeout: 10000
-    });
-
     const tickers = {};
-    for (const ticker of response.data) {
+    for (const ticker of await transport('/spot/tickers', {})) {
       const symbol = ticker.currency_pair;
       if (SYMBOLS_54.includes(symbol)) {
-        tickers[symbol] = {
-          last: parseFloat(ticker.last),
-          high_24h: parseFloat(ticker.high_24h),
-          low_24h: parseFloat(ticker.low_24h),
-          change_percentage: parseFloat(ticker.change_percentage),
-          base_volume: parseFloat(ticker.base_volume),
-          quote_volume: parseFloat(ticker.quote_volume),
-          // 添加标记价格（如果可用）
-          mark_price: parseFloat(ticker.last) // Gate.io spot没有mark price，用last代替
-        };
+        tickers[symbol] = parseTicker(ticker);
       }
     }
 
@@ -253,6 +597,66 @@ async function getTicker(symbol) {
   return tickers[symbol] || null;
 }
 
+/**
+ * 解析交易对规则
+ */
+function parseCurrencyPair(data) {
+  return {
+    symbol: data.id,
+    base: data.base,
+    quote: data.quote,
+    amount_precision: parseInt(data.amount_precision),
+    price_precision: parseInt(data.precision),
+    min_base_amount: data.min_base_amount ? parseFloat(data.min_base_amount) : null,
+    min_quote_amount: data.min_quote_amount ? parseFloat(data.min_quote_amount) : null,
+    trade_status: data.trade_status
+  };
+}
+
+/**
+ * 获取交易对下单规则（数量/价格精度、最小下单量），缓存1小时
+ */
+async function getCurrencyPair(symbol) {
+  const cached = pairCache.get(symbol);
+  if (cached && Date.now() - cached.timestamp < PAIR_CACHE_TTL) {
+    return cached.pair;
+  }
+
+  try {
+    const pair = parseCurrencyPair(await transport(`/spot/currency_pairs/${symbol}`, {}));
+    pairCache.set(symbol, { pair, timestamp: Date.now() });
+    return pair;
+  } catch (error) {
+    console.error(`[Gate.io] Error fetching currency pair ${symbol}:`, error.message);
+    return cached ? cached.pair : null;
+  }
+}
+
+/**
+ * 交易所上可交易的交易对规则（限定在 symbols 内），一次请求全部交易对并写入规则缓存
+ */
+async function getSymbols(symbols = SYMBOLS_54) {
+  const pairs = [];
+  for (const data of await transport('/spot/currency_pairs', {})) {
+    if (!symbols.includes(data.id)) continue;
+    const pair = parseCurrencyPair(data);
+    pairCache.set(pair.symbol, { pair, timestamp: Date.now() });
+    if (pair.trade_status === 'tradable') pairs.push(pair);
+  }
+  return pairs;
+}
+
+/**
+ * 统一交易对名与 Gate.io 交易对名相同（BTC_USDT）
+ */
+function toVenueSymbol(symbol) {
+  return symbol;
+}
+
+function fromVenueSymbol(venueSymbol) {
+  return venueSymbol.toUpperCase();
+}
+
 /**
  * 获取缓存统计信息
  */
@@ -260,6 +664,8 @@ function getCacheStats() {
   const stats = {
     klinesCacheSize: klinesCache.size,
     priceCacheAge: priceCache.data ? Date.now() - priceCache.timestamp : null,
+    priceStreamed: priceCache.streamed,
+    streamedKlines: streamedKeys.size,
     klinesDetails: []
   };
 
@@ -283,19 +689,41 @@ function getCacheStats() {
  */
 function clearCache() {
   klinesCache.clear();
+  streamedKeys.clear();
+  priceCache.streamed = false;
   priceCache.data = null;
   priceCache.timestamp = 0;
   console.log('[Cache] All caches cleared');
 }
 
 module.exports = {
+  venue: 'gateio',
+  market: 'spot',
   SYMBOLS_54,
   TIMEFRAME_MS,
   CACHE_TTL,
+  MAX_CANDLES_PER_REQUEST,
+  MAX_RANGE_BARS,
+  STORE_ENABLED,
   getKlines,
+  refreshKlines,
+  getKlinesRange,
+  fillStore,
   getAllKlines,
   getTickers,
   getTicker,
+  parseTicker,
+  ingestKline,
+  ingestTicker,
+  releaseStream,
+  getCurrencyPair,
+  getSymbols,
+  toVenueSymbol,
+  fromVenueSymbol,
+  setTransport,
+  createFixtureTransport,
+  createRecordingTransport,
+  getFixtureName,
   getCacheStats,
   clearCache,
   getCurrentBarStartTime,
@@ -0,0 +1,463 @@
+/**
+ * Gate.io USDT 永续合约行情客户端
+ *
+ * 接口与 gateio.js 一致（getKlines / getKlinesRange / getAllKlines / getTickers / getTicker / getCurrencyPair），
+ * 可直接作为扫描与触发判断的数据源，另外提供：
+ * - getMarkPriceKlines / getIndexPriceKlines：标记价格 / 指数价格K线（合约名加 mark_ / index_ 前缀）
+ * - getContract：合约规格（合约乘数、杠杆范围、最小下单张数、价格步长、资金费率与结算周期）
+ * - getFundingRateHistory：历史资金费率
+ *
+ * 所有请求经由 transport(endpoint, params) 发出：默认走HTTP，
+ * createFixtureTransport 从录制的响应文件读取（离线验证解析），createRecordingTransport 把线上响应录制成文件。
+ * 合约K线只做内存缓存，不写入本地 candleStore（与现货同名交易对会冲突）。
+ *
+ * 命令行:
+ *   node src/gateioFutures.js --fixtures fixtures/gateio-futures   按录制的响应验证解析
+ *   node src/gateioFutures.js --record fixtures/gateio-futures --symbols BTC_USDT,ETH_USDT
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const {
+  SYMBOLS_54,
+  TIMEFRAME_MS,
+  CACHE_TTL,
+  MAX_CANDLES_PER_REQUEST,
+  MAX_RANGE_BARS,
+  isBarClosed
+} = require('./gateio');
+
+const BASE_URL = 'https://api.gateio.ws/api/v4/futures/usdt';
+
+const FUTURES_CONFIG = {
+  TICKER_TTL_MS: 5000,
+  CONTRACT_TTL_MS: 60 * 60 * 1000,
+  DEFAULT_FUNDING_INTERVAL_SECONDS: 8 * 60 * 60,
+  VERIFY_INTERVAL: '1h',
+  VERIFY_BARS: 5
+};
+
+// K线价格类型对应的合约名前缀
+const PRICE_TYPE_PREFIX = {
+  last: '',
+  mark: 'mark_',
+  index: 'index_'
+};
+
+/**
+ * 默认HTTP请求
+ */
+async function httpTransport(endpoint, params = {}) {
+  const response = await axios.get(`${BASE_URL}${endpoint}`, { params, timeout: 10000 });
+  return response.data;
+}
+
+/**
+ * 录制文件名：/candlesticks + { contract: 'mark_BTC_USDT', interval: '1h' } -> candlesticks_mark_BTC_USDT_1h.json
+ */
+function getFixtureName(endpoint, params = {}) {
+  return [endpoint.replace(/^\//, '').replace(/\//g, '_'), params.contract, params.interval]
+    .filter(Boolean)
+    .join('_') + '.json';
+}
+
+/**
+ * 从录制文件读取响应；K线按请求的 from / to / limit 截取
+ */
+function createFixtureTransport(dir) {
+  return async (endpoint, params = {}) => {
+    const file = path.join(dir, getFixtureName(endpoint, params));
+    if (!fs.existsSync(file)) {
+      throw new Error(`Fixture not found: ${path.basename(file)}`);
+    }
+
+    let data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (endpoint === '/candlesticks') {
+      data = data.filter(c => (params.from === undefined || c.t >= params.from) &&
+        (params.to === undefined || c.t <= params.to));
+      if (params.limit) data = data.slice(-params.limit);
+    } else if (endpoint === '/funding_rate' && params.limit) {
+      data = data.slice(0, params.limit);
+    }
+    return data;
+  };
+}
+
+/**
+ * 转发到 inner 并把响应写入录制文件
+ */
+function createRecordingTransport(dir, inner = httpTransport) {
+  fs.mkdirSync(dir, { recursive: true });
+  return async (endpoint, params = {}) => {
+    const data = await inner(endpoint, params);
+    fs.writeFileSync(path.join(dir, getFixtureName(endpoint, params)), JSON.stringify(data, null, 2));
+    return data;
+  };
+}
+
+/**
+ * 解析合约K线: { t: 秒, v: 张数, c, h, l, o, sum: 成交额 }，标记/指数价格K线没有成交量
+ */
+function parseCandles(data) {
+  return data.map(candle => ({
+    time: parseInt(candle.t) * 1000,
+    volume: candle.v !== undefined ? parseFloat(candle.v) : 0,
+    close: parseFloat(candle.c),
+    high: parseFloat(candle.h),
+    low: parseFloat(candle.l),
+    open: parseFloat(candle.o)
+  })).sort((a, b) => a.time - b.time);
+}
+
+/**
+ * 精度（小数位数），步长为10的整数次幂时与步长一致，如 0.0001 -> 4、10 -> -1
+ */
+function getPrecision(step) {
+  return step > 0 ? Math.round(-Math.log10(step)) : null;
+}
+
+/**
+ * 解析合约规格
+ */
+function parseContract(data) {
+  const multiplier = parseFloat(data.quanto_multiplier);
+  return {
+    symbol: data.name,
+    type: data.type,
+    quanto_multiplier: multiplier,
+    leverage_min: parseFloat(data.leverage_min),
+    leverage_max: parseFloat(data.leverage_max),
+    maintenance_rate: parseFloat(data.maintenance_rate),
+    order_size_min: parseInt(data.order_size_min),
+    order_size_max: parseInt(data.order_size_max),
+    order_price_round: parseFloat(data.order_price_round),
+    mark_price: parseFloat(data.mark_price),
+    index_price: parseFloat(data.index_price),
+    last_price: parseFloat(data.last_price),
+    maker_fee_rate: parseFloat(data.maker_fee_rate),
+    taker_fee_rate: parseFloat(data.taker_fee_rate),
+    funding_rate: parseFloat(data.funding_rate),
+    funding_interval: parseInt(data.funding_interval) || FUTURES_CONFIG.DEFAULT_FUNDING_INTERVAL_SECONDS,
+    funding_next_apply: data.funding_next_apply ? parseInt(data.funding_next_apply) * 1000 : null,
+    in_delisting: data.in_delisting === true
+  };
+}
+
+/**
+ * 创建合约行情客户端
+ * options: { transport, symbols }
+ */
+function createFuturesClient(options = {}) {
+  const transport = options.transport || httpTransport;
+  const symbols = options.symbols || SYMBOLS_54;
+
+  // K线缓存: { contract_interval: { klines, limit, timestamp } }
+  const klinesCache = new Map();
+  const contractCache = new Map();
+  const tickerCache = { data: null, timestamp: 0 };
+
+  async function fetchCandles(contract, interval, params) {
+    return parseCandles(await transport('/candlesticks', { contract, interval, ...params }));
+  }
+
+  /**
+   * 最近 limit 根K线（带缓存，TTL同现货）
+   */
+  async function loadKlines(symbol, interval, limit, priceType) {
+    const contract = `${PRICE_TYPE_PREFIX[priceType]}${symbol}`;
+    const cacheKey = `${contract}_${interval}`;
+    const cached = klinesCache.get(cacheKey);
+    const ttlConfig = CACHE_TTL[interval] || CACHE_TTL['4h'];
+
+    if (cached && cached.limit >= limit) {
+      const lastKline = cached.klines[cached.klines.length - 1];
+      const ttl = isBarClosed(lastKline.time, interval) ? ttlConfig.history : ttlConfig.last;
+      if (Date.now() - cached.timestamp < ttl) {
+        return cached.klines.slice(-limit);
+      }
+    }
+
+    try {
+      const klines = await fetchCandles(contract, interval, { limit });
+      if (klines.length > 0) {
+        klinesCache.set(cacheKey, { klines, limit, timestamp: Date.now() });
+      }
+      return klines;
+    } catch (error) {
+      console.error(`[Gate.io Futures] Error fetching klines for ${contract}:`, error.message);
+      return cached ? cached.klines : null;
+    }
+  }
+
+  async function getKlines(symbol, interval = '4h', limit = 100) {
+    return loadKlines(symbol, interval, limit, 'last');
+  }
+
+  async function getMarkPriceKlines(symbol, interval = '4h', limit = 100) {
+    return loadKlines(symbol, interval, limit, 'mark');
+  }
+
+  async function getIndexPriceKlines(symbol, interval = '4h', limit = 100) {
+    return loadKlines(symbol, interval, limit, 'index');
+  }
+
+  /**
+   * 按时间区间获取K线（毫秒时间戳，含两端），从 to 向前翻页
+   * options: { maxBars, priceType: last / mark / index }
+   */
+  async function getKlinesRange(symbol, interval, from, to = Date.now(), rangeOptions = {}) {
+    const timeframeMs = TIMEFRAME_MS[interval];
+    if (!timeframeMs) {
+      throw new Error(`Unsupported interval: ${interval}`);
+    }
+
+    const { maxBars = MAX_RANGE_BARS, priceType = 'last' } = rangeOptions;
+    const contract = `${PRICE_TYPE_PREFIX[priceType]}${symbol}`;
+    const start = Math.floor(from / timeframeMs) * timeframeMs;
+    const byTime = new Map();
+    let pageEnd = Math.floor(to / timeframeMs) * timeframeMs;
+
+    while (pageEnd >= start && byTime.size < maxBars) {
+      const pageStart = Math.max(start, pageEnd - (MAX_CANDLES_PER_REQUEST - 1) * timeframeMs);
+      const page = await fetchCandles(contract, interval, {
+        from: Math.floor(pageStart / 1000),
+        to: Math.floor(pageEnd / 1000)
+      });
+
+      for (const kline of page) {
+        if (kline.time >= start && kline.time <= to) byTime.set(kline.time, kline);
+      }
+      if (page.length === 0) break;
+
+      pageEnd = pageStart - timeframeMs;
+    }
+
+    const klines = Array.from(byTime.values()).sort((a, b) => a.time - b.time);
+    console.log(`[Gate.io Futures] Range ${contract} ${interval}: ${klines.length} bars`);
+    return klines.slice(-maxBars);
+  }
+
+  async function getAllKlines(interval = '4h', limit = 100, symbolList = symbols) {
+    const results = {};
+    const settled = await Promise.allSettled(symbolList.map(async symbol => {
+      const klines = await getKlines(symbol, interval, limit);
+      return klines && klines.length > 0 ? { symbol, klines } : null;
+    }));
+
+    for (const result of settled) {
+      if (result.status === 'fulfilled' && result.value) {
+        results[result.value.symbol] = result.value.klines;
+      }
+    }
+
+    console.log(`[Gate.io Futures] Fetched klines for ${Object.keys(results).length} contracts (${interval})`);
+    return results;
+  }
+
+  /**
+   * 合约行情（最新成交价、标记价格、指数价格、当前资金费率）
+   */
+  async function getTickers() {
+    if (tickerCache.data && Date.now() - tickerCache.timestamp < FUTURES_CONFIG.TICKER_TTL_MS) {
+      return tickerCache.data;
+    }
+
+    try {
+      const tickers = {};
+      for (const ticker of await transport('/tickers', {})) {
+        if (!symbols.includes(ticker.contract)) continue;
+        tickers[ticker.contract] = {
+          last: parseFloat(ticker.last),
+          high_24h: parseFloat(ticker.high_24h),
+          low_24h: parseFloat(ticker.low_24h),
+          change_percentage: parseFloat(ticker.change_percentage),
+          base_volume: parseFloat(ticker.volume_24h_base),
+          quote_volume: parseFloat(ticker.volume_24h_quote),
+          mark_price: parseFloat(ticker.mark_price),
+          index_price: parseFloat(ticker.index_price),
+          funding_rate: parseFloat(ticker.funding_rate),
+          funding_rate_indicative: parseFloat(ticker.funding_rate_indicative)
+        };
+      }
+
+      tickerCache.data = tickers;
+      tickerCache.timestamp = Date.now();
+      return tickers;
+    } catch (error) {
+      console.error('[Gate.io Futures] Error fetching tickers:', error.message);
+      return tickerCache.data || {};
+    }
+  }
+
+  async function getTicker(symbol) {
+    const tickers = await getTickers();
+    return tickers[symbol] || null;
+  }
+
+  /**
+   * 合约规格，缓存1小时
+   */
+  async function getContract(symbol) {
+    const cached = contractCache.get(symbol);
+    if (cached && Date.now() - cached.timestamp < FUTURES_CONFIG.CONTRACT_TTL_MS) {
+      return cached.contract;
+    }
+
+    try {
+      const contract = parseContract(await transport(`/contracts/${symbol}`, {}));
+      contractCache.set(symbol, { contract, timestamp: Date.now() });
+      return contract;
+    } catch (error) {
+      console.error(`[Gate.io Futures] Error fetching contract ${symbol}:`, error.message);
+      return cached ? cached.contract : null;
+    }
+  }
+
+  /**
+   * 按合约规格换算成与现货一致的下单规则（数量以币计，1张 = quanto_multiplier 个币）
+   */
+  async function getCurrencyPair(symbol) {
+    const contract = await getContract(symbol);
+    if (!contract) return null;
+
+    const [base, quote] = symbol.split('_');
+    return {
+      symbol,
+      base,
+      quote,
+      amount_precision: getPrecision(contract.quanto_multiplier),
+      price_precision: getPrecision(contract.order_price_round),
+      min_base_amount: contract.order_size_min * contract.quanto_multiplier,
+      min_quote_amount: null,
+      trade_status: contract.in_delisting ? 'delisting' : 'tradable',
+      contract_size: contract.quanto_multiplier,
+      leverage_max: contract.leverage_max
+    };
+  }
+
+  /**
+   * 历史资金费率（最新在前）: [{ time, rate }]
+   */
+  async function getFundingRateHistory(symbol, limit = 100) {
+    const data = await transport('/funding_rate', { contract: symbol, limit });
+    return data.map(item => ({ time: parseInt(item.t) * 1000, rate: parseFloat(item.r) }));
+  }
+
+  function clearCache() {
+    klinesCache.clear();
+    contractCache.clear();
+    tickerCache.data = null;
+    tickerCache.timestamp = 0;
+  }
+
+  return {
+    venue: 'gateio',
+    market: 'futures',
+    getKlines,
+    getMarkPriceKlines,
+    getIndexPriceKlines,
+    getKlinesRange,
+    getAllKlines,
+    getTickers,
+    getTicker,
+    getContract,
+    getCurrencyPair,
+    getFundingRateHistory,
+    clearCache
+  };
+}
+
+/**
+ * 解析命令行参数：--key value / --flag
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+/**
+ * 解析结果中不应出现 NaN
+ */
+function assertNumbers(label, value) {
+  const invalid = Object.entries(value).filter(([, v]) => typeof v === 'number' && Number.isNaN(v));
+  if (invalid.length > 0) {
+    throw new Error(`${label}: unparsed fields ${invalid.map(([k]) => k).join(', ')}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const dir = args.fixtures || args.record;
+  if (!dir || dir === true) {
+    console.log('Usage: node src/gateioFutures.js --fixtures <dir> | --record <dir> [--symbols BTC_USDT,ETH_USDT]');
+    process.exit(1);
+  }
+
+  const symbols = args.symbols ? String(args.symbols).split(',').map(s => s.trim().toUpperCase()) : ['BTC_USDT', 'ETH_USDT'];
+  const transport = args.record ? createRecordingTransport(dir) : createFixtureTransport(dir);
+  const client = createFuturesClient({ transport, symbols });
+  const interval = args.interval || FUTURES_CONFIG.VERIFY_INTERVAL;
+  const bars = FUTURES_CONFIG.VERIFY_BARS;
+
+  const tickers = await client.getTickers();
+  for (const symbol of symbols) {
+    const contract = await client.getContract(symbol);
+    if (!contract) throw new Error(`${symbol}: contract unavailable`);
+    assertNumbers(`${symbol} contract`, contract);
+
+    const ticker = tickers[symbol];
+    if (!ticker) throw new Error(`${symbol}: ticker missing`);
+    assertNumbers(`${symbol} ticker`, ticker);
+
+    const series = {
+      last: await client.getKlines(symbol, interval, bars),
+      mark: await client.getMarkPriceKlines(symbol, interval, bars),
+      index: await client.getIndexPriceKlines(symbol, interval, bars)
+    };
+    for (const [type, klines] of Object.entries(series)) {
+      if (!klines || klines.length === 0) throw new Error(`${symbol}: no ${type} klines`);
+      klines.forEach(k => assertNumbers(`${symbol} ${type} kline`, k));
+    }
+
+    const funding = await client.getFundingRateHistory(symbol, 3);
+    funding.forEach(f => assertNumbers(`${symbol} funding`, f));
+
+    const lastMark = series.mark[series.mark.length - 1];
+    console.log(`${symbol}: multiplier ${contract.quanto_multiplier}, leverage ${contract.leverage_min}-${contract.leverage_max}x, ` +
+      `last ${ticker.last}, mark ${ticker.mark_price}, index ${ticker.index_price}, funding ${ticker.funding_rate}, ` +
+      `${interval} bars ${series.last.length}/${series.mark.length}/${series.index.length} ` +
+      `(mark close ${lastMark.close} @ ${new Date(lastMark.time).toISOString()}), funding history ${funding.length}`);
+  }
+
+  console.log(args.record ? `Recorded responses to ${dir}` : `Fixtures in ${dir} parsed OK`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('[Gate.io Futures] Failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  FUTURES_CONFIG,
+  PRICE_TYPE_PREFIX,
+  createFuturesClient,
+  createFixtureTransport,
+  createRecordingTransport,
+  getFixtureName,
+  parseCandles,
+  parseContract
+};
@@ -0,0 +1,485 @@
+/**
+ * Gate.io 现货行情推送（WebSocket v4）
+ *
+ * 订阅 spot.tickers 与 spot.candlesticks，把推送直接写入 gateio.js 的价格与K线缓存，
+ * 推送在线时扫描与触发判断不再按TTL轮询REST：
+ * - 连接后逐个（交易对, 周期）用REST补齐K线缓存，之后的推送按bar追加/替换
+ * - 推送出现断档（跳过了bar）时对该序列重新走REST补齐
+ * - 断线后指数退避重连并重新订阅，断线期间缓存恢复按TTL过期，重连后整体补齐
+ * - 超过 STALE_MS 没有任何消息（含 pong）视为连接失效，主动断开重连
+ * - 价格变化按 FLUSH_MS 合批回调 onTickers({ symbol: ticker })，驱动信号生命周期触发判断
+ *
+ * MARKET_STREAM_RECORD 指定文件时把收到的推送逐行追加写入（JSONL），可用 gateioStreamReplay.js 回放。
+ *
+ * 命令行（本地回放录制的推送，REST 补齐读取录制的响应，验证重连、重新订阅与补齐）:
+ *   node src/gateioStream.js --replay fixtures/gateio-ws/spot_1h.jsonl --fixtures fixtures/gateio
+ */
+
+const fs = require('fs');
+const WebSocket = require('ws');
+const gateio = require('./gateio');
+
+const STREAM_CONFIG = {
+  ENABLED: process.env.MARKET_STREAM === 'true',
+  URL: process.env.GATEIO_WS_URL || 'wss://api.gateio.ws/ws/v4/',
+  INTERVALS: (process.env.MARKET_STREAM_INTERVALS || '1m,15m,1h,4h').split(',').map(s => s.trim()).filter(Boolean),
+  RECORD_FILE: process.env.MARKET_STREAM_RECORD || null,
+  BACKFILL_BARS: 200,             // 补齐时缓存的K线数量
+  BACKFILL_DELAY_MS: 50,          // 补齐请求间隔，避免触发REST限频
+  BACKFILL_RETRY_MS: 10000,       // 补齐失败后该序列的冷却时间
+  PING_INTERVAL_MS: 10000,
+  STALE_MS: 30000,
+  RECONNECT_MIN_MS: 1000,
+  RECONNECT_MAX_MS: 60000,
+  FLUSH_MS: 1000
+};
+
+let ws = null;
+let options = {};
+let symbols = [];
+let intervals = [];
+let onTickers = () => {};
+let pingTimer = null;
+let flushTimer = null;
+let reconnectTimer = null;
+let recordStream = null;
+let stopped = true;
+let attempts = 0;
+let lastMessageAt = 0;
+
+// 价格变化合批: { symbol: ticker }
+let pendingTickers = {};
+
+// 待补齐的序列: interval_symbol，正在补齐的序列与失败时间
+const backfillQueue = new Set();
+const backfillFailedAt = new Map();
+let backfilling = null;
+let backfillRunning = false;
+
+const streamStatus = {
+  running: false,
+  connected: false,
+  url: null,
+  symbols: 0,
+  intervals: [],
+  connects: 0,
+  reconnects: 0,
+  last_connect: null,
+  last_message: null,
+  last_error: null,
+  tickers: 0,
+  candles: 0,
+  backfills: 0,
+  backfill_errors: 0,
+  gaps: 0
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * 解析 spot.candlesticks 推送: { t(秒), v(成交额), c, h, l, o, n: 周期_交易对, a(成交量), w(是否收盘) }
+ */
+function parseStreamCandle(result) {
+  const separator = result.n.indexOf('_');
+  return {
+    interval: result.n.slice(0, separator),
+    symbol: result.n.slice(separator + 1),
+    kline: {
+      time: parseInt(result.t) * 1000,
+      open: parseFloat(result.o),
+      high: parseFloat(result.h),
+      low: parseFloat(result.l),
+      close: parseFloat(result.c),
+      volume: parseFloat(result.v)
+    }
+  };
+}
+
+/**
+ * 订阅请求
+ */
+function buildRequest(channel, event, payload) {
+  return { time: nowSeconds(), channel, event, payload };
+}
+
+/**
+ * 当前配置的全部订阅：tickers 一条，candlesticks 每个（周期, 交易对）一条
+ */
+function buildSubscriptions() {
+  const requests = [buildRequest('spot.tickers', 'subscribe', symbols)];
+  for (const interval of intervals) {
+    for (const symbol of symbols) {
+      requests.push(buildRequest('spot.candlesticks', 'subscribe', [interval, symbol]));
+    }
+  }
+  return requests;
+}
+
+function send(socket, message) {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * 排队补齐一个序列（冷却中或已在队列中时忽略）
+ */
+function requestBackfill(symbol, interval) {
+  const key = `${interval}_${symbol}`;
+  if (backfilling === key || backfillQueue.has(key)) return;
+  if (Date.now() - (backfillFailedAt.get(key) || 0) < STREAM_CONFIG.BACKFILL_RETRY_MS) return;
+
+  backfillQueue.add(key);
+  runBackfill();
+}
+
+/**
+ * 依次补齐队列中的序列
+ */
+async function runBackfill() {
+  if (backfillRunning) return;
+  backfillRunning = true;
+
+  while (backfillQueue.size > 0 && !stopped) {
+    const key = backfillQueue.values().next().value;
+    backfillQueue.delete(key);
+    backfilling = key;
+
+    const separator = key.indexOf('_');
+    const interval = key.slice(0, separator);
+    const symbol = key.slice(separator + 1);
+    try {
+      await gateio.refreshKlines(symbol, interval, options.backfillBars || STREAM_CONFIG.BACKFILL_BARS);
+      backfillFailedAt.delete(key);
+      streamStatus.backfills++;
+    } catch (error) {
+      console.error(`[GateioStream] Backfill failed for ${symbol} ${interval}:`, error.message);
+      backfillFailedAt.set(key, Date.now());
+      streamStatus.backfill_errors++;
+      streamStatus.last_error = error.message;
+    }
+
+    backfilling = null;
+    await sleep(options.backfillDelayMs ?? STREAM_CONFIG.BACKFILL_DELAY_MS);
+  }
+
+  backfillRunning = false;
+}
+
+/**
+ * 连接后补齐：价格快照与全部K线序列
+ */
+async function backfillAll() {
+  try {
+    await gateio.getTickers();
+  } catch (error) {
+    console.error('[GateioStream] Ticker snapshot failed:', error.message);
+  }
+
+  backfillFailedAt.clear();
+  for (const interval of intervals) {
+    for (const symbol of symbols) {
+      requestBackfill(symbol, interval);
+    }
+  }
+}
+
+function handleTicker(result) {
+  const symbol = result.currency_pair;
+  if (!symbols.includes(symbol)) return;
+
+  const ticker = gateio.parseTicker(result);
+  gateio.ingestTicker(symbol, ticker);
+  pendingTickers[symbol] = ticker;
+  streamStatus.tickers++;
+}
+
+function handleCandle(result) {
+  if (!result.n) return;
+  const { symbol, interval, kline } = parseStreamCandle(result);
+  if (!symbols.includes(symbol) || !intervals.includes(interval)) return;
+
+  streamStatus.candles++;
+  if (gateio.ingestKline(symbol, interval, kline)) return;
+
+  // 未补齐（补齐中或补齐失败）或出现断档
+  const key = `${interval}_${symbol}`;
+  if (backfilling !== key && !backfillQueue.has(key) && !backfillFailedAt.has(key)) {
+    streamStatus.gaps++;
+  }
+  requestBackfill(symbol, interval);
+}
+
+function handleMessage(data) {
+  let message;
+  try {
+    message = JSON.parse(data.toString());
+  } catch (error) {
+    return;
+  }
+
+  lastMessageAt = Date.now();
+  streamStatus.last_message = lastMessageAt;
+
+  if (message.error) {
+    console.error(`[GateioStream] ${message.channel} ${message.event} error:`, message.error.message);
+    streamStatus.last_error = message.error.message;
+    return;
+  }
+  if (message.event !== 'update' || !message.result) return;
+
+  if (recordStream) recordStream.write(JSON.stringify(message) + '\n');
+
+  const results = Array.isArray(message.result) ? message.result : [message.result];
+  for (const result of results) {
+    if (message.channel === 'spot.tickers') handleTicker(result);
+    else if (message.channel === 'spot.candlesticks') handleCandle(result);
+  }
+}
+
+/**
+ * 合批回调价格变化
+ */
+function flushTickers() {
+  if (Object.keys(pendingTickers).length === 0) return;
+  const tickers = pendingTickers;
+  pendingTickers = {};
+
+  Promise.resolve()
+    .then(() => onTickers(tickers))
+    .catch(error => console.error('[GateioStream] Ticker callback failed:', error.message));
+}
+
+/**
+ * 心跳：发送 spot.ping，长时间没有消息时断开重连
+ */
+function heartbeat() {
+  if (!ws) return;
+  if (Date.now() - lastMessageAt > (options.staleMs || STREAM_CONFIG.STALE_MS)) {
+    console.warn('[GateioStream] No messages received, reconnecting');
+    ws.terminate();
+    return;
+  }
+  send(ws, { time: nowSeconds(), channel: 'spot.ping' });
+}
+
+function scheduleReconnect() {
+  if (stopped || reconnectTimer) return;
+
+  const min = options.reconnectMinMs || STREAM_CONFIG.RECONNECT_MIN_MS;
+  const delay = Math.min(min * 2 ** attempts, STREAM_CONFIG.RECONNECT_MAX_MS);
+  attempts++;
+
+  console.log(`[GateioStream] Reconnecting in ${delay}ms (attempt ${attempts})`);
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    streamStatus.reconnects++;
+    connect();
+  }, delay);
+}
+
+function connect() {
+  const socket = new WebSocket(streamStatus.url);
+  ws = socket;
+
+  socket.on('open', () => {
+    attempts = 0;
+    lastMessageAt = Date.now();
+    streamStatus.connected = true;
+    streamStatus.connects++;
+    streamStatus.last_connect = lastMessageAt;
+
+    const requests = buildSubscriptions();
+    requests.forEach(request => send(socket, request));
+    console.log(`[GateioStream] Connected to ${streamStatus.url}, ${requests.length} subscriptions`);
+
+    backfillAll();
+  });
+
+  socket.on('message', handleMessage);
+
+  socket.on('error', error => {
+    console.error('[GateioStream] Connection error:', error.message);
+    streamStatus.last_error = error.message;
+  });
+
+  socket.on('close', () => {
+    if (ws !== socket) return;
+    ws = null;
+    if (streamStatus.connected) {
+      console.warn('[GateioStream] Disconnected');
+    }
+    streamStatus.connected = false;
+    gateio.releaseStream();
+    scheduleReconnect();
+  });
+}
+
+/**
+ * 启动行情推送
+ * options: { url, symbols, intervals, onTickers, backfillBars, backfillDelayMs, reconnectMinMs, staleMs, recordFile }
+ */
+function initMarketStream(initOptions = {}) {
+  stopMarketStream();
+
+  options = initOptions;
+  symbols = initOptions.symbols || gateio.SYMBOLS_54;
+  intervals = (initOptions.intervals || STREAM_CONFIG.INTERVALS).filter(interval => gateio.TIMEFRAME_MS[interval]);
+  onTickers = initOptions.onTickers || (() => {});
+  stopped = false;
+  attempts = 0;
+
+  Object.assign(streamStatus, {
+    running: true,
+    url: initOptions.url || STREAM_CONFIG.URL,
+    symbols: symbols.length,
+    intervals
+  });
+
+  const recordFile = initOptions.recordFile || STREAM_CONFIG.RECORD_FILE;
+  if (recordFile) {
+    recordStream = fs.createWriteStream(recordFile, { flags: 'a' });
+    console.log(`[GateioStream] Recording frames to ${recordFile}`);
+  }
+
+  pingTimer = setInterval(heartbeat, STREAM_CONFIG.PING_INTERVAL_MS);
+  flushTimer = setInterval(flushTickers, initOptions.flushMs || STREAM_CONFIG.FLUSH_MS);
+
+  console.log(`[GateioStream] Started, ${symbols.length} symbols, intervals: ${intervals.join(', ')}`);
+  connect();
+}
+
+function stopMarketStream() {
+  stopped = true;
+  if (pingTimer) clearInterval(pingTimer);
+  if (flushTimer) clearInterval(flushTimer);
+  if (reconnectTimer) clearTimeout(reconnectTimer);
+  pingTimer = null;
+  flushTimer = null;
+  reconnectTimer = null;
+
+  if (ws) {
+    const socket = ws;
+    ws = null;
+    socket.terminate();
+  }
+  if (recordStream) {
+    recordStream.end();
+    recordStream = null;
+  }
+
+  backfillQueue.clear();
+  pendingTickers = {};
+  gateio.releaseStream();
+  streamStatus.running = false;
+  streamStatus.connected = false;
+}
+
+function getStreamStatus() {
+  return { ...streamStatus, backfill_pending: backfillQueue.size + (backfilling ? 1 : 0) };
+}
+
+/**
+ * 解析命令行参数：--key value
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) args[argv[i].slice(2)] = argv[i + 1];
+  }
+  return args;
+}
+
+/**
+ * 本地回放验证：回放中途断开一次，结束时缓存应与最后一条推送一致
+ */
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.replay || !args.fixtures) {
+    console.log('Usage: node src/gateioStream.js --replay <frames.jsonl> --fixtures <gateio fixtures dir>');
+    process.exit(1);
+  }
+
+  const { createStreamReplay, loadFrames } = require('./gateioStreamReplay');
+  const frames = loadFrames(args.replay);
+  const expected = { candles: {}, tickers: {} };
+  for (const frame of frames) {
+    if (frame.channel === 'spot.candlesticks') {
+      const { symbol, interval, kline } = parseStreamCandle(frame.result);
+      expected.candles[`${symbol}_${interval}`] = { symbol, interval, kline };
+    } else if (frame.channel === 'spot.tickers') {
+      expected.tickers[frame.result.currency_pair] = parseFloat(frame.result.last);
+    }
+  }
+  const candles = Object.values(expected.candles);
+
+  gateio.setTransport(gateio.createFixtureTransport(args.fixtures));
+  const replay = createStreamReplay({ frames, intervalMs: 100, dropAfter: Math.floor(frames.length / 3) });
+  const port = await replay.listen(0);
+
+  let batches = 0;
+  initMarketStream({
+    url: `ws://localhost:${port}`,
+    symbols: Object.keys(expected.tickers),
+    intervals: [...new Set(candles.map(c => c.interval))],
+    onTickers: () => { batches++; },
+    backfillDelayMs: 0,
+    reconnectMinMs: 200,
+    flushMs: 100
+  });
+
+  await replay.done();
+  await sleep(300);
+
+  const status = getStreamStatus();
+  const errors = [];
+  if (status.connects < 2) errors.push(`expected a reconnect, connected ${status.connects} time(s)`);
+  if (batches === 0) errors.push('no ticker batches delivered');
+
+  for (const { symbol, interval, kline } of candles) {
+    const klines = await gateio.getKlines(symbol, interval, 3);
+    const last = klines && klines[klines.length - 1];
+    if (!last || last.time !== kline.time || last.close !== kline.close) {
+      errors.push(`${symbol} ${interval}: cache ends at ${last ? `${last.time}/${last.close}` : 'none'}, ` +
+        `expected ${kline.time}/${kline.close}`);
+    } else if (klines.some((k, i) => i > 0 && k.time - klines[i - 1].time !== gateio.TIMEFRAME_MS[interval])) {
+      errors.push(`${symbol} ${interval}: cached bars are not contiguous`);
+    }
+  }
+
+  const tickers = await gateio.getTickers();
+  for (const [symbol, last] of Object.entries(expected.tickers)) {
+    if (!tickers[symbol] || tickers[symbol].last !== last) {
+      errors.push(`${symbol}: ticker ${tickers[symbol] ? tickers[symbol].last : 'missing'}, expected ${last}`);
+    }
+  }
+
+  stopMarketStream();
+  await replay.close();
+
+  console.log(`Replayed ${frames.length} frames: connects ${status.connects}, tickers ${status.tickers}, ` +
+    `candles ${status.candles}, backfills ${status.backfills}, gaps ${status.gaps}, batches ${batches}`);
+  if (errors.length > 0) throw new Error(errors.join('; '));
+  console.log('Stream cache matches the last replayed frames');
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('[GateioStream] Failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  STREAM_CONFIG,
+  parseStreamCandle,
+  initMarketStream,
+  stopMarketStream,
+  getStreamStatus
+};
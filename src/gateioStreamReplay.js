@@ -0,0 +1,234 @@
+/**
+ * 本地 Gate.io 行情推送回放（离线测试 gateioStream）
+ *
+ * 按 Gate.io WebSocket v4 协议应答 subscribe / unsubscribe 与 spot.ping，
+ * 把录制的推送（JSONL，每行一条 update 消息，见 MARKET_STREAM_RECORD）按顺序发给订阅了对应频道的连接：
+ *   spot.tickers 按 result.currency_pair，spot.candlesticks 按 result.n（周期_交易对）匹配订阅
+ *
+ * 回放像线上行情一样不等客户端：第一个连接建立后开始，断线期间的推送不会补发。
+ * - intervalMs 固定间隔发送；否则按录制的 time_ms 间隔除以 speed
+ * - dropAfter 发送该条数后断开全部连接一次（测试重连、重新订阅与断档补齐）
+ * - loop 播完后从头循环
+ *
+ * 命令行:
+ *   node src/gateioStreamReplay.js --file fixtures/gateio-ws/spot_1h.jsonl --port 4200 --interval-ms 500 --loop true
+ * 然后以 MARKET_STREAM=true GATEIO_WS_URL=ws://localhost:4200 启动服务器
+ */
+
+const fs = require('fs');
+const http = require('http');
+const WebSocket = require('ws');
+
+const REPLAY_CONFIG = {
+  PORT: 4200,
+  SPEED: 1,
+  MAX_DELAY_MS: 5000   // 录制间隔过长时的等待上限
+};
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * 读取录制的推送（JSONL，忽略空行）
+ */
+function loadFrames(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+/**
+ * 推送对应的订阅 key: channel:交易对 或 channel:周期_交易对
+ */
+function getFrameTopic(frame) {
+  const result = frame.result || {};
+  if (frame.channel === 'spot.tickers') return `spot.tickers:${result.currency_pair}`;
+  if (frame.channel === 'spot.candlesticks') return `spot.candlesticks:${result.n}`;
+  return null;
+}
+
+/**
+ * 订阅请求对应的 key 列表
+ */
+function getRequestTopics(message) {
+  const payload = Array.isArray(message.payload) ? message.payload : [];
+  if (message.channel === 'spot.tickers') return payload.map(symbol => `spot.tickers:${symbol}`);
+  if (message.channel === 'spot.candlesticks' && payload.length === 2) {
+    return [`spot.candlesticks:${payload[0]}_${payload[1]}`];
+  }
+  return null;
+}
+
+/**
+ * 创建回放服务，options: { frames | file, intervalMs, speed, dropAfter, loop }
+ */
+function createStreamReplay(options = {}) {
+  const frames = options.frames || loadFrames(options.file);
+  const speed = options.speed || REPLAY_CONFIG.SPEED;
+
+  const server = http.createServer();
+  const wss = new WebSocket.Server({ server });
+  const subscriptions = new Map();
+
+  let cursor = 0;
+  let sent = 0;
+  let dropped = false;
+  let timer = null;
+  let finished = false;
+  const waiting = [];
+
+  function reply(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ time: nowSeconds(), time_ms: Date.now(), ...message }));
+    }
+  }
+
+  function handleRequest(ws, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      reply(ws, { channel: '', event: '', error: { code: 1, message: 'invalid json' }, result: null });
+      return;
+    }
+
+    if (message.channel === 'spot.ping') {
+      reply(ws, { channel: 'spot.pong', event: '', result: null });
+      return;
+    }
+
+    const topics = getRequestTopics(message);
+    if (!topics || !['subscribe', 'unsubscribe'].includes(message.event)) {
+      reply(ws, {
+        channel: message.channel,
+        event: message.event,
+        error: { code: 2, message: `unknown channel or event: ${message.channel} ${message.event}` },
+        result: null
+      });
+      return;
+    }
+
+    const topicSet = subscriptions.get(ws);
+    topics.forEach(topic => (message.event === 'subscribe' ? topicSet.add(topic) : topicSet.delete(topic)));
+    reply(ws, { channel: message.channel, event: message.event, payload: message.payload, result: { status: 'success' } });
+    start();
+  }
+
+  function finish() {
+    finished = true;
+    waiting.splice(0).forEach(resolve => resolve());
+  }
+
+  /**
+   * 发送下一条推送并安排下一条
+   */
+  function step() {
+    timer = null;
+    if (cursor >= frames.length) {
+      if (!options.loop) {
+        finish();
+        return;
+      }
+      cursor = 0;
+    }
+
+    const frame = frames[cursor++];
+    const topic = getFrameTopic(frame);
+    const message = JSON.stringify(frame);
+    for (const [ws, topics] of subscriptions) {
+      if (topics.has(topic) && ws.readyState === WebSocket.OPEN) ws.send(message);
+    }
+    sent++;
+
+    if (options.dropAfter && !dropped && sent >= options.dropAfter) {
+      dropped = true;
+      console.log(`[StreamReplay] Dropping ${subscriptions.size} connection(s) after ${sent} frames`);
+      for (const ws of subscriptions.keys()) ws.terminate();
+    }
+
+    const next = frames[cursor];
+    const delay = options.intervalMs !== undefined || !next
+      ? (options.intervalMs || 0)
+      : Math.min(Math.max((next.time_ms - frame.time_ms) / speed, 0), REPLAY_CONFIG.MAX_DELAY_MS);
+    timer = setTimeout(step, delay);
+  }
+
+  function start() {
+    if (timer || finished || cursor > 0) return;
+    timer = setTimeout(step, options.intervalMs || 0);
+  }
+
+  wss.on('connection', ws => {
+    subscriptions.set(ws, new Set());
+    ws.on('message', data => handleRequest(ws, data));
+    ws.on('close', () => subscriptions.delete(ws));
+  });
+
+  return {
+    /**
+     * 监听端口（0 为随机端口），返回实际端口
+     */
+    listen(port = REPLAY_CONFIG.PORT) {
+      return new Promise(resolve => {
+        server.listen(port, () => resolve(server.address().port));
+      });
+    },
+
+    /**
+     * 全部推送发送完毕（loop 时不会结束）
+     */
+    done() {
+      return finished ? Promise.resolve() : new Promise(resolve => waiting.push(resolve));
+    },
+
+    close() {
+      if (timer) clearTimeout(timer);
+      timer = null;
+      for (const ws of subscriptions.keys()) ws.terminate();
+      return new Promise(resolve => wss.close(() => server.close(() => resolve())));
+    },
+
+    getStatus() {
+      return { frames: frames.length, sent, cursor, clients: subscriptions.size, dropped, finished };
+    }
+  };
+}
+
+/**
+ * 命令行参数: --file / --port / --interval-ms / --speed / --drop-after / --loop
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) args[argv[i].slice(2)] = argv[i + 1];
+  }
+  return args;
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file) {
+    console.log('Usage: node src/gateioStreamReplay.js --file <frames.jsonl> [--port 4200] [--interval-ms 500] ' +
+      '[--speed 1] [--drop-after N] [--loop true]');
+    process.exit(1);
+  }
+
+  const replay = createStreamReplay({
+    file: args.file,
+    intervalMs: args['interval-ms'] !== undefined ? parseInt(args['interval-ms']) : undefined,
+    speed: parseFloat(args.speed) || undefined,
+    dropAfter: parseInt(args['drop-after']) || 0,
+    loop: args.loop === 'true'
+  });
+  replay.listen(parseInt(args.port) || REPLAY_CONFIG.PORT).then(port => {
+    console.log(`[StreamReplay] Replaying ${replay.getStatus().frames} frames on ws://localhost:${port}`);
+  });
+}
+
+module.exports = {
+  REPLAY_CONFIG,
+  loadFrames,
+  createStreamReplay
+};
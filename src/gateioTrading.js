@@ -0,0 +1,410 @@
+/**
+ * Gate.io 交易客户端（APIv4 签名接口）
+ *
+ * 现货：限价单 /spot/orders，条件单 /spot/price_orders（触发后按 put 下单）
+ * 合约：限价单 /futures/usdt/orders，条件单 /futures/usdt/price_orders（按标记价格触发，只减仓）
+ *
+ * 签名：SIGN = HMAC-SHA512(secret, METHOD\nPATH\nQUERY\nSHA512(BODY)\nTIMESTAMP)，随 KEY / Timestamp 头发送。
+ * 所有请求经由 transport(method, path, { query, body }) 发出：默认签名后走HTTP，
+ * createDryRunTransport 只记录请求并返回模拟的受理结果，不会发往交易所。
+ *
+ * 返回统一格式，数量单位与下单时一致（现货为币数，合约为张数）：
+ *   订单   { id, client_id, symbol, side, price, qty, filled_qty, fill_price, fee, fee_currency, status: open / filled / cancelled }
+ *   条件单 { id, client_id, symbol, trigger_price, status: open / triggered / cancelled / failed, fired_order_id }
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const API_PREFIX = '/api/v4';
+const DEFAULT_BASE_URL = `https://api.gateio.ws${API_PREFIX}`;
+const REQUEST_TIMEOUT_MS = 10000;
+
+// 条件单有效期（秒），Gate.io 最长 30 天
+const TRIGGER_EXPIRATION_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * 自定义订单号：必须以 t- 开头，去掉前缀后不超过 28 字节
+ */
+function isValidClientId(text) {
+  return /^t-[0-9A-Za-z_.-]{1,28}$/.test(text);
+}
+
+function sha512Hex(content) {
+  return crypto.createHash('sha512').update(content).digest('hex');
+}
+
+/**
+ * 计算签名头
+ */
+function signRequest({ method, path, query = '', body = '', apiKey, apiSecret, timestamp }) {
+  const ts = String(timestamp || Math.floor(Date.now() / 1000));
+  const payload = [method.toUpperCase(), `${API_PREFIX}${path}`, query, sha512Hex(body), ts].join('\n');
+  return {
+    KEY: apiKey,
+    Timestamp: ts,
+    SIGN: crypto.createHmac('sha512', apiSecret).update(payload).digest('hex')
+  };
+}
+
+/**
+ * 校验签名（本地模拟交易所使用）
+ */
+function verifySignature({ method, path, query, body, headers, apiSecret }) {
+  const expected = signRequest({
+    method,
+    path,
+    query,
+    body,
+    apiKey: headers.key,
+    apiSecret,
+    timestamp: headers.timestamp
+  }).SIGN;
+  const actual = String(headers.sign || '');
+  return actual.length === expected.length && crypto.timingSafeEqual(Buffer.from(actual), Buffer.from(expected));
+}
+
+function encodeQuery(query = {}) {
+  return Object.entries(query)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .join('&');
+}
+
+/**
+ * 签名HTTP请求；交易所返回的错误带上 status / label
+ */
+function createHttpTransport({ baseUrl = DEFAULT_BASE_URL, apiKey, apiSecret }) {
+  if (!apiKey || !apiSecret) {
+    throw new Error('Gate.io API key and secret are required');
+  }
+
+  return async (method, path, { query, body } = {}) => {
+    const queryString = encodeQuery(query);
+    const bodyString = body ? JSON.stringify(body) : '';
+    const headers = {
+      Accept: 'application/json',
+      'Content-Type': 'application/json',
+      ...signRequest({ method, path, query: queryString, body: bodyString, apiKey, apiSecret })
+    };
+
+    try {
+      const response = await axios({
+        method,
+        url: `${baseUrl}${path}${queryString ? `?${queryString}` : ''}`,
+        data: bodyString || undefined,
+        headers,
+        timeout: REQUEST_TIMEOUT_MS
+      });
+      return response.data;
+    } catch (error) {
+      const data = error.response && error.response.data;
+      const wrapped = new Error(data && data.message ? `${data.label}: ${data.message}` : error.message);
+      wrapped.status = error.response ? error.response.status : null;
+      wrapped.label = data ? data.label : null;
+      throw wrapped;
+    }
+  };
+}
+
+/**
+ * 试运行：记录请求并按提交内容返回受理结果（状态始终为 open，不会成交）
+ */
+function createDryRunTransport(log = console.log) {
+  const orders = new Map();
+  let nextId = 1;
+
+  return async (method, path, { query, body } = {}) => {
+    const queryString = encodeQuery(query);
+    log(`[GateioTrading] DRY-RUN ${method} ${path}${queryString ? `?${queryString}` : ''}${body ? ` ${JSON.stringify(body)}` : ''}`);
+
+    if (method === 'POST') {
+      const created = { ...body, id: `dry-${nextId++}`, status: 'open', create_time: Math.floor(Date.now() / 1000) };
+      orders.set(created.id, created);
+      if (body.text) orders.set(body.text, created);
+      return created;
+    }
+
+    const id = decodeURIComponent(path.split('/').pop());
+    const order = orders.get(id);
+    if (method === 'DELETE' && order) order.status = 'cancelled';
+    if (order) return order;
+    if (method === 'GET' && /price_orders$/.test(path)) return [];
+
+    const error = new Error('ORDER_NOT_FOUND: Order not found');
+    error.status = 404;
+    error.label = 'ORDER_NOT_FOUND';
+    throw error;
+  };
+}
+
+function isNotFound(error) {
+  return error.status === 404 || /NOT_FOUND/.test(error.label || '');
+}
+
+// ==================== 响应解析 ====================
+
+function parseSpotOrder(data) {
+  const qty = parseFloat(data.amount);
+  const left = data.left !== undefined ? parseFloat(data.left) : qty;
+  const filledQty = qty - left;
+  const status = data.status === 'open' ? 'open' :
+                 data.status === 'closed' && (data.finish_as === undefined || data.finish_as === 'filled') ? 'filled' : 'cancelled';
+
+  return {
+    id: String(data.id),
+    client_id: data.text || null,
+    symbol: data.currency_pair,
+    side: data.side,
+    price: parseFloat(data.price),
+    qty,
+    filled_qty: filledQty,
+    fill_price: filledQty > 0 ? parseFloat(data.avg_deal_price || data.fill_price || data.price) : null,
+    // 现货买入的手续费默认以基础币扣除，到账数量 = filled_qty - fee
+    fee: parseFloat(data.fee) || 0,
+    fee_currency: data.fee_currency || null,
+    status
+  };
+}
+
+function parseFuturesOrder(data) {
+  const size = parseInt(data.size);
+  const left = data.left !== undefined ? Math.abs(parseInt(data.left)) : Math.abs(size);
+  const filledQty = Math.abs(size) - left;
+  const status = data.status === 'open' ? 'open' :
+                 data.finish_as === 'filled' || (data.finish_as === undefined && left === 0) ? 'filled' : 'cancelled';
+
+  return {
+    id: String(data.id),
+    client_id: data.text || null,
+    symbol: data.contract,
+    side: size > 0 ? 'buy' : 'sell',
+    price: parseFloat(data.price),
+    qty: Math.abs(size),
+    filled_qty: filledQty,
+    fill_price: filledQty > 0 ? parseFloat(data.fill_price || data.price) : null,
+    status
+  };
+}
+
+function parseSpotTriggerOrder(data) {
+  const status = data.status === 'open' ? 'open' :
+                 data.status === 'finish' || data.status === 'finished' ? 'triggered' :
+                 data.status === 'failed' ? 'failed' : 'cancelled';
+  return {
+    id: String(data.id),
+    client_id: (data.put && data.put.text) || null,
+    symbol: data.market,
+    trigger_price: data.trigger ? parseFloat(data.trigger.price) : null,
+    status,
+    fired_order_id: data.fired_order_id ? String(data.fired_order_id) : null,
+    reason: data.reason || null
+  };
+}
+
+function parseFuturesTriggerOrder(data) {
+  const status = data.status === 'open' ? 'open' :
+                 data.finish_as === 'succeeded' ? 'triggered' :
+                 data.finish_as === 'failed' ? 'failed' : 'cancelled';
+  return {
+    id: String(data.id),
+    client_id: (data.initial && data.initial.text) || null,
+    symbol: data.initial ? data.initial.contract : null,
+    trigger_price: data.trigger ? parseFloat(data.trigger.price) : null,
+    status,
+    fired_order_id: data.trade_id ? String(data.trade_id) : null,
+    reason: data.reason || null
+  };
+}
+
+// ==================== 各市场接口 ====================
+
+const SPOT_API = {
+  orderPath: '/spot/orders',
+  triggerPath: '/spot/price_orders',
+  parseOrder: parseSpotOrder,
+  parseTrigger: parseSpotTriggerOrder,
+  symbolQuery: symbol => ({ currency_pair: symbol }),
+  triggerListQuery: (symbol, status) => ({ market: symbol, status }),
+
+  buildOrder({ clientId, symbol, side, qty, price }) {
+    return {
+      text: clientId,
+      currency_pair: symbol,
+      type: 'limit',
+      account: 'spot',
+      side,
+      amount: String(qty),
+      price: String(price),
+      time_in_force: 'gtc'
+    };
+  },
+
+  // price 为空时触发后按市价成交
+  buildTrigger({ clientId, symbol, side, qty, triggerPrice, rule, price }) {
+    return {
+      market: symbol,
+      trigger: { price: String(triggerPrice), rule, expiration: TRIGGER_EXPIRATION_SECONDS },
+      put: {
+        type: price ? 'limit' : 'market',
+        side,
+        price: String(price || triggerPrice),
+        amount: String(qty),
+        account: 'normal',
+        time_in_force: price ? 'gtc' : 'ioc',
+        text: clientId
+      }
+    };
+  }
+};
+
+const FUTURES_API = {
+  orderPath: '/futures/usdt/orders',
+  triggerPath: '/futures/usdt/price_orders',
+  parseOrder: parseFuturesOrder,
+  parseTrigger: parseFuturesTriggerOrder,
+  symbolQuery: () => ({}),
+  triggerListQuery: (symbol, status) => ({ contract: symbol, status }),
+
+  buildOrder({ clientId, symbol, side, qty, price, reduceOnly = false }) {
+    return {
+      contract: symbol,
+      size: side === 'buy' ? qty : -qty,
+      price: String(price),
+      tif: 'gtc',
+      text: clientId,
+      reduce_only: reduceOnly
+    };
+  },
+
+  // 按标记价格触发；price 为空时触发后按市价（IOC）平仓
+  buildTrigger({ clientId, symbol, side, qty, triggerPrice, rule, price }) {
+    return {
+      initial: {
+        contract: symbol,
+        size: side === 'buy' ? qty : -qty,
+        price: price ? String(price) : '0',
+        tif: price ? 'gtc' : 'ioc',
+        reduce_only: true,
+        text: clientId
+      },
+      trigger: {
+        strategy_type: 0,
+        price_type: 1,
+        price: String(triggerPrice),
+        rule: rule === '>=' ? 1 : 2,
+        expiration: TRIGGER_EXPIRATION_SECONDS
+      }
+    };
+  }
+};
+
+/**
+ * 创建交易客户端
+ * options: { market: spot / futures, transport } 或 { market, baseUrl, apiKey, apiSecret }
+ */
+function createTradingClient(options = {}) {
+  const market = options.market === 'futures' ? 'futures' : 'spot';
+  const api = market === 'futures' ? FUTURES_API : SPOT_API;
+  const transport = options.transport || createHttpTransport(options);
+
+  /**
+   * 限价单，params: { clientId, symbol, side: buy / sell, qty, price, reduceOnly }
+   */
+  async function placeOrder(params) {
+    if (!isValidClientId(params.clientId)) throw new Error(`Invalid client order id: ${params.clientId}`);
+    return api.parseOrder(await transport('POST', api.orderPath, { body: api.buildOrder(params) }));
+  }
+
+  /**
+   * 按订单号或自定义订单号查询，不存在时返回 null
+   */
+  async function getOrder(id, symbol) {
+    try {
+      const data = await transport('GET', `${api.orderPath}/${encodeURIComponent(id)}`, { query: api.symbolQuery(symbol) });
+      return api.parseOrder(data);
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  async function cancelOrder(id, symbol) {
+    try {
+      const data = await transport('DELETE', `${api.orderPath}/${encodeURIComponent(id)}`, { query: api.symbolQuery(symbol) });
+      return api.parseOrder(data);
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * 条件单，params: { clientId, symbol, side, qty, triggerPrice, rule: >= / <=, price（空为市价） }
+   */
+  async function placeTriggerOrder(params) {
+    if (!isValidClientId(params.clientId)) throw new Error(`Invalid client order id: ${params.clientId}`);
+    const created = await transport('POST', api.triggerPath, { body: api.buildTrigger(params) });
+    return {
+      id: String(created.id),
+      client_id: params.clientId,
+      symbol: params.symbol,
+      trigger_price: params.triggerPrice,
+      status: 'open',
+      fired_order_id: null
+    };
+  }
+
+  async function getTriggerOrder(id) {
+    try {
+      return api.parseTrigger(await transport('GET', `${api.triggerPath}/${encodeURIComponent(id)}`));
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  async function cancelTriggerOrder(id) {
+    try {
+      return api.parseTrigger(await transport('DELETE', `${api.triggerPath}/${encodeURIComponent(id)}`));
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * 按自定义订单号查找条件单（条件单不支持按 text 直接查询，需要列表匹配）
+   */
+  async function findTriggerOrder(clientId, symbol) {
+    for (const status of ['open', 'finished']) {
+      const list = await transport('GET', api.triggerPath, { query: api.triggerListQuery(symbol, status) });
+      const found = (list || []).map(api.parseTrigger).find(order => order.client_id === clientId);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  return {
+    market,
+    placeOrder,
+    getOrder,
+    cancelOrder,
+    placeTriggerOrder,
+    getTriggerOrder,
+    cancelTriggerOrder,
+    findTriggerOrder
+  };
+}
+
+module.exports = {
+  API_PREFIX,
+  DEFAULT_BASE_URL,
+  isValidClientId,
+  signRequest,
+  verifySignature,
+  encodeQuery,
+  createHttpTransport,
+  createDryRunTransport,
+  createTradingClient
+};
@@ -0,0 +1,190 @@
+/**
+ * 演示模式行情模拟器
+ *
+ * 仅在 DEMO_MODE 下使用，生产扫描路径不会引用本模块。
+ * 相同种子 + 交易对 + 周期 生成相同的K线形态，便于复现演示结果。
+ * 接口与 gateio.js 保持一致（getAllKlines / getKlines / getKlinesRange / getTickers），
+ * 可直接替换为扫描的数据源。
+ */
+
+const { SYMBOLS_54, TIMEFRAME_MS, MAX_RANGE_BARS } = require('./gateio');
+
+const DATA_SOURCE = 'Demo Simulator';
+
+// 常见交易对的参考价格，其余交易对由种子派生
+const BASE_PRICES = {
+  BTC_USDT: 65000,
+  ETH_USDT: 3500,
+  BNB_USDT: 600,
+  SOL_USDT: 150,
+  XRP_USDT: 0.6,
+  DOGE_USDT: 0.15,
+  TRX_USDT: 0.12,
+  ADA_USDT: 1.2
+};
+
+/**
+ * mulberry32 伪随机数生成器
+ */
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return function random() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 字符串哈希（FNV-1a），用于派生每个交易对的子种子
+ */
+function hashString(str) {
+  let h = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * 创建模拟器
+ */
+function createMarketSimulator(options = {}) {
+  const seed = options.seed !== undefined ? Number(options.seed) : 42;
+  const symbols = options.symbols || SYMBOLS_54;
+
+  function basePriceFor(symbol) {
+    if (BASE_PRICES[symbol]) return BASE_PRICES[symbol];
+    const random = createRandom(hashString(`${seed}:${symbol}:base`));
+    return parseFloat((Math.pow(10, random() * 4 - 1)).toFixed(4)); // 0.1 ~ 1000
+  }
+
+  /**
+   * 生成K线：带趋势状态切换的随机游走，保证能出现FVG/摆动点等结构
+   * 从最新一根向前倒推，所有周期的最新收盘价都锚定在同一参考价，与 getTickers 一致
+   */
+  function generateKlines(symbol, interval, limit) {
+    const timeframeMs = TIMEFRAME_MS[interval] || TIMEFRAME_MS['4h'];
+    const random = createRandom(hashString(`${seed}:${symbol}:${interval}`));
+    const currentBarStart = Math.floor(Date.now() / timeframeMs) * timeframeMs;
+    const volatility = 0.004 * Math.sqrt(timeframeMs / TIMEFRAME_MS['5m']);
+
+    let price = basePriceFor(symbol);
+    let drift = 0;
+    const klines = [];
+
+    for (let i = 0; i < limit; i++) {
+      // 约每20根K线切换一次趋势状态
+      if (random() < 0.05) {
+        drift = (random() - 0.5) * volatility;
+      }
+
+      const close = price;
+      const open = close / (1 + drift + (random() - 0.5) * volatility * 2);
+      const high = Math.max(open, close) * (1 + random() * volatility);
+      const low = Math.min(open, close) * (1 - random() * volatility);
+
+      klines.unshift({
+        time: currentBarStart - i * timeframeMs,
+        open,
+        high,
+        low,
+        close,
+        volume: parseFloat((random() * 1000000).toFixed(2))
+      });
+
+      price = open;
+    }
+
+    return klines;
+  }
+
+  async function getKlines(symbol, interval = '4h', limit = 100) {
+    return generateKlines(symbol, interval, limit);
+  }
+
+  async function getKlinesRange(symbol, interval, from, to = Date.now()) {
+    const timeframeMs = TIMEFRAME_MS[interval] || TIMEFRAME_MS['4h'];
+    const bars = Math.min(Math.ceil((Date.now() - from) / timeframeMs) + 1, MAX_RANGE_BARS);
+    return generateKlines(symbol, interval, bars).filter(k => k.time >= from && k.time <= to);
+  }
+
+  async function getAllKlines(interval = '4h', limit = 100, symbolList = symbols) {
+    const results = {};
+    for (const symbol of symbolList) {
+      results[symbol] = generateKlines(symbol, interval, limit);
+    }
+    return results;
+  }
+
+  async function getTickers() {
+    const tickers = {};
+    for (const symbol of symbols) {
+      const klines = generateKlines(symbol, '1h', 24);
+      const last = klines[klines.length - 1].close;
+      const first = klines[0].open;
+      tickers[symbol] = {
+        last,
+        high_24h: Math.max(...klines.map(k => k.high)),
+        low_24h: Math.min(...klines.map(k => k.low)),
+        change_percentage: ((last - first) / first) * 100,
+        base_volume: klines.reduce((sum, k) => sum + k.volume, 0),
+        quote_volume: klines.reduce((sum, k) => sum + k.volume * k.close, 0),
+        mark_price: last
+      };
+    }
+    return tickers;
+  }
+
+  /**
+   * 按价格量级生成下单规则，与真实交易对的精度大致相当
+   */
+  async function getCurrencyPair(symbol) {
+    const magnitude = Math.ceil(Math.log10(basePriceFor(symbol)));
+    const [base, quote] = symbol.split('_');
+    return {
+      symbol,
+      base,
+      quote,
+      amount_precision: Math.min(Math.max(magnitude + 1, 0), 8),
+      price_precision: Math.min(Math.max(6 - magnitude, 1), 10),
+      min_base_amount: null,
+      min_quote_amount: 3,
+      trade_status: 'tradable'
+    };
+  }
+
+  return {
+    venue: 'simulator',
+    seed,
+    synthetic: true,
+    getKlines,
+    getKlinesRange,
+    getAllKlines,
+    getTickers,
+    getCurrencyPair
+  };
+}
+
+/**
+ * 标记合成信号，确保其永远不会混入真实统计
+ */
+function tagSynthetic(signal, seed) {
+  return {
+    ...signal,
+    id: `demo_${signal.id}`,
+    synthetic: true,
+    demo_seed: seed,
+    data_source: DATA_SOURCE
+  };
+}
+
+module.exports = {
+  DATA_SOURCE,
+  createRandom,
+  createMarketSimulator,
+  tagSynthetic
+};
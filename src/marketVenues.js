@@ -0,0 +1,271 @@
+/**
+ * 行情交易所注册表
+ *
+ * 各交易所适配器实现同一套行情接口（与 gateio.js 一致）：
+ *   getKlines / getKlinesRange / getAllKlines / getTickers / getTicker / getCurrencyPair / getSymbols，
+ *   以及 venue（交易所名）、market、toVenueSymbol / fromVenueSymbol
+ * 交易对统一用 BASE_QUOTE 命名（BTC_USDT），K线统一为 { time(毫秒), open, high, low, close, volume(成交额) } 升序数组。
+ *
+ * - gateio：现货（gateio.js，带本地K线存储）与 USDT 永续合约（gateioFutures.js）
+ * - binance / okx：现货
+ *
+ * 命令行（按录制的响应验证各适配器的解析，目录下每个交易所一个子目录）:
+ *   node src/marketVenues.js --fixtures fixtures [--venues binance,okx]
+ *   node src/marketVenues.js --record fixtures --venues okx --symbols BTC_USDT,ETH_USDT
+ */
+
+const path = require('path');
+const gateio = require('./gateio');
+const gateioFutures = require('./gateioFutures');
+const binance = require('./binance');
+const okx = require('./okx');
+
+const VENUE_CONFIG = {
+  // 主交易所：价格监控、风控与下单使用的行情
+  PRIMARY: (process.env.MARKET_VENUE || 'gateio').toLowerCase(),
+  // 定时扫描的交易所，逗号分隔，默认只扫主交易所
+  SCAN_VENUES: process.env.SCAN_VENUES
+    ? process.env.SCAN_VENUES.split(',').map(v => v.trim().toLowerCase()).filter(Boolean)
+    : null,
+  MAX_KLINES_LIMIT: 1000,
+  VERIFY_SYMBOLS: ['BTC_USDT', 'ETH_USDT'],
+  VERIFY_INTERVAL: '1h',
+  VERIFY_BARS: 5
+};
+
+// 无分隔符交易对名（BTCUSDT）识别计价币用，长的在前
+const QUOTE_ASSETS = ['FDUSD', 'USDT', 'USDC', 'BUSD', 'BTC', 'ETH', 'BNB'];
+
+/**
+ * 适配器：label 为展示名；create 创建客户端，fixtures 为对应的录制响应读写
+ * Gate.io 现货客户端是模块单例，传入 transport 会替换其全局请求函数（仅用于离线验证）
+ */
+const VENUES = {
+  gateio: {
+    label: 'Gate.io',
+    markets: ['spot', 'futures'],
+    create: ({ market, transport, symbols }) => {
+      if (market === 'futures') return gateioFutures.createFuturesClient({ transport, symbols });
+      if (transport) gateio.setTransport(transport);
+      return gateio;
+    },
+    fixtures: gateio
+  },
+  binance: {
+    label: 'Binance',
+    markets: ['spot'],
+    create: options => binance.createBinanceClient(options),
+    fixtures: binance
+  },
+  okx: {
+    label: 'OKX',
+    markets: ['spot'],
+    create: options => okx.createOkxClient(options),
+    fixtures: okx
+  }
+};
+
+// 已创建的客户端: { venue_market: client }
+const clients = new Map();
+
+/**
+ * 统一交易对名：BTC/USDT、btc-usdt、BTC_USDT、BTCUSDT -> BTC_USDT，无法识别时返回 null
+ */
+function normalizeSymbol(input) {
+  if (typeof input !== 'string') return null;
+  const value = input.trim().toUpperCase();
+
+  const parts = value.split(/[/_-]/);
+  if (parts.length === 2 && parts[0] && parts[1]) return `${parts[0]}_${parts[1]}`;
+  if (parts.length !== 1) return null;
+
+  const quote = QUOTE_ASSETS.find(q => value.endsWith(q) && value.length > q.length);
+  return quote ? `${value.slice(0, -quote.length)}_${quote}` : null;
+}
+
+function getVenueNames() {
+  return Object.keys(VENUES);
+}
+
+function isVenue(name) {
+  return Object.prototype.hasOwnProperty.call(VENUES, name);
+}
+
+/**
+ * 交易所列表: [{ name, label, markets }]
+ */
+function listVenues() {
+  return Object.entries(VENUES).map(([name, venue]) => ({ name, label: venue.label, markets: venue.markets }));
+}
+
+function getVenueLabel(name) {
+  return isVenue(name) ? VENUES[name].label : name;
+}
+
+/**
+ * 交易所是否支持该市场（spot / futures）
+ */
+function supportsMarket(name, market) {
+  return isVenue(name) && VENUES[name].markets.includes(market);
+}
+
+/**
+ * 解析交易所列表（数组或逗号分隔字符串），返回 { venues, unknown }
+ */
+function parseVenues(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const venues = [...new Set(list.map(v => String(v).trim().toLowerCase()).filter(Boolean))];
+  return {
+    venues: venues.filter(isVenue),
+    unknown: venues.filter(v => !isVenue(v))
+  };
+}
+
+/**
+ * 配置的定时扫描交易所（未配置时为主交易所），未校验，由调用方用 parseVenues 检查
+ */
+function getScanVenues() {
+  return VENUE_CONFIG.SCAN_VENUES || [VENUE_CONFIG.PRIMARY];
+}
+
+/**
+ * 创建行情客户端（不缓存）
+ * options: { market: spot / futures, transport, symbols }
+ */
+function createVenueClient(name, options = {}) {
+  const market = options.market || 'spot';
+  if (!isVenue(name)) {
+    throw new Error(`Unknown venue: ${name}`);
+  }
+  if (!supportsMarket(name, market)) {
+    throw new Error(`Venue ${name} does not support ${market} market data`);
+  }
+  return VENUES[name].create({ ...options, market });
+}
+
+/**
+ * 获取行情客户端（按交易所与市场复用，共享缓存）
+ */
+function getVenue(name, market = 'spot') {
+  const key = `${name}_${market}`;
+  if (!clients.has(key)) {
+    clients.set(key, createVenueClient(name, { market }));
+  }
+  return clients.get(key);
+}
+
+/**
+ * 解析命令行参数：--key value / --flag
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+/**
+ * 解析结果中不应出现 NaN
+ */
+function assertNumbers(label, value) {
+  const invalid = Object.entries(value).filter(([, v]) => typeof v === 'number' && Number.isNaN(v));
+  if (invalid.length > 0) {
+    throw new Error(`${label}: unparsed fields ${invalid.map(([k]) => k).join(', ')}`);
+  }
+}
+
+/**
+ * 用统一接口逐项验证一个交易所适配器
+ */
+async function verifyVenue(name, client, symbols) {
+  const interval = VENUE_CONFIG.VERIFY_INTERVAL;
+  const bars = VENUE_CONFIG.VERIFY_BARS;
+
+  const pairs = await client.getSymbols(symbols);
+  if (pairs.length === 0) throw new Error(`${name}: no tradable symbols`);
+  pairs.forEach(pair => assertNumbers(`${name} ${pair.symbol} pair`, pair));
+
+  const tickers = await client.getTickers();
+  for (const symbol of symbols) {
+    const ticker = tickers[symbol];
+    if (!ticker) throw new Error(`${name} ${symbol}: ticker missing`);
+    assertNumbers(`${name} ${symbol} ticker`, ticker);
+
+    const klines = await client.getKlines(symbol, interval, bars);
+    if (!klines || klines.length === 0) throw new Error(`${name} ${symbol}: no klines`);
+    klines.forEach(k => assertNumbers(`${name} ${symbol} kline`, k));
+    if (klines.some(k => k.high < k.low || k.high < Math.max(k.open, k.close) || k.low > Math.min(k.open, k.close))) {
+      throw new Error(`${name} ${symbol}: kline fields out of order`);
+    }
+
+    const first = klines[0];
+    const last = klines[klines.length - 1];
+    const range = await client.getKlinesRange(symbol, interval, first.time, last.time);
+    if (range.length !== klines.length || range[range.length - 1].close !== last.close) {
+      throw new Error(`${name} ${symbol}: range returned ${range.length} bars, expected ${klines.length}`);
+    }
+
+    const pair = await client.getCurrencyPair(symbol);
+    console.log(`${name} ${symbol} (${client.toVenueSymbol(symbol)}): last ${ticker.last}, ` +
+      `24h ${ticker.change_percentage.toFixed(2)}%, ${interval} bars ${klines.length} ` +
+      `(close ${last.close} @ ${new Date(last.time).toISOString()}), ` +
+      `precision ${pair ? `${pair.amount_precision}/${pair.price_precision}` : 'n/a'}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const root = args.fixtures || args.record;
+  if (!root || root === true) {
+    console.log('Usage: node src/marketVenues.js --fixtures <dir> | --record <dir> [--venues gateio,binance,okx] [--symbols BTC_USDT,ETH_USDT]');
+    process.exit(1);
+  }
+
+  const { venues, unknown } = parseVenues(args.venues || getVenueNames());
+  if (unknown.length > 0) throw new Error(`Unknown venues: ${unknown.join(', ')}`);
+  const symbols = args.symbols
+    ? String(args.symbols).split(',').map(normalizeSymbol).filter(Boolean)
+    : VENUE_CONFIG.VERIFY_SYMBOLS;
+
+  for (const name of venues) {
+    const dir = path.join(root, name);
+    const { fixtures } = VENUES[name];
+    const transport = args.record ? fixtures.createRecordingTransport(dir) : fixtures.createFixtureTransport(dir);
+    await verifyVenue(name, createVenueClient(name, { transport, symbols }), symbols);
+    console.log(args.record ? `Recorded ${name} responses to ${dir}` : `Fixtures in ${dir} parsed OK`);
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('[MarketVenues] Failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  VENUE_CONFIG,
+  DEFAULT_SYMBOLS: gateio.SYMBOLS_54,
+  TIMEFRAME_MS: gateio.TIMEFRAME_MS,
+  isBarClosed: gateio.isBarClosed,
+  getCurrentBarStartTime: gateio.getCurrentBarStartTime,
+  normalizeSymbol,
+  getVenueNames,
+  isVenue,
+  listVenues,
+  getVenueLabel,
+  supportsMarket,
+  parseVenues,
+  getScanVenues,
+  createVenueClient,
+  getVenue
+};
@@ -0,0 +1,453 @@
+/**
+ * 本地模拟交易所（离线测试下单执行）
+ *
+ * 实现 executionEngine 用到的 Gate.io APIv4 私有接口子集，请求需按 Gate.io 规则签名：
+ *   现货  POST/GET/DELETE /spot/orders[/:id]            GET/POST /spot/price_orders, GET/DELETE /spot/price_orders/:id
+ *   合约  POST/GET/DELETE /futures/usdt/orders[/:id]    GET/POST /futures/usdt/price_orders, GET/DELETE /futures/usdt/price_orders/:id
+ * 订单可按订单号或自定义订单号（text）查询 / 撤销，自定义订单号重复时拒单。
+ *
+ * 撮合只看推送的价格（不维护盘口）：
+ * - 限价买单在价格 <= 挂单价时、卖单在价格 >= 挂单价时按挂单价全部成交（下单时已满足则立即成交）
+ * - 条件单满足触发规则时按 put / initial 下单：市价单按当前价成交，限价单再按上面的规则撮合
+ * - 现货成交按 FEE_RATE 收手续费：买入以基础币扣除，卖出以计价币扣除（与 Gate.io 默认一致）
+ *
+ * 控制接口（无需签名）：
+ *   POST /mock/prices  { "BTC_USDT": 65000 } 或 [{ symbol, price }]
+ *   GET  /mock/state   当前价格与全部订单
+ *   POST /mock/reset
+ *
+ * 命令行:
+ *   node src/mockExchange.js --port 4100 --key mock-key --secret mock-secret
+ * 然后以 EXECUTION_MODE=live GATEIO_TRADING_URL=http://localhost:4100/api/v4
+ * GATEIO_API_KEY=mock-key GATEIO_API_SECRET=mock-secret 启动服务器
+ */
+
+const express = require('express');
+const { API_PREFIX, isValidClientId, verifySignature } = require('./gateioTrading');
+
+const MOCK_CONFIG = {
+  PORT: 4100,
+  API_KEY: 'mock-key',
+  API_SECRET: 'mock-secret',
+  FEE_RATE: 0.002,
+  MAX_CLOCK_SKEW_SECONDS: 60
+};
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function apiError(status, label, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.label = label;
+  return error;
+}
+
+/**
+ * 创建模拟交易所，options: { apiKey, apiSecret, feeRate }
+ */
+function createMockExchange(options = {}) {
+  const apiKey = options.apiKey || MOCK_CONFIG.API_KEY;
+  const apiSecret = options.apiSecret || MOCK_CONFIG.API_SECRET;
+  const feeRate = options.feeRate !== undefined ? options.feeRate : MOCK_CONFIG.FEE_RATE;
+
+  let state;
+  function reset() {
+    state = { nextId: 1, prices: {}, orders: [], triggers: [] };
+  }
+  reset();
+
+  // ==================== 订单 ====================
+
+  function findOrder(market, id) {
+    const order = state.orders.find(o => o.market === market && (String(o.id) === id || o.text === id));
+    if (!order) throw apiError(404, 'ORDER_NOT_FOUND', `Order not found: ${id}`);
+    return order;
+  }
+
+  function findTrigger(market, id) {
+    const trigger = state.triggers.find(t => t.market === market && String(t.id) === id);
+    if (!trigger) throw apiError(404, 'AUTO_ORDER_NOT_FOUND', `Price order not found: ${id}`);
+    return trigger;
+  }
+
+  function checkClientId(text) {
+    if (!text) return;
+    if (!isValidClientId(text)) throw apiError(400, 'INVALID_PARAM_VALUE', `Invalid text: ${text}`);
+    const used = state.orders.some(o => o.text === text) ||
+      state.triggers.some(t => t.client_id === text);
+    if (used) throw apiError(400, 'DUPLICATE_CLIENT_ID', `Client order id already used: ${text}`);
+  }
+
+  function fill(order, price) {
+    order.status = 'filled';
+    order.fill_price = price;
+    order.filled_qty = order.qty;
+    order.finish_time = nowSeconds();
+    if (order.market === 'spot') {
+      order.fee = order.side === 'buy' ? order.qty * feeRate : order.qty * price * feeRate;
+      order.fee_currency = order.symbol.split('_')[order.side === 'buy' ? 0 : 1];
+    }
+  }
+
+  /**
+   * 按当前价撮合单个订单
+   */
+  function matchOrder(order) {
+    const price = state.prices[order.symbol];
+    if (order.status !== 'open' || !price) return;
+
+    if (order.type === 'market') {
+      fill(order, price);
+    } else if (order.side === 'buy' ? price <= order.price : price >= order.price) {
+      fill(order, order.price);
+    }
+  }
+
+  function createOrder(market, fields) {
+    checkClientId(fields.text);
+    if (!(fields.qty > 0)) throw apiError(400, 'INVALID_PARAM_VALUE', 'Invalid amount');
+    if (fields.type === 'limit' && !(fields.price > 0)) throw apiError(400, 'INVALID_PARAM_VALUE', 'Invalid price');
+
+    const order = {
+      id: state.nextId++,
+      market,
+      status: 'open',
+      filled_qty: 0,
+      fill_price: null,
+      create_time: nowSeconds(),
+      ...fields
+    };
+    state.orders.push(order);
+    matchOrder(order);
+    if (order.type === 'market' && order.status === 'open') {
+      order.status = 'cancelled';
+    }
+    return order;
+  }
+
+  /**
+   * 检查条件单是否触发
+   */
+  function checkTrigger(trigger) {
+    const price = state.prices[trigger.symbol];
+    if (trigger.status !== 'open' || !price) return;
+    const hit = trigger.rule === '>=' ? price >= trigger.trigger_price : price <= trigger.trigger_price;
+    if (!hit) return;
+
+    const order = createOrder(trigger.market, { ...trigger.put, text: undefined, parent_text: trigger.client_id });
+    trigger.status = 'triggered';
+    trigger.fired_order_id = order.id;
+    trigger.finish_time = nowSeconds();
+  }
+
+  /**
+   * 推送价格并撮合
+   */
+  function setPrices(prices) {
+    const entries = Array.isArray(prices)
+      ? prices.map(p => [p.symbol, p.price])
+      : Object.entries(prices);
+    for (const [symbol, price] of entries) {
+      const value = parseFloat(price);
+      if (value > 0) state.prices[symbol] = value;
+    }
+
+    state.orders.forEach(matchOrder);
+    state.triggers.forEach(checkTrigger);
+    return { ...state.prices };
+  }
+
+  // ==================== 报文格式 ====================
+
+  function formatSpotOrder(order) {
+    const left = order.qty - order.filled_qty;
+    return {
+      id: String(order.id),
+      text: order.text || order.parent_text || '',
+      create_time: String(order.create_time),
+      update_time: String(order.finish_time || order.create_time),
+      status: order.status === 'open' ? 'open' : order.status === 'filled' ? 'closed' : 'cancelled',
+      finish_as: order.status === 'open' ? 'open' : order.status,
+      currency_pair: order.symbol,
+      type: order.type,
+      account: 'spot',
+      side: order.side,
+      amount: String(order.qty),
+      price: String(order.price || 0),
+      time_in_force: order.tif,
+      left: String(left),
+      filled_total: String(order.filled_qty * (order.fill_price || 0)),
+      avg_deal_price: order.fill_price ? String(order.fill_price) : '',
+      fee: String(order.fee || 0),
+      fee_currency: order.fee_currency || order.symbol.split('_')[order.side === 'buy' ? 0 : 1]
+    };
+  }
+
+  function formatFuturesOrder(order) {
+    const sign = order.side === 'buy' ? 1 : -1;
+    return {
+      id: order.id,
+      text: order.text || order.parent_text || '',
+      contract: order.symbol,
+      size: sign * order.qty,
+      left: sign * (order.qty - order.filled_qty),
+      price: String(order.price || 0),
+      fill_price: order.fill_price ? String(order.fill_price) : '0',
+      tif: order.tif,
+      reduce_only: Boolean(order.reduce_only),
+      status: order.status === 'open' ? 'open' : 'finished',
+      finish_as: order.status === 'open' ? '' : order.status,
+      create_time: order.create_time,
+      finish_time: order.finish_time || null
+    };
+  }
+
+  function formatSpotTrigger(trigger) {
+    return {
+      id: trigger.id,
+      market: trigger.symbol,
+      trigger: { price: String(trigger.trigger_price), rule: trigger.rule, expiration: trigger.expiration },
+      put: { ...trigger.raw_put },
+      status: trigger.status === 'open' ? 'open' : trigger.status === 'triggered' ? 'finish' : 'cancelled',
+      fired_order_id: trigger.fired_order_id || 0,
+      ctime: trigger.create_time,
+      ftime: trigger.finish_time || 0
+    };
+  }
+
+  function formatFuturesTrigger(trigger) {
+    return {
+      id: trigger.id,
+      initial: { ...trigger.raw_put },
+      trigger: {
+        strategy_type: 0,
+        price_type: 1,
+        price: String(trigger.trigger_price),
+        rule: trigger.rule === '>=' ? 1 : 2,
+        expiration: trigger.expiration
+      },
+      status: trigger.status === 'open' ? 'open' : 'finished',
+      finish_as: trigger.status === 'triggered' ? 'succeeded' : trigger.status === 'open' ? '' : 'cancelled',
+      trade_id: trigger.fired_order_id || 0,
+      create_time: trigger.create_time,
+      finish_time: trigger.finish_time || 0
+    };
+  }
+
+  // 各市场的请求解析与报文格式
+  const MARKETS = {
+    spot: {
+      prefix: '/spot',
+      formatOrder: formatSpotOrder,
+      formatTrigger: formatSpotTrigger,
+      parseOrder: body => ({
+        symbol: body.currency_pair,
+        side: body.side,
+        type: body.type || 'limit',
+        qty: parseFloat(body.amount),
+        price: parseFloat(body.price),
+        tif: body.time_in_force || 'gtc',
+        text: body.text
+      }),
+      parseTrigger: body => ({
+        symbol: body.market,
+        trigger_price: parseFloat(body.trigger && body.trigger.price),
+        rule: body.trigger && body.trigger.rule,
+        expiration: body.trigger && body.trigger.expiration,
+        client_id: body.put && body.put.text,
+        raw_put: body.put || {},
+        put: {
+          symbol: body.market,
+          side: body.put && body.put.side,
+          type: (body.put && body.put.type) || 'limit',
+          qty: parseFloat(body.put && body.put.amount),
+          price: parseFloat(body.put && body.put.price),
+          tif: (body.put && body.put.time_in_force) || 'gtc'
+        }
+      }),
+      triggerFilter: query => trigger => !query.market || trigger.symbol === query.market
+    },
+    futures: {
+      prefix: '/futures/usdt',
+      formatOrder: formatFuturesOrder,
+      formatTrigger: formatFuturesTrigger,
+      parseOrder: body => {
+        const size = parseInt(body.size);
+        const price = parseFloat(body.price);
+        return {
+          symbol: body.contract,
+          side: size > 0 ? 'buy' : 'sell',
+          type: price > 0 ? 'limit' : 'market',
+          qty: Math.abs(size),
+          price,
+          tif: body.tif || 'gtc',
+          text: body.text,
+          reduce_only: Boolean(body.reduce_only)
+        };
+      },
+      parseTrigger: body => {
+        const initial = body.initial || {};
+        const size = parseInt(initial.size);
+        const price = parseFloat(initial.price);
+        return {
+          symbol: initial.contract,
+          trigger_price: parseFloat(body.trigger && body.trigger.price),
+          rule: body.trigger && Number(body.trigger.rule) === 1 ? '>=' : '<=',
+          expiration: body.trigger && body.trigger.expiration,
+          client_id: initial.text,
+          raw_put: initial,
+          put: {
+            symbol: initial.contract,
+            side: size > 0 ? 'buy' : 'sell',
+            type: price > 0 ? 'limit' : 'market',
+            qty: Math.abs(size),
+            price,
+            tif: initial.tif || 'gtc',
+            reduce_only: true
+          }
+        };
+      },
+      triggerFilter: query => trigger => !query.contract || trigger.symbol === query.contract
+    }
+  };
+
+  // ==================== HTTP ====================
+
+  const app = express();
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf.toString(); } }));
+
+  /**
+   * 校验 KEY / Timestamp / SIGN
+   */
+  function authenticate(req, res, next) {
+    const [pathWithPrefix, query = ''] = req.originalUrl.split('?');
+    const timestamp = parseInt(req.headers.timestamp);
+
+    if (req.headers.key !== apiKey) {
+      return res.status(401).json({ label: 'INVALID_KEY', message: 'Invalid key provided' });
+    }
+    if (!timestamp || Math.abs(nowSeconds() - timestamp) > MOCK_CONFIG.MAX_CLOCK_SKEW_SECONDS) {
+      return res.status(401).json({ label: 'REQUEST_EXPIRED', message: 'Request timestamp out of range' });
+    }
+
+    const valid = verifySignature({
+      method: req.method,
+      path: pathWithPrefix.slice(API_PREFIX.length),
+      query,
+      body: req.rawBody || '',
+      headers: req.headers,
+      apiSecret
+    });
+    if (!valid) {
+      return res.status(401).json({ label: 'INVALID_SIGNATURE', message: 'Signature mismatch' });
+    }
+    next();
+  }
+
+  function handle(fn) {
+    return (req, res) => {
+      try {
+        res.json(fn(req));
+      } catch (error) {
+        res.status(error.status || 500).json({ label: error.label || 'SERVER_ERROR', message: error.message });
+      }
+    };
+  }
+
+  const api = express.Router();
+  api.use(authenticate);
+
+  for (const [market, spec] of Object.entries(MARKETS)) {
+    api.post(`${spec.prefix}/orders`, handle(req =>
+      spec.formatOrder(createOrder(market, spec.parseOrder(req.body || {})))));
+
+    api.get(`${spec.prefix}/orders`, handle(req => state.orders
+      .filter(o => o.market === market)
+      .filter(o => !req.query.status || (req.query.status === 'open') === (o.status === 'open'))
+      .map(spec.formatOrder)));
+
+    api.get(`${spec.prefix}/orders/:id`, handle(req => spec.formatOrder(findOrder(market, req.params.id))));
+
+    api.delete(`${spec.prefix}/orders/:id`, handle(req => {
+      const order = findOrder(market, req.params.id);
+      if (order.status === 'open') {
+        order.status = 'cancelled';
+        order.finish_time = nowSeconds();
+      }
+      return spec.formatOrder(order);
+    }));
+
+    api.post(`${spec.prefix}/price_orders`, handle(req => {
+      const fields = spec.parseTrigger(req.body || {});
+      checkClientId(fields.client_id);
+      if (!(fields.trigger_price > 0) || !['>=', '<='].includes(fields.rule)) {
+        throw apiError(400, 'INVALID_PARAM_VALUE', 'Invalid trigger');
+      }
+      const trigger = { id: state.nextId++, market, status: 'open', create_time: nowSeconds(), ...fields };
+      state.triggers.push(trigger);
+      checkTrigger(trigger);
+      return { id: trigger.id };
+    }));
+
+    api.get(`${spec.prefix}/price_orders`, handle(req => state.triggers
+      .filter(t => t.market === market)
+      .filter(spec.triggerFilter(req.query))
+      .filter(t => !req.query.status || (req.query.status === 'open') === (t.status === 'open'))
+      .map(spec.formatTrigger)));
+
+    api.get(`${spec.prefix}/price_orders/:id`, handle(req => spec.formatTrigger(findTrigger(market, req.params.id))));
+
+    api.delete(`${spec.prefix}/price_orders/:id`, handle(req => {
+      const trigger = findTrigger(market, req.params.id);
+      if (trigger.status === 'open') {
+        trigger.status = 'cancelled';
+        trigger.finish_time = nowSeconds();
+      }
+      return spec.formatTrigger(trigger);
+    }));
+  }
+
+  app.use(API_PREFIX, api);
+
+  app.post('/mock/prices', handle(req => ({ prices: setPrices(req.body || {}) })));
+  app.get('/mock/state', handle(() => state));
+  app.post('/mock/reset', handle(() => {
+    reset();
+    return { success: true };
+  }));
+
+  return {
+    app,
+    setPrices,
+    reset,
+    getState: () => state,
+    listen: (port = MOCK_CONFIG.PORT, callback) => app.listen(port, callback)
+  };
+}
+
+/**
+ * 命令行参数: --port / --key / --secret
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) args[argv[i].slice(2)] = argv[i + 1];
+  }
+  return args;
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const port = parseInt(args.port) || MOCK_CONFIG.PORT;
+  const exchange = createMockExchange({ apiKey: args.key, apiSecret: args.secret });
+  exchange.listen(port, () => {
+    console.log(`[MockExchange] Listening on http://localhost:${port}${API_PREFIX}`);
+  });
+}
+
+module.exports = {
+  MOCK_CONFIG,
+  createMockExchange
+};
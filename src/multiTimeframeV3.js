@@ -1,21 +1,339 @@
 /**
  * 多时间框架分析 V3
+ *
+ * 三层过滤：
+ * 1. HTF (1d/4h)：判断每个交易对的方向偏好
+ * 2. MTF (1h)：确认结构（摆动点、BOS、未回补FVG）与HTF一致
+ * 3. LTF (15m/5m)：15m生成技术位入场，5m确认动能
+ *
+ * 每个信号都会记录各时间框架的贡献（timeframe_contributions）
+ *
+ * marketData 参数默认为 gateio，可传入其他交易所适配器（marketVenues）或演示模式的 marketSimulator 实例，
+ * 信号记录 marketData.venue
  */
 
-async function analyzeHTF() {
-  return { trend: 'bullish', strength: 0.75 };
+const gateio = require('./gateio');
+const {
+  CONFIG,
+  generateSignal,
+  findSwingPoints,
+  calculateMA,
+  calculateRSI,
+  detectFVG,
+  detectBOS
+} = require('./strategy_v2');
+
+// 多时间框架配置
+const MTF_CONFIG = {
+  HTF_INTERVALS: ['1d', '4h'],
+  HTF_WEIGHTS: { '1d': 0.6, '4h': 0.4 },
+  MTF_INTERVAL: '1h',
+  LTF_ENTRY_INTERVAL: '15m',
+  LTF_CONFIRM_INTERVAL: '5m',
+  KLINE_LIMIT: 100,
+  MIN_BIAS_SCORE: 0.25   // 加权得分绝对值低于此值视为中性
+};
+
+/**
+ * 根据摆动点序列判断结构
+ * HH+HL = 上升结构, LH+LL = 下降结构, 其他 = 震荡
+ */
+function classifyStructure(swingPoints) {
+  const { swingHighs, swingLows } = swingPoints;
+  if (swingHighs.length < 2 || swingLows.length < 2) return 'range';
+
+  const [prevHigh, lastHigh] = swingHighs.slice(-2);
+  const [prevLow, lastLow] = swingLows.slice(-2);
+
+  if (lastHigh.price > prevHigh.price && lastLow.price > prevLow.price) return 'uptrend';
+  if (lastHigh.price < prevHigh.price && lastLow.price < prevLow.price) return 'downtrend';
+  return 'range';
+}
+
+/**
+ * 将得分转换为趋势方向
+ */
+function scoreToTrend(score) {
+  if (score >= MTF_CONFIG.MIN_BIAS_SCORE) return 'bullish';
+  if (score <= -MTF_CONFIG.MIN_BIAS_SCORE) return 'bearish';
+  return 'neutral';
+}
+
+/**
+ * 单个时间框架的趋势判断，得分范围 [-1, 1]
+ */
+function analyzeTrend(klines) {
+  const lastClose = klines[klines.length - 1].close;
+  const ma20 = calculateMA(klines, 20);
+  const ma50 = calculateMA(klines, 50);
+  const rsi = calculateRSI(klines);
+  const structure = classifyStructure(findSwingPoints(klines, CONFIG.SWING_LOOKBACK));
+
+  let score = 0;
+  if (ma20 && ma50) score += ma20 > ma50 ? 1 : -1;
+  if (ma20) score += lastClose > ma20 ? 1 : -1;
+  if (structure === 'uptrend') score += 1;
+  else if (structure === 'downtrend') score -= 1;
+  if (rsi > 55) score += 1;
+  else if (rsi < 45) score -= 1;
+  score /= 4;
+
+  return { trend: scoreToTrend(score), score, ma20, ma50, rsi, structure, close: lastClose };
+}
+
+/**
+ * 过滤出尚未被回补的FVG
+ * 看涨FVG：之后任一K线最低价跌破下沿即视为完全回补
+ * 看跌FVG：之后任一K线最高价突破上沿即视为完全回补
+ */
+function getOpenFVGs(klines, fvgList) {
+  return fvgList.filter(fvg => {
+    for (let i = fvg.index + 1; i < klines.length; i++) {
+      if (fvg.type === 'BULLISH' && klines[i].low <= fvg.bottom) return false;
+      if (fvg.type === 'BEARISH' && klines[i].high >= fvg.top) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * 5m动能确认：收盘价位于MA20同侧且RSI不反向
+ */
+function confirmMomentum(klines, direction) {
+  const lastClose = klines[klines.length - 1].close;
+  const ma20 = calculateMA(klines, 20);
+  const rsi = calculateRSI(klines);
+
+  if (!ma20) {
+    return { confirmed: false, reason: 'INSUFFICIENT_DATA', ma20, rsi };
+  }
+
+  const confirmed = direction === 'LONG'
+    ? lastClose > ma20 && rsi >= 45
+    : lastClose < ma20 && rsi <= 55;
+
+  return {
+    confirmed,
+    reason: confirmed ? 'MOMENTUM_ALIGNED' : 'MOMENTUM_CONFLICT',
+    close: lastClose,
+    ma20,
+    rsi
+  };
+}
+
+/**
+ * 批量获取K线并去掉正在形成的bar，各层分析只基于已收盘K线，避免未收盘bar导致信号反复变化
+ */
+async function getClosedKlines(marketData, interval, symbols) {
+  const klinesData = await marketData.getAllKlines(interval, MTF_CONFIG.KLINE_LIMIT, symbols);
+  const closed = {};
+  for (const [symbol, klines] of Object.entries(klinesData || {})) {
+    closed[symbol] = (klines || []).filter(k => gateio.isBarClosed(k.time, interval));
+  }
+  return closed;
+}
+
+/**
+ * HTF分析：基于1d/4h K线计算每个交易对的方向偏好
+ */
+async function analyzeHTF(symbols = gateio.SYMBOLS_54, marketData = gateio) {
+  const klinesByInterval = {};
+  for (const interval of MTF_CONFIG.HTF_INTERVALS) {
+    klinesByInterval[interval] = await getClosedKlines(marketData, interval, symbols);
+  }
+
+  const result = {};
+  const summary = { bullish: 0, bearish: 0, neutral: 0 };
+
+  for (const symbol of symbols) {
+    const timeframes = {};
+    let weightedScore = 0;
+    let totalWeight = 0;
+
+    for (const interval of MTF_CONFIG.HTF_INTERVALS) {
+      const klines = klinesByInterval[interval][symbol];
+      if (!klines || klines.length < CONFIG.MIN_KLINES) continue;
+
+      const analysis = analyzeTrend(klines);
+      timeframes[interval] = analysis;
+      weightedScore += analysis.score * MTF_CONFIG.HTF_WEIGHTS[interval];
+      totalWeight += MTF_CONFIG.HTF_WEIGHTS[interval];
+    }
+
+    if (totalWeight === 0) continue;
+
+    const score = weightedScore / totalWeight;
+    const trend = scoreToTrend(score);
+    summary[trend]++;
+
+    result[symbol] = {
+      trend,
+      strength: Math.abs(score),
+      score,
+      timeframes
+    };
+  }
+
+  console.log(`[MTF-V3] HTF analyzed ${Object.keys(result).length} symbols: ` +
+    `${summary.bullish} bullish, ${summary.bearish} bearish, ${summary.neutral} neutral`);
+
+  return {
+    analyzed_at: new Date().toISOString(),
+    intervals: MTF_CONFIG.HTF_INTERVALS,
+    symbols: result,
+    summary
+  };
 }
 
-async function analyzeMTF(htfAnalysis) {
-  return { structure: 'uptrend', fvg_count: 3 };
+/**
+ * MTF分析：在1h上确认结构与HTF偏好一致
+ */
+async function analyzeMTF(htfAnalysis, marketData = gateio) {
+  const candidates = Object.entries(htfAnalysis.symbols || {})
+    .filter(([, htf]) => htf.trend !== 'neutral')
+    .map(([symbol]) => symbol);
+
+  const klinesData = candidates.length > 0
+    ? await getClosedKlines(marketData, MTF_CONFIG.MTF_INTERVAL, candidates)
+    : {};
+
+  const result = {};
+  let alignedCount = 0;
+
+  for (const symbol of candidates) {
+    const klines = klinesData[symbol];
+    if (!klines || klines.length < CONFIG.MIN_KLINES) continue;
+
+    const htf = htfAnalysis.symbols[symbol];
+    const expected = htf.trend === 'bullish' ? 'BULLISH' : 'BEARISH';
+
+    const swingPoints = findSwingPoints(klines, CONFIG.SWING_LOOKBACK);
+    const structure = classifyStructure(swingPoints);
+    const bosList = detectBOS(klines, swingPoints);
+    const openFVGs = getOpenFVGs(klines, detectFVG(klines));
+    const supportingFVGs = openFVGs.filter(f => f.type === expected);
+
+    const structureAligned = (expected === 'BULLISH' && structure === 'uptrend') ||
+                             (expected === 'BEARISH' && structure === 'downtrend');
+    const bosAligned = bosList.some(b => b.type === expected);
+    const bosAgainst = bosList.some(b => b.type !== expected);
+
+    // 反向BOS直接否决；震荡结构需要同向未回补FVG支撑
+    const aligned = !bosAgainst &&
+      (structureAligned || bosAligned || (structure === 'range' && supportingFVGs.length > 0));
+
+    if (aligned) alignedCount++;
+
+    result[symbol] = {
+      htf_trend: htf.trend,
+      structure,
+      aligned,
+      bos: bosList,
+      open_fvgs: supportingFVGs.slice(-3),
+      swing_high: swingPoints.swingHighs[swingPoints.swingHighs.length - 1] || null,
+      swing_low: swingPoints.swingLows[swingPoints.swingLows.length - 1] || null
+    };
+  }
+
+  console.log(`[MTF-V3] MTF aligned ${alignedCount}/${candidates.length} symbols`);
+
+  return {
+    analyzed_at: new Date().toISOString(),
+    interval: MTF_CONFIG.MTF_INTERVAL,
+    htf: htfAnalysis,
+    symbols: result,
+    fvg_count: Object.values(result).reduce((sum, s) => sum + s.open_fvgs.length, 0)
+  };
 }
 
-async function scanLTF(mtfAnalysis) {
-  return [];
+/**
+ * LTF扫描：15m生成入场，5m确认，只保留与HTF/MTF一致的信号
+ */
+async function scanLTF(mtfAnalysis, marketData = gateio) {
+  const symbols = Object.entries(mtfAnalysis.symbols || {})
+    .filter(([, mtf]) => mtf.aligned)
+    .map(([symbol]) => symbol);
+
+  if (symbols.length === 0) return [];
+
+  const entryKlines = await getClosedKlines(marketData, MTF_CONFIG.LTF_ENTRY_INTERVAL, symbols);
+  const confirmKlines = await getClosedKlines(marketData, MTF_CONFIG.LTF_CONFIRM_INTERVAL, symbols);
+  const tickers = await marketData.getTickers();
+
+  const signals = [];
+  const filtered = [];
+
+  for (const symbol of symbols) {
+    const klines15m = entryKlines[symbol];
+    const klines5m = confirmKlines[symbol];
+    const ticker = tickers[symbol];
+
+    if (!klines15m || klines15m.length < CONFIG.MIN_KLINES || !klines5m || !ticker) {
+      filtered.push({ symbol, reason: 'INSUFFICIENT_DATA' });
+      continue;
+    }
+
+    const htf = mtfAnalysis.htf.symbols[symbol];
+    const mtf = mtfAnalysis.symbols[symbol];
+    const expectedDirection = htf.trend === 'bullish' ? 'LONG' : 'SHORT';
+
+    try {
+      const signal = generateSignal(symbol, klines15m, ticker, { venue: marketData.venue });
+
+      if (signal.direction !== expectedDirection) {
+        filtered.push({ symbol, reason: 'DIRECTION_CONFLICT' });
+        continue;
+      }
+
+      const confirmation = confirmMomentum(klines5m, signal.direction);
+      if (!confirmation.confirmed) {
+        filtered.push({ symbol, reason: confirmation.reason });
+        continue;
+      }
+
+      signals.push({
+        ...signal,
+        timeframe: MTF_CONFIG.LTF_ENTRY_INTERVAL,
+        analysis_mode: 'MTF_V3',
+        timeframe_contributions: {
+          htf: {
+            intervals: MTF_CONFIG.HTF_INTERVALS,
+            trend: htf.trend,
+            strength: htf.strength,
+            by_interval: Object.fromEntries(
+              Object.entries(htf.timeframes).map(([interval, a]) => [interval, { trend: a.trend, score: a.score, structure: a.structure }])
+            )
+          },
+          mtf: {
+            interval: MTF_CONFIG.MTF_INTERVAL,
+            structure: mtf.structure,
+            bos: mtf.bos,
+            open_fvgs: mtf.open_fvgs
+          },
+          ltf: {
+            entry_interval: MTF_CONFIG.LTF_ENTRY_INTERVAL,
+            entry_type: signal.entry_type,
+            confirm_interval: MTF_CONFIG.LTF_CONFIRM_INTERVAL,
+            confirmation
+          }
+        }
+      });
+    } catch (error) {
+      filtered.push({ symbol, reason: 'GENERATION_ERROR', error: error.message });
+    }
+  }
+
+  signals.sort((a, b) => b.score - a.score);
+
+  console.log(`[MTF-V3] LTF produced ${signals.length} signals, filtered ${filtered.length}`);
+  return signals;
 }
 
 module.exports = {
+  MTF_CONFIG,
   analyzeHTF,
   analyzeMTF,
-  scanLTF
+  scanLTF,
+  classifyStructure,
+  getOpenFVGs
 };
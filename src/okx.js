@@ -0,0 +1,381 @@
+/**
+ * OKX 现货行情适配器（API v5）
+ *
+ * 接口与 gateio.js 一致（getKlines / getKlinesRange / getAllKlines / getTickers / getTicker /
+ * getCurrencyPair / getSymbols），交易对统一用 BASE_QUOTE 命名，请求时转换为 OKX 的 BTC-USDT。
+ * K线解析为 { time, open, high, low, close, volume }，volume 取成交额（计价币），与 Gate.io 一致。
+ * 日线使用 UTC 对齐的 1Dutc；OKX 没有10s K线，该周期返回空数组。
+ *
+ * 响应外层为 { code, msg, data }，code 非 '0' 时视为请求失败。
+ * 最近的K线走 /market/candles（单次最多300根），区间查询走 /market/history-candles（单次最多100根）。
+ * 所有请求经由 transport(endpoint, params) 发出：默认走HTTP，
+ * createFixtureTransport 从录制的响应文件读取，createRecordingTransport 把线上响应录制成文件。
+ * K线只做内存缓存，不写入本地 candleStore。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const {
+  SYMBOLS_54,
+  TIMEFRAME_MS,
+  CACHE_TTL,
+  MAX_RANGE_BARS,
+  isBarClosed,
+  getCurrentBarStartTime
+} = require('./gateio');
+
+const BASE_URL = 'https://www.okx.com';
+
+const OKX_CONFIG = {
+  MAX_CANDLES_PER_REQUEST: 300,
+  MAX_HISTORY_CANDLES_PER_REQUEST: 100,
+  TICKER_TTL_MS: 5000,
+  SYMBOLS_TTL_MS: 60 * 60 * 1000
+};
+
+// 周期名对应 OKX bar（10s 不支持）
+const INTERVALS = {
+  '1m': '1m',
+  '5m': '5m',
+  '15m': '15m',
+  '30m': '30m',
+  '1h': '1H',
+  '4h': '4H',
+  '1d': '1Dutc'
+};
+
+/**
+ * 默认HTTP请求
+ */
+async function httpTransport(endpoint, params = {}) {
+  const response = await axios.get(`${BASE_URL}${endpoint}`, { params, timeout: 10000 });
+  return response.data;
+}
+
+/**
+ * 录制文件名：/api/v5/market/candles + { instId: 'BTC-USDT', bar: '1H' } -> candles_BTC-USDT_1H.json
+ * history-candles 与 candles 共用同一份K线样本
+ */
+function getFixtureName(endpoint, params = {}) {
+  const name = endpoint.split('/').pop().replace(/^history-/, '');
+  return [name, params.instId, params.bar].filter(Boolean).join('_') + '.json';
+}
+
+/**
+ * 从录制文件读取响应；K线（最新在前）按请求的 after / before / limit 截取
+ */
+function createFixtureTransport(dir) {
+  return async (endpoint, params = {}) => {
+    const file = path.join(dir, getFixtureName(endpoint, params));
+    if (!fs.existsSync(file)) {
+      throw new Error(`Fixture not found: ${path.basename(file)}`);
+    }
+
+    const response = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (endpoint.endsWith('candles')) {
+      let data = response.data.filter(c => (params.after === undefined || parseInt(c[0]) < params.after) &&
+        (params.before === undefined || parseInt(c[0]) > params.before));
+      if (params.limit) data = data.slice(0, params.limit);
+      return { ...response, data };
+    }
+    return response;
+  };
+}
+
+/**
+ * 转发到 inner 并把响应写入录制文件
+ */
+function createRecordingTransport(dir, inner = httpTransport) {
+  fs.mkdirSync(dir, { recursive: true });
+  return async (endpoint, params = {}) => {
+    const data = await inner(endpoint, params);
+    fs.writeFileSync(path.join(dir, getFixtureName(endpoint, params)), JSON.stringify(data, null, 2));
+    return data;
+  };
+}
+
+/**
+ * 取出响应数据，code 非 '0' 时抛错
+ */
+function unwrap(response) {
+  if (!response || response.code !== '0') {
+    throw new Error(`OKX error ${response ? response.code : 'EMPTY'}: ${response && response.msg ? response.msg : 'no data'}`);
+  }
+  return response.data;
+}
+
+/**
+ * 统一交易对名 -> OKX 产品ID：BTC_USDT -> BTC-USDT
+ */
+function toVenueSymbol(symbol) {
+  return symbol.replace('_', '-');
+}
+
+/**
+ * OKX 产品ID -> 统一交易对名：BTC-USDT -> BTC_USDT
+ */
+function fromVenueSymbol(venueSymbol) {
+  return venueSymbol.toUpperCase().replace('-', '_');
+}
+
+/**
+ * 解析K线数组（最新在前）: [开始时间(毫秒), 开盘, 最高, 最低, 收盘, 成交量, 成交量(币), 成交额(计价币), 是否收盘]
+ */
+function parseCandles(data) {
+  return data.map(candle => ({
+    time: parseInt(candle[0]),
+    volume: parseFloat(candle[7]),
+    close: parseFloat(candle[4]),
+    high: parseFloat(candle[2]),
+    low: parseFloat(candle[3]),
+    open: parseFloat(candle[1])
+  })).sort((a, b) => a.time - b.time);
+}
+
+/**
+ * 精度（小数位数），步长为10的整数次幂时与步长一致，如 0.0001 -> 4、10 -> -1
+ */
+function getPrecision(step) {
+  return step > 0 ? Math.round(-Math.log10(step)) : null;
+}
+
+/**
+ * 解析产品信息，字段与 gateio.getCurrencyPair 一致
+ */
+function parseInstrument(data) {
+  return {
+    symbol: fromVenueSymbol(data.instId),
+    base: data.baseCcy,
+    quote: data.quoteCcy,
+    amount_precision: getPrecision(parseFloat(data.lotSz)),
+    price_precision: getPrecision(parseFloat(data.tickSz)),
+    min_base_amount: data.minSz ? parseFloat(data.minSz) : null,
+    min_quote_amount: null,
+    trade_status: data.state === 'live' ? 'tradable' : 'untradable'
+  };
+}
+
+/**
+ * 创建 OKX 现货行情客户端
+ * options: { transport, symbols }
+ */
+function createOkxClient(options = {}) {
+  const transport = options.transport || httpTransport;
+  const symbols = options.symbols || SYMBOLS_54;
+
+  const klinesCache = new Map();
+  const tickerCache = { data: null, timestamp: 0 };
+  const symbolsCache = { data: null, timestamp: 0 };
+
+  async function fetchCandles(endpoint, symbol, interval, params) {
+    return parseCandles(unwrap(await transport(endpoint, {
+      instId: toVenueSymbol(symbol),
+      bar: INTERVALS[interval],
+      ...params
+    })));
+  }
+
+  /**
+   * 最近 limit 根K线（带缓存，TTL同 Gate.io）；超过单次上限时按区间翻页
+   */
+  async function getKlines(symbol, interval = '4h', limit = 100) {
+    if (!INTERVALS[interval]) return TIMEFRAME_MS[interval] ? [] : null;
+
+    const cacheKey = `${symbol}_${interval}`;
+    const cached = klinesCache.get(cacheKey);
+    const ttlConfig = CACHE_TTL[interval] || CACHE_TTL['4h'];
+
+    if (cached && cached.limit >= limit) {
+      const lastKline = cached.klines[cached.klines.length - 1];
+      const ttl = isBarClosed(lastKline.time, interval) ? ttlConfig.history : ttlConfig.last;
+      if (Date.now() - cached.timestamp < ttl) {
+        return cached.klines.slice(-limit);
+      }
+    }
+
+    try {
+      const klines = limit <= OKX_CONFIG.MAX_CANDLES_PER_REQUEST
+        ? await fetchCandles('/api/v5/market/candles', symbol, interval, { limit })
+        : await getKlinesRange(symbol, interval,
+          getCurrentBarStartTime(interval) - (limit - 1) * TIMEFRAME_MS[interval], Date.now(), { maxBars: limit });
+      if (klines.length > 0) {
+        klinesCache.set(cacheKey, { klines, limit, timestamp: Date.now() });
+      }
+      return klines;
+    } catch (error) {
+      console.error(`[OKX] Error fetching klines for ${symbol}:`, error.message);
+      return cached ? cached.klines : null;
+    }
+  }
+
+  /**
+   * 按时间区间获取K线（毫秒时间戳，含两端），从 to 向前翻页
+   * after / before 为开区间：after 取更早的K线，before 取更新的K线
+   * options: { maxBars }
+   */
+  async function getKlinesRange(symbol, interval, from, to = Date.now(), rangeOptions = {}) {
+    const timeframeMs = TIMEFRAME_MS[interval];
+    if (!timeframeMs) {
+      throw new Error(`Unsupported interval: ${interval}`);
+    }
+    if (!INTERVALS[interval]) return [];
+
+    const { maxBars = MAX_RANGE_BARS } = rangeOptions;
+    const pageSize = OKX_CONFIG.MAX_HISTORY_CANDLES_PER_REQUEST;
+    const start = Math.floor(from / timeframeMs) * timeframeMs;
+    const byTime = new Map();
+    let pageEnd = Math.floor(to / timeframeMs) * timeframeMs;
+
+    while (pageEnd >= start && byTime.size < maxBars) {
+      const pageStart = Math.max(start, pageEnd - (pageSize - 1) * timeframeMs);
+      const page = await fetchCandles('/api/v5/market/history-candles', symbol, interval, {
+        after: pageEnd + 1,
+        before: pageStart - 1,
+        limit: pageSize
+      });
+
+      for (const kline of page) {
+        if (kline.time >= start && kline.time <= to) byTime.set(kline.time, kline);
+      }
+      if (page.length === 0) break;
+
+      pageEnd = pageStart - timeframeMs;
+    }
+
+    const klines = Array.from(byTime.values()).sort((a, b) => a.time - b.time);
+    console.log(`[OKX] Range ${symbol} ${interval}: ${klines.length} bars`);
+    return klines.slice(-maxBars);
+  }
+
+  async function getAllKlines(interval = '4h', limit = 100, symbolList = symbols) {
+    const results = {};
+    const settled = await Promise.allSettled(symbolList.map(async symbol => {
+      const klines = await getKlines(symbol, interval, limit);
+      return klines && klines.length > 0 ? { symbol, klines } : null;
+    }));
+
+    for (const result of settled) {
+      if (result.status === 'fulfilled' && result.value) {
+        results[result.value.symbol] = result.value.klines;
+      }
+    }
+
+    console.log(`[OKX] Fetched klines for ${Object.keys(results).length} symbols (${interval})`);
+    return results;
+  }
+
+  /**
+   * 现货行情（一次请求全部产品，只保留交易对列表内的）；24小时涨跌幅按 open24h 计算
+   */
+  async function getTickers() {
+    if (tickerCache.data && Date.now() - tickerCache.timestamp < OKX_CONFIG.TICKER_TTL_MS) {
+      return tickerCache.data;
+    }
+
+    try {
+      const tickers = {};
+      for (const ticker of unwrap(await transport('/api/v5/market/tickers', { instType: 'SPOT' }))) {
+        const symbol = fromVenueSymbol(ticker.instId);
+        if (!symbols.includes(symbol)) continue;
+
+        const last = parseFloat(ticker.last);
+        const open = parseFloat(ticker.open24h);
+        tickers[symbol] = {
+          last,
+          high_24h: parseFloat(ticker.high24h),
+          low_24h: parseFloat(ticker.low24h),
+          change_percentage: open > 0 ? (last - open) / open * 100 : 0,
+          base_volume: parseFloat(ticker.vol24h),
+          quote_volume: parseFloat(ticker.volCcy24h),
+          mark_price: last
+        };
+      }
+
+      tickerCache.data = tickers;
+      tickerCache.timestamp = Date.now();
+      return tickers;
+    } catch (error) {
+      console.error('[OKX] Error fetching tickers:', error.message);
+      return tickerCache.data || {};
+    }
+  }
+
+  async function getTicker(symbol) {
+    const tickers = await getTickers();
+    return tickers[symbol] || null;
+  }
+
+  /**
+   * 交易对列表内全部产品的规则（含不可交易的），缓存1小时
+   */
+  async function loadInstruments() {
+    if (symbolsCache.data && Date.now() - symbolsCache.timestamp < OKX_CONFIG.SYMBOLS_TTL_MS) {
+      return symbolsCache.data;
+    }
+
+    try {
+      const pairs = new Map();
+      for (const data of unwrap(await transport('/api/v5/public/instruments', { instType: 'SPOT' }))) {
+        const pair = parseInstrument(data);
+        if (symbols.includes(pair.symbol)) pairs.set(pair.symbol, pair);
+      }
+
+      symbolsCache.data = pairs;
+      symbolsCache.timestamp = Date.now();
+      return pairs;
+    } catch (error) {
+      console.error('[OKX] Error fetching instruments:', error.message);
+      return symbolsCache.data || new Map();
+    }
+  }
+
+  async function getCurrencyPair(symbol) {
+    return (await loadInstruments()).get(symbol) || null;
+  }
+
+  /**
+   * 可交易的交易对规则（限定在 symbolList 内）
+   */
+  async function getSymbols(symbolList = symbols) {
+    const pairs = await loadInstruments();
+    return symbolList.map(symbol => pairs.get(symbol)).filter(pair => pair && pair.trade_status === 'tradable');
+  }
+
+  function clearCache() {
+    klinesCache.clear();
+    tickerCache.data = null;
+    tickerCache.timestamp = 0;
+    symbolsCache.data = null;
+    symbolsCache.timestamp = 0;
+  }
+
+  return {
+    venue: 'okx',
+    market: 'spot',
+    symbols,
+    toVenueSymbol,
+    fromVenueSymbol,
+    getKlines,
+    getKlinesRange,
+    getAllKlines,
+    getTickers,
+    getTicker,
+    getCurrencyPair,
+    getSymbols,
+    clearCache
+  };
+}
+
+module.exports = {
+  OKX_CONFIG,
+  INTERVALS,
+  createOkxClient,
+  createFixtureTransport,
+  createRecordingTransport,
+  getFixtureName,
+  toVenueSymbol,
+  fromVenueSymbol,
+  parseCandles,
+  parseInstrument
+};
@@ -0,0 +1,492 @@
+/**
+ * 策略参数优化 - 滚动窗口（walk-forward）
+ *
+ * 历史区间切成多个 训练窗口(IS) + 紧随其后的测试窗口(OOS)，窗口按测试长度向前滚动。
+ * 每组参数在所有窗口上用 backtester 回测，同一份K线只加载一次。
+ *
+ * - 搜索方式：grid（指定参数的全组合）/ random（从参数空间随机抽样，带种子可复现）
+ * - 排名：样本外期望（每笔平均收益%）优先，其次样本外最大回撤；样本外交易数不足的不参与排名
+ * - 过拟合：样本外期望相对样本内衰减超过 OVERFIT_DECAY，或样本内盈利而样本外亏损
+ * - 另给出经典滚动结果：每个窗口选样本内最优参数，汇总其样本外表现
+ *
+ * 评级阈值只有在按 minRating 过滤信号时才影响结果。
+ * 优胜参数可导出为版本化配置文件，通过 STRATEGY_CONFIG_FILE 加载到 strategy_v2。
+ *
+ * CLI: node src/optimizer.js --symbols BTC_USDT,ETH_USDT --days 180 --train-days 60 --test-days 20 --export
+ */
+
+const fs = require('fs');
+const path = require('path');
+const gateio = require('./gateio');
+const { TIMEFRAME_MS } = gateio;
+const { CONFIG } = require('./strategy_v2');
+const {
+  BACKTEST_CONFIG,
+  loadBacktestData,
+  createLowerBarsFetcher,
+  backtestSymbol,
+  summarizeTrades
+} = require('./backtester');
+const { createRandom } = require('./marketSimulator');
+
+// 优化配置
+const OPTIMIZER_CONFIG = {
+  TOTAL_DAYS: 180,
+  TRAIN_DAYS: 60,
+  TEST_DAYS: 20,
+  METHOD: 'random',
+  SAMPLES: 30,
+  SEED: 1,
+  MAX_GRID_SIZE: 500,
+  MIN_OOS_TRADES: 10,
+  OVERFIT_DECAY: 0.5,
+  EXPORT_DIR: path.join(__dirname, '..', 'config', 'strategy')
+};
+
+// 参数空间（RATING_THRESHOLDS.x 对应 CONFIG.RATING_THRESHOLDS 的各级阈值）
+const PARAM_SPACE = {
+  SWING_LOOKBACK: [3, 4, 5, 6, 8],
+  FVG_ENTRY_RATIO: [0.3, 0.4, 0.5, 0.6, 0.7],
+  OB_ENTRY_OFFSET: [0, 0.001, 0.002, 0.003, 0.005],
+  TP1_R_MULTIPLE: [1.5, 2, 2.5],
+  TP2_R_MULTIPLE: [2.5, 3, 4],
+  'RATING_THRESHOLDS.B': [50, 55, 60],
+  'RATING_THRESHOLDS.A': [65, 70, 75],
+  'RATING_THRESHOLDS.S': [80, 85, 90]
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 当前 CONFIG 中对应参数空间的取值
+ */
+function getBaselineParams() {
+  const params = {};
+  for (const key of Object.keys(PARAM_SPACE)) {
+    const [name, sub] = key.split('.');
+    params[key] = sub ? CONFIG[name][sub] : CONFIG[name];
+  }
+  return params;
+}
+
+/**
+ * 扁平参数组 → generateSignal 的 config 覆盖
+ */
+function toStrategyConfig(params) {
+  const config = {};
+  for (const [key, value] of Object.entries(params)) {
+    const [name, sub] = key.split('.');
+    if (sub) {
+      config[name] = { ...(config[name] || {}), [sub]: value };
+    } else {
+      config[name] = value;
+    }
+  }
+  return config;
+}
+
+/**
+ * 参数组是否自洽：TP2 在 TP1 之外，评级阈值递增
+ */
+function isValidParams(params) {
+  return params.TP2_R_MULTIPLE > params.TP1_R_MULTIPLE &&
+    params['RATING_THRESHOLDS.B'] < params['RATING_THRESHOLDS.A'] &&
+    params['RATING_THRESHOLDS.A'] < params['RATING_THRESHOLDS.S'];
+}
+
+function paramsKey(params) {
+  return Object.keys(params).sort().map(k => `${k}=${params[k]}`).join('&');
+}
+
+/**
+ * 生成候选参数组（始终包含当前配置作为基准）
+ * names: 参与搜索的参数，其余保持当前配置
+ */
+function buildCandidates(options = {}) {
+  const names = options.params && options.params.length > 0 ? options.params : Object.keys(PARAM_SPACE);
+  const unknown = names.filter(n => !PARAM_SPACE[n]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown parameters: ${unknown.join(', ')}`);
+  }
+
+  const baseline = getBaselineParams();
+  const candidates = [{ id: 'baseline', params: baseline }];
+  const seen = new Set([paramsKey(baseline)]);
+
+  const add = params => {
+    const key = paramsKey(params);
+    if (seen.has(key) || !isValidParams(params)) return;
+    seen.add(key);
+    candidates.push({ id: `c${candidates.length}`, params });
+  };
+
+  const method = options.method || OPTIMIZER_CONFIG.METHOD;
+
+  if (method === 'grid') {
+    const size = names.reduce((n, name) => n * PARAM_SPACE[name].length, 1);
+    if (size > OPTIMIZER_CONFIG.MAX_GRID_SIZE) {
+      throw new Error(`Grid too large (${size} sets), narrow --params or use random search`);
+    }
+
+    let combos = [{}];
+    for (const name of names) {
+      combos = combos.flatMap(combo => PARAM_SPACE[name].map(value => ({ ...combo, [name]: value })));
+    }
+    combos.forEach(combo => add({ ...baseline, ...combo }));
+  } else if (method === 'random') {
+    const random = createRandom(options.seed !== undefined ? Number(options.seed) : OPTIMIZER_CONFIG.SEED);
+    const samples = options.samples || OPTIMIZER_CONFIG.SAMPLES;
+
+    for (let attempt = 0; attempt < samples * 20 && candidates.length <= samples; attempt++) {
+      const params = { ...baseline };
+      for (const name of names) {
+        const values = PARAM_SPACE[name];
+        params[name] = values[Math.floor(random() * values.length)];
+      }
+      add(params);
+    }
+  } else {
+    throw new Error(`Unknown method: ${method}`);
+  }
+
+  return candidates;
+}
+
+/**
+ * 划分滚动窗口：[训练, 测试]，按测试长度向前滚动
+ */
+function buildWindows(from, to, trainMs, testMs) {
+  const windows = [];
+  for (let start = from; start + trainMs + testMs <= to; start += testMs) {
+    windows.push({
+      index: windows.length,
+      train: { from: start, to: start + trainMs },
+      test: { from: start + trainMs, to: start + trainMs + testMs }
+    });
+  }
+  return windows;
+}
+
+/**
+ * 截取区间回测所需K线（含预热窗口）
+ */
+function sliceKlines(klines, range, timeframeMs) {
+  const warmupFrom = range.from - BACKTEST_CONFIG.WINDOW_BARS * timeframeMs;
+  return klines.filter(k => k.time >= warmupFrom && k.time + timeframeMs <= range.to);
+}
+
+/**
+ * 同一根K线的下钻数据在各参数组间复用
+ */
+function memoizeFetcher(fetcher) {
+  if (!fetcher) return null;
+  const cache = new Map();
+  return (symbol, interval, start, until) => {
+    const key = `${symbol}|${interval}|${start}|${until}`;
+    if (!cache.has(key)) cache.set(key, fetcher(symbol, interval, start, until));
+    return cache.get(key);
+  };
+}
+
+/**
+ * 在一个区间上回测全部交易对
+ */
+async function backtestRange(data, range, strategyConfig, options) {
+  const timeframeMs = TIMEFRAME_MS[data.timeframe];
+  const records = [];
+
+  for (const symbol of Object.keys(data.klines)) {
+    const klines = sliceKlines(data.klines[symbol], range, timeframeMs);
+    records.push(...await backtestSymbol(symbol, klines, {
+      timeframe: data.timeframe,
+      startTime: range.from,
+      endTime: range.to,
+      policy: options.policy,
+      minRating: options.minRating,
+      strategyConfig,
+      fetchLowerBars: options.fetchLowerBars
+    }));
+  }
+
+  return records;
+}
+
+/**
+ * 样本内外对比
+ */
+function compareSamples(inSample, outOfSample) {
+  const decay = inSample.expectancy > 0
+    ? (inSample.expectancy - outOfSample.expectancy) / inSample.expectancy
+    : null;
+
+  return {
+    decay,
+    overfit: inSample.expectancy > 0 &&
+      (outOfSample.expectancy <= 0 || decay > OPTIMIZER_CONFIG.OVERFIT_DECAY)
+  };
+}
+
+/**
+ * 精简统计，便于输出
+ */
+function pickStats(stats) {
+  return {
+    trades: stats.trades,
+    winRate: stats.winRate,
+    expectancy: stats.expectancy,
+    expectancyR: stats.expectancyR,
+    totalPnL: stats.totalPnL,
+    maxDrawdown: stats.maxDrawdown,
+    profitFactor: stats.profitFactor,
+    fill_rate: stats.unfilled.fill_rate
+  };
+}
+
+/**
+ * 执行滚动窗口优化
+ * options: { symbols, timeframe, days, from, to, trainDays, testDays, method, samples, seed, params,
+ *            minRating, policy, drilldown }
+ */
+async function runOptimization(options = {}, marketData = gateio, onProgress = () => {}) {
+  const startedAt = Date.now();
+  const trainMs = (options.trainDays || OPTIMIZER_CONFIG.TRAIN_DAYS) * DAY_MS;
+  const testMs = (options.testDays || OPTIMIZER_CONFIG.TEST_DAYS) * DAY_MS;
+  const candidates = buildCandidates(options);
+
+  const data = await loadBacktestData({
+    symbols: options.symbols,
+    timeframe: options.timeframe,
+    from: options.from,
+    to: options.to,
+    days: options.days || OPTIMIZER_CONFIG.TOTAL_DAYS,
+    minRating: options.minRating
+  }, marketData);
+
+  const windows = buildWindows(data.from, data.to, trainMs, testMs);
+  if (windows.length === 0) {
+    throw new Error('History too short for one train + test window');
+  }
+
+  const runOptions = {
+    policy: options.policy,
+    minRating: options.minRating,
+    fetchLowerBars: memoizeFetcher(createLowerBarsFetcher(options, marketData))
+  };
+
+  console.log(`[Optimizer] ${candidates.length} parameter sets × ${windows.length} windows, ` +
+    `${Object.keys(data.klines).length} symbols (${data.timeframe})`);
+
+  const results = [];
+
+  for (let i = 0; i < candidates.length; i++) {
+    const candidate = candidates[i];
+    const strategyConfig = toStrategyConfig(candidate.params);
+    const inSampleRecords = [];
+    const outOfSampleRecords = [];
+    const perWindow = [];
+
+    for (const window of windows) {
+      const train = await backtestRange(data, window.train, strategyConfig, runOptions);
+      const test = await backtestRange(data, window.test, strategyConfig, runOptions);
+      inSampleRecords.push(...train);
+      outOfSampleRecords.push(...test);
+      perWindow.push({ train: summarizeTrades(train), test: summarizeTrades(test) });
+    }
+
+    const inSample = summarizeTrades(inSampleRecords);
+    const outOfSample = summarizeTrades(outOfSampleRecords);
+
+    results.push({
+      id: candidate.id,
+      params: candidate.params,
+      in_sample: pickStats(inSample),
+      out_of_sample: pickStats(outOfSample),
+      ...compareSamples(inSample, outOfSample),
+      eligible: outOfSample.trades >= OPTIMIZER_CONFIG.MIN_OOS_TRADES,
+      windows: perWindow.map(w => ({ train: pickStats(w.train), test: pickStats(w.test) }))
+    });
+
+    onProgress(i + 1, candidates.length, candidate.id);
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  // 排名：样本外期望优先，其次回撤
+  const ranking = [...results].sort((a, b) => {
+    if (a.eligible !== b.eligible) return a.eligible ? -1 : 1;
+    if (b.out_of_sample.expectancy !== a.out_of_sample.expectancy) {
+      return b.out_of_sample.expectancy - a.out_of_sample.expectancy;
+    }
+    return a.out_of_sample.maxDrawdown - b.out_of_sample.maxDrawdown;
+  });
+  ranking.forEach((result, index) => { result.rank = index + 1; });
+
+  // 经典滚动：每个窗口按样本内期望选参数，看它在紧随其后的样本外表现
+  const walkForward = windows.map((window, index) => {
+    const best = results.reduce((a, b) =>
+      b.windows[index].train.expectancy > a.windows[index].train.expectancy ? b : a);
+    return {
+      train: { from: new Date(window.train.from).toISOString(), to: new Date(window.train.to).toISOString() },
+      test: { from: new Date(window.test.from).toISOString(), to: new Date(window.test.to).toISOString() },
+      selected: best.id,
+      in_sample: best.windows[index].train,
+      out_of_sample: best.windows[index].test
+    };
+  });
+
+  const winner = ranking.find(r => r.eligible && !r.overfit) || null;
+
+  console.log(`[Optimizer] Completed in ${Date.now() - startedAt}ms, winner: ${winner ? winner.id : 'none'}`);
+
+  return {
+    optimizer: {
+      method: options.method || OPTIMIZER_CONFIG.METHOD,
+      seed: options.seed !== undefined ? Number(options.seed) : OPTIMIZER_CONFIG.SEED,
+      timeframe: data.timeframe,
+      symbols: Object.keys(data.klines),
+      from: new Date(data.from).toISOString(),
+      to: new Date(data.to).toISOString(),
+      train_days: trainMs / DAY_MS,
+      test_days: testMs / DAY_MS,
+      windows: windows.length,
+      candidates: candidates.length,
+      min_rating: options.minRating || null,
+      policy: options.policy || null,
+      drilldown: runOptions.fetchLowerBars !== null
+    },
+    baseline: results.find(r => r.id === 'baseline'),
+    winner,
+    ranking,
+    walk_forward: walkForward,
+    duration_ms: Date.now() - startedAt
+  };
+}
+
+/**
+ * 导出参数组为版本化配置文件，返回文件路径
+ * 版本号在导出目录内递增：strategy_v2.v<N>.json
+ */
+function exportConfig(result, candidate = result.winner, dir = OPTIMIZER_CONFIG.EXPORT_DIR) {
+  if (!candidate) {
+    throw new Error('No eligible parameter set to export');
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  const versions = fs.readdirSync(dir)
+    .map(name => (name.match(/^strategy_v2\.v(\d+)\.json$/) || [])[1])
+    .filter(Boolean)
+    .map(Number);
+  const version = versions.length > 0 ? Math.max(...versions) + 1 : 1;
+
+  const exported = {
+    strategy: 'strategy_v2',
+    version,
+    created_at: new Date().toISOString(),
+    params: toStrategyConfig(candidate.params),
+    metrics: {
+      in_sample: candidate.in_sample,
+      out_of_sample: candidate.out_of_sample,
+      decay: candidate.decay,
+      overfit: candidate.overfit,
+      rank: candidate.rank
+    },
+    baseline: result.baseline ? {
+      params: toStrategyConfig(result.baseline.params),
+      out_of_sample: result.baseline.out_of_sample
+    } : null,
+    optimizer: result.optimizer
+  };
+
+  const file = path.join(dir, `strategy_v2.v${version}.json`);
+  fs.writeFileSync(file, JSON.stringify(exported, null, 2));
+  console.log(`[Optimizer] Exported config v${version} to ${file}`);
+  return file;
+}
+
+/**
+ * 解析命令行参数：--key value / --flag
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+function formatStats(stats) {
+  return `${String(stats.trades).padStart(5)} ${stats.expectancy.toFixed(2).padStart(7)}% ` +
+    `${stats.maxDrawdown.toFixed(2).padStart(7)}%`;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  let marketData = gateio;
+  if (args.demo) {
+    const { createMarketSimulator } = require('./marketSimulator');
+    marketData = createMarketSimulator({ seed: args['demo-seed'] !== undefined ? args['demo-seed'] : 42 });
+  }
+
+  const result = await runOptimization({
+    symbols: args.symbols ? String(args.symbols).split(',').map(s => s.trim().toUpperCase()) : undefined,
+    timeframe: args.timeframe,
+    days: args.days ? parseFloat(args.days) : undefined,
+    from: args.from ? Date.parse(args.from) : undefined,
+    to: args.to ? Date.parse(args.to) : undefined,
+    trainDays: args['train-days'] ? parseFloat(args['train-days']) : undefined,
+    testDays: args['test-days'] ? parseFloat(args['test-days']) : undefined,
+    method: args.method,
+    samples: args.samples ? parseInt(args.samples) : undefined,
+    seed: args.seed,
+    params: args.params ? String(args.params).split(',').map(s => s.trim()) : undefined,
+    minRating: args['min-rating'],
+    policy: args.policy,
+    drilldown: args['no-drilldown'] ? false : undefined
+  }, marketData, (done, total) => {
+    if (done % 5 === 0 || done === total) console.log(`[Optimizer] ${done}/${total} parameter sets`);
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(`\nWalk-forward ${result.optimizer.timeframe} ${result.optimizer.from} → ${result.optimizer.to}, ` +
+      `${result.optimizer.windows} windows\n`);
+    console.log('Rank  Set        IS trades/exp/dd           OOS trades/exp/dd          Decay  Flags');
+    for (const r of result.ranking.slice(0, 15)) {
+      const flags = [r.overfit ? 'OVERFIT' : '', r.eligible ? '' : 'FEW_TRADES'].filter(Boolean).join(',');
+      const decay = r.decay === null ? '   -  ' : `${(r.decay * 100).toFixed(0).padStart(5)}%`;
+      console.log(`${String(r.rank).padStart(4)}  ${r.id.padEnd(9)}  ${formatStats(r.in_sample)}    ` +
+        `${formatStats(r.out_of_sample)}    ${decay}  ${flags}`);
+    }
+    console.log(`\nWinner: ${result.winner ? `${result.winner.id} ${JSON.stringify(result.winner.params)}` : 'none'}`);
+  }
+
+  if (args.export) {
+    exportConfig(result, result.winner, typeof args.out === 'string' ? args.out : undefined);
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('[Optimizer] Failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  OPTIMIZER_CONFIG,
+  PARAM_SPACE,
+  buildCandidates,
+  buildWindows,
+  toStrategyConfig,
+  runOptimization,
+  exportConfig
+};
@@ -0,0 +1,887 @@
+/**
+ * 模拟盘账户
+ *
+ * 每个账户按信号的入场 / 止损 / 止盈挂模拟单，并用行情（实时轮询、外部推送或K线回放）撮合：
+ * - 入场：入场价限价单，按账户权益 × 单笔风险% ÷ 止损距离定仓，占用保证金 = 名义价值 ÷ 杠杆，
+ *   超出可用保证金时缩小仓位，没有可用保证金时拒单
+ * - 成交后挂止损（止损单，全部仓位）与 TP1 / TP2（限价单，TP1 平 TP1_CLOSE_FRACTION），三者互斥（OCO）；
+ *   TP1 成交后止损按 STOP_AFTER_TP1 移动并改为剩余数量
+ * - 限价单按挂单价成交、收 maker 费；止损单按触发时价格加滑点成交、收 taker 费；合约账户止损按标记价格触发
+ * - 信号未成交即结束（过期、失效、取消）时撤销入场单；权益低于维持保证金时按当前价强平
+ *
+ * 余额 = 初始资金 + 已实现盈亏 - 手续费，权益 = 余额 + 未实现盈亏（标记价格）。
+ * 账户状态写入 <dir>/<id>.json，委托 / 成交流水与权益曲线追加到 <id>.ledger.jsonl / <id>.equity.jsonl，
+ * 与信号胜率统计互不影响
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getActiveSignals, POSITION_CONFIG } = require('./signalLifecycle');
+const { getStopAfterTp1, resolveBarPath } = require('./triggerEngine');
+const { getRiskAssessment } = require('./riskManager');
+const { COST_CONFIG, envNumber } = require('./costModel');
+
+/**
+ * 必须为正数的配置：未设置时用默认值；设置了 0、负数或非数字时告警并用默认值（不会静默替换）
+ */
+function envPositive(name, defaultValue) {
+  if (process.env[name] === undefined || process.env[name] === '') return defaultValue;
+  const value = envNumber(name, NaN);
+  if (value > 0) return value;
+  console.warn(`[PaperTrading] Invalid ${name}=${process.env[name]}, must be positive, using ${defaultValue}`);
+  return defaultValue;
+}
+
+const PAPER_CONFIG = {
+  DIR: process.env.PAPER_DIR || path.join(__dirname, '..', 'data', 'paper'),
+  STARTING_BALANCE: envPositive('PAPER_STARTING_BALANCE', 10000),
+  LEVERAGE: envPositive('PAPER_LEVERAGE', 1),
+  MAX_LEVERAGE: 100,
+  RISK_PER_TRADE_PERCENT: envPositive('PAPER_RISK_PERCENT', 1),
+  SLIPPAGE_BPS: envNumber('PAPER_SLIPPAGE_BPS', COST_CONFIG.SLIPPAGE_BPS),
+  MAINTENANCE_MARGIN_RATE: 0.005,
+  SIGNAL_TYPES: ['TRADABLE'],
+  EQUITY_SAMPLE_MS: parseInt(process.env.PAPER_EQUITY_SAMPLE_MS) || 60 * 1000,
+  LEDGER_CACHE_SIZE: 1000,
+  EQUITY_CACHE_SIZE: 5000
+};
+
+const ORDER_STATUS = {
+  OPEN: 'OPEN',
+  FILLED: 'FILLED',
+  CANCELLED: 'CANCELLED',
+  REJECTED: 'REJECTED'
+};
+
+const RATING_ORDER = ['S', 'A', 'B', 'C'];
+const DEFAULT_ACCOUNT_ID = 'default';
+const ACCOUNT_ID_PATTERN = /^[a-zA-Z0-9_-]{1,40}$/;
+
+let dir = PAPER_CONFIG.DIR;
+let broadcast = () => {};
+let running = false;
+// 跟随的信号范围（演示模式为合成信号），与服务器的 DATA_SCOPE 一致
+let scope = {};
+
+// id -> { state, marks, ledger, equity, lastSampleAt }
+const accounts = new Map();
+
+function round(value, digits = 8) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function getAccountFile(id, suffix) {
+  return path.join(dir, `${id}${suffix}`);
+}
+
+function writeFileAtomic(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, content);
+  fs.renameSync(tmp, file);
+}
+
+function appendLine(file, record) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(record) + '\n');
+}
+
+function readLines(file, limit) {
+  if (!fs.existsSync(file)) return [];
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+  return lines.slice(-limit).map(line => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+function saveAccount(account) {
+  account.state.updated_at = Date.now();
+  writeFileAtomic(getAccountFile(account.state.id, '.json'), JSON.stringify(account.state, null, 2));
+}
+
+/**
+ * 追加一条流水（委托、成交、撤单、强平、重置）
+ */
+function record(account, type, data, time) {
+  const entry = { seq: ++account.state.ledger_seq, time, type, ...data };
+  account.ledger.push(entry);
+  if (account.ledger.length > PAPER_CONFIG.LEDGER_CACHE_SIZE) account.ledger.shift();
+  appendLine(getAccountFile(account.state.id, '.ledger.jsonl'), entry);
+  return entry;
+}
+
+// ==================== 账户计算 ====================
+
+function getMark(account, symbol, fallback) {
+  return account.marks[symbol] || fallback;
+}
+
+function getUnrealizedPnl(account, position) {
+  const mark = getMark(account, position.symbol, position.entry_price);
+  const sign = position.direction === 'LONG' ? 1 : -1;
+  return (mark - position.entry_price) * position.qty * sign;
+}
+
+function getEquity(account) {
+  return account.state.positions.reduce((total, p) => total + getUnrealizedPnl(account, p), account.state.balance);
+}
+
+function getUsedMargin(account) {
+  const positionMargin = account.state.positions.reduce((total, p) => total + p.margin, 0);
+  const orderMargin = account.state.orders
+    .filter(o => o.purpose === 'ENTRY')
+    .reduce((total, o) => total + o.reserved_margin, 0);
+  return positionMargin + orderMargin;
+}
+
+/**
+ * 账户概况（不含流水）
+ */
+function summarize(account) {
+  const { state } = account;
+  const equity = getEquity(account);
+  const usedMargin = getUsedMargin(account);
+
+  return {
+    id: state.id,
+    name: state.name,
+    created_at: state.created_at,
+    updated_at: state.updated_at,
+    config: state.config,
+    starting_balance: state.config.starting_balance,
+    balance: round(state.balance),
+    equity: round(equity),
+    used_margin: round(usedMargin),
+    available_margin: round(Math.max(0, equity - usedMargin)),
+    realized_pnl: round(state.realized_pnl),
+    fees_paid: round(state.fees_paid),
+    return_percent: round((equity - state.config.starting_balance) / state.config.starting_balance * 100, 4),
+    liquidated_at: state.liquidated_at || null,
+    positions: state.positions.map(p => ({
+      ...p,
+      mark_price: getMark(account, p.symbol, null),
+      unrealized_pnl: round(getUnrealizedPnl(account, p))
+    })),
+    open_orders: state.orders
+  };
+}
+
+function publish(account, fills) {
+  for (const fill of fills) {
+    broadcast({ type: 'paper_fill', data: { account_id: account.state.id, ...fill } });
+  }
+  broadcast({ type: 'paper_account', data: summarize(account) });
+}
+
+/**
+ * 记录一个权益点；force 为 false 时按 EQUITY_SAMPLE_MS 采样
+ */
+function sampleEquity(account, time, force = false) {
+  if (!force && account.lastSampleAt && time - account.lastSampleAt < PAPER_CONFIG.EQUITY_SAMPLE_MS) return;
+
+  const point = {
+    time,
+    balance: round(account.state.balance),
+    equity: round(getEquity(account)),
+    used_margin: round(getUsedMargin(account)),
+    open_positions: account.state.positions.length
+  };
+  account.equity.push(point);
+  if (account.equity.length > PAPER_CONFIG.EQUITY_CACHE_SIZE) account.equity.shift();
+  account.lastSampleAt = time;
+  appendLine(getAccountFile(account.state.id, '.equity.jsonl'), point);
+}
+
+// ==================== 委托 ====================
+
+function createOrder(account, fields, time) {
+  const order = {
+    id: `${account.state.id}-${++account.state.order_seq}`,
+    status: ORDER_STATUS.OPEN,
+    created_at: time,
+    ...fields
+  };
+  account.state.orders.push(order);
+  record(account, 'ORDER_PLACED', { order }, time);
+  return order;
+}
+
+function removeOrder(account, order, status, time, reason) {
+  account.state.orders = account.state.orders.filter(o => o.id !== order.id);
+  record(account, status === ORDER_STATUS.FILLED ? 'ORDER_FILLED' : 'ORDER_CANCELLED',
+    { order: { ...order, status, closed_at: time, reason: reason || null } }, time);
+}
+
+function cancelSignalOrders(account, signalId, time, reason) {
+  for (const order of account.state.orders.filter(o => o.signal_id === signalId)) {
+    removeOrder(account, order, ORDER_STATUS.CANCELLED, time, reason);
+  }
+}
+
+function exitSide(direction) {
+  return direction === 'LONG' ? 'SELL' : 'BUY';
+}
+
+/**
+ * 是否跟随该信号
+ */
+function shouldFollow(account, signal) {
+  const { follow } = account.state.config;
+  if (!follow.signal_types.includes(signal.signal_type)) return false;
+  if (follow.min_rating && RATING_ORDER.indexOf(signal.rating) > RATING_ORDER.indexOf(follow.min_rating)) return false;
+  if (account.state.liquidated_at) return false;
+  return !account.state.orders.some(o => o.signal_id === signal.id) &&
+    !account.state.positions.some(p => p.signal_id === signal.id);
+}
+
+/**
+ * 为信号挂入场限价单
+ */
+function placeEntryOrder(account, signal, time) {
+  const { config } = account.state;
+  const equity = getEquity(account);
+  const assessment = getRiskAssessment(signal, { equity, riskPercent: config.risk_percent });
+  const available = equity - getUsedMargin(account);
+  // 按风险算出的仓位超出可用保证金时缩小到可用保证金
+  const maxQty = Math.max(0, available) * config.leverage / signal.entry_price;
+  const qty = Math.min(assessment.suggested_position_size, maxQty);
+  const reservedMargin = qty * signal.entry_price / config.leverage;
+
+  const base = {
+    signal_id: signal.id,
+    symbol: signal.symbol,
+    direction: signal.direction,
+    side: signal.direction === 'LONG' ? 'BUY' : 'SELL',
+    type: 'LIMIT',
+    purpose: 'ENTRY',
+    price: signal.entry_price,
+    qty
+  };
+
+  if (qty <= 0) {
+    const reason = assessment.suggested_position_size <= 0 ? 'INVALID_SIZE' : 'INSUFFICIENT_MARGIN';
+    record(account, 'ORDER_REJECTED', {
+      order: { ...base, status: ORDER_STATUS.REJECTED, reason, available_margin: round(available) }
+    }, time);
+    return null;
+  }
+
+  return createOrder(account, {
+    ...base,
+    reserved_margin: reservedMargin,
+    size_capped: qty < assessment.suggested_position_size,
+    expires_at: signal.expires_at || null,
+    signal: {
+      sl: signal.sl,
+      tp1: signal.tp1,
+      tp2: signal.tp2,
+      rating: signal.rating || null,
+      timeframe: signal.timeframe || null
+    }
+  }, time);
+}
+
+/**
+ * 开仓后挂止损与止盈
+ */
+function placeExitOrders(account, position, time) {
+  const { signal } = position;
+  const side = exitSide(position.direction);
+  const base = { signal_id: position.signal_id, symbol: position.symbol, direction: position.direction, side };
+
+  createOrder(account, { ...base, type: 'STOP', purpose: 'SL', price: signal.sl, qty: position.qty }, time);
+
+  if (signal.tp1 && signal.tp2) {
+    const tp1Qty = position.qty * POSITION_CONFIG.TP1_CLOSE_FRACTION;
+    createOrder(account, { ...base, type: 'LIMIT', purpose: 'TP1', price: signal.tp1, qty: tp1Qty }, time);
+    createOrder(account, { ...base, type: 'LIMIT', purpose: 'TP2', price: signal.tp2, qty: position.qty - tp1Qty }, time);
+  } else if (signal.tp1 || signal.tp2) {
+    createOrder(account, { ...base, type: 'LIMIT', purpose: 'TP1', price: signal.tp1 || signal.tp2, qty: position.qty }, time);
+  }
+}
+
+// ==================== 撮合 ====================
+
+function isTriggered(order, price) {
+  const buy = order.side === 'BUY';
+  if (order.type === 'LIMIT') return buy ? price <= order.price : price >= order.price;
+  return buy ? price >= order.price : price <= order.price;
+}
+
+function getFeeBps(account, liquidity) {
+  return liquidity === 'MAKER' ? account.state.config.maker_fee_bps : account.state.config.taker_fee_bps;
+}
+
+/**
+ * 成交价：限价单按挂单价，止损单按触发价格加不利方向滑点
+ * continuous 为 true 时价格是连续走过止损价的（K线内部），按止损价计算
+ */
+function getFillPrice(account, order, price, continuous = false) {
+  if (order.type === 'LIMIT') return order.price;
+  const base = continuous ? order.price : price;
+  const slippage = account.state.config.slippage_bps / 10000;
+  return order.side === 'BUY' ? base * (1 + slippage) : base * (1 - slippage);
+}
+
+function chargeFee(account, notional, liquidity) {
+  const fee = notional * getFeeBps(account, liquidity) / 10000;
+  account.state.balance -= fee;
+  account.state.fees_paid += fee;
+  return fee;
+}
+
+function fillEntry(account, order, time) {
+  const fee = chargeFee(account, order.qty * order.price, 'MAKER');
+  removeOrder(account, order, ORDER_STATUS.FILLED, time);
+
+  const position = {
+    signal_id: order.signal_id,
+    symbol: order.symbol,
+    direction: order.direction,
+    qty: order.qty,
+    initial_qty: order.qty,
+    entry_price: order.price,
+    margin: order.reserved_margin,
+    leverage: account.state.config.leverage,
+    opened_at: time,
+    realized_pnl: 0,
+    fees: fee,
+    tp1_filled: false,
+    signal: { ...order.signal, entry_price: order.price, initial_sl: order.signal.sl, direction: order.direction }
+  };
+  account.state.positions.push(position);
+  placeExitOrders(account, position, time);
+
+  return { order_id: order.id, signal_id: order.signal_id, symbol: order.symbol, purpose: 'ENTRY',
+    side: order.side, price: order.price, qty: order.qty, fee: round(fee), liquidity: 'MAKER', time };
+}
+
+/**
+ * 平掉部分或全部仓位，返回成交记录
+ */
+function reducePosition(account, position, qty, price, liquidity, purpose, time, orderId = null, side = null) {
+  const sign = position.direction === 'LONG' ? 1 : -1;
+  const pnl = (price - position.entry_price) * qty * sign;
+  const fee = chargeFee(account, qty * price, liquidity);
+  const released = position.margin * qty / position.qty;
+
+  account.state.balance += pnl;
+  account.state.realized_pnl += pnl;
+  position.realized_pnl += pnl;
+  position.fees += fee;
+  position.margin -= released;
+  position.qty -= qty;
+
+  const fill = {
+    order_id: orderId,
+    signal_id: position.signal_id,
+    symbol: position.symbol,
+    purpose,
+    side: side || exitSide(position.direction),
+    price: round(price),
+    qty,
+    fee: round(fee),
+    liquidity,
+    realized_pnl: round(pnl),
+    time
+  };
+
+  if (position.qty <= position.initial_qty * 1e-9) {
+    account.state.positions = account.state.positions.filter(p => p !== position);
+    cancelSignalOrders(account, position.signal_id, time, `OCO_${purpose}`);
+    record(account, 'POSITION_CLOSED', {
+      position: { ...position, qty: 0, margin: 0, closed_at: time, exit_reason: purpose,
+        realized_pnl: round(position.realized_pnl), fees: round(position.fees),
+        net_pnl: round(position.realized_pnl - position.fees) }
+    }, time);
+  }
+
+  return fill;
+}
+
+function fillExit(account, order, tickPrice, time, continuous) {
+  const position = account.state.positions.find(p => p.signal_id === order.signal_id);
+  if (!position) {
+    removeOrder(account, order, ORDER_STATUS.CANCELLED, time, 'NO_POSITION');
+    return null;
+  }
+
+  const liquidity = order.type === 'LIMIT' ? 'MAKER' : 'TAKER';
+  const price = getFillPrice(account, order, tickPrice, continuous);
+  const qty = Math.min(order.qty, position.qty);
+  removeOrder(account, { ...order, fill_price: round(price) }, ORDER_STATUS.FILLED, time);
+  const fill = reducePosition(account, position, qty, price, liquidity, order.purpose, time, order.id, order.side);
+
+  // TP1 后移动止损并改为剩余数量
+  if (order.purpose === 'TP1' && position.qty > 0) {
+    position.tp1_filled = true;
+    const stop = account.state.orders.find(o => o.signal_id === position.signal_id && o.purpose === 'SL');
+    if (stop) {
+      stop.price = getStopAfterTp1(position.signal);
+      stop.qty = position.qty;
+      record(account, 'ORDER_AMENDED', { order: { ...stop } }, time);
+    }
+  }
+
+  return fill;
+}
+
+/**
+ * 权益低于维持保证金时按当前价强平全部仓位
+ */
+function checkLiquidation(account, time) {
+  if (account.state.positions.length === 0) return [];
+
+  const maintenance = account.state.positions.reduce((total, p) =>
+    total + p.qty * getMark(account, p.symbol, p.entry_price) * PAPER_CONFIG.MAINTENANCE_MARGIN_RATE, 0);
+  const equity = getEquity(account);
+  if (equity > maintenance) return [];
+
+  console.warn(`[PaperTrading] Account ${account.state.id} liquidated, equity ${equity.toFixed(2)} <= maintenance ${maintenance.toFixed(2)}`);
+  record(account, 'LIQUIDATION', { equity: round(equity), maintenance_margin: round(maintenance) }, time);
+
+  const fills = [];
+  for (const position of [...account.state.positions]) {
+    const mark = getMark(account, position.symbol, position.entry_price);
+    fills.push(reducePosition(account, position, position.qty, mark, 'TAKER', 'LIQUIDATION', time));
+  }
+  for (const order of [...account.state.orders]) {
+    removeOrder(account, order, ORDER_STATUS.CANCELLED, time, 'LIQUIDATION');
+  }
+  account.state.liquidated_at = time;
+  return fills;
+}
+
+/**
+ * 用一个价格点撮合某交易对的委托（signalId 不为空时只撮合该信号的委托）
+ * triggerPrice 用于止损单（合约账户为标记价格），限价单按最新成交价
+ */
+function matchSymbol(account, symbol, price, triggerPrice, time, continuous, signalId = null) {
+  const fills = [];
+  const matches = o => o.symbol === symbol && (!signalId || o.signal_id === signalId);
+
+  for (const order of account.state.orders.filter(o => matches(o) && o.purpose === 'ENTRY')) {
+    if (isTriggered(order, price)) fills.push(fillEntry(account, order, time));
+  }
+
+  // 止损优先于止盈：同一价格点两者都满足时按不利结果处理
+  const exits = account.state.orders
+    .filter(o => matches(o) && o.purpose !== 'ENTRY')
+    .sort((a, b) => (a.purpose === 'SL' ? -1 : 0) - (b.purpose === 'SL' ? -1 : 0));
+  for (const order of exits) {
+    if (!account.state.orders.includes(order)) continue;
+    const checkPrice = order.type === 'STOP' ? triggerPrice : price;
+    if (!isTriggered(order, checkPrice)) continue;
+    const fill = fillExit(account, order, checkPrice, time, continuous);
+    if (fill) fills.push(fill);
+  }
+
+  return fills;
+}
+
+/**
+ * 撤销已过期或信号已结束（未成交）的入场单
+ * activeIds 为 null 时只按过期时间判断（回放）
+ */
+function cancelStaleEntries(account, activeIds, time) {
+  let cancelled = 0;
+  for (const order of account.state.orders.filter(o => o.purpose === 'ENTRY')) {
+    const expired = order.expires_at && time >= order.expires_at;
+    const inactive = activeIds && !activeIds.has(order.signal_id);
+    if (!expired && !inactive) continue;
+
+    removeOrder(account, order, ORDER_STATUS.CANCELLED, time, expired ? 'EXPIRED' : 'SIGNAL_CLOSED');
+    cancelled++;
+  }
+  return cancelled;
+}
+
+function processAccountPrices(account, priceMap, markMap, time, activeIds, continuous = false, signalId = null) {
+  const seqBefore = account.state.ledger_seq;
+  const fills = [];
+
+  cancelStaleEntries(account, activeIds, time);
+
+  for (const [symbol, mark] of Object.entries(markMap)) {
+    if (mark && isFinite(mark)) account.marks[symbol] = mark;
+  }
+
+  const symbols = new Set(account.state.orders.map(o => o.symbol));
+  for (const symbol of symbols) {
+    const price = priceMap[symbol];
+    if (!price || !isFinite(price)) continue;
+
+    if (!markMap[symbol]) account.marks[symbol] = price;
+    const triggerPrice = account.state.config.market === 'futures' && markMap[symbol] ? markMap[symbol] : price;
+    fills.push(...matchSymbol(account, symbol, price, triggerPrice, time, continuous, signalId));
+  }
+
+  for (const position of account.state.positions) {
+    const price = priceMap[position.symbol];
+    if (price && isFinite(price) && !markMap[position.symbol]) account.marks[position.symbol] = price;
+  }
+
+  fills.push(...checkLiquidation(account, time));
+
+  const changed = account.state.ledger_seq !== seqBefore;
+  sampleEquity(account, time, fills.length > 0);
+  if (changed) saveAccount(account);
+  if (changed || account.state.positions.length > 0) publish(account, fills);
+
+  return fills;
+}
+
+// ==================== 对外接口 ====================
+
+/**
+ * 行情快照: { symbol: price }，markMap 为可选的标记价格
+ */
+function processPrices(priceMap, markMap = {}, time = Date.now()) {
+  if (!running || accounts.size === 0) return [];
+
+  const activeIds = new Set(getActiveSignals(scope).map(s => s.id));
+  const fills = [];
+  for (const account of accounts.values()) {
+    try {
+      fills.push(...processAccountPrices(account, priceMap, markMap, time, activeIds));
+    } catch (error) {
+      console.error(`[PaperTrading] Price update failed for ${account.state.id}:`, error.message);
+    }
+  }
+  return fills;
+}
+
+/**
+ * 信号在触发引擎中的状态（由该信号的模拟单与持仓构造），用于确定K线内的价格路径
+ */
+function getTriggerState(account, signalId) {
+  const position = account.state.positions.find(p => p.signal_id === signalId);
+  const orders = account.state.orders.filter(o => o.signal_id === signalId);
+
+  if (position) {
+    const stop = orders.find(o => o.purpose === 'SL');
+    return {
+      status: position.tp1_filled ? 'TP1_HIT' : 'ENTERED',
+      direction: position.direction,
+      entry_price: position.entry_price,
+      entry_price_actual: position.entry_price,
+      sl: position.signal.sl,
+      initial_sl: position.signal.initial_sl,
+      stop_price: stop ? stop.price : position.signal.sl,
+      tp1: position.signal.tp1,
+      tp2: position.signal.tp2,
+      remaining_fraction: position.qty / position.initial_qty
+    };
+  }
+
+  const entry = orders.find(o => o.purpose === 'ENTRY');
+  if (!entry) return null;
+  return {
+    status: 'ACTIVE',
+    direction: entry.direction,
+    entry_price: entry.price,
+    sl: entry.signal.sl,
+    tp1: entry.signal.tp1,
+    tp2: entry.signal.tp2
+  };
+}
+
+/**
+ * 按K线回放撮合（补齐轮询间隔内的影线）
+ * K线内的价格路径与信号生命周期相同（triggerEngine.resolveBarPath）：两条路径结果一致时先高后低，
+ * 歧义时用 fetchBars 下钻到更低时间框架，仍无法判断时按 AMBIGUITY_POLICY 选择；
+ * 同一交易对上的多个信号各自按自己的路径撮合。开盘价视为跳空（止损按开盘价成交），其余价格点之间视为连续
+ * options: { interval（K线周期，默认 1m）, fetchBars(interval, from, until), policy }
+ */
+async function replayKlines(accountId, symbol, klines, options = {}) {
+  const account = accounts.get(accountId);
+  if (!account) throw new Error(`Paper account not found: ${accountId}`);
+
+  const interval = options.interval || '1m';
+  const fills = [];
+  for (const bar of klines) {
+    const signalIds = [...new Set(account.state.orders.filter(o => o.symbol === symbol).map(o => o.signal_id))];
+    if (signalIds.length === 0) {
+      fills.push(...processAccountPrices(account, { [symbol]: bar.close }, {}, bar.time, null));
+      continue;
+    }
+
+    for (const signalId of signalIds) {
+      const state = getTriggerState(account, signalId);
+      if (!state) continue;
+
+      const { segments } = await resolveBarPath(state, bar, interval, options.fetchBars, { policy: options.policy });
+      for (const segment of segments) {
+        segment.points.forEach((price, i) => {
+          fills.push(...processAccountPrices(account, { [symbol]: price }, {}, segment.time, null, i > 0, signalId));
+        });
+      }
+    }
+  }
+  return fills;
+}
+
+/**
+ * 新信号写入生命周期后，为每个账户挂入场单
+ */
+function followSignals(signals, time = Date.now()) {
+  if (!running) return [];
+
+  const orders = [];
+  for (const account of accounts.values()) {
+    const seqBefore = account.state.ledger_seq;
+    for (const signal of signals) {
+      if (!shouldFollow(account, signal)) continue;
+      const order = placeEntryOrder(account, signal, time);
+      if (order) orders.push(order);
+    }
+    if (account.state.ledger_seq !== seqBefore) {
+      saveAccount(account);
+      publish(account, []);
+    }
+  }
+  return orders;
+}
+
+/**
+ * 校验账户参数，返回错误信息或 null
+ */
+function validateAccountOptions(options = {}) {
+  if (options.id !== undefined && !ACCOUNT_ID_PATTERN.test(options.id)) {
+    return 'Invalid account id, use 1-40 letters, digits, _ or -';
+  }
+  const positive = ['starting_balance', 'leverage', 'risk_percent'];
+  for (const field of positive) {
+    if (options[field] !== undefined && !(Number(options[field]) > 0)) return `Invalid ${field}`;
+  }
+  const nonNegative = ['maker_fee_bps', 'taker_fee_bps', 'slippage_bps'];
+  for (const field of nonNegative) {
+    if (options[field] !== undefined && !(Number(options[field]) >= 0)) return `Invalid ${field}`;
+  }
+  if (options.leverage !== undefined && Number(options.leverage) > PAPER_CONFIG.MAX_LEVERAGE) {
+    return `Leverage exceeds max ${PAPER_CONFIG.MAX_LEVERAGE}x`;
+  }
+  if (options.market !== undefined && !COST_CONFIG.FEE_SCHEDULES[options.market]) {
+    return `Unsupported market: ${options.market}, supported: ${Object.keys(COST_CONFIG.FEE_SCHEDULES).join(', ')}`;
+  }
+  if (options.min_rating !== undefined && options.min_rating !== null && !RATING_ORDER.includes(options.min_rating)) {
+    return `Unknown rating: ${options.min_rating}`;
+  }
+  if (options.signal_types !== undefined && (!Array.isArray(options.signal_types) || options.signal_types.length === 0)) {
+    return 'signal_types must be a non-empty array';
+  }
+  return null;
+}
+
+function buildConfig(options) {
+  const market = options.market || COST_CONFIG.MARKET;
+  const schedule = COST_CONFIG.FEE_SCHEDULES[market];
+  const pick = (value, fallback) => (value !== undefined ? Number(value) : fallback);
+
+  return {
+    market,
+    starting_balance: pick(options.starting_balance, PAPER_CONFIG.STARTING_BALANCE),
+    leverage: pick(options.leverage, PAPER_CONFIG.LEVERAGE),
+    risk_percent: pick(options.risk_percent, PAPER_CONFIG.RISK_PER_TRADE_PERCENT),
+    maker_fee_bps: pick(options.maker_fee_bps, schedule.MAKER),
+    taker_fee_bps: pick(options.taker_fee_bps, schedule.TAKER),
+    slippage_bps: pick(options.slippage_bps, PAPER_CONFIG.SLIPPAGE_BPS),
+    follow: {
+      signal_types: options.signal_types || PAPER_CONFIG.SIGNAL_TYPES,
+      min_rating: options.min_rating || null
+    }
+  };
+}
+
+function createState(id, name, config, time) {
+  return {
+    id,
+    name,
+    created_at: time,
+    updated_at: time,
+    config,
+    balance: config.starting_balance,
+    realized_pnl: 0,
+    fees_paid: 0,
+    positions: [],
+    orders: [],
+    order_seq: 0,
+    ledger_seq: 0,
+    liquidated_at: null
+  };
+}
+
+/**
+ * 创建账户，options: { id, name, market, starting_balance, leverage, risk_percent,
+ *   maker_fee_bps, taker_fee_bps, slippage_bps, signal_types, min_rating }
+ */
+function createAccount(options = {}) {
+  const error = validateAccountOptions(options);
+  if (error) throw new Error(error);
+
+  const id = options.id || `paper_${Date.now().toString(36)}`;
+  if (accounts.has(id)) throw new Error(`Paper account already exists: ${id}`);
+
+  const time = Date.now();
+  const account = {
+    state: createState(id, options.name || id, buildConfig(options), time),
+    marks: {},
+    ledger: [],
+    equity: [],
+    lastSampleAt: null
+  };
+  accounts.set(id, account);
+  record(account, 'ACCOUNT_CREATED', { config: account.state.config }, time);
+  sampleEquity(account, time, true);
+  saveAccount(account);
+
+  console.log(`[PaperTrading] Account ${id} created, balance ${account.state.balance}, leverage ${account.state.config.leverage}x`);
+  return summarize(account);
+}
+
+function getAccount(id) {
+  const account = accounts.get(id);
+  return account ? summarize(account) : null;
+}
+
+function listAccounts() {
+  return [...accounts.values()].map(summarize);
+}
+
+/**
+ * 清空持仓与委托，恢复初始资金（流水与权益曲线保留，以 RESET 分隔）
+ */
+function resetAccount(id) {
+  const account = accounts.get(id);
+  if (!account) return null;
+
+  const time = Date.now();
+  const { state } = account;
+  account.state = {
+    ...createState(state.id, state.name, state.config, state.created_at),
+    order_seq: state.order_seq,
+    ledger_seq: state.ledger_seq
+  };
+  record(account, 'RESET', { previous_balance: round(state.balance), previous_equity: round(getEquity({ ...account, state })) }, time);
+  sampleEquity(account, time, true);
+  saveAccount(account);
+  publish(account, []);
+  return summarize(account);
+}
+
+function deleteAccount(id) {
+  if (!accounts.has(id)) return false;
+  accounts.delete(id);
+  for (const suffix of ['.json', '.ledger.jsonl', '.equity.jsonl']) {
+    fs.rmSync(getAccountFile(id, suffix), { force: true });
+  }
+  return true;
+}
+
+/**
+ * 委托 / 成交流水（按时间倒序），options: { type, symbol, limit }
+ */
+function getLedger(id, options = {}) {
+  const account = accounts.get(id);
+  if (!account) return null;
+
+  const limit = options.limit || 100;
+  // 缓存已满且不够时从文件读取全部流水
+  const entries = limit > account.ledger.length && account.ledger.length >= PAPER_CONFIG.LEDGER_CACHE_SIZE
+    ? readLines(getAccountFile(id, '.ledger.jsonl'), Infinity)
+    : account.ledger;
+
+  return entries
+    .filter(e => !options.type || e.type === options.type)
+    .filter(e => !options.symbol || (e.order || e.position || {}).symbol === options.symbol)
+    .slice()
+    .reverse()
+    .slice(0, limit);
+}
+
+/**
+ * 权益曲线（按时间升序），options: { from, to }
+ */
+function getEquityHistory(id, options = {}) {
+  const account = accounts.get(id);
+  if (!account) return null;
+
+  const cachedFrom = account.equity.length > 0 ? account.equity[0].time : Infinity;
+  const points = options.from && options.from < cachedFrom && account.equity.length >= PAPER_CONFIG.EQUITY_CACHE_SIZE
+    ? readLines(getAccountFile(id, '.equity.jsonl'), Infinity)
+    : account.equity;
+
+  return points.filter(p => (!options.from || p.time >= options.from) && (!options.to || p.time <= options.to));
+}
+
+function loadAccounts() {
+  if (!fs.existsSync(dir)) return;
+
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+    try {
+      const state = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      const equity = readLines(getAccountFile(state.id, '.equity.jsonl'), PAPER_CONFIG.EQUITY_CACHE_SIZE);
+      accounts.set(state.id, {
+        state,
+        marks: {},
+        ledger: readLines(getAccountFile(state.id, '.ledger.jsonl'), PAPER_CONFIG.LEDGER_CACHE_SIZE),
+        equity,
+        lastSampleAt: equity.length > 0 ? equity[equity.length - 1].time : null
+      });
+    } catch (error) {
+      console.error(`[PaperTrading] Failed to load ${file}:`, error.message);
+    }
+  }
+}
+
+/**
+ * 启动模拟盘，options: { dir, broadcast, scope }
+ * scope 为信号数据范围（{ synthetic }），用于判断入场单对应的信号是否仍有效
+ * 没有任何账户时按默认配置创建 default 账户
+ */
+function initPaperTrading(options = {}) {
+  dir = options.dir || PAPER_CONFIG.DIR;
+  broadcast = options.broadcast || (() => {});
+  scope = options.scope || {};
+  accounts.clear();
+  loadAccounts();
+  running = true;
+
+  if (accounts.size === 0) createAccount({ id: DEFAULT_ACCOUNT_ID, name: 'Default' });
+  console.log(`[PaperTrading] Started, ${accounts.size} account(s), dir: ${dir}`);
+}
+
+function stopPaperTrading() {
+  for (const account of accounts.values()) {
+    saveAccount(account);
+  }
+  running = false;
+}
+
+function getPaperStatus() {
+  return { running, dir, accounts: accounts.size };
+}
+
+module.exports = {
+  PAPER_CONFIG,
+  ORDER_STATUS,
+  initPaperTrading,
+  stopPaperTrading,
+  getPaperStatus,
+  validateAccountOptions,
+  createAccount,
+  getAccount,
+  listAccounts,
+  resetAccount,
+  deleteAccount,
+  getLedger,
+  getEquityHistory,
+  followSignals,
+  processPrices,
+  replayKlines
+};
@@ -0,0 +1,267 @@
+/**
+ * 绩效指标
+ *
+ * 只统计实际成交的记录（filled），按平仓时间排序，以R（初始止损距离）为单位：
+ * - 期望R、盈亏因子、盈亏比（平均盈利 / 平均亏损）
+ * - 累计R曲线的最大回撤及持续时间
+ * - 逐笔R收益的 Sharpe / Sortino（不年化）
+ * - 最长连胜 / 连亏、R倍数分布
+ *
+ * 权益曲线按固定风险比例复利：每笔权益变化 = 权益 × 风险比例 × R
+ *
+ * basis 选择毛盈亏（gross，默认）或扣除手续费、滑点、资金费后的净盈亏（net）
+ */
+
+const { RESULT_TYPE, isUnfilled, getResult } = require('./signalLifecycle');
+const { getRiskPercent, getPnlPercent } = require('./costModel');
+
+const METRICS_CONFIG = {
+  DEFAULT_RISK_PERCENT: 1,     // 每笔风险占权益的百分比
+  INITIAL_EQUITY: 10000,
+  HISTOGRAM_BIN_R: 0.5,
+  HISTOGRAM_MAX_R: 5           // 超出 ±5R 的归入两端区间
+};
+
+// 统计周期
+const PERIOD_MS = {
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000,
+  '90d': 90 * 24 * 60 * 60 * 1000,
+  '1y': 365 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * 周期起始时间，'all' 返回 null，不支持的周期返回 undefined
+ */
+function getPeriodStart(period, now = Date.now()) {
+  if (!period || period === 'all') return null;
+  return PERIOD_MS[period] ? now - PERIOD_MS[period] : undefined;
+}
+
+/**
+ * 单笔交易的R倍数（按初始止损计算风险）
+ */
+function getRMultiple(trade, basis = 'gross') {
+  const riskPercent = getRiskPercent(trade);
+  return riskPercent > 0 ? getPnlPercent(trade, basis) / riskPercent : 0;
+}
+
+/**
+ * 实际成交的交易，按平仓时间升序
+ */
+function getFilledTrades(records) {
+  return records
+    .filter(r => r.closed_at && !isUnfilled(r) && typeof r.pnl_percent === 'number')
+    .sort((a, b) => a.closed_at - b.closed_at);
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+function standardDeviation(values) {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * 累计R曲线的回撤区间：从高点开始，到重新创新高（恢复）结束，期末未恢复的 recovered=false
+ */
+function findDrawdowns(trades, rMultiples) {
+  const drawdowns = [];
+  let cumulative = 0;
+  let peak = 0;
+  let peakTime = trades.length > 0 ? (trades[0].entered_at || trades[0].closed_at) : null;
+  let current = null;
+
+  trades.forEach((trade, i) => {
+    cumulative += rMultiples[i];
+
+    if (cumulative >= peak) {
+      if (current) {
+        drawdowns.push({ ...current, recovered: true, recovered_at: trade.closed_at });
+        current = null;
+      }
+      peak = cumulative;
+      peakTime = trade.closed_at;
+      return;
+    }
+
+    if (!current) current = { depth_r: 0, peak_at: peakTime, trough_at: null, trades: 0 };
+    current.trades++;
+    if (peak - cumulative > current.depth_r) {
+      current.depth_r = peak - cumulative;
+      current.trough_at = trade.closed_at;
+    }
+  });
+
+  if (current) {
+    drawdowns.push({ ...current, recovered: false, recovered_at: null });
+  }
+
+  const lastTime = trades.length > 0 ? trades[trades.length - 1].closed_at : null;
+  return drawdowns.map(d => ({ ...d, duration_ms: (d.recovered_at || lastTime) - d.peak_at }));
+}
+
+/**
+ * 最大回撤（R）及其持续时间，以及持续最久的回撤
+ */
+function calculateDrawdown(trades, rMultiples) {
+  const drawdowns = findDrawdowns(trades, rMultiples);
+  const max = drawdowns.reduce((best, d) => (!best || d.depth_r > best.depth_r ? d : best), null);
+  const longest = drawdowns.reduce((best, d) => (!best || d.duration_ms > best.duration_ms ? d : best), null);
+
+  return {
+    max_drawdown_r: max ? max.depth_r : 0,
+    max_drawdown: max,
+    longest_drawdown_duration_ms: longest ? longest.duration_ms : 0
+  };
+}
+
+/**
+ * 最长连胜 / 连亏（保本交易中断连续）
+ */
+function calculateStreaks(trades, basis) {
+  let win = 0;
+  let loss = 0;
+  let longestWin = 0;
+  let longestLoss = 0;
+
+  for (const trade of trades) {
+    win = getResult(trade, basis) === RESULT_TYPE.WIN ? win + 1 : 0;
+    loss = getResult(trade, basis) === RESULT_TYPE.LOSS ? loss + 1 : 0;
+    longestWin = Math.max(longestWin, win);
+    longestLoss = Math.max(longestLoss, loss);
+  }
+
+  return { longest_win_streak: longestWin, longest_loss_streak: longestLoss };
+}
+
+/**
+ * R倍数分布：固定宽度区间，两端区间开放（from/to 为 null）
+ */
+function buildRHistogram(rMultiples, binSize = METRICS_CONFIG.HISTOGRAM_BIN_R, maxR = METRICS_CONFIG.HISTOGRAM_MAX_R) {
+  const bins = [{ from: null, to: -maxR, count: 0 }];
+  for (let from = -maxR; from < maxR; from += binSize) {
+    bins.push({ from, to: from + binSize, count: 0 });
+  }
+  bins.push({ from: maxR, to: null, count: 0 });
+
+  for (const r of rMultiples) {
+    if (r < -maxR) {
+      bins[0].count++;
+    } else if (r >= maxR) {
+      bins[bins.length - 1].count++;
+    } else {
+      bins[1 + Math.floor((r + maxR) / binSize)].count++;
+    }
+  }
+
+  return bins;
+}
+
+/**
+ * 计算绩效指标，options: { basis }
+ */
+function computeMetrics(records, options = {}) {
+  const basis = options.basis || 'gross';
+  const trades = getFilledTrades(records);
+  const rMultiples = trades.map(t => getRMultiple(t, basis));
+
+  const wins = trades.filter(t => getResult(t, basis) === RESULT_TYPE.WIN);
+  const losses = trades.filter(t => getResult(t, basis) === RESULT_TYPE.LOSS);
+  const grossProfitR = rMultiples.filter(r => r > 0).reduce((sum, r) => sum + r, 0);
+  const grossLossR = Math.abs(rMultiples.filter(r => r < 0).reduce((sum, r) => sum + r, 0));
+  const avgWinR = mean(rMultiples.filter(r => r > 0));
+  const avgLossR = mean(rMultiples.filter(r => r < 0));
+
+  const expectancyR = mean(rMultiples);
+  const stdR = standardDeviation(rMultiples);
+  const downside = rMultiples.length > 0
+    ? Math.sqrt(rMultiples.reduce((sum, r) => sum + Math.min(r, 0) ** 2, 0) / rMultiples.length)
+    : 0;
+
+  return {
+    basis,
+    trades: trades.length,
+    win: wins.length,
+    loss: losses.length,
+    breakeven: trades.filter(t => getResult(t, basis) === RESULT_TYPE.BREAKEVEN).length,
+    win_rate: trades.length > 0 ? (wins.length / trades.length) * 100 : 0,
+    total_r: rMultiples.reduce((sum, r) => sum + r, 0),
+    expectancy_r: expectancyR,
+    avg_win_r: avgWinR,
+    avg_loss_r: avgLossR,
+    profit_factor: grossLossR > 0 ? grossProfitR / grossLossR : null,
+    payoff_ratio: avgLossR < 0 ? avgWinR / Math.abs(avgLossR) : null,
+    sharpe: stdR > 0 ? expectancyR / stdR : null,
+    sortino: downside > 0 ? expectancyR / downside : null,
+    ...calculateDrawdown(trades, rMultiples),
+    ...calculateStreaks(trades, basis),
+    r_histogram: buildRHistogram(rMultiples),
+    first_trade_at: trades.length > 0 ? trades[0].closed_at : null,
+    last_trade_at: trades.length > 0 ? trades[trades.length - 1].closed_at : null
+  };
+}
+
+/**
+ * 权益曲线：累计R与按固定风险比例复利的权益
+ * options: { riskPercent, initialEquity, basis }
+ */
+function buildEquityCurve(records, options = {}) {
+  const basis = options.basis || 'gross';
+  const riskPercent = options.riskPercent !== undefined ? options.riskPercent : METRICS_CONFIG.DEFAULT_RISK_PERCENT;
+  const initialEquity = options.initialEquity || METRICS_CONFIG.INITIAL_EQUITY;
+
+  let cumulativeR = 0;
+  let peakR = 0;
+  let equity = initialEquity;
+  let peakEquity = initialEquity;
+  let maxDrawdownPercent = 0;
+
+  const points = getFilledTrades(records).map(trade => {
+    const r = getRMultiple(trade, basis);
+    cumulativeR += r;
+    equity *= 1 + (riskPercent / 100) * r;
+    peakR = Math.max(peakR, cumulativeR);
+    peakEquity = Math.max(peakEquity, equity);
+    const drawdownPercent = peakEquity > 0 ? (peakEquity - equity) / peakEquity * 100 : 0;
+    maxDrawdownPercent = Math.max(maxDrawdownPercent, drawdownPercent);
+
+    return {
+      time: trade.closed_at,
+      id: trade.id,
+      symbol: trade.symbol,
+      rating: trade.rating,
+      r,
+      cumulative_r: cumulativeR,
+      drawdown_r: peakR - cumulativeR,
+      equity,
+      drawdown_percent: drawdownPercent
+    };
+  });
+
+  return {
+    basis,
+    risk_percent: riskPercent,
+    initial_equity: initialEquity,
+    final_equity: equity,
+    return_percent: (equity / initialEquity - 1) * 100,
+    total_r: cumulativeR,
+    max_drawdown_percent: maxDrawdownPercent,
+    points
+  };
+}
+
+module.exports = {
+  METRICS_CONFIG,
+  PERIOD_MS,
+  getPeriodStart,
+  getRMultiple,
+  getFilledTrades,
+  computeMetrics,
+  buildEquityCurve,
+  buildRHistogram
+};
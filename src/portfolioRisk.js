@@ -0,0 +1,411 @@
+/**
+ * 组合风险控制
+ *
+ * 新的 TRADABLE 信号写入生命周期前逐个检查（同一批内已通过的信号也计入占用）：
+ * - 同时持有的信号数上限（挂单 + 持仓）
+ * - 总风险上限：每个信号按 riskManager 的单笔风险%计，TP1后止损上移的按剩余风险计
+ * - 单方向信号数上限
+ * - 相关性上限：与新信号同方向、滚动收益相关系数超过阈值的已有信号数
+ * - 熔断：当日 / 本周（UTC）已实现亏损超过上限时暂停新的 TRADABLE 信号
+ *
+ * CANDIDATE 信号不参与交易，不受限制。被拦截的信号连同原因写入单独的存储，不进入胜率统计。
+ */
+
+const path = require('path');
+const { SYMBOLS_54 } = require('./gateio');
+const { RISK_CONFIG } = require('./riskManager');
+const { getRMultiple } = require('./performanceMetrics');
+const { createJournalStore } = require('./signalStore');
+const { OPEN_STATUSES, getActiveSignals, getHistory, isSynthetic, isUnfilled } = require('./signalLifecycle');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PORTFOLIO_CONFIG = {
+  MAX_OPEN_SIGNALS: parseInt(process.env.PORTFOLIO_MAX_OPEN) || 10,
+  MAX_AGGREGATE_RISK_PERCENT: parseFloat(process.env.PORTFOLIO_MAX_RISK_PERCENT) || 6,
+  MAX_PER_DIRECTION: parseInt(process.env.PORTFOLIO_MAX_PER_DIRECTION) || 6,
+  MAX_CORRELATED: 3,                 // 同方向且高度相关的信号最多几个（含新信号）
+  CORRELATION_THRESHOLD: 0.75,
+  CORRELATION_TIMEFRAME: '1h',
+  CORRELATION_BARS: 168,             // 滚动窗口：7天1h收益
+  CORRELATION_TTL_MS: 60 * 60 * 1000,
+  DAILY_LOSS_LIMIT_PERCENT: parseFloat(process.env.DAILY_LOSS_LIMIT_PERCENT) || 3,
+  WEEKLY_LOSS_LIMIT_PERCENT: parseFloat(process.env.WEEKLY_LOSS_LIMIT_PERCENT) || 6
+};
+
+const BLOCKED_STORE_DIR = process.env.BLOCKED_STORE_DIR || path.join(__dirname, '..', 'data', 'blocked_signals');
+
+// 相关系数缓存: { matrix: { A: { B: corr } }, computedAt, symbols }
+let correlationCache = null;
+let blockedStore = null;
+
+function getBlockedStore() {
+  if (!blockedStore) {
+    blockedStore = createJournalStore({ dir: BLOCKED_STORE_DIR });
+  }
+  return blockedStore;
+}
+
+/**
+ * 替换被拦截信号的存储，返回之前的存储
+ */
+function setBlockedStore(store) {
+  const previous = blockedStore;
+  blockedStore = store;
+  return previous;
+}
+
+/**
+ * 关闭被拦截信号的存储（进程退出前调用）
+ */
+function closeBlockedStore() {
+  if (blockedStore) {
+    blockedStore.close();
+    blockedStore = null;
+  }
+}
+
+/**
+ * 按时间对齐的对数收益
+ */
+function toReturns(klines) {
+  const returns = new Map();
+  for (let i = 1; i < klines.length; i++) {
+    if (klines[i - 1].close > 0 && klines[i].close > 0) {
+      returns.set(klines[i].time, Math.log(klines[i].close / klines[i - 1].close));
+    }
+  }
+  return returns;
+}
+
+/**
+ * 两个收益序列在共同时间点上的皮尔逊相关系数
+ */
+function correlation(a, b) {
+  const xs = [];
+  const ys = [];
+  for (const [time, x] of a) {
+    if (b.has(time)) {
+      xs.push(x);
+      ys.push(b.get(time));
+    }
+  }
+  if (xs.length < 20) return null;
+
+  const meanX = xs.reduce((s, v) => s + v, 0) / xs.length;
+  const meanY = ys.reduce((s, v) => s + v, 0) / ys.length;
+  let cov = 0;
+  let varX = 0;
+  let varY = 0;
+  for (let i = 0; i < xs.length; i++) {
+    cov += (xs[i] - meanX) * (ys[i] - meanY);
+    varX += (xs[i] - meanX) ** 2;
+    varY += (ys[i] - meanY) ** 2;
+  }
+
+  return varX > 0 && varY > 0 ? cov / Math.sqrt(varX * varY) : null;
+}
+
+/**
+ * 计算滚动收益相关矩阵（按 CORRELATION_TTL_MS 缓存）
+ */
+async function refreshCorrelations(marketData, symbols = SYMBOLS_54, force = false) {
+  if (!force && correlationCache && Date.now() - correlationCache.computedAt < PORTFOLIO_CONFIG.CORRELATION_TTL_MS) {
+    return correlationCache;
+  }
+
+  const klinesData = await marketData.getAllKlines(
+    PORTFOLIO_CONFIG.CORRELATION_TIMEFRAME,
+    PORTFOLIO_CONFIG.CORRELATION_BARS + 1,
+    symbols
+  );
+
+  const returns = {};
+  for (const [symbol, klines] of Object.entries(klinesData)) {
+    returns[symbol] = toReturns(klines);
+  }
+
+  const matrix = {};
+  const list = Object.keys(returns);
+  for (const symbol of list) matrix[symbol] = { [symbol]: 1 };
+  for (let i = 0; i < list.length; i++) {
+    for (let j = i + 1; j < list.length; j++) {
+      const value = correlation(returns[list[i]], returns[list[j]]);
+      matrix[list[i]][list[j]] = value;
+      matrix[list[j]][list[i]] = value;
+    }
+  }
+
+  correlationCache = { matrix, computedAt: Date.now(), symbols: list };
+  console.log(`[PortfolioRisk] Correlations refreshed for ${list.length} symbols`);
+  return correlationCache;
+}
+
+function getCorrelation(a, b) {
+  if (a === b) return 1;
+  if (!correlationCache || !correlationCache.matrix[a]) return null;
+  const value = correlationCache.matrix[a][b];
+  return value === undefined ? null : value;
+}
+
+/**
+ * 高相关簇（相关系数 >= 阈值的连通分量），仅用于展示
+ */
+function getCorrelationClusters(threshold = PORTFOLIO_CONFIG.CORRELATION_THRESHOLD) {
+  if (!correlationCache) return [];
+
+  const symbols = correlationCache.symbols;
+  const visited = new Set();
+  const clusters = [];
+
+  for (const start of symbols) {
+    if (visited.has(start)) continue;
+    const cluster = [];
+    const stack = [start];
+    visited.add(start);
+
+    while (stack.length > 0) {
+      const symbol = stack.pop();
+      cluster.push(symbol);
+      for (const other of symbols) {
+        if (!visited.has(other) && getCorrelation(symbol, other) >= threshold) {
+          visited.add(other);
+          stack.push(other);
+        }
+      }
+    }
+
+    if (cluster.length > 1) clusters.push(cluster.sort());
+  }
+
+  return clusters.sort((a, b) => b.length - a.length);
+}
+
+/**
+ * 信号当前占用的风险（账户权益%）
+ * 未成交挂单按完整单笔风险计；持仓按剩余仓位到当前止损的亏损计（保本后为0）
+ */
+function getSignalRiskPercent(signal) {
+  const base = RISK_CONFIG.RISK_PER_TRADE_PERCENT;
+  if (!OPEN_STATUSES.includes(signal.status)) return base;
+
+  const entryPrice = signal.entry_price_actual || signal.entry_price;
+  const initialStop = signal.initial_sl || signal.sl;
+  const initialDistance = Math.abs(entryPrice - initialStop);
+  if (!initialDistance) return base;
+
+  const stop = signal.stop_price || initialStop;
+  const lossToStop = signal.direction === 'LONG' ? entryPrice - stop : stop - entryPrice;
+  const remaining = signal.remaining_fraction !== undefined ? signal.remaining_fraction : 1;
+
+  return Math.max(0, lossToStop / initialDistance) * remaining * base;
+}
+
+/**
+ * 统计窗口起点：当日 / 本周一（UTC）
+ */
+function getWindowStart(window, now = Date.now()) {
+  const dayStart = Math.floor(now / DAY_MS) * DAY_MS;
+  if (window === 'day') return dayStart;
+  const weekday = (new Date(dayStart).getUTCDay() + 6) % 7; // 周一为0
+  return dayStart - weekday * DAY_MS;
+}
+
+/**
+ * 已实现盈亏（账户权益%），按扣除成本后的净R × 单笔风险%换算
+ */
+function getRealizedPercent(records) {
+  return records
+    .filter(r => !isUnfilled(r) && typeof r.pnl_percent === 'number')
+    .reduce((sum, r) => sum + getRMultiple(r, 'net') * RISK_CONFIG.RISK_PER_TRADE_PERCENT, 0);
+}
+
+/**
+ * 熔断状态
+ */
+function getCircuitBreaker(scope = {}, now = Date.now()) {
+  const windows = [
+    { window: 'day', limit: PORTFOLIO_CONFIG.DAILY_LOSS_LIMIT_PERCENT },
+    { window: 'week', limit: PORTFOLIO_CONFIG.WEEKLY_LOSS_LIMIT_PERCENT }
+  ].map(({ window, limit }) => {
+    const from = getWindowStart(window, now);
+    const realized = getRealizedPercent(getHistory({ ...scope, from }).records);
+    return {
+      window,
+      from,
+      realized_percent: realized,
+      limit_percent: limit,
+      tripped: realized <= -limit,
+      resumes_at: from + (window === 'day' ? DAY_MS : 7 * DAY_MS)
+    };
+  });
+
+  const tripped = windows.filter(w => w.tripped);
+  return {
+    tripped: tripped.length > 0,
+    resumes_at: tripped.length > 0 ? Math.max(...tripped.map(w => w.resumes_at)) : null,
+    windows
+  };
+}
+
+/**
+ * 检查单个信号，返回拦截原因（空数组表示通过）
+ * open: 当前占用中的信号（含本批已通过的）
+ */
+function checkSignal(signal, open, breaker) {
+  const reasons = [];
+
+  if (breaker.tripped) {
+    const windows = breaker.windows.filter(w => w.tripped).map(w => w.window).join('/');
+    reasons.push({
+      rule: 'CIRCUIT_BREAKER',
+      message: `Realized loss limit hit (${windows}), new signals suspended until ${new Date(breaker.resumes_at).toISOString()}`
+    });
+  }
+
+  if (open.length >= PORTFOLIO_CONFIG.MAX_OPEN_SIGNALS) {
+    reasons.push({
+      rule: 'MAX_OPEN_SIGNALS',
+      message: `${open.length} open signals, max ${PORTFOLIO_CONFIG.MAX_OPEN_SIGNALS}`
+    });
+  }
+
+  const aggregateRisk = open.reduce((sum, s) => sum + getSignalRiskPercent(s), 0);
+  if (aggregateRisk + RISK_CONFIG.RISK_PER_TRADE_PERCENT > PORTFOLIO_CONFIG.MAX_AGGREGATE_RISK_PERCENT + 1e-9) {
+    reasons.push({
+      rule: 'MAX_AGGREGATE_RISK',
+      message: `Aggregate risk ${aggregateRisk.toFixed(2)}% + ${RISK_CONFIG.RISK_PER_TRADE_PERCENT}% exceeds ` +
+        `${PORTFOLIO_CONFIG.MAX_AGGREGATE_RISK_PERCENT}%`
+    });
+  }
+
+  const sameDirection = open.filter(s => s.direction === signal.direction);
+  if (sameDirection.length >= PORTFOLIO_CONFIG.MAX_PER_DIRECTION) {
+    reasons.push({
+      rule: 'MAX_PER_DIRECTION',
+      message: `${sameDirection.length} open ${signal.direction} signals, max ${PORTFOLIO_CONFIG.MAX_PER_DIRECTION}`
+    });
+  }
+
+  const correlated = sameDirection.filter(s =>
+    getCorrelation(signal.symbol, s.symbol) >= PORTFOLIO_CONFIG.CORRELATION_THRESHOLD);
+  if (correlated.length + 1 > PORTFOLIO_CONFIG.MAX_CORRELATED) {
+    reasons.push({
+      rule: 'CORRELATION_CLUSTER',
+      message: `${correlated.length} open ${signal.direction} signals correlated with ${signal.symbol} ` +
+        `(>= ${PORTFOLIO_CONFIG.CORRELATION_THRESHOLD}), max ${PORTFOLIO_CONFIG.MAX_CORRELATED}`,
+      cluster: correlated.map(s => ({ symbol: s.symbol, correlation: getCorrelation(signal.symbol, s.symbol) }))
+    });
+  }
+
+  return reasons;
+}
+
+/**
+ * 筛选一批新信号
+ * options: { scope, marketData }，提供 marketData 时先刷新相关矩阵
+ * 返回 { accepted, blocked: [{ signal, reasons }] }
+ */
+async function screenSignals(signals, options = {}) {
+  const scope = options.scope || {};
+
+  if (options.marketData && signals.some(s => s.signal_type === 'TRADABLE')) {
+    try {
+      await refreshCorrelations(options.marketData);
+    } catch (error) {
+      console.error('[PortfolioRisk] Correlation refresh failed:', error.message);
+    }
+  }
+
+  const open = getActiveSignals(scope).filter(s => s.signal_type === 'TRADABLE');
+  const breaker = getCircuitBreaker(scope);
+  const accepted = [];
+  const blocked = [];
+
+  for (const signal of signals) {
+    if (signal.signal_type !== 'TRADABLE') {
+      accepted.push(signal);
+      continue;
+    }
+
+    const reasons = checkSignal(signal, open, breaker);
+    if (reasons.length === 0) {
+      accepted.push(signal);
+      open.push({ ...signal, status: 'ACTIVE' });
+    } else {
+      blocked.push({ signal, reasons });
+    }
+  }
+
+  if (blocked.length > 0) {
+    console.log(`[PortfolioRisk] Blocked ${blocked.length} signals: ` +
+      blocked.map(b => `${b.signal.symbol} ${b.signal.direction} (${b.reasons.map(r => r.rule).join(',')})`).join('; '));
+  }
+
+  return { accepted, blocked };
+}
+
+/**
+ * 保存被拦截的信号及原因
+ */
+function recordBlocked(signal, reasons) {
+  const record = {
+    ...signal,
+    status: 'BLOCKED',
+    blocked_at: Date.now(),
+    closed_at: Date.now(),
+    block_reasons: reasons
+  };
+  getBlockedStore().transaction(tx => tx.archive(record));
+  return record;
+}
+
+/**
+ * 被拦截的信号（按时间倒序）
+ * options: { synthetic, symbol, from, to, limit }
+ */
+function getBlockedSignals(options = {}) {
+  return getBlockedStore().queryHistory({
+    symbol: options.symbol,
+    from: options.from,
+    to: options.to,
+    filter: r => isSynthetic(r) === (options.synthetic === true)
+  }).reverse().slice(0, options.limit || 100);
+}
+
+/**
+ * 当前组合风险概况
+ */
+function getPortfolioStatus(scope = {}) {
+  const open = getActiveSignals(scope).filter(s => s.signal_type === 'TRADABLE');
+  const byDirection = { LONG: 0, SHORT: 0 };
+  for (const signal of open) byDirection[signal.direction] = (byDirection[signal.direction] || 0) + 1;
+
+  return {
+    limits: PORTFOLIO_CONFIG,
+    risk_per_trade_percent: RISK_CONFIG.RISK_PER_TRADE_PERCENT,
+    open_signals: open.length,
+    aggregate_risk_percent: open.reduce((sum, s) => sum + getSignalRiskPercent(s), 0),
+    by_direction: byDirection,
+    circuit_breaker: getCircuitBreaker(scope),
+    correlation: correlationCache ? {
+      computed_at: correlationCache.computedAt,
+      symbols: correlationCache.symbols.length,
+      clusters: getCorrelationClusters()
+    } : null
+  };
+}
+
+module.exports = {
+  PORTFOLIO_CONFIG,
+  refreshCorrelations,
+  getCorrelationClusters,
+  getSignalRiskPercent,
+  getCircuitBreaker,
+  screenSignals,
+  recordBlocked,
+  getBlockedSignals,
+  getPortfolioStatus,
+  setBlockedStore,
+  closeBlockedStore
+};
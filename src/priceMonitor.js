@@ -0,0 +1,315 @@
+/**
+ * 价格监控 - 驱动信号生命周期
+ *
+ * 定时轮询行情，对每个有活跃信号的交易对：
+ * 1. 检查挂单成交与止盈止损 → 广播 signal_entered / signal_partial / signal_closed
+ *    - klines（默认）：processKlineUpdate 按上次检查以来K线的高低点判断，不会漏掉两次轮询之间的影线
+ *    - ticker：processPriceUpdate 只看最新成交价
+ * 2. updateSignalPrices 更新最新价格与未实现盈亏 → 广播 price_update
+ *
+ * 合约持仓按标记价格判断（数据源提供 getMarkPriceKlines / ticker.mark_price 时），其余按最新成交价。
+ * 外部推送的价格（pushPrices）始终按价格快照处理；
+ * 行情推送（gateioStream）的价格经 pushTickers 按配置的触发方式即时检查，K线取自推送维护的缓存
+ *
+ * 每批价格处理完后回调 onPrices(priceMap, markMap)（模拟盘撮合）
+ */
+
+const {
+  getActiveSignals,
+  processPriceUpdate,
+  processKlineUpdate,
+  updateSignalPrices
+} = require('./signalLifecycle');
+const { TIMEFRAME_MS, MAX_CANDLES_PER_REQUEST, MAX_RANGE_BARS } = require('./gateio');
+const { TRIGGER_CONFIG } = require('./triggerEngine');
+
+const DEFAULT_INTERVAL_MS = parseInt(process.env.PRICE_MONITOR_INTERVAL_MS) || 10000;
+const DEFAULT_TRIGGER_SOURCE = process.env.TRIGGER_SOURCE || 'klines';
+
+let timer = null;
+let marketData = null;
+let broadcast = () => {};
+let onPrices = () => {};
+let scope = {};
+let polling = false;
+
+const monitorStatus = {
+  running: false,
+  interval_ms: DEFAULT_INTERVAL_MS,
+  trigger_source: DEFAULT_TRIGGER_SOURCE,
+  trigger_interval: TRIGGER_CONFIG.INTERVAL,
+  ambiguity_policy: TRIGGER_CONFIG.AMBIGUITY_POLICY,
+  last_poll: null,
+  last_push: null,
+  last_stream: null,
+  stream_batches: 0,
+  last_error: null,
+  polls: 0,
+  entered_signals: 0,
+  closed_signals: 0
+};
+
+/**
+ * 广播触发结果
+ */
+function publishTriggers({ entered, partial, closed }) {
+  for (const signal of entered) {
+    broadcast({
+      type: 'signal_entered',
+      data: {
+        signalId: signal.id,
+        symbol: signal.symbol,
+        signal_type: signal.signal_type,
+        rating: signal.rating,
+        entryPrice: signal.entry_price_actual
+      }
+    });
+  }
+
+  for (const signal of partial) {
+    broadcast({
+      type: 'signal_partial',
+      data: signal
+    });
+  }
+
+  for (const signal of closed) {
+    broadcast({
+      type: 'signal_closed',
+      data: signal
+    });
+  }
+
+  monitorStatus.entered_signals += entered.length;
+  monitorStatus.closed_signals += closed.length;
+}
+
+/**
+ * 更新最新价格并广播
+ */
+function publishPrices(priceMap, activeSymbols, markMap = {}) {
+  const updated = updateSignalPrices(
+    Object.entries(priceMap)
+      .filter(([symbol]) => activeSymbols.has(symbol))
+      .map(([symbol, price]) => ({ symbol, price, mark_price: markMap[symbol] }))
+  );
+
+  if (updated.length > 0) {
+    broadcast({
+      type: 'price_update',
+      data: updated
+    });
+  }
+
+  return updated;
+}
+
+/**
+ * 价格回调出错不影响信号生命周期
+ */
+function notifyPrices(priceMap, markMap) {
+  try {
+    onPrices(priceMap, markMap);
+  } catch (error) {
+    console.error('[PriceMonitor] Price callback failed:', error.message);
+  }
+}
+
+/**
+ * 处理一批价格快照: { symbol: price }，markMap 为可选的标记价格
+ */
+function handlePrices(priceMap, markMap = {}) {
+  const activeSymbols = new Set(getActiveSignals(scope).map(s => s.symbol));
+  const triggered = { entered: [], partial: [], closed: [] };
+
+  for (const symbol of activeSymbols) {
+    const price = priceMap[symbol];
+    if (!price || !isFinite(price)) continue;
+
+    const result = processPriceUpdate(symbol, price, markMap[symbol]);
+    triggered.entered.push(...result.entered);
+    triggered.partial.push(...result.partial);
+    triggered.closed.push(...result.closed);
+  }
+
+  publishTriggers(triggered);
+  const updated = publishPrices(priceMap, activeSymbols, markMap);
+  notifyPrices(priceMap, markMap);
+  return { updated, ...triggered };
+}
+
+/**
+ * 获取与 [from, until) 有交集的K线，超出单次请求上限时分页拉取
+ * priceType=mark 时取标记价格K线（数据源不支持时退回最新成交价K线）
+ */
+async function fetchBars(symbol, interval, from, until, priceType = 'last') {
+  const timeframeMs = TIMEFRAME_MS[interval];
+  const bars = Math.ceil((Date.now() - from) / timeframeMs) + 1;
+  const useMark = priceType === 'mark' && typeof marketData.getMarkPriceKlines === 'function';
+
+  const klines = bars <= MAX_CANDLES_PER_REQUEST
+    ? await (useMark ? marketData.getMarkPriceKlines(symbol, interval, bars) : marketData.getKlines(symbol, interval, bars))
+    : await fetchRangePages(symbol, interval, from, until, useMark ? { priceType: 'mark' } : {});
+
+  return (klines || []).filter(k => k.time + timeframeMs > from && k.time < until);
+}
+
+/**
+ * 按 MAX_RANGE_BARS 分段拉取整个区间（getKlinesRange 单次只保留最新的 maxBars 根，
+ * 一次拉取长区间会丢掉最早的部分，而触发检查仍会越过这段时间）
+ */
+async function fetchRangePages(symbol, interval, from, until, rangeOptions) {
+  const timeframeMs = TIMEFRAME_MS[interval];
+  const byTime = new Map();
+
+  for (let pageStart = Math.floor(from / timeframeMs) * timeframeMs; pageStart < until;
+    pageStart += MAX_RANGE_BARS * timeframeMs) {
+    const pageEnd = Math.min(until, pageStart + (MAX_RANGE_BARS - 1) * timeframeMs);
+    const page = await marketData.getKlinesRange(symbol, interval, pageStart, pageEnd,
+      { ...rangeOptions, maxBars: MAX_RANGE_BARS });
+    for (const kline of page || []) byTime.set(kline.time, kline);
+  }
+
+  return Array.from(byTime.values()).sort((a, b) => a.time - b.time);
+}
+
+/**
+ * 按K线高低点检查触发，再用最新价格更新未实现盈亏
+ */
+async function handleKlines(priceMap, markMap = {}) {
+  const activeSymbols = new Set(getActiveSignals(scope).map(s => s.symbol));
+  const triggered = { entered: [], partial: [], closed: [] };
+
+  for (const symbol of activeSymbols) {
+    try {
+      const result = await processKlineUpdate(symbol,
+        (interval, from, until, priceType) => fetchBars(symbol, interval, from, until, priceType));
+      triggered.entered.push(...result.entered);
+      triggered.partial.push(...result.partial);
+      triggered.closed.push(...result.closed);
+    } catch (error) {
+      console.error(`[PriceMonitor] Kline trigger check failed for ${symbol}:`, error.message);
+    }
+  }
+
+  publishTriggers(triggered);
+  const updated = publishPrices(priceMap, activeSymbols, markMap);
+  notifyPrices(priceMap, markMap);
+  return { updated, ...triggered };
+}
+
+/**
+ * 按配置的触发方式处理一批 ticker: { symbol: { last, mark_price } }
+ */
+async function handleTickers(tickers) {
+  const priceMap = {};
+  const markMap = {};
+  for (const [symbol, ticker] of Object.entries(tickers)) {
+    priceMap[symbol] = ticker.last;
+    if (ticker.mark_price) markMap[symbol] = ticker.mark_price;
+  }
+
+  return monitorStatus.trigger_source === 'ticker'
+    ? handlePrices(priceMap, markMap)
+    : handleKlines(priceMap, markMap);
+}
+
+/**
+ * 轮询一次行情
+ */
+async function poll() {
+  if (polling) return null;
+  polling = true;
+
+  try {
+    const result = await handleTickers(await marketData.getTickers());
+    monitorStatus.last_poll = Date.now();
+    monitorStatus.last_error = null;
+    monitorStatus.polls++;
+    return result;
+  } catch (error) {
+    console.error('[PriceMonitor] Poll error:', error.message);
+    monitorStatus.last_error = error.message;
+    return null;
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * 外部推送价格: [{ symbol, price, mark_price }]
+ * 正在轮询时返回 null：K线检查基于读取时的信号状态，不能与快照触发交错执行
+ */
+function pushPrices(prices) {
+  if (polling) return null;
+
+  const priceMap = {};
+  const markMap = {};
+  for (const { symbol, price, mark_price: markPrice } of prices) {
+    priceMap[symbol] = parseFloat(price);
+    if (markPrice !== undefined) markMap[symbol] = parseFloat(markPrice);
+  }
+
+  monitorStatus.last_push = Date.now();
+  return handlePrices(priceMap, markMap);
+}
+
+/**
+ * 行情推送的价格: { symbol: ticker }（只含有变化的交易对）
+ * 正在轮询时跳过，K线触发按上次检查以来的K线判断，不会漏掉
+ */
+async function pushTickers(tickers) {
+  if (polling || !marketData) return null;
+  polling = true;
+
+  try {
+    const result = await handleTickers(tickers);
+    monitorStatus.last_stream = Date.now();
+    monitorStatus.stream_batches++;
+    return result;
+  } catch (error) {
+    console.error('[PriceMonitor] Stream update error:', error.message);
+    monitorStatus.last_error = error.message;
+    return null;
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * 启动价格监控
+ */
+function initPriceMonitor(options = {}) {
+  marketData = options.marketData || require('./gateio');
+  broadcast = options.broadcast || (() => {});
+  onPrices = options.onPrices || (() => {});
+  scope = options.scope || {};
+  monitorStatus.interval_ms = options.intervalMs || DEFAULT_INTERVAL_MS;
+  monitorStatus.trigger_source = options.triggerSource || DEFAULT_TRIGGER_SOURCE;
+
+  if (timer) clearInterval(timer);
+  timer = setInterval(poll, monitorStatus.interval_ms);
+  monitorStatus.running = true;
+
+  console.log(`[PriceMonitor] Started, interval: ${monitorStatus.interval_ms}ms, ` +
+    `triggers: ${monitorStatus.trigger_source}`);
+}
+
+function stopPriceMonitor() {
+  if (timer) clearInterval(timer);
+  timer = null;
+  monitorStatus.running = false;
+}
+
+function getMonitorStatus() {
+  return { ...monitorStatus };
+}
+
+module.exports = {
+  initPriceMonitor,
+  stopPriceMonitor,
+  pushPrices,
+  pushTickers,
+  poll,
+  getMonitorStatus
+};
@@ -1,15 +1,183 @@
 /**
  * 风险管理模块
+ *
+ * 仓位 = 账户权益 × 单笔风险% ÷ 入场到止损的距离，
+ * 按交易对数量精度向下取整（实际风险不超过设定值），并检查最小下单量/下单额。
+ *
+ * 风险等级由三项打分得出：
+ * - 止损宽度（以ATR计）：过窄容易被噪音扫掉，过宽盈亏比变差
+ * - 信号评级
+ * - 当前波动率：最近ATR相对近期平均真实波幅的倍数
  */
 
-function getRiskAssessment(signal) {
+const { calculateATR } = require('./strategy_v2');
+
+const RISK_CONFIG = {
+  ACCOUNT_EQUITY: parseFloat(process.env.ACCOUNT_EQUITY) || 10000,
+  RISK_PER_TRADE_PERCENT: parseFloat(process.env.RISK_PER_TRADE_PERCENT) || 1,
+  MAX_LEVERAGE: parseFloat(process.env.MAX_LEVERAGE) || 5,
+  VOLATILITY_BARS: 100,
+  STOP_ATR: { TIGHT: 0.75, WIDE: 2.5 },
+  VOLATILITY_RATIO: { ELEVATED: 1.2, HIGH: 1.5 },
+  RATING_SCORE: { S: 0, A: 1, B: 2, C: 3 },
+  LEVEL_THRESHOLDS: { MEDIUM: 2, HIGH: 4 }
+};
+
+/**
+ * 按精度向下取整（避免浮点误差导致多出一个最小单位）
+ */
+function floorToPrecision(value, precision) {
+  const factor = Math.pow(10, precision);
+  return Math.floor(value * factor + 1e-9) / factor;
+}
+
+/**
+ * 止损宽度打分
+ */
+function scoreStopWidth(stopAtr) {
+  if (stopAtr === null) return 1;
+  if (stopAtr < RISK_CONFIG.STOP_ATR.TIGHT) return 2;
+  if (stopAtr > RISK_CONFIG.STOP_ATR.WIDE) return 1;
+  return 0;
+}
+
+/**
+ * 波动率打分
+ */
+function scoreVolatility(ratio) {
+  if (ratio === null) return 0;
+  if (ratio >= RISK_CONFIG.VOLATILITY_RATIO.HIGH) return 2;
+  if (ratio >= RISK_CONFIG.VOLATILITY_RATIO.ELEVATED) return 1;
+  return 0;
+}
+
+/**
+ * 风险评估
+ * context: { pair, atr, volatilityRatio, equity, riskPercent }
+ *   pair 为交易对下单规则（getCurrencyPair），atr 默认取信号生成时的ATR
+ */
+function getRiskAssessment(signal, context = {}) {
+  const equity = context.equity || RISK_CONFIG.ACCOUNT_EQUITY;
+  const riskPercent = context.riskPercent || RISK_CONFIG.RISK_PER_TRADE_PERCENT;
+  const pair = context.pair || null;
+  const warnings = [];
+
+  const entryPrice = signal.entry_price_actual || signal.entry_price;
+  const stopPrice = signal.initial_sl || signal.sl;
+  const stopDistance = Math.abs(entryPrice - stopPrice);
+
+  if (!entryPrice || !stopPrice || stopDistance === 0) {
+    return {
+      risk_level: 'HIGH',
+      suggested_position_size: 0,
+      max_loss_percent: 0,
+      warnings: ['Missing entry price or stop loss']
+    };
+  }
+
+  // 仓位
+  const riskAmount = equity * riskPercent / 100;
+  let size = riskAmount / stopDistance;
+  if (pair && Number.isInteger(pair.amount_precision)) {
+    size = floorToPrecision(size, pair.amount_precision);
+  } else {
+    warnings.push('Pair precision unavailable, size not rounded');
+  }
+
+  const minBase = pair && pair.min_base_amount ? pair.min_base_amount : 0;
+  const minQuote = pair && pair.min_quote_amount ? pair.min_quote_amount : 0;
+  const belowMinimum = size < minBase || size * entryPrice < minQuote || size <= 0;
+  if (belowMinimum) {
+    warnings.push(`Position below minimum order (min ${minBase || 0} base / ${minQuote || 0} quote)`);
+    size = 0;
+  }
+
+  const notional = size * entryPrice;
+  const leverage = notional / equity;
+  if (leverage > RISK_CONFIG.MAX_LEVERAGE) {
+    warnings.push(`Leverage ${leverage.toFixed(2)}x exceeds max ${RISK_CONFIG.MAX_LEVERAGE}x`);
+  }
+  if (pair && pair.leverage_max && leverage > pair.leverage_max) {
+    warnings.push(`Leverage ${leverage.toFixed(2)}x exceeds contract limit ${pair.leverage_max}x`);
+  }
+
+  // 风险等级
+  const atr = context.atr || signal.atr || null;
+  const stopAtr = atr ? stopDistance / atr : null;
+  const volatilityRatio = context.volatilityRatio !== undefined ? context.volatilityRatio : null;
+  const ratingScore = RISK_CONFIG.RATING_SCORE[signal.rating] !== undefined
+    ? RISK_CONFIG.RATING_SCORE[signal.rating]
+    : RISK_CONFIG.RATING_SCORE.C;
+  const score = scoreStopWidth(stopAtr) + ratingScore + scoreVolatility(volatilityRatio);
+
+  const riskLevel = score >= RISK_CONFIG.LEVEL_THRESHOLDS.HIGH ? 'HIGH' :
+                    score >= RISK_CONFIG.LEVEL_THRESHOLDS.MEDIUM ? 'MEDIUM' : 'LOW';
+
   return {
-    risk_level: 'MEDIUM',
-    suggested_position_size: 0.01,
-    max_loss_percent: 2
+    risk_level: riskLevel,
+    risk_score: score,
+    factors: {
+      stop_atr_multiple: stopAtr,
+      rating: signal.rating || null,
+      volatility_ratio: volatilityRatio
+    },
+    account_equity: equity,
+    risk_per_trade_percent: riskPercent,
+    risk_amount: riskAmount,
+    stop_distance: stopDistance,
+    stop_distance_percent: stopDistance / entryPrice * 100,
+    suggested_position_size: size,
+    position_notional: notional,
+    leverage_required: leverage,
+    max_loss: size * stopDistance,
+    max_loss_percent: size * stopDistance / equity * 100,
+    amount_precision: pair ? pair.amount_precision : null,
+    min_base_amount: minBase || null,
+    min_quote_amount: minQuote || null,
+    warnings
   };
 }
 
+/**
+ * 当前波动率：最近ATR / 近期平均真实波幅
+ */
+function calculateVolatilityRatio(klines) {
+  if (!klines || klines.length < 30) return null;
+
+  let sum = 0;
+  for (let i = 1; i < klines.length; i++) {
+    const current = klines[i];
+    const prevClose = klines[i - 1].close;
+    sum += Math.max(current.high - current.low, Math.abs(current.high - prevClose), Math.abs(current.low - prevClose));
+  }
+
+  const averageTR = sum / (klines.length - 1);
+  return averageTR > 0 ? calculateATR(klines) / averageTR : null;
+}
+
+/**
+ * 拉取交易对规则与最新K线后评估
+ * marketData: gateio 或行情模拟器；options 同 getRiskAssessment 的 context（equity / riskPercent）
+ */
+async function assessSignalRisk(signal, marketData, options = {}) {
+  const timeframe = String(signal.timeframe || '4h').toLowerCase();
+
+  const [pair, klines] = await Promise.all([
+    marketData.getCurrencyPair ? marketData.getCurrencyPair(signal.symbol) : null,
+    marketData.getKlines(signal.symbol, timeframe, RISK_CONFIG.VOLATILITY_BARS).catch(() => null)
+  ]);
+
+  return getRiskAssessment(signal, {
+    ...options,
+    pair,
+    atr: klines && klines.length > 15 ? calculateATR(klines) : undefined,
+    volatilityRatio: calculateVolatilityRatio(klines)
+  });
+}
+
 module.exports = {
-  getRiskAssessment
+  RISK_CONFIG,
+  getRiskAssessment,
+  assessSignalRisk,
+  calculateVolatilityRatio
 };
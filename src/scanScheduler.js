@@ -0,0 +1,291 @@
+/**
+ * 扫描调度器 - 按K线收盘对齐
+ *
+ * 每个时间框架在bar收盘后延迟 delaySeconds 秒触发扫描（UTC对齐，与Gate.io K线一致）
+ * - 防重入：已有扫描在运行时跳过本次触发，记为待补跑
+ * - 补跑：看门狗定期检查每个调度最近一根已收盘bar是否已扫描，未扫描则补跑一次
+ * - 暂停/恢复：恢复时立即检查是否有错过的bar
+ *
+ * 调度可通过环境变量 SCAN_SCHEDULES（JSON数组）覆盖默认配置
+ */
+
+const cron = require('node-cron');
+const { TIMEFRAME_MS, getCurrentBarStartTime, isBarClosed } = require('./gateio');
+
+// 默认调度：15m收盘跑多时间框架扫描，4h收盘跑V2全量扫描
+const DEFAULT_SCHEDULES = [
+  { id: 'mtf_15m', timeframe: '15m', job: 'mtf', delaySeconds: 10 },
+  { id: 'v2_4h', timeframe: '4h', job: 'v2', delaySeconds: 20 }
+];
+
+// 看门狗间隔：每30秒检查一次错过的bar
+const WATCHDOG_CRON = '*/30 * * * * *';
+
+let schedules = new Map();
+let handlers = {};
+let isBusy = () => false;
+let watchdog = null;
+let activeRun = null;
+
+/**
+ * cron 秒字段只能表示 0-59 秒的延迟
+ */
+function clampDelaySeconds(delaySeconds = 0) {
+  return Math.min(Math.max(Math.floor(delaySeconds) || 0, 0), 59);
+}
+
+/**
+ * 根据时间框架生成cron表达式（含秒字段）
+ */
+function buildCronExpression(timeframe, delaySeconds = 0) {
+  const sec = clampDelaySeconds(delaySeconds);
+
+  switch (timeframe) {
+    case '1m': return `${sec} * * * * *`;
+    case '5m': return `${sec} */5 * * * *`;
+    case '15m': return `${sec} */15 * * * *`;
+    case '30m': return `${sec} */30 * * * *`;
+    case '1h': return `${sec} 0 * * * *`;
+    case '4h': return `${sec} 0 */4 * * *`;
+    case '1d': return `${sec} 0 0 * * *`;
+    default:
+      throw new Error(`Unsupported timeframe: ${timeframe}`);
+  }
+}
+
+/**
+ * 最近一根已收盘bar的起始时间
+ */
+function getLastClosedBarTime(timeframe) {
+  return getCurrentBarStartTime(timeframe) - TIMEFRAME_MS[timeframe];
+}
+
+/**
+ * 下一次计划运行时间（与cron一致）：当前bar起始 + 延迟尚未到达时就是它，否则为下一根bar起始 + 延迟
+ */
+function getNextRunTime(schedule, now = Date.now()) {
+  const delayMs = clampDelaySeconds(schedule.delaySeconds) * 1000;
+  const timeframeMs = TIMEFRAME_MS[schedule.timeframe];
+  const currentRun = Math.floor(now / timeframeMs) * timeframeMs + delayMs;
+  return currentRun > now ? currentRun : currentRun + timeframeMs;
+}
+
+/**
+ * 读取调度配置
+ */
+function loadScheduleConfig() {
+  if (!process.env.SCAN_SCHEDULES) return DEFAULT_SCHEDULES;
+
+  try {
+    return JSON.parse(process.env.SCAN_SCHEDULES);
+  } catch (error) {
+    console.error('[Scheduler] Invalid SCAN_SCHEDULES, using defaults:', error.message);
+    return DEFAULT_SCHEDULES;
+  }
+}
+
+/**
+ * 执行一次调度
+ */
+async function runSchedule(id, trigger = 'cron') {
+  const schedule = schedules.get(id);
+  if (!schedule) return null;
+
+  const barTime = getLastClosedBarTime(schedule.timeframe);
+
+  if (isScanInProgress()) {
+    schedule.skipped++;
+    schedule.pending = true;
+    console.log(`[Scheduler] ${id} skipped (scan in progress), will catch up`);
+    return { skipped: true };
+  }
+
+  if (!isBarClosed(barTime, schedule.timeframe)) {
+    return { skipped: true };
+  }
+
+  const handler = handlers[schedule.job];
+  if (!handler) {
+    schedule.lastError = `No handler for job ${schedule.job}`;
+    return null;
+  }
+
+  const missedBars = schedule.lastBarTime
+    ? Math.max(0, Math.round((barTime - schedule.lastBarTime) / TIMEFRAME_MS[schedule.timeframe]) - 1)
+    : 0;
+
+  const startedAt = Date.now();
+  schedule.running = true;
+  schedule.pending = false;
+  activeRun = id;
+
+  console.log(`[Scheduler] Running ${id} (${trigger}) for bar ${new Date(barTime).toISOString()}` +
+    (missedBars > 0 ? `, missed ${missedBars} bars` : ''));
+
+  try {
+    await handler({
+      scheduleId: id,
+      timeframe: schedule.timeframe,
+      barTime,
+      trigger,
+      missedBars
+    });
+    schedule.lastError = null;
+    schedule.runs++;
+  } catch (error) {
+    console.error(`[Scheduler] ${id} failed:`, error.message);
+    schedule.lastError = error.message;
+    schedule.failures++;
+  } finally {
+    schedule.running = false;
+    schedule.lastBarTime = barTime;
+    schedule.lastRunAt = startedAt;
+    schedule.lastDurationMs = Date.now() - startedAt;
+    activeRun = null;
+  }
+
+  // 本次运行期间被跳过的调度立即补跑
+  setImmediate(catchUpMissedRuns);
+
+  return { skipped: false, barTime };
+}
+
+/**
+ * 是否有扫描在运行（调度触发的，或 isBusy 报告的手动/启动扫描），其它入口启动扫描前用同一判断防重入
+ */
+function isScanInProgress() {
+  return Boolean(activeRun) || isBusy();
+}
+
+/**
+ * 检查并补跑错过的bar
+ */
+function catchUpMissedRuns() {
+  for (const schedule of schedules.values()) {
+    if (schedule.paused || schedule.running) continue;
+
+    const barTime = getLastClosedBarTime(schedule.timeframe);
+    // 距收盘不足延迟时间的交给cron正常触发
+    if (Date.now() < barTime + TIMEFRAME_MS[schedule.timeframe] + schedule.delaySeconds * 1000) continue;
+
+    if (schedule.pending || !schedule.lastBarTime || schedule.lastBarTime < barTime) {
+      runSchedule(schedule.id, 'catch-up');
+      return;
+    }
+  }
+}
+
+/**
+ * 初始化调度器
+ */
+function initScanScheduler(options = {}) {
+  handlers = options.handlers || {};
+  isBusy = options.isBusy || (() => false);
+
+  const config = options.schedules || loadScheduleConfig();
+
+  for (const item of config) {
+    const schedule = {
+      id: item.id,
+      timeframe: item.timeframe,
+      job: item.job,
+      delaySeconds: item.delaySeconds || 0,
+      cron: item.cron || buildCronExpression(item.timeframe, item.delaySeconds || 0),
+      paused: item.paused === true,
+      running: false,
+      pending: false,
+      // 启动时视为上一根bar已扫描，避免与启动扫描重复
+      lastBarTime: getLastClosedBarTime(item.timeframe),
+      lastRunAt: null,
+      lastDurationMs: null,
+      lastError: null,
+      runs: 0,
+      skipped: 0,
+      failures: 0,
+      task: null
+    };
+
+    schedule.task = cron.schedule(schedule.cron, () => runSchedule(schedule.id), {
+      scheduled: !schedule.paused,
+      timezone: 'UTC'
+    });
+
+    schedules.set(schedule.id, schedule);
+    console.log(`[Scheduler] Registered ${schedule.id} (${schedule.timeframe}, cron: ${schedule.cron})`);
+  }
+
+  watchdog = cron.schedule(WATCHDOG_CRON, catchUpMissedRuns, { timezone: 'UTC' });
+
+  console.log(`[Scheduler] Initialized with ${schedules.size} schedules`);
+}
+
+/**
+ * 调度状态（不含内部task对象）
+ */
+function describeSchedule(schedule) {
+  const { task, ...info } = schedule;
+  return {
+    ...info,
+    lastBarTime: schedule.lastBarTime ? new Date(schedule.lastBarTime).toISOString() : null,
+    lastRunAt: schedule.lastRunAt ? new Date(schedule.lastRunAt).toISOString() : null,
+    nextRunAt: schedule.paused ? null : new Date(getNextRunTime(schedule)).toISOString()
+  };
+}
+
+function listSchedules() {
+  return Array.from(schedules.values()).map(describeSchedule);
+}
+
+function pauseSchedule(id) {
+  const schedule = schedules.get(id);
+  if (!schedule) return null;
+
+  schedule.paused = true;
+  schedule.task.stop();
+  console.log(`[Scheduler] Paused ${id}`);
+  return describeSchedule(schedule);
+}
+
+function resumeSchedule(id) {
+  const schedule = schedules.get(id);
+  if (!schedule) return null;
+
+  schedule.paused = false;
+  schedule.task.start();
+  console.log(`[Scheduler] Resumed ${id}`);
+  setImmediate(catchUpMissedRuns);
+  return describeSchedule(schedule);
+}
+
+/**
+ * 所有未暂停调度中最近的下一次运行时间
+ */
+function getNextScanTime() {
+  const times = Array.from(schedules.values())
+    .filter(s => !s.paused)
+    .map(schedule => getNextRunTime(schedule));
+
+  return times.length > 0 ? new Date(Math.min(...times)).toISOString() : null;
+}
+
+function stopScanScheduler() {
+  for (const schedule of schedules.values()) {
+    schedule.task.stop();
+  }
+  if (watchdog) watchdog.stop();
+  schedules = new Map();
+  watchdog = null;
+}
+
+module.exports = {
+  DEFAULT_SCHEDULES,
+  buildCronExpression,
+  initScanScheduler,
+  listSchedules,
+  pauseSchedule,
+  resumeSchedule,
+  runSchedule,
+  isScanInProgress,
+  getNextScanTime,
+  stopScanScheduler
+};
@@ -3,19 +3,49 @@
  * 
  * 跟踪信号从生成到结束的全过程：
  * PENDING -> ACTIVE -> ENTERED -> CLOSED (TP/SL/EXPIRED)
+ *
+ * 入场价是技术位挂单（FVG中轴 / 订单块边缘 / 摆动点），按限价单语义处理：
+ * - 价格触及 entry_price：ACTIVE -> ENTERED（按 entry_price 成交）
+ * - 成交前先触及TP1：MISSED（错过行情）
+ * - 成交前价格已越过止损位：CANCELLED（结构失效，撤单）
+ *
+ * 成交后分批止盈：
+ * - TP1 平掉 TP1_CLOSE_FRACTION 仓位，剩余仓位止损按 STOP_AFTER_TP1 规则上移（默认保本）
+ * - 剩余仓位运行至 TP2 或被上移后的止损打掉
+ * - pnl_percent 为各腿按仓位比例加权后的总盈亏（毛），net_pnl_percent 扣除手续费、滑点、资金费（costModel），
+ *   两者另有以初始风险为单位的 pnl_r / net_pnl_r
+ *
+ * 触发判断由 triggerEngine 完成：processKlineUpdate 按上次检查以来的K线高低点判断，
+ * processPriceUpdate 处理单一价格快照（外部推送）
+ *
+ * 信号的 market 为 spot（默认）或 futures。合约持仓的止盈止损按标记价格判断（与交易所的
+ * 标记价格条件单一致），未成交挂单仍按最新成交价判断
+ *
+ * 交由交易所执行的信号（execution.mode = live，见 executionEngine）不再由价格触发，
+ * 状态变化来自订单成交的对账结果
+ *
+ * 持久化由 signalStore 完成（默认日志 + 快照存储，可用 setSignalStore 替换），
+ * 每次状态变更在一个事务内读取并写回，不会整文件读改写
  */
 
-const fs = require('fs');
 const path = require('path');
+const { TIMEFRAME_MS } = require('./gateio');
+const { createJournalStore } = require('./signalStore');
+const { applyLegCosts, summarizeCosts, getRiskPercent, getPnlPercent } = require('./costModel');
+const {
+  POSITION_CONFIG,
+  TRIGGER_CONFIG,
+  calculatePnlPercent,
+  getStopAfterTp1,
+  evaluateBar,
+  evaluateRange
+} = require('./triggerEngine');
 
 const DATA_DIR = path.join(__dirname, '..', 'data');
-const SIGNALS_HISTORY_FILE = path.join(DATA_DIR, 'signals_history.json');
-const ACTIVE_SIGNALS_FILE = path.join(DATA_DIR, 'active_signals.json');
+const SIGNAL_STORE_DIR = process.env.SIGNAL_STORE_DIR || path.join(DATA_DIR, 'signals');
 
-// 确保数据目录存在
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+// 当前存储，首次使用时打开（只用到纯函数的模块不会触碰磁盘）
+let store = null;
 
 // 信号状态
 const SIGNAL_STATUS = {
@@ -26,63 +56,153 @@ const SIGNAL_STATUS = {
   TP2_HIT: 'TP2_HIT',
   SL_HIT: 'SL_HIT',
   EXPIRED: 'EXPIRED',
-  INVALIDATED: 'INVALIDATED'
+  INVALIDATED: 'INVALIDATED',
+  MISSED: 'MISSED',
+  CANCELLED: 'CANCELLED',
+  STOP_HIT: 'STOP_HIT'        // TP1后剩余仓位被上移的止损打掉
 };
 
+// 已成交、仍有持仓的状态（TP1_HIT 表示已部分止盈，剩余仓位继续持有）
+const OPEN_STATUSES = [SIGNAL_STATUS.ENTERED, SIGNAL_STATUS.TP1_HIT];
+
 // 结果类型
 const RESULT_TYPE = {
   WIN: 'WIN',
   LOSS: 'LOSS',
   BREAKEVEN: 'BREAKEVEN',
   EXPIRED: 'EXPIRED',
-  INVALID: 'INVALID'
+  INVALID: 'INVALID',
+  MISSED: 'MISSED',
+  CANCELLED: 'CANCELLED'
 };
 
-function loadActiveSignals() {
-  try {
-    if (fs.existsSync(ACTIVE_SIGNALS_FILE)) {
-      return JSON.parse(fs.readFileSync(ACTIVE_SIGNALS_FILE, 'utf8'));
-    }
-  } catch (error) {
-    console.error('[SignalLifecycle] Error loading active signals:', error.message);
-  }
-  return {};
+// 从未成交的结果不计入胜率：分母只包含实际成交的交易，单独统计数量
+// 未成交即过期/失效的信号由 closeUnfilledSignal 标记 filled=false，同样排除
+const UNFILLED_RESULTS = [RESULT_TYPE.MISSED, RESULT_TYPE.CANCELLED];
+
+// 未成交信号的有效期（按信号时间框架的bar数计）
+const VALIDITY_BARS = {
+  '1m': 30,
+  '5m': 12,
+  '15m': 8,
+  '30m': 6,
+  '1h': 6,
+  '4h': 6,
+  '1d': 3
+};
+const DEFAULT_VALIDITY_BARS = 6;
+
+// 盈亏绝对值低于该百分比视为保本
+const BREAKEVEN_PERCENT = 0.1;
+
+/**
+ * 统一时间框架写法（'4H' -> '4h'）
+ */
+function normalizeTimeframe(timeframe) {
+  const tf = String(timeframe || '4h').toLowerCase();
+  return TIMEFRAME_MS[tf] ? tf : '4h';
 }
 
-function saveActiveSignals(signals) {
-  try {
-    fs.writeFileSync(ACTIVE_SIGNALS_FILE, JSON.stringify(signals, null, 2));
-  } catch (error) {
-    console.error('[SignalLifecycle] Error saving active signals:', error.message);
+/**
+ * 计算未成交信号的过期时间
+ * 优先使用信号自带的 expires_in_minutes，否则按时间框架bar数计算
+ */
+function getExpiryTime(signal) {
+  const createdAt = signal.created_at || Date.parse(signal.timestamp) || Date.now();
+
+  if (signal.expires_in_minutes) {
+    return createdAt + signal.expires_in_minutes * 60 * 1000;
   }
+
+  const timeframe = normalizeTimeframe(signal.timeframe);
+  const bars = VALIDITY_BARS[timeframe] || DEFAULT_VALIDITY_BARS;
+  return createdAt + bars * TIMEFRAME_MS[timeframe];
 }
 
-function loadHistory() {
-  try {
-    if (fs.existsSync(SIGNALS_HISTORY_FILE)) {
-      return JSON.parse(fs.readFileSync(SIGNALS_HISTORY_FILE, 'utf8'));
-    }
-  } catch (error) {
-    console.error('[SignalLifecycle] Error loading history:', error.message);
-  }
-  return { records: [], stats: {} };
+/**
+ * 是否为未成交即结束的记录（不计入胜率）
+ */
+function isUnfilled(record) {
+  return record.filled === false || UNFILLED_RESULTS.includes(record.result);
 }
 
-function saveHistory(history) {
-  try {
-    fs.writeFileSync(SIGNALS_HISTORY_FILE, JSON.stringify(history, null, 2));
-  } catch (error) {
-    console.error('[SignalLifecycle] Error saving history:', error.message);
+/**
+ * 净盈亏口径的结果：只按扣除成本后的盈亏判断
+ */
+function getNetResult(netPnlPercent) {
+  if (Math.abs(netPnlPercent) < BREAKEVEN_PERCENT) return RESULT_TYPE.BREAKEVEN;
+  return netPnlPercent > 0 ? RESULT_TYPE.WIN : RESULT_TYPE.LOSS;
+}
+
+/**
+ * 记录在指定口径（gross / net）下的结果，未成交记录原样返回
+ */
+function getResult(record, basis = 'gross') {
+  if (basis !== 'net' || isUnfilled(record) || typeof record.pnl_percent !== 'number') return record.result;
+  return record.net_result || getNetResult(getPnlPercent(record, 'net'));
+}
+
+/**
+ * 判断记录是否为合成（演示）数据
+ * 旧版 generateMockSignals 产生的 sig_<时间戳>_<序号> 记录没有标签，同样视为合成数据
+ */
+function isSynthetic(record) {
+  return record.synthetic === true || /^sig_\d+_\d+$/.test(record.id || '');
+}
+
+/**
+ * 数据范围过滤：默认只返回真实数据，options.synthetic=true 时只返回合成数据
+ * 两类数据永远不会在同一结果中出现
+ */
+function inScope(record, options = {}) {
+  return isSynthetic(record) === (options.synthetic === true);
+}
+
+/**
+ * 当前信号存储（默认打开 data/signals 下的日志存储，并迁移旧版JSON文件）
+ */
+function getStore() {
+  if (!store) {
+    store = createJournalStore({ dir: SIGNAL_STORE_DIR, legacyDir: DATA_DIR });
   }
+  return store;
+}
+
+/**
+ * 替换信号存储（需实现 signalStore 中描述的接口），返回之前的存储
+ */
+function setSignalStore(nextStore) {
+  const previous = store;
+  store = nextStore;
+  return previous;
+}
+
+function closeSignalStore() {
+  if (store) store.close();
+  store = null;
+}
+
+/**
+ * 创建时价格已越过TP1（会被判为错过）或止损（会被判为撤单）的设置，返回越过的价位 TP1 / SL，否则 null
+ * price 缺省用信号生成时的 current_price
+ */
+function getStaleSetupReason(signal, price = signal.current_price) {
+  if (!price || !isFinite(price)) return null;
+  const long = signal.direction === 'LONG';
+
+  if (signal.tp1 && (long ? price >= signal.tp1 : price <= signal.tp1)) return 'TP1';
+  if (signal.sl && (long ? price <= signal.sl : price >= signal.sl)) return 'SL';
+  return null;
 }
 
 function addSignal(signal) {
-  const activeSignals = loadActiveSignals();
+  const createdAt = Date.now();
 
-  activeSignals[signal.id] = {
+  const record = {
     ...signal,
     status: SIGNAL_STATUS.ACTIVE,
-    created_at: Date.now(),
+    created_at: createdAt,
+    expires_at: getExpiryTime({ ...signal, created_at: createdAt }),
     entered_at: null,
     closed_at: null,
     result: null,
@@ -92,146 +212,470 @@ function addSignal(signal) {
     exit_reason: null
   };
 
-  saveActiveSignals(activeSignals);
+  getStore().transaction(tx => tx.put(record));
   console.log(`[SignalLifecycle] Added signal: ${signal.id}`);
-  return activeSignals[signal.id];
+  return record;
 }
 
-function markEntered(signalId, entryPrice) {
-  const activeSignals = loadActiveSignals();
+/**
+ * 挂单成交，只从 ACTIVE 转入 ENTERED
+ * trigger: 触发引擎给出的 { time, resolution }，time 为触发所在K线时间
+ * 返回更新后的信号；信号不存在或已不在挂单状态（重复入场、过期的触发结果）时返回 null
+ */
+function markEntered(signalId, entryPrice, trigger = null) {
+  return getStore().transaction(tx => {
+    const signal = tx.get(signalId);
+    if (!signal) return null;
+    if (signal.status !== SIGNAL_STATUS.ACTIVE) {
+      console.log(`[SignalLifecycle] Ignored entry for ${signalId}, status: ${signal.status}`);
+      return null;
+    }
 
-  if (activeSignals[signalId]) {
-    activeSignals[signalId].status = SIGNAL_STATUS.ENTERED;
-    activeSignals[signalId].entry_price_actual = entryPrice;
-    activeSignals[signalId].entered_at = Date.now();
-    saveActiveSignals(activeSignals);
+    signal.status = SIGNAL_STATUS.ENTERED;
+    signal.entry_price_actual = entryPrice;
+    signal.entered_at = (trigger && trigger.time) || Date.now();
+    signal.initial_sl = signal.sl;
+    signal.stop_price = signal.sl;
+    signal.remaining_fraction = 1;
+    signal.legs = [];
+    tx.put(signal);
     console.log(`[SignalLifecycle] Signal entered: ${signalId} at ${entryPrice}`);
-    return true;
+    return signal;
+  });
+}
+
+/**
+ * 生成一条平仓腿
+ */
+function buildLeg(signal, fraction, price, reason, trigger = null) {
+  const entryPrice = signal.entry_price_actual || signal.entry_price;
+  const leg = {
+    fraction,
+    price,
+    reason,
+    pnl_percent: calculatePnlPercent(signal.direction, entryPrice, price),
+    closed_at: Date.now()
+  };
+
+  if (trigger) {
+    leg.triggered_at = trigger.time;
+    if (trigger.resolution) leg.resolution = trigger.resolution;
   }
 
-  return false;
+  return applyLegCosts(signal, leg);
+}
+
+/**
+ * 按平仓腿命名结果形态，如 TP1_TP2 / TP1_BE / SL
+ */
+function describeOutcome(signal, legs) {
+  return legs.map(leg => {
+    if (leg.reason !== 'STOP') return String(leg.reason).toUpperCase();
+    return signal.stop_rule === 'BREAKEVEN' ? 'BE' : 'STOP';
+  }).join('_');
 }
 
-function closeSignal(signalId, exitPrice, reason) {
-  const activeSignals = loadActiveSignals();
-  const history = loadHistory();
+/**
+ * TP1分批止盈：平掉部分仓位并上移剩余仓位止损
+ * 配置的比例覆盖全部剩余仓位时直接全部平仓
+ * 只对 ENTERED 的信号生效，重复或过期的 TP1 触发返回 null
+ */
+function takePartialProfit(signalId, exitPrice, trigger = null) {
+  return getStore().transaction(tx => {
+    const signal = tx.get(signalId);
 
-  const signal = activeSignals[signalId];
-  if (!signal) {
-    console.log(`[SignalLifecycle] Signal not found: ${signalId}`);
-    return null;
-  }
+    if (!signal) {
+      console.log(`[SignalLifecycle] Signal not found: ${signalId}`);
+      return null;
+    }
+    if (signal.status !== SIGNAL_STATUS.ENTERED) {
+      console.log(`[SignalLifecycle] Ignored TP1 for ${signalId}, status: ${signal.status}`);
+      return null;
+    }
+
+    const remaining = signal.remaining_fraction !== undefined ? signal.remaining_fraction : 1;
+    const fraction = Math.min(POSITION_CONFIG.TP1_CLOSE_FRACTION, remaining);
+
+    if (fraction >= remaining) {
+      return closeSignal(signalId, exitPrice, 'TP1', trigger);
+    }
 
+    signal.legs = [...(signal.legs || []), buildLeg(signal, fraction, exitPrice, 'TP1', trigger)];
+    signal.remaining_fraction = remaining - fraction;
+    signal.stop_price = getStopAfterTp1(signal);
+    signal.stop_rule = POSITION_CONFIG.STOP_AFTER_TP1;
+    signal.status = SIGNAL_STATUS.TP1_HIT;
+    signal.realized_pnl_percent = signal.legs.reduce((sum, leg) => sum + leg.fraction * leg.pnl_percent, 0);
+    signal.realized_net_pnl_percent = summarizeCosts(signal, signal.legs).net_pnl_percent;
+
+    tx.put(signal);
+
+    console.log(`[SignalLifecycle] Partial TP1: ${signalId}, closed ${(fraction * 100).toFixed(0)}% at ${exitPrice}, ` +
+      `stop moved to ${signal.stop_price}`);
+
+    return signal;
+  });
+}
+
+/**
+ * 按全部平仓腿结算：加权毛/净盈亏、结果与最终状态
+ * 返回的 legs 已补上各腿成本；纯函数，回测与实盘共用
+ */
+function settleClose(signal, legs, reason) {
   const entryPrice = signal.entry_price_actual || signal.entry_price;
-  let pnl = 0;
-  let pnlPercent = 0;
-  let result = RESULT_TYPE.EXPIRED;
 
-  if (signal.direction === 'LONG') {
-    pnl = exitPrice - entryPrice;
-    pnlPercent = (pnl / entryPrice) * 100;
-  } else {
-    pnl = entryPrice - exitPrice;
-    pnlPercent = (pnl / entryPrice) * 100;
-  }
+  // 各腿按仓位比例加权
+  const pnlPercent = legs.reduce((sum, leg) => sum + leg.fraction * leg.pnl_percent, 0);
+  const pnl = (pnlPercent / 100) * entryPrice;
+  const net = summarizeCosts(signal, legs);
+  const riskPercent = getRiskPercent(signal);
+  let result = RESULT_TYPE.EXPIRED;
 
   if (reason === 'TP1' || reason === 'TP2') {
     result = RESULT_TYPE.WIN;
   } else if (reason === 'SL') {
     result = RESULT_TYPE.LOSS;
-  } else if (Math.abs(pnlPercent) < 0.1) {
+  } else if (Math.abs(pnlPercent) < BREAKEVEN_PERCENT) {
     result = RESULT_TYPE.BREAKEVEN;
+  } else if (reason === 'STOP' || legs.length > 1) {
+    // TP1后剩余仓位止损：按加权盈亏判断（如 TP1 + 保本 = 盈利）
+    result = pnlPercent > 0 ? RESULT_TYPE.WIN : RESULT_TYPE.LOSS;
   }
 
-  signal.status = reason === 'TP1' ? SIGNAL_STATUS.TP1_HIT : 
-                  reason === 'TP2' ? SIGNAL_STATUS.TP2_HIT :
-                  reason === 'SL' ? SIGNAL_STATUS.SL_HIT : SIGNAL_STATUS.EXPIRED;
-  signal.closed_at = Date.now();
-  signal.exit_price = exitPrice;
-  signal.exit_reason = reason;
-  signal.pnl = pnl;
-  signal.pnl_percent = pnlPercent;
-  signal.result = result;
+  const status = reason === 'TP1' ? SIGNAL_STATUS.TP1_HIT :
+                 reason === 'TP2' ? SIGNAL_STATUS.TP2_HIT :
+                 reason === 'SL' ? SIGNAL_STATUS.SL_HIT :
+                 reason === 'STOP' ? SIGNAL_STATUS.STOP_HIT : SIGNAL_STATUS.EXPIRED;
+
+  return {
+    status,
+    result,
+    pnl,
+    pnlPercent,
+    outcome: describeOutcome(signal, legs),
+    legs: net.legs,
+    netPnlPercent: net.net_pnl_percent,
+    netResult: getNetResult(net.net_pnl_percent),
+    pnlR: riskPercent > 0 ? pnlPercent / riskPercent : null,
+    netPnlR: riskPercent > 0 ? net.net_pnl_percent / riskPercent : null,
+    costs: net.costs
+  };
+}
+
+/**
+ * 平掉剩余全部仓位，仅对已成交（ENTERED / TP1_HIT）的信号生效
+ * reason: TP1 / TP2 / SL / STOP（TP1后上移的止损） / 其他（手动等）
+ */
+function closeSignal(signalId, exitPrice, reason, trigger = null) {
+  return getStore().transaction(tx => {
+    const signal = tx.get(signalId);
+    if (!signal) {
+      console.log(`[SignalLifecycle] Signal not found: ${signalId}`);
+      return null;
+    }
+    if (!OPEN_STATUSES.includes(signal.status)) {
+      console.log(`[SignalLifecycle] Ignored close for ${signalId}, status: ${signal.status}`);
+      return null;
+    }
+
+    const remaining = signal.remaining_fraction !== undefined ? signal.remaining_fraction : 1;
+    const legs = [...(signal.legs || []), buildLeg(signal, remaining, exitPrice, reason, trigger)];
+    const settled = settleClose(signal, legs, reason);
+
+    signal.status = settled.status;
+    signal.closed_at = Date.now();
+    signal.exit_price = exitPrice;
+    signal.exit_reason = reason;
+    signal.legs = settled.legs;
+    signal.remaining_fraction = 0;
+    signal.outcome = settled.outcome;
+    signal.pnl = settled.pnl;
+    signal.pnl_percent = settled.pnlPercent;
+    signal.pnl_r = settled.pnlR;
+    signal.net_pnl_percent = settled.netPnlPercent;
+    signal.net_pnl_r = settled.netPnlR;
+    signal.net_result = settled.netResult;
+    signal.costs = settled.costs;
+    signal.result = settled.result;
+    signal.filled = true;
+
+    tx.archive(signal);
+
+    console.log(`[SignalLifecycle] Signal closed: ${signalId}, Result: ${settled.result} (${signal.outcome}), ` +
+      `PnL: ${settled.pnlPercent.toFixed(2)}% gross / ${settled.netPnlPercent.toFixed(2)}% net`);
+
+    return signal;
+  });
+}
+
+/**
+ * 关闭未成交的信号（错过/撤单/过期/失效），不产生盈亏
+ * details 会记录到 close_details，例如失效的具体原因
+ */
+function closeUnfilledSignal(signalId, status, result, reason, price, details = null) {
+  return getStore().transaction(tx => {
+    const signal = tx.get(signalId);
+    if (!signal) {
+      console.log(`[SignalLifecycle] Signal not found: ${signalId}`);
+      return null;
+    }
 
-  history.records.push({ ...signal, closed_at: Date.now() });
+    signal.status = status;
+    signal.closed_at = Date.now();
+    signal.exit_price = price;
+    signal.exit_reason = reason;
+    signal.pnl = null;
+    signal.pnl_percent = null;
+    signal.result = result;
+    signal.filled = false;
+    signal.close_details = details;
 
-  delete activeSignals[signalId];
+    tx.archive(signal);
 
-  saveActiveSignals(activeSignals);
-  saveHistory(history);
+    console.log(`[SignalLifecycle] Signal closed unfilled: ${signalId}, Result: ${result}, Reason: ${reason}`);
 
-  console.log(`[SignalLifecycle] Signal closed: ${signalId}, Result: ${result}, PnL: ${pnlPercent.toFixed(2)}%`);
+    return signal;
+  });
+}
 
-  return signal;
+/**
+ * 触发判断使用的价格：合约持仓用标记价格（mark），其余用最新成交价（last）
+ */
+function getTriggerPriceType(signal) {
+  return signal.market === 'futures' && OPEN_STATUSES.includes(signal.status) ? 'mark' : 'last';
 }
 
+/**
+ * 触发引擎跟踪的信号（未成交挂单 + 持仓中，不含交易所执行中的信号）
+ */
+function getTrackedSignals(symbol) {
+  return getStore().listActive({ symbol }).filter(signal =>
+    (signal.status === SIGNAL_STATUS.ACTIVE || OPEN_STATUSES.includes(signal.status)) &&
+    !isExchangeManaged(signal));
+}
+
+function isExchangeManaged(signal) {
+  return Boolean(signal.execution && signal.execution.mode === 'live');
+}
+
+/**
+ * 记录信号的下单执行信息（模式、订单号、数量），live 模式下信号改由订单对账驱动
+ */
+function attachExecution(signalId, execution) {
+  return getStore().transaction(tx => {
+    const signal = tx.get(signalId);
+    if (!signal) return null;
+
+    signal.execution = { ...(signal.execution || {}), ...execution };
+    tx.put(signal);
+    return signal;
+  });
+}
+
+/**
+ * 单一价格快照下的触发（等价于 O=H=L=C 的K线）
+ */
+function evaluateSnapshot(signal, currentPrice) {
+  const bar = { time: Date.now(), open: currentPrice, high: currentPrice, low: currentPrice, close: currentPrice };
+  return evaluateBar(signal, bar).events;
+}
+
+/**
+ * 检查价格快照触发的第一个事件
+ * 返回 [{ signal, exitPrice, reason }]
+ */
 function checkSignalTriggers(symbol, currentPrice) {
-  const activeSignals = loadActiveSignals();
   const triggered = [];
 
-  for (const [id, signal] of Object.entries(activeSignals)) {
-    if (signal.symbol !== symbol) continue;
+  for (const signal of getTrackedSignals(symbol)) {
+    const [event] = evaluateSnapshot(signal, currentPrice);
+    if (event) triggered.push({ signal, exitPrice: event.price, reason: event.reason });
+  }
 
-    const { direction, sl, tp1, tp2, status } = signal;
+  return triggered;
+}
 
-    if (status !== SIGNAL_STATUS.ENTERED) continue;
+/**
+ * 按顺序落地触发引擎产生的事件
+ */
+function applyTriggerEvents(signal, events, result) {
+  for (const event of events) {
+    const trigger = { time: event.time, resolution: event.resolution };
+
+    if (event.reason === 'ENTRY') {
+      const entered = markEntered(signal.id, event.price, trigger);
+      // 信号已被其它路径成交，后续事件基于过期状态，全部丢弃
+      if (!entered) break;
+      result.entered.push(entered);
+      continue;
+    }
 
-    if (direction === 'LONG') {
-      if (currentPrice <= sl) {
-        triggered.push({ signal, exitPrice: currentPrice, reason: 'SL' });
-      } else if (currentPrice >= tp2) {
-        triggered.push({ signal, exitPrice: currentPrice, reason: 'TP2' });
-      } else if (currentPrice >= tp1) {
-        triggered.push({ signal, exitPrice: currentPrice, reason: 'TP1' });
-      }
-    } else {
-      if (currentPrice >= sl) {
-        triggered.push({ signal, exitPrice: currentPrice, reason: 'SL' });
-      } else if (currentPrice <= tp2) {
-        triggered.push({ signal, exitPrice: currentPrice, reason: 'TP2' });
-      } else if (currentPrice <= tp1) {
-        triggered.push({ signal, exitPrice: currentPrice, reason: 'TP1' });
+    if (event.reason === 'TP1') {
+      const updated = takePartialProfit(signal.id, event.price, trigger);
+      // 同上：TP1 已由其它路径处理
+      if (!updated) break;
+      if (updated.closed_at) {
+        result.closed.push(updated);
+      } else {
+        result.partial.push(updated);
       }
+      continue;
+    }
+
+    // 未成交关闭记录越过的价位与触发时间
+    const unfilledDetails = {
+      level: event.reason === 'MISSED' ? 'TP1' : 'SL',
+      level_price: event.reason === 'MISSED' ? signal.tp1 : signal.sl,
+      triggered_at: event.time
+    };
+    const closed = event.reason === 'MISSED'
+      ? closeUnfilledSignal(signal.id, SIGNAL_STATUS.MISSED, RESULT_TYPE.MISSED, event.reason, event.price, unfilledDetails)
+      : event.reason === 'CANCELLED'
+        ? closeUnfilledSignal(signal.id, SIGNAL_STATUS.CANCELLED, RESULT_TYPE.CANCELLED, event.reason, event.price,
+          unfilledDetails)
+        : closeSignal(signal.id, event.price, event.reason, trigger);
+
+    if (closed) {
+      result.closed.push(closed);
     }
   }
 
-  return triggered;
+  return result;
 }
 
-function processPriceUpdate(symbol, currentPrice) {
-  const triggered = checkSignalTriggers(symbol, currentPrice);
-  const results = [];
+/**
+ * 处理单个交易对的最新价格，markPrice 可选（合约持仓按其判断，缺省时用 currentPrice）
+ * 返回 { entered: 新成交的信号, partial: TP1部分止盈的信号, closed: 已关闭的信号（含错过/撤单） }
+ */
+function processPriceUpdate(symbol, currentPrice, markPrice = null) {
+  const result = { entered: [], partial: [], closed: [] };
 
-  for (const { signal, exitPrice, reason } of triggered) {
-    const result = closeSignal(signal.id, exitPrice, reason);
-    if (result) {
-      results.push(result);
-    }
+  for (const signal of getTrackedSignals(symbol)) {
+    const price = getTriggerPriceType(signal) === 'mark' && markPrice ? markPrice : currentPrice;
+    applyTriggerEvents(signal, evaluateSnapshot(signal, price), result);
   }
 
-  return results;
+  return result;
+}
+
+/**
+ * 按K线高低点处理单个交易对：评估每个信号上次检查以来已收盘及正在形成的K线
+ * fetchBars(interval, from, until, priceType) 返回与区间有交集的K线，歧义时用于下钻，
+ * priceType 为 last / mark（见 getTriggerPriceType）
+ * 返回值同 processPriceUpdate
+ */
+async function processKlineUpdate(symbol, fetchBars, options = {}) {
+  const interval = options.interval || TRIGGER_CONFIG.INTERVAL;
+  const now = options.now || Date.now();
+  const result = { entered: [], partial: [], closed: [] };
+
+  for (const signal of getTrackedSignals(symbol)) {
+    const from = signal.checked_until || signal.created_at;
+    if (!from || from >= now) continue;
+
+    const priceType = getTriggerPriceType(signal);
+    const outcome = await evaluateRange(signal, interval, from, now,
+      (barInterval, barFrom, barUntil) => fetchBars(barInterval, barFrom, barUntil, priceType), {
+        now,
+        policy: options.policy
+      });
+
+    applyTriggerEvents(signal, outcome.events, result);
+    setCheckedUntil(signal.id, outcome.checkedUntil);
+  }
+
+  return result;
+}
+
+/**
+ * 记录信号已检查到的时间点（信号已关闭时忽略）
+ */
+function setCheckedUntil(signalId, time) {
+  getStore().transaction(tx => {
+    const signal = tx.get(signalId);
+    if (!signal || (signal.checked_until && signal.checked_until >= time)) return;
+
+    signal.checked_until = time;
+    tx.put(signal);
+  });
 }
 
-function getWinRateStats(period = 'all') {
-  const history = loadHistory();
-  const records = history.records || [];
+/**
+ * 批量更新信号的最新价格和未实现盈亏
+ * prices: [{ symbol, price, mark_price }]，合约持仓的未实现盈亏按标记价格计算
+ */
+function updateSignalPrices(prices) {
+  const priceMap = new Map(prices.map(p => [p.symbol, parseFloat(p.price)]));
+  const markMap = new Map(prices.filter(p => p.mark_price).map(p => [p.symbol, parseFloat(p.mark_price)]));
+  const updated = [];
+  const now = Date.now();
+
+  getStore().transaction(tx => {
+    for (const signal of getStore().listActive()) {
+      const price = priceMap.get(signal.symbol);
+      if (!price || !isFinite(price)) continue;
+
+      signal.current_price = price;
+      signal.price_updated_at = now;
+
+      if (OPEN_STATUSES.includes(signal.status)) {
+        // 未实现盈亏只计算剩余仓位
+        const entryPrice = signal.entry_price_actual || signal.entry_price;
+        const remaining = signal.remaining_fraction !== undefined ? signal.remaining_fraction : 1;
+        const valuation = getTriggerPriceType(signal) === 'mark' && markMap.get(signal.symbol) || price;
+        signal.unrealized_pnl_percent = remaining * calculatePnlPercent(signal.direction, entryPrice, valuation);
+      } else {
+        signal.unrealized_pnl_percent = null;
+      }
+
+      tx.put(signal);
+      updated.push({
+        id: signal.id,
+        symbol: signal.symbol,
+        rating: signal.rating,
+        signal_type: signal.signal_type,
+        status: signal.status,
+        current_price: price,
+        unrealized_pnl_percent: signal.unrealized_pnl_percent,
+        realized_pnl_percent: signal.realized_pnl_percent || 0,
+        remaining_fraction: signal.remaining_fraction
+      });
+    }
+  });
 
-  let filteredRecords = records;
+  return updated;
+}
+
+/**
+ * 胜率统计，options: { synthetic, basis }，basis 为 gross（默认）或 net，决定结果判定与盈亏口径
+ */
+function getWinRateStats(period = 'all', options = {}) {
+  const basis = options.basis || 'gross';
+  let from = null;
   if (period !== 'all') {
-    const now = Date.now();
     const periodMs = {
       '24h': 24 * 60 * 60 * 1000,
       '7d': 7 * 24 * 60 * 60 * 1000,
       '30d': 30 * 24 * 60 * 60 * 1000
     }[period] || 24 * 60 * 60 * 1000;
 
-    filteredRecords = records.filter(r => (r.closed_at || r.created_at) > now - periodMs);
+    from = Date.now() - periodMs + 1;
   }
 
+  let filteredRecords = getStore().queryHistory({ from, filter: r => inScope(r, options) });
+
+  const unfilledRecords = filteredRecords.filter(isUnfilled);
+  const countUnfilled = result => unfilledRecords.filter(r => r.result === result).length;
+  const closedCount = filteredRecords.length;
+
+  // 胜率只统计实际成交的交易
+  filteredRecords = filteredRecords.filter(r => !isUnfilled(r));
+
+  const resultOf = record => getResult(record, basis);
   const total = filteredRecords.length;
-  const wins = filteredRecords.filter(r => r.result === RESULT_TYPE.WIN).length;
-  const losses = filteredRecords.filter(r => r.result === RESULT_TYPE.LOSS).length;
-  const breakeven = filteredRecords.filter(r => r.result === RESULT_TYPE.BREAKEVEN).length;
+  const wins = filteredRecords.filter(r => resultOf(r) === RESULT_TYPE.WIN).length;
+  const losses = filteredRecords.filter(r => resultOf(r) === RESULT_TYPE.LOSS).length;
+  const breakeven = filteredRecords.filter(r => resultOf(r) === RESULT_TYPE.BREAKEVEN).length;
   const winRate = total > 0 ? (wins / total) * 100 : 0;
 
   const byRating = { S: { total: 0, win: 0, loss: 0, winRate: 0 },
@@ -243,51 +687,106 @@ function getWinRateStats(period = 'all') {
     const rating = record.rating || 'C';
     if (byRating[rating]) {
       byRating[rating].total++;
-      if (record.result === RESULT_TYPE.WIN) byRating[rating].win++;
-      else if (record.result === RESULT_TYPE.LOSS) byRating[rating].loss++;
+      if (resultOf(record) === RESULT_TYPE.WIN) byRating[rating].win++;
+      else if (resultOf(record) === RESULT_TYPE.LOSS) byRating[rating].loss++;
     }
   }
 
+  // 按平仓形态统计（TP1_TP2 / TP1_BE / SL 等）
+  const byOutcome = {};
+  for (const record of filteredRecords) {
+    const outcome = record.outcome || record.exit_reason || 'UNKNOWN';
+    if (!byOutcome[outcome]) byOutcome[outcome] = { total: 0, win: 0, loss: 0 };
+    byOutcome[outcome].total++;
+    if (resultOf(record) === RESULT_TYPE.WIN) byOutcome[outcome].win++;
+    else if (resultOf(record) === RESULT_TYPE.LOSS) byOutcome[outcome].loss++;
+  }
+
   for (const rating of Object.keys(byRating)) {
     const r = byRating[rating];
     r.winRate = r.total > 0 ? (r.win / r.total) * 100 : 0;
   }
 
-  const totalPnL = filteredRecords.reduce((sum, r) => sum + (r.pnl_percent || 0), 0);
+  const totalPnL = filteredRecords.reduce((sum, r) => sum + (getPnlPercent(r, basis) || 0), 0);
   const avgPnL = total > 0 ? totalPnL / total : 0;
 
   return {
     period,
+    basis,
     total,
     win: wins,
     loss: losses,
     breakeven,
     winRate,
+    unfilled: {
+      missed: countUnfilled(RESULT_TYPE.MISSED),
+      cancelled: countUnfilled(RESULT_TYPE.CANCELLED),
+      expired: countUnfilled(RESULT_TYPE.EXPIRED),
+      invalidated: countUnfilled(RESULT_TYPE.INVALID),
+      fill_rate: closedCount > 0 ? (total / closedCount) * 100 : 0
+    },
     totalPnL,
     avgPnL,
     byRating,
+    byOutcome,
     recentTrades: filteredRecords.slice(-10).reverse()
   };
 }
 
-function getActiveSignals() {
-  const signals = loadActiveSignals();
-  return Object.values(signals || {});
+/**
+ * 活跃信号，options: { synthetic, symbol, status }
+ */
+function getActiveSignals(options = {}) {
+  return getStore()
+    .listActive({ symbol: options.symbol, status: options.status })
+    .filter(s => inScope(s, options));
 }
 
-function getHistory() {
-  return loadHistory();
+/**
+ * 历史记录（按结束时间升序），options: { synthetic, symbol, status, result, from, to, limit }
+ */
+function getHistory(options = {}) {
+  const records = getStore().queryHistory({
+    symbol: options.symbol,
+    status: options.status,
+    result: options.result,
+    from: options.from,
+    to: options.to,
+    limit: options.limit,
+    filter: r => inScope(r, options)
+  });
+  return { records };
 }
 
 module.exports = {
   SIGNAL_STATUS,
   RESULT_TYPE,
+  POSITION_CONFIG,
+  OPEN_STATUSES,
+  UNFILLED_RESULTS,
+  VALIDITY_BARS,
+  normalizeTimeframe,
+  getExpiryTime,
+  getTriggerPriceType,
+  isUnfilled,
+  isExchangeManaged,
+  getResult,
+  getStaleSetupReason,
   addSignal,
   markEntered,
   closeSignal,
+  settleClose,
+  takePartialProfit,
+  closeUnfilledSignal,
+  attachExecution,
   checkSignalTriggers,
   processPriceUpdate,
+  processKlineUpdate,
+  updateSignalPrices,
   getWinRateStats,
   getActiveSignals,
-  getHistory
+  getHistory,
+  isSynthetic,
+  setSignalStore,
+  closeSignalStore
 };
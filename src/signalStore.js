@@ -0,0 +1,473 @@
+/**
+ * 信号存储
+ *
+ * 活跃信号（挂单/持仓）与已结束记录（历史）的持久化层，signalLifecycle 通过 setSignalStore 切换实现。
+ *
+ * 存储接口：
+ *   getActive(id) / listActive({ symbol, status })
+ *   transaction(tx => { tx.get(id); tx.put(signal); tx.archive(signal) })
+ *     同一事务内的修改一起提交，事务函数抛错则全部丢弃；嵌套调用并入外层事务
+ *   queryHistory({ symbol, status, result, from, to, limit, filter })  按结束时间升序
+ *   close()
+ *
+ * createMemoryStore：纯内存实现
+ * createJournalStore：追加日志 + 快照
+ *   - 每个事务写成日志中的一行（单次 write + fsync），崩溃时写了一半的最后一行整体丢弃
+ *   - 日志超过 COMPACT_BYTES 时压缩：历史记录按月写入分段文件，活跃信号写快照，再清空日志
+ *   - 所有整文件写入都是临时文件 + rename
+ *   - 首次打开时一次性迁移旧版 active_signals.json / signals_history.json，旧文件重命名为 *.migrated
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const STORE_CONFIG = {
+  COMPACT_BYTES: 4 * 1024 * 1024,
+  FSYNC: process.env.SIGNAL_STORE_FSYNC !== 'false'
+};
+
+const SNAPSHOT_FILE = 'snapshot.json';
+const JOURNAL_FILE = 'journal.log';
+const HISTORY_DIR = 'history';
+const LEGACY_ACTIVE_FILE = 'active_signals.json';
+const LEGACY_HISTORY_FILE = 'signals_history.json';
+
+function clone(value) {
+  return value === undefined || value === null ? value : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * 历史记录的时间键：结束时间，没有时用创建时间
+ */
+function recordTime(record) {
+  return record.closed_at || record.created_at || 0;
+}
+
+/**
+ * 有序列表中第一个时间 >= time 的位置
+ */
+function lowerBound(list, time) {
+  let lo = 0;
+  let hi = list.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (recordTime(list[mid]) < time) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * 有序列表中第一个时间 > time 的位置
+ */
+function upperBound(list, time) {
+  let lo = 0;
+  let hi = list.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (recordTime(list[mid]) <= time) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function insertByTime(list, record) {
+  const time = recordTime(record);
+  // 大多数记录按时间顺序到达，直接追加
+  if (list.length === 0 || recordTime(list[list.length - 1]) <= time) {
+    list.push(record);
+  } else {
+    list.splice(upperBound(list, time), 0, record);
+  }
+}
+
+function removeFrom(list, record) {
+  const index = list.indexOf(record);
+  if (index !== -1) list.splice(index, 1);
+}
+
+function addToIndex(index, key, record) {
+  if (key === undefined || key === null) return;
+  if (!index.has(key)) index.set(key, []);
+  insertByTime(index.get(key), record);
+}
+
+/**
+ * 纯内存存储。options.onCommit(ops) 在修改生效前调用（用于持久化），抛错则本次提交不生效
+ */
+function createMemoryStore(options = {}) {
+  const active = new Map();
+  const history = {
+    records: [],
+    byId: new Map(),
+    bySymbol: new Map(),
+    byStatus: new Map()
+  };
+  let currentTx = null;
+
+  function archiveRecord(record) {
+    const existing = history.byId.get(record.id);
+    if (existing) {
+      removeFrom(history.records, existing);
+      removeFrom(history.bySymbol.get(existing.symbol) || [], existing);
+      removeFrom(history.byStatus.get(existing.status) || [], existing);
+    }
+
+    history.byId.set(record.id, record);
+    insertByTime(history.records, record);
+    addToIndex(history.bySymbol, record.symbol, record);
+    addToIndex(history.byStatus, record.status, record);
+  }
+
+  /**
+   * 应用已提交的操作（也用于日志重放）
+   */
+  function apply(ops) {
+    for (const op of ops) {
+      if (op.op === 'put') {
+        active.set(op.signal.id, op.signal);
+      } else if (op.op === 'patch') {
+        const signal = active.get(op.id);
+        if (signal) Object.assign(signal, op.set);
+      } else if (op.op === 'archive') {
+        active.delete(op.signal.id);
+        archiveRecord(op.signal);
+      }
+    }
+  }
+
+  /**
+   * 把事务中的最终状态转成操作：已存在的活跃信号只记录变化的字段
+   */
+  function buildOps(pending) {
+    const ops = [];
+
+    for (const [id, change] of pending) {
+      if (change.archived) {
+        ops.push({ op: 'archive', signal: change.signal });
+        continue;
+      }
+
+      const current = active.get(id);
+      if (!current) {
+        ops.push({ op: 'put', signal: change.signal });
+        continue;
+      }
+
+      const set = {};
+      for (const key of Object.keys(change.signal)) {
+        if (JSON.stringify(change.signal[key]) !== JSON.stringify(current[key])) {
+          set[key] = change.signal[key];
+        }
+      }
+      if (Object.keys(set).length > 0) ops.push({ op: 'patch', id, set });
+    }
+
+    return ops;
+  }
+
+  function transaction(fn) {
+    if (currentTx) return fn(currentTx);
+
+    const pending = new Map();
+    const tx = {
+      get(id) {
+        if (pending.has(id)) {
+          const change = pending.get(id);
+          return change.archived ? null : clone(change.signal);
+        }
+        return clone(active.get(id)) || null;
+      },
+      put(signal) {
+        pending.set(signal.id, { signal: clone(signal), archived: false });
+      },
+      archive(signal) {
+        pending.set(signal.id, { signal: clone(signal), archived: true });
+      }
+    };
+
+    currentTx = tx;
+    let result;
+    try {
+      result = fn(tx);
+    } finally {
+      currentTx = null;
+    }
+
+    const ops = buildOps(pending);
+    if (ops.length > 0) {
+      if (options.onCommit) options.onCommit(ops);
+      apply(ops);
+    }
+
+    return result;
+  }
+
+  function getActive(id) {
+    return clone(active.get(id)) || null;
+  }
+
+  function listActive(filter = {}) {
+    const signals = [];
+    for (const signal of active.values()) {
+      if (filter.symbol && signal.symbol !== filter.symbol) continue;
+      if (filter.status && signal.status !== filter.status) continue;
+      signals.push(clone(signal));
+    }
+    return signals;
+  }
+
+  /**
+   * 查询历史：先用 symbol/status 索引缩小范围，再按时间二分，其余条件逐条过滤
+   */
+  function queryHistory(filter = {}) {
+    let list = history.records;
+    if (filter.symbol) list = history.bySymbol.get(filter.symbol) || [];
+    if (filter.status) {
+      const byStatus = history.byStatus.get(filter.status) || [];
+      if (byStatus.length < list.length) list = byStatus;
+    }
+
+    const start = filter.from !== undefined && filter.from !== null ? lowerBound(list, filter.from) : 0;
+    const end = filter.to !== undefined && filter.to !== null ? upperBound(list, filter.to) : list.length;
+
+    let records = list.slice(start, end).filter(r =>
+      (!filter.symbol || r.symbol === filter.symbol) &&
+      (!filter.status || r.status === filter.status) &&
+      (!filter.result || r.result === filter.result) &&
+      (!filter.filter || filter.filter(r)));
+
+    if (filter.limit) records = records.slice(-filter.limit);
+    return records;
+  }
+
+  function getStats() {
+    return {
+      active: active.size,
+      history: history.records.length,
+      symbols: history.bySymbol.size
+    };
+  }
+
+  return {
+    type: 'memory',
+    getActive,
+    listActive,
+    transaction,
+    queryHistory,
+    getStats,
+    close() {},
+    // 供持久化实现使用
+    _apply: apply,
+    _active: active,
+    _history: history
+  };
+}
+
+/**
+ * 原子写入：先写临时文件并落盘，再替换
+ */
+function writeFileAtomic(file, content) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, content);
+    if (STORE_CONFIG.FSYNC) fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+function monthOf(time) {
+  return new Date(time).toISOString().slice(0, 7);
+}
+
+/**
+ * 读取按行分隔的JSON；不完整或损坏的行被跳过
+ */
+function readJsonLines(file, onError) {
+  const items = [];
+  const content = fs.readFileSync(file, 'utf8');
+  const lines = content.split('\n');
+  // 最后一段没有换行结尾说明写入被中断
+  if (!content.endsWith('\n')) lines.pop();
+
+  for (const line of lines) {
+    if (!line) continue;
+    try {
+      items.push(JSON.parse(line));
+    } catch (error) {
+      onError(error);
+    }
+  }
+  return items;
+}
+
+/**
+ * 日志 + 快照存储
+ * options.dir: 存储目录；options.legacyDir: 旧版JSON文件所在目录（迁移用）
+ */
+function createJournalStore(options = {}) {
+  const dir = options.dir;
+  const snapshotFile = path.join(dir, SNAPSHOT_FILE);
+  const journalFile = path.join(dir, JOURNAL_FILE);
+  const historyDir = path.join(dir, HISTORY_DIR);
+
+  fs.mkdirSync(historyDir, { recursive: true });
+
+  let seq = 0;
+  let journalFd = null;
+  let journalBytes = 0;
+  // 日志中已归档、尚未写入历史分段的月份
+  const dirtyMonths = new Set();
+
+  function appendJournal(ops) {
+    const line = JSON.stringify({ seq: seq + 1, ts: Date.now(), ops }) + '\n';
+    fs.writeSync(journalFd, line);
+    if (STORE_CONFIG.FSYNC) fs.fsyncSync(journalFd);
+    seq++;
+    journalBytes += Buffer.byteLength(line);
+
+    for (const op of ops) {
+      if (op.op === 'archive') dirtyMonths.add(monthOf(recordTime(op.signal)));
+    }
+  }
+
+  const memory = createMemoryStore({ onCommit: appendJournal });
+
+  /**
+   * 压缩：写历史分段与活跃快照，然后清空日志
+   */
+  function compact() {
+    for (const month of dirtyMonths) {
+      const from = Date.parse(`${month}-01T00:00:00Z`);
+      const next = new Date(from);
+      next.setUTCMonth(next.getUTCMonth() + 1);
+
+      const records = memory._history.records.slice(
+        lowerBound(memory._history.records, from),
+        lowerBound(memory._history.records, next.getTime())
+      );
+      writeFileAtomic(path.join(historyDir, `${month}.jsonl`),
+        records.map(r => JSON.stringify(r)).join('\n') + '\n');
+    }
+    dirtyMonths.clear();
+
+    writeFileAtomic(snapshotFile, JSON.stringify({
+      version: 1,
+      seq,
+      saved_at: Date.now(),
+      active: Array.from(memory._active.values())
+    }));
+
+    if (journalFd !== null) fs.closeSync(journalFd);
+    journalFd = fs.openSync(journalFile, 'w');
+    journalBytes = 0;
+  }
+
+  /**
+   * 一次性迁移旧版JSON文件
+   */
+  function migrateLegacyFiles() {
+    if (!options.legacyDir) return false;
+
+    const activeFile = path.join(options.legacyDir, LEGACY_ACTIVE_FILE);
+    const historyFile = path.join(options.legacyDir, LEGACY_HISTORY_FILE);
+    if (!fs.existsSync(activeFile) && !fs.existsSync(historyFile)) return false;
+
+    const legacyActive = fs.existsSync(activeFile) ? JSON.parse(fs.readFileSync(activeFile, 'utf8')) : {};
+    const legacyHistory = fs.existsSync(historyFile) ? JSON.parse(fs.readFileSync(historyFile, 'utf8')) : {};
+    const records = (legacyHistory.records || []).filter(r => r && r.id);
+
+    memory._apply([
+      ...Object.values(legacyActive).filter(s => s && s.id).map(signal => ({ op: 'put', signal })),
+      ...records.map(signal => ({ op: 'archive', signal }))
+    ]);
+    for (const record of records) dirtyMonths.add(monthOf(recordTime(record)));
+
+    compact();
+
+    for (const file of [activeFile, historyFile]) {
+      if (fs.existsSync(file)) fs.renameSync(file, `${file}.migrated`);
+    }
+
+    console.log(`[SignalStore] Migrated ${Object.keys(legacyActive).length} active signals and ` +
+      `${records.length} history records from JSON files`);
+    return true;
+  }
+
+  function open() {
+    const onError = error => console.error('[SignalStore] Skipping corrupt line:', error.message);
+
+    // 历史分段
+    for (const file of fs.readdirSync(historyDir).filter(f => f.endsWith('.jsonl')).sort()) {
+      const records = readJsonLines(path.join(historyDir, file), onError);
+      memory._apply(records.map(signal => ({ op: 'archive', signal })));
+    }
+
+    const hasSnapshot = fs.existsSync(snapshotFile);
+    const hasJournal = fs.existsSync(journalFile);
+
+    if (!hasSnapshot && !hasJournal && migrateLegacyFiles()) return;
+
+    if (hasSnapshot) {
+      const snapshot = JSON.parse(fs.readFileSync(snapshotFile, 'utf8'));
+      seq = snapshot.seq || 0;
+      memory._apply((snapshot.active || []).map(signal => ({ op: 'put', signal })));
+    }
+
+    let replayed = 0;
+    if (hasJournal) {
+      for (const entry of readJsonLines(journalFile, onError)) {
+        if (entry.seq <= seq) continue;
+        memory._apply(entry.ops);
+        for (const op of entry.ops) {
+          if (op.op === 'archive') dirtyMonths.add(monthOf(recordTime(op.signal)));
+        }
+        seq = entry.seq;
+        replayed++;
+      }
+    }
+
+    // 重放后立即压缩，丢弃可能不完整的日志尾部
+    compact();
+
+    const stats = memory.getStats();
+    console.log(`[SignalStore] Opened ${dir}: ${stats.active} active, ${stats.history} history records` +
+      (replayed > 0 ? `, replayed ${replayed} journal entries` : ''));
+  }
+
+  function transaction(fn) {
+    const result = memory.transaction(fn);
+    if (journalBytes > STORE_CONFIG.COMPACT_BYTES) compact();
+    return result;
+  }
+
+  open();
+
+  return {
+    type: 'journal',
+    dir,
+    getActive: memory.getActive,
+    listActive: memory.listActive,
+    queryHistory: memory.queryHistory,
+    transaction,
+    compact,
+    getStats() {
+      return { ...memory.getStats(), seq, journal_bytes: journalBytes };
+    },
+    close() {
+      if (journalFd === null) return;
+      compact();
+      fs.closeSync(journalFd);
+      journalFd = null;
+    }
+  };
+}
+
+module.exports = {
+  STORE_CONFIG,
+  createMemoryStore,
+  createJournalStore
+};
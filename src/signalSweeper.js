@@ -0,0 +1,208 @@
+/**
+ * 信号清理 - 过期与结构失效
+ *
+ * 只处理未成交（ACTIVE）的信号：
+ * 1. 过期：超过有效期（按信号时间框架bar数计）仍未成交 → EXPIRED
+ * 2. 结构失效：信号创建后出现反向BOS，或入场依据的FVG/订单块被完全回补 → INVALIDATED
+ *
+ * 每次结束都会记录原因并通过WebSocket推送 signal_expired / signal_invalidated
+ */
+
+const {
+  SIGNAL_STATUS,
+  RESULT_TYPE,
+  getActiveSignals,
+  getExpiryTime,
+  normalizeTimeframe,
+  closeUnfilledSignal
+} = require('./signalLifecycle');
+const { TIMEFRAME_MS, isBarClosed } = require('./gateio');
+const { CONFIG, findSwingPoints, detectBOS } = require('./strategy_v2');
+
+const DEFAULT_INTERVAL_MS = parseInt(process.env.SWEEP_INTERVAL_MS) || 60000;
+const KLINE_LIMIT = 100;
+
+let timer = null;
+let marketData = null;
+let broadcast = () => {};
+let scope = {};
+let sweeping = false;
+
+const sweeperStatus = {
+  running: false,
+  interval_ms: DEFAULT_INTERVAL_MS,
+  last_sweep: null,
+  last_error: null,
+  expired: 0,
+  invalidated: 0
+};
+
+/**
+ * 信号创建后是否出现反向BOS
+ * 逐根回放信号创建后收盘的K线，避免错过两次清理之间发生的突破
+ */
+function findOppositeBOS(signal, klines) {
+  const opposite = signal.direction === 'LONG' ? 'BEARISH' : 'BULLISH';
+  const timeframeMs = TIMEFRAME_MS[normalizeTimeframe(signal.timeframe)];
+
+  for (let i = CONFIG.MIN_KLINES; i <= klines.length; i++) {
+    const window = klines.slice(0, i);
+    if (window[window.length - 1].time + timeframeMs <= signal.created_at) continue;
+
+    const bos = detectBOS(window, findSwingPoints(window, CONFIG.SWING_LOOKBACK))
+      .find(b => b.type === opposite);
+    if (bos) return bos;
+  }
+
+  return null;
+}
+
+/**
+ * 入场依据的FVG/订单块是否已被完全回补
+ * LONG：价格跌破区间下沿；SHORT：价格突破区间上沿
+ * 只看信号创建后开始的K线，创建前的影线不算
+ */
+function findZoneMitigation(signal, klines) {
+  const zone = signal.entry_zone;
+  if (!zone) return null;
+
+  for (const kline of klines) {
+    if (kline.time < signal.created_at) continue;
+
+    if (signal.direction === 'LONG' && kline.low < zone.bottom) {
+      return { zone, time: kline.time, price: kline.low };
+    }
+    if (signal.direction === 'SHORT' && kline.high > zone.top) {
+      return { zone, time: kline.time, price: kline.high };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 结束信号并推送事件
+ */
+function retire(signal, status, result, reason, price, details) {
+  const closed = closeUnfilledSignal(signal.id, status, result, reason, price, details);
+  if (!closed) return null;
+
+  broadcast({
+    type: status === SIGNAL_STATUS.EXPIRED ? 'signal_expired' : 'signal_invalidated',
+    data: closed
+  });
+
+  return closed;
+}
+
+/**
+ * 执行一次清理
+ */
+async function sweep() {
+  if (sweeping) return null;
+  sweeping = true;
+
+  const now = Date.now();
+  const expired = [];
+  const invalidated = [];
+
+  try {
+    const pending = getActiveSignals(scope).filter(s => s.status === SIGNAL_STATUS.ACTIVE);
+    const remaining = [];
+
+    for (const signal of pending) {
+      const expiresAt = signal.expires_at || getExpiryTime(signal);
+      if (now >= expiresAt) {
+        const closed = retire(signal, SIGNAL_STATUS.EXPIRED, RESULT_TYPE.EXPIRED, 'EXPIRED',
+          signal.current_price, { expires_at: expiresAt });
+        if (closed) expired.push(closed);
+      } else {
+        remaining.push(signal);
+      }
+    }
+
+    // 按交易对+时间框架分组，每组只请求一次K线
+    const groups = new Map();
+    for (const signal of remaining) {
+      const key = `${signal.symbol}|${normalizeTimeframe(signal.timeframe)}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(signal);
+    }
+
+    for (const [key, signals] of groups) {
+      const [symbol, timeframe] = key.split('|');
+      const klines = await marketData.getKlines(symbol, timeframe, KLINE_LIMIT);
+      if (!klines || klines.length < CONFIG.MIN_KLINES) continue;
+
+      // 只基于已收盘K线判断，避免未收盘bar的假突破
+      const closedKlines = klines.filter(k => isBarClosed(k.time, timeframe));
+
+      for (const signal of signals) {
+        const bos = findOppositeBOS(signal, closedKlines);
+        const mitigation = bos ? null : findZoneMitigation(signal, closedKlines);
+        if (!bos && !mitigation) continue;
+
+        const reason = bos ? 'OPPOSITE_BOS' : `${mitigation.zone.type}_MITIGATED`;
+        const details = bos
+          ? { bos_type: bos.type, level: bos.level, timestamp: bos.timestamp }
+          : { zone: mitigation.zone, price: mitigation.price, timestamp: mitigation.time };
+
+        const closed = retire(signal, SIGNAL_STATUS.INVALIDATED, RESULT_TYPE.INVALID, reason,
+          signal.current_price, details);
+        if (closed) invalidated.push(closed);
+      }
+    }
+
+    sweeperStatus.last_sweep = now;
+    sweeperStatus.last_error = null;
+    sweeperStatus.expired += expired.length;
+    sweeperStatus.invalidated += invalidated.length;
+
+    if (expired.length > 0 || invalidated.length > 0) {
+      console.log(`[SignalSweeper] Expired ${expired.length}, invalidated ${invalidated.length}`);
+    }
+
+    return { expired, invalidated };
+  } catch (error) {
+    console.error('[SignalSweeper] Sweep error:', error.message);
+    sweeperStatus.last_error = error.message;
+    return null;
+  } finally {
+    sweeping = false;
+  }
+}
+
+/**
+ * 启动定时清理
+ */
+function initSignalSweeper(options = {}) {
+  marketData = options.marketData || require('./gateio');
+  broadcast = options.broadcast || (() => {});
+  scope = options.scope || {};
+  sweeperStatus.interval_ms = options.intervalMs || DEFAULT_INTERVAL_MS;
+
+  if (timer) clearInterval(timer);
+  timer = setInterval(sweep, sweeperStatus.interval_ms);
+  sweeperStatus.running = true;
+
+  console.log(`[SignalSweeper] Started, interval: ${sweeperStatus.interval_ms}ms`);
+}
+
+function stopSignalSweeper() {
+  if (timer) clearInterval(timer);
+  timer = null;
+  sweeperStatus.running = false;
+}
+
+function getSweeperStatus() {
+  return { ...sweeperStatus };
+}
+
+module.exports = {
+  initSignalSweeper,
+  stopSignalSweeper,
+  sweep,
+  getSweeperStatus,
+  findOppositeBOS,
+  findZoneMitigation
+};
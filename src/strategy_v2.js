@@ -7,7 +7,8 @@
  * 3. 结构突破后的回撤
  */
 
-const { SYMBOLS_54 } = require('./gateio');
+const fs = require('fs');
+const { VENUE_CONFIG, DEFAULT_SYMBOLS, getVenueLabel } = require('./marketVenues');
 
 // 策略配置
 const CONFIG = {
@@ -21,9 +22,44 @@ const CONFIG = {
   // 订单块配置
   OB_ENTRY_OFFSET: 0.002,    // 订单块边缘偏移(0.2%)
   // 结构突破回撤
-  BOS_PULLBACK_RATIO: 0.382  // 斐波那契回撤38.2%
+  BOS_PULLBACK_RATIO: 0.382, // 斐波那契回撤38.2%
+  // 止盈倍数（按风险R计）
+  TP1_R_MULTIPLE: 2,
+  TP2_R_MULTIPLE: 3,
+  // 评级阈值（置信度）
+  RATING_THRESHOLDS: { S: 85, A: 70, B: 55 }
 };
 
+/**
+ * 合并参数覆盖（优化器/回测按参数组调用 generateSignal 时使用）
+ */
+function resolveConfig(overrides) {
+  if (!overrides) return CONFIG;
+  return {
+    ...CONFIG,
+    ...overrides,
+    RATING_THRESHOLDS: { ...CONFIG.RATING_THRESHOLDS, ...(overrides.RATING_THRESHOLDS || {}) }
+  };
+}
+
+/**
+ * 加载导出的版本化配置（STRATEGY_CONFIG_FILE），覆盖默认参数
+ */
+function loadConfigFile(file) {
+  try {
+    const exported = JSON.parse(fs.readFileSync(file, 'utf8'));
+    Object.assign(CONFIG, resolveConfig(exported.params));
+    CONFIG.VERSION = exported.version;
+    console.log(`[Strategy] Loaded config v${exported.version} from ${file}`);
+  } catch (error) {
+    console.error(`[Strategy] Failed to load config ${file}, using defaults:`, error.message);
+  }
+}
+
+if (process.env.STRATEGY_CONFIG_FILE) {
+  loadConfigFile(process.env.STRATEGY_CONFIG_FILE);
+}
+
 /**
  * 计算ATR
  */
@@ -252,7 +288,7 @@ function detectBOS(klines, swingPoints) {
  * 3. 结构突破后回撤入场
  * 4. 摆动点支撑/阻力位入场
  */
-function calculateSMCEntryPrice(direction, klines, fvgList, obList, swingPoints, currentPrice) {
+function calculateSMCEntryPrice(direction, klines, fvgList, obList, swingPoints, currentPrice, config = CONFIG) {
   const atr = calculateATR(klines);
   const MAX_ENTRY_DISTANCE = 0.015; // 最大入场距离1.5%
 
@@ -270,7 +306,7 @@ function calculateSMCEntryPrice(direction, klines, fvgList, obList, swingPoints,
     // SHORT: 在FVG中轴线或上沿附近入场
     if (direction === 'LONG') {
       const fvgHeight = lastFVG.top - lastFVG.bottom;
-      const entryPrice = lastFVG.bottom + fvgHeight * CONFIG.FVG_ENTRY_RATIO;
+      const entryPrice = lastFVG.bottom + fvgHeight * config.FVG_ENTRY_RATIO;
       
       // 检查价格是否在FVG范围内或接近
       const inFVG = currentPrice >= lastFVG.bottom && currentPrice <= lastFVG.top;
@@ -288,7 +324,7 @@ function calculateSMCEntryPrice(direction, klines, fvgList, obList, swingPoints,
       };
     } else {
       const fvgHeight = lastFVG.top - lastFVG.bottom;
-      const entryPrice = lastFVG.top - fvgHeight * CONFIG.FVG_ENTRY_RATIO;
+      const entryPrice = lastFVG.top - fvgHeight * config.FVG_ENTRY_RATIO;
       
       const inFVG = currentPrice >= lastFVG.bottom && currentPrice <= lastFVG.top;
       const distance = Math.abs(currentPrice - entryPrice) / currentPrice;
@@ -317,7 +353,7 @@ function calculateSMCEntryPrice(direction, klines, fvgList, obList, swingPoints,
 
     if (direction === 'LONG') {
       // 在订单块上沿附近入场
-      const entryPrice = lastOB.high * (1 + CONFIG.OB_ENTRY_OFFSET);
+      const entryPrice = lastOB.high * (1 + config.OB_ENTRY_OFFSET);
       return {
         price: entryPrice,
         type: 'OB_EDGE',
@@ -325,7 +361,7 @@ function calculateSMCEntryPrice(direction, klines, fvgList, obList, swingPoints,
         ob: lastOB
       };
     } else {
-      const entryPrice = lastOB.low * (1 - CONFIG.OB_ENTRY_OFFSET);
+      const entryPrice = lastOB.low * (1 - config.OB_ENTRY_OFFSET);
       return {
         price: entryPrice,
         type: 'OB_EDGE',
@@ -341,7 +377,7 @@ function calculateSMCEntryPrice(direction, klines, fvgList, obList, swingPoints,
   if (direction === 'LONG' && swingLows.length > 0) {
     const lastSwingLow = swingLows[swingLows.length - 1];
     // 在摆动低点上方一点入场
-    const entryPrice = lastSwingLow.price * (1 + CONFIG.OB_ENTRY_OFFSET);
+    const entryPrice = lastSwingLow.price * (1 + config.OB_ENTRY_OFFSET);
     return {
       price: entryPrice,
       type: 'SWING_LOW',
@@ -353,7 +389,7 @@ function calculateSMCEntryPrice(direction, klines, fvgList, obList, swingPoints,
   if (direction === 'SHORT' && swingHighs.length > 0) {
     const lastSwingHigh = swingHighs[swingHighs.length - 1];
     // 在摆动高点下方一点入场
-    const entryPrice = lastSwingHigh.price * (1 - CONFIG.OB_ENTRY_OFFSET);
+    const entryPrice = lastSwingHigh.price * (1 - config.OB_ENTRY_OFFSET);
     return {
       price: entryPrice,
       type: 'SWING_HIGH',
@@ -371,6 +407,31 @@ function calculateSMCEntryPrice(direction, klines, fvgList, obList, swingPoints,
   };
 }
 
+/**
+ * 入场依据的技术区间（FVG / 订单块），用于后续判断是否被完全回补
+ */
+function describeEntryZone(entryInfo) {
+  if (entryInfo.fvg) {
+    return {
+      type: 'FVG',
+      top: entryInfo.fvg.top,
+      bottom: entryInfo.fvg.bottom,
+      timestamp: entryInfo.fvg.timestamp
+    };
+  }
+
+  if (entryInfo.ob) {
+    return {
+      type: 'OB',
+      top: entryInfo.ob.high,
+      bottom: entryInfo.ob.low,
+      timestamp: entryInfo.ob.timestamp
+    };
+  }
+
+  return null;
+}
+
 /**
  * 计算止损价格
  */
@@ -457,8 +518,12 @@ function calculateSL(direction, entryPrice, klines, fvgList, obList, swingPoints
 
 /**
  * 生成信号
+ * options.timeframe: K线所属时间框架，默认4h
+ * options.config: 覆盖 CONFIG 中的参数（不修改全局配置）
+ * options.venue: 行情所属交易所，默认主交易所
  */
-function generateSignal(symbol, klines, ticker) {
+function generateSignal(symbol, klines, ticker, options = {}) {
+  const config = resolveConfig(options.config);
   const currentPrice = ticker?.last || klines[klines.length - 1].close;
   const atr = calculateATR(klines);
   const ma20 = calculateMA(klines, 20);
@@ -466,7 +531,7 @@ function generateSignal(symbol, klines, ticker) {
   const rsi = calculateRSI(klines);
 
   // 检测技术结构
-  const swingPoints = findSwingPoints(klines);
+  const swingPoints = findSwingPoints(klines, config.SWING_LOOKBACK);
   const fvgList = detectFVG(klines);
   const obList = detectOrderBlocks(klines);
   const bosList = detectBOS(klines, swingPoints);
@@ -503,7 +568,7 @@ function generateSignal(symbol, klines, ticker) {
   }
 
   // 计算SMC入场价格
-  const entryInfo = calculateSMCEntryPrice(direction, klines, fvgList, obList, swingPoints, currentPrice);
+  const entryInfo = calculateSMCEntryPrice(direction, klines, fvgList, obList, swingPoints, currentPrice, config);
   const entryPrice = entryInfo.price;
 
   // 计算止损
@@ -515,15 +580,15 @@ function generateSignal(symbol, klines, ticker) {
   let tp1, tp2;
 
   if (direction === 'LONG') {
-    tp1 = entryPrice + risk * 2;  // 1:2 RRR
-    tp2 = entryPrice + risk * 3;  // 1:3 RRR
+    tp1 = entryPrice + risk * config.TP1_R_MULTIPLE;  // 默认 1:2 RRR
+    tp2 = entryPrice + risk * config.TP2_R_MULTIPLE;  // 默认 1:3 RRR
   } else {
-    tp1 = entryPrice - risk * 2;
-    tp2 = entryPrice - risk * 3;
+    tp1 = entryPrice - risk * config.TP1_R_MULTIPLE;
+    tp2 = entryPrice - risk * config.TP2_R_MULTIPLE;
   }
 
   // 计算实际RRR
-  const rrr = risk > 0 ? (tp1 - entryPrice) / risk : 2;
+  const rrr = risk > 0 ? (tp1 - entryPrice) / risk : config.TP1_R_MULTIPLE;
 
   // 确定评级和信号类型
   let rating = 'C';
@@ -531,17 +596,18 @@ function generateSignal(symbol, klines, ticker) {
   
   // 核心逻辑：只有价格接近技术位时才是可交易信号
   const isTradable = entryInfo.tradable === true;
+  const thresholds = config.RATING_THRESHOLDS;
   
-  if (confidence >= 85 && isTradable) {
+  if (confidence >= thresholds.S && isTradable) {
     rating = 'S';
     signalType = 'TRADABLE';
-  } else if (confidence >= 70 && isTradable) {
+  } else if (confidence >= thresholds.A && isTradable) {
     rating = 'A';
     signalType = 'TRADABLE';
-  } else if (confidence >= 55 && isTradable) {
+  } else if (confidence >= thresholds.B && isTradable) {
     rating = 'B';
     signalType = 'TRADABLE';
-  } else if (confidence >= 55) {
+  } else if (confidence >= thresholds.B) {
     // 价格远离技术位，降级为候选/等待信号
     rating = 'C';
     signalType = 'CANDIDATE';
@@ -553,13 +619,17 @@ function generateSignal(symbol, klines, ticker) {
     rating = 'C';
   }
 
+  const venue = options.venue || VENUE_CONFIG.PRIMARY;
+
   return {
-    id: `${symbol}_${Date.now()}`,
+    id: `${symbol}_${venue}_${Date.now()}`,
     symbol,
+    venue,
     direction,
     entry_price: entryPrice,
     entry_type: entryInfo.type,
     entry_description: entryInfo.description,
+    entry_zone: describeEntryZone(entryInfo),
     current_price: currentPrice,
     sl: stopLoss,
     sl_type: slInfo.type,
@@ -572,8 +642,9 @@ function generateSignal(symbol, klines, ticker) {
     signal_type: signalType,
     status: 'ACTIVE',
     timestamp: new Date().toISOString(),
-    timeframe: '4H',
-    data_source: 'Gate.io API',
+    timeframe: (options.timeframe || '4h').toUpperCase(),
+    data_source: `${getVenueLabel(venue)} API`,
+    config_version: config.VERSION || null,
     direction_reason: directionReason,
     structure: {
       fvg: fvgList.slice(-3),
@@ -588,12 +659,13 @@ function generateSignal(symbol, klines, ticker) {
 
 /**
  * 扫描所有交易对
+ * options.symbols: 扫描的交易对，默认全部；options.venue: 行情所属交易所
  */
-async function scanAllSymbolsV2(klinesData, tickers) {
+async function scanAllSymbolsV2(klinesData, tickers, options = {}) {
   const signals = [];
   const filtered = [];
 
-  for (const symbol of SYMBOLS_54) {
+  for (const symbol of options.symbols || DEFAULT_SYMBOLS) {
     const klines = klinesData[symbol];
     const ticker = tickers[symbol];
 
@@ -608,7 +680,7 @@ async function scanAllSymbolsV2(klinesData, tickers) {
     }
 
     try {
-      const signal = generateSignal(symbol, klines, ticker);
+      const signal = generateSignal(symbol, klines, ticker, options);
       signals.push(signal);
     } catch (error) {
       filtered.push({ symbol, reason: 'GENERATION_ERROR', error: error.message });
@@ -633,7 +705,10 @@ async function scanAllSymbolsV2(klinesData, tickers) {
 
 module.exports = {
   CONFIG,
+  resolveConfig,
   scanAllSymbolsV2,
+  generateSignal,
+  findSwingPoints,
   calculateATR,
   calculateMA,
   calculateRSI,
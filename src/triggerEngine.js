@@ -0,0 +1,445 @@
+/**
+ * 信号触发引擎 - 基于K线高低点的盘中触发判断
+ *
+ * 纯函数模块，不做持久化，实盘生命周期与回测共用同一套规则。
+ *
+ * 单根K线内价格路径未知，分别模拟两条路径：
+ *   O → H → L → C（先高后低）
+ *   O → L → H → C（先低后高）
+ * 两条路径产生相同事件序列时结果确定；否则视为歧义：
+ *   1. 下钻到更低时间框架逐根判断（4h → 1h → 15m → 5m → 1m → 10s）
+ *   2. 仍无法判断时按 AMBIGUITY_POLICY 选择路径
+ *      PESSIMISTIC: 取对交易者最不利的路径（默认）
+ *      OPTIMISTIC: 取最有利的路径
+ *      CANDLE_DIRECTION: 阳线按先低后高，阴线按先高后低
+ *
+ * 单一价格快照等价于 O=H=L=C 的K线，不会产生歧义。
+ */
+
+const { TIMEFRAME_MS } = require('./gateio');
+
+const STOP_RULES = ['BREAKEVEN', 'HALF_R', 'ORIGINAL'];
+
+/**
+ * TP1 平仓比例：非数字时用默认值，超出 [0, 1] 时截断
+ */
+function loadCloseFraction(defaultValue) {
+  const value = parseFloat(process.env.TP1_CLOSE_FRACTION);
+  if (Number.isNaN(value)) return defaultValue;
+  if (value >= 0 && value <= 1) return value;
+
+  const clamped = Math.min(Math.max(value, 0), 1);
+  console.warn(`[TriggerEngine] Invalid TP1_CLOSE_FRACTION=${value}, must be within [0, 1], using ${clamped}`);
+  return clamped;
+}
+
+/**
+ * TP1 后的止损规则，未知取值回退到默认值
+ */
+function loadStopRule(defaultValue) {
+  const raw = process.env.STOP_AFTER_TP1;
+  if (!raw) return defaultValue;
+
+  const rule = raw.trim().toUpperCase();
+  if (STOP_RULES.includes(rule)) return rule;
+  console.warn(`[TriggerEngine] Unknown STOP_AFTER_TP1=${raw}, using ${defaultValue}`);
+  return defaultValue;
+}
+
+// 持仓管理配置
+const POSITION_CONFIG = {
+  TP1_CLOSE_FRACTION: loadCloseFraction(0.5),
+  // BREAKEVEN: 移至入场价; HALF_R: 移至入场价 +0.5R; ORIGINAL: 保持原止损
+  STOP_AFTER_TP1: loadStopRule('BREAKEVEN')
+};
+
+// 触发判断配置
+const TRIGGER_CONFIG = {
+  INTERVAL: process.env.TRIGGER_INTERVAL || '1m',
+  AMBIGUITY_POLICY: process.env.TRIGGER_AMBIGUITY_POLICY || 'PESSIMISTIC',
+  // 歧义时下钻的更低时间框架
+  DRILLDOWN: {
+    '1d': '4h',
+    '4h': '1h',
+    '1h': '15m',
+    '30m': '5m',
+    '15m': '5m',
+    '5m': '1m',
+    '1m': '10s'
+  }
+};
+
+// 引擎关注的状态（与 signalLifecycle.SIGNAL_STATUS 取值一致）
+const PENDING_STATUS = 'ACTIVE';
+const OPEN_STATUSES = ['ENTERED', 'TP1_HIT'];
+const CLOSED_STATUS = 'CLOSED';
+
+// 同一价格点同时满足多个触发时的优先级（数值越小越先）
+const TRIGGER_PRIORITY = {
+  CANCELLED: 0,
+  SL: 1,
+  STOP: 1,
+  MISSED: 2,
+  ENTRY: 3,
+  TP1: 4,
+  TP2: 5
+};
+
+/**
+ * 计算持仓方向上的收益百分比
+ */
+function calculatePnlPercent(direction, entryPrice, price) {
+  const diff = direction === 'LONG' ? price - entryPrice : entryPrice - price;
+  return (diff / entryPrice) * 100;
+}
+
+/**
+ * TP1后剩余仓位的止损价
+ */
+function getStopAfterTp1(signal) {
+  const entryPrice = signal.entry_price_actual || signal.entry_price;
+  const risk = Math.abs(entryPrice - (signal.initial_sl || signal.sl));
+  const sign = signal.direction === 'LONG' ? 1 : -1;
+
+  switch (POSITION_CONFIG.STOP_AFTER_TP1) {
+    case 'HALF_R':
+      return entryPrice + sign * risk * 0.5;
+    case 'ORIGINAL':
+      return signal.initial_sl || signal.sl;
+    case 'BREAKEVEN':
+    default:
+      return entryPrice;
+  }
+}
+
+function isTracked(state) {
+  return state.status === PENDING_STATUS || OPEN_STATUSES.includes(state.status);
+}
+
+/**
+ * 当前状态下需要监控的价位
+ * adverse: 价位在不利方向（LONG为下方）；gapOnly: 只在价格已越过时触发
+ */
+function getTriggers(state) {
+  if (state.status === PENDING_STATUS) {
+    return [
+      { reason: 'CANCELLED', level: state.sl, adverse: true, gapOnly: true },
+      { reason: 'MISSED', level: state.tp1, adverse: false },
+      { reason: 'ENTRY', level: state.entry_price, adverse: true }
+    ];
+  }
+
+  const triggers = [
+    {
+      reason: state.status === 'TP1_HIT' ? 'STOP' : 'SL',
+      level: state.stop_price || state.sl,
+      adverse: true
+    },
+    { reason: 'TP2', level: state.tp2, adverse: false }
+  ];
+
+  if (state.status === 'ENTERED') {
+    triggers.push({ reason: 'TP1', level: state.tp1, adverse: false });
+  }
+
+  return triggers;
+}
+
+/**
+ * 价格是否已触及价位
+ */
+function isTouched(state, trigger, price) {
+  const below = (state.direction === 'LONG') === trigger.adverse;
+  return below ? price <= trigger.level : price >= trigger.level;
+}
+
+/**
+ * 应用一个触发事件，返回新状态（事件上补充 fraction / pnl_percent）
+ */
+function applyEvent(state, event) {
+  const next = { ...state };
+  const remaining = next.remaining_fraction !== undefined ? next.remaining_fraction : 1;
+
+  switch (event.reason) {
+    case 'ENTRY':
+      next.status = 'ENTERED';
+      next.entry_price_actual = event.price;
+      next.initial_sl = next.sl;
+      next.stop_price = next.sl;
+      next.remaining_fraction = 1;
+      return next;
+
+    case 'MISSED':
+    case 'CANCELLED':
+      next.status = CLOSED_STATUS;
+      return next;
+
+    case 'TP1': {
+      const fraction = Math.min(POSITION_CONFIG.TP1_CLOSE_FRACTION, remaining);
+      event.fraction = fraction;
+      event.pnl_percent = calculatePnlPercent(next.direction, next.entry_price_actual || next.entry_price, event.price);
+
+      if (fraction >= remaining) {
+        next.remaining_fraction = 0;
+        next.status = CLOSED_STATUS;
+      } else {
+        next.remaining_fraction = remaining - fraction;
+        next.stop_price = getStopAfterTp1(next);
+        next.stop_rule = POSITION_CONFIG.STOP_AFTER_TP1;
+        next.status = 'TP1_HIT';
+      }
+      return next;
+    }
+
+    default:
+      event.fraction = remaining;
+      event.pnl_percent = calculatePnlPercent(next.direction, next.entry_price_actual || next.entry_price, event.price);
+      next.remaining_fraction = 0;
+      next.status = CLOSED_STATUS;
+      return next;
+  }
+}
+
+/**
+ * 价格从 from 连续移动到 to，依次处理途经的触发价位
+ */
+function walkSegment(state, from, to, time, events) {
+  let current = from;
+
+  while (isTracked(state)) {
+    let best = null;
+
+    for (const trigger of getTriggers(state)) {
+      let candidate = null;
+
+      if (isTouched(state, trigger, current)) {
+        candidate = { trigger, distance: 0, price: current };
+      } else if (!trigger.gapOnly && isTouched(state, trigger, to)) {
+        candidate = { trigger, distance: Math.abs(trigger.level - current), price: trigger.level };
+      }
+
+      if (!candidate) continue;
+      if (!best || candidate.distance < best.distance ||
+          (candidate.distance === best.distance &&
+           TRIGGER_PRIORITY[candidate.trigger.reason] < TRIGGER_PRIORITY[best.trigger.reason])) {
+        best = candidate;
+      }
+    }
+
+    if (!best) break;
+
+    // 入场为限价单，始终按入场价成交
+    const price = best.trigger.reason === 'ENTRY' ? best.trigger.level : best.price;
+    const event = { reason: best.trigger.reason, price, time };
+    state = applyEvent(state, event);
+    events.push(event);
+
+    if (best.distance > 0) current = best.price;
+  }
+
+  return state;
+}
+
+/**
+ * 沿给定价格路径模拟
+ */
+function simulatePath(state, points, time) {
+  const events = [];
+  let next = walkSegment(state, points[0], points[0], time, events);
+
+  for (let i = 1; i < points.length; i++) {
+    next = walkSegment(next, points[i - 1], points[i], time, events);
+  }
+
+  return { state: next, events };
+}
+
+/**
+ * 路径得分：已实现盈亏 + 剩余仓位按收盘价计的浮动盈亏
+ */
+function scorePath(path, bar) {
+  const realized = path.events.reduce((sum, e) => sum + (e.fraction || 0) * (e.pnl_percent || 0), 0);
+  if (!OPEN_STATUSES.includes(path.state.status)) return realized;
+
+  const entryPrice = path.state.entry_price_actual || path.state.entry_price;
+  return realized + path.state.remaining_fraction * calculatePnlPercent(path.state.direction, entryPrice, bar.close);
+}
+
+/**
+ * 评估单根K线
+ * 返回 { ambiguous: false, state, events } 或 { ambiguous: true, paths: [先高后低, 先低后高] }
+ */
+function evaluateBar(state, bar) {
+  const time = bar.time;
+  const highFirst = simulatePath(state, [bar.open, bar.high, bar.low, bar.close], time);
+  const lowFirst = simulatePath(state, [bar.open, bar.low, bar.high, bar.close], time);
+  const signature = path => path.events.map(e => e.reason).join('>');
+
+  if (signature(highFirst) === signature(lowFirst)) {
+    return { ambiguous: false, ...highFirst };
+  }
+
+  return { ambiguous: true, paths: [highFirst, lowFirst] };
+}
+
+/**
+ * 按配置策略在歧义路径中选择
+ */
+function resolveAmbiguity(paths, bar, policy = TRIGGER_CONFIG.AMBIGUITY_POLICY) {
+  const [highFirst, lowFirst] = paths;
+
+  switch (policy) {
+    case 'OPTIMISTIC':
+      return scorePath(highFirst, bar) >= scorePath(lowFirst, bar) ? highFirst : lowFirst;
+    case 'CANDLE_DIRECTION':
+      return bar.close >= bar.open ? lowFirst : highFirst;
+    case 'PESSIMISTIC':
+    default:
+      return scorePath(highFirst, bar) <= scorePath(lowFirst, bar) ? highFirst : lowFirst;
+  }
+}
+
+/**
+ * 评估一根已收盘K线，歧义时下钻，仍无法判断时按策略选择
+ */
+async function evaluateClosedBar(state, bar, interval, fetchBars, options) {
+  const outcome = evaluateBar(state, bar);
+  if (!outcome.ambiguous) return outcome;
+
+  const lower = TRIGGER_CONFIG.DRILLDOWN[interval];
+  const end = bar.time + TIMEFRAME_MS[interval];
+
+  if (lower && fetchBars) {
+    const drilled = await evaluateRange(state, lower, bar.time, end, fetchBars, options);
+    // 下钻数据完整覆盖本根K线才采用
+    if (drilled.checkedUntil >= end || !isTracked(drilled.state)) {
+      return drilled;
+    }
+  }
+
+  const policy = options.policy || TRIGGER_CONFIG.AMBIGUITY_POLICY;
+  const chosen = resolveAmbiguity(outcome.paths, bar, policy);
+  for (const event of chosen.events) {
+    event.resolution = `POLICY_${policy}`;
+  }
+
+  return chosen;
+}
+
+/**
+ * 单根已收盘K线内采用的价格路径，规则与 evaluateClosedBar 相同（供模拟盘K线回放按同一路径撮合）：
+ * 无歧义时取先高后低；歧义时下钻到更低时间框架逐根确定，下钻数据在信号结束前出现缺口时按策略选择
+ * 返回 { state, segments: [{ time, points }] }，points 为依次经过的价格（O → H/L → L/H → C）
+ */
+async function resolveBarPath(state, bar, interval, fetchBars, options = {}) {
+  const highFirst = [bar.open, bar.high, bar.low, bar.close];
+  const lowFirst = [bar.open, bar.low, bar.high, bar.close];
+  const outcome = evaluateBar(state, bar);
+  if (!outcome.ambiguous) {
+    return { state: outcome.state, segments: [{ time: bar.time, points: highFirst }] };
+  }
+
+  const lower = TRIGGER_CONFIG.DRILLDOWN[interval];
+  const end = bar.time + TIMEFRAME_MS[interval];
+
+  if (lower && fetchBars) {
+    const lowerBars = (await fetchBars(lower, bar.time, end)) || [];
+    const segments = [];
+    let next = state;
+    let covered = bar.time;
+
+    for (const lowerBar of lowerBars) {
+      if (lowerBar.time < covered || lowerBar.time >= end) continue;
+      if (lowerBar.time > covered && isTracked(next)) break;
+
+      const resolved = await resolveBarPath(next, lowerBar, lower, fetchBars, options);
+      next = resolved.state;
+      segments.push(...resolved.segments);
+      covered = lowerBar.time + TIMEFRAME_MS[lower];
+    }
+
+    if (covered >= end || (segments.length > 0 && !isTracked(next))) {
+      return { state: next, segments };
+    }
+  }
+
+  const chosen = resolveAmbiguity(outcome.paths, bar, options.policy || TRIGGER_CONFIG.AMBIGUITY_POLICY);
+  return {
+    state: chosen.state,
+    segments: [{ time: bar.time, points: chosen === outcome.paths[0] ? highFirst : lowFirst }]
+  };
+}
+
+/**
+ * 评估 [from, until) 区间内的K线
+ *
+ * - 完整且已收盘的K线直接评估
+ * - 只部分落在区间内的K线（信号创建时所在bar、正在形成的bar）用更低时间框架补齐，
+ *   没有更低时间框架数据时跳过已收盘部分
+ * - 最低时间框架上正在形成的K线不评估，等收盘后再处理；开盘早于区间起点的K线只按收盘价评估
+ *
+ * fetchBars(interval, from, until) 返回与区间有交集的K线（升序）
+ * 返回 { state, events, checkedUntil }，checkedUntil 为已评估到的时间点
+ */
+async function evaluateRange(state, interval, from, until, fetchBars, options = {}) {
+  const timeframeMs = TIMEFRAME_MS[interval];
+  const now = options.now || Date.now();
+  const events = [];
+  let checkedUntil = from;
+
+  const bars = await fetchBars(interval, from, until);
+
+  for (const bar of bars || []) {
+    if (!isTracked(state)) break;
+
+    const end = bar.time + timeframeMs;
+    if (end <= checkedUntil || bar.time >= until) continue;
+
+    const complete = bar.time >= checkedUntil && end <= until && end <= now;
+
+    if (!complete) {
+      const lower = TRIGGER_CONFIG.DRILLDOWN[interval];
+
+      if (lower) {
+        const partial = await evaluateRange(state, lower, Math.max(checkedUntil, bar.time),
+          Math.min(end, until, now), fetchBars, options);
+        state = partial.state;
+        events.push(...partial.events);
+        checkedUntil = Math.max(checkedUntil, partial.checkedUntil);
+
+        if (partial.checkedUntil < Math.min(end, until)) {
+          // 缺少低周期数据：正在形成的K线等下次检查，已收盘的跳过剩余部分（不用区间外的价格判断）
+          if (end > now || end > until) break;
+          checkedUntil = end;
+        }
+        continue;
+      }
+
+      // 最低时间框架：正在形成的K线留待收盘后评估
+      if (end > now) break;
+    }
+
+    // 最低时间框架上开盘早于 checkedUntil 的K线：高低点可能出现在区间之前，只按收盘价判断
+    const evaluated = bar.time < checkedUntil
+      ? { ...bar, open: bar.close, high: bar.close, low: bar.close }
+      : bar;
+    const outcome = await evaluateClosedBar(state, evaluated, interval, fetchBars, options);
+    state = outcome.state;
+    events.push(...outcome.events);
+    checkedUntil = end;
+  }
+
+  return { state, events, checkedUntil };
+}
+
+module.exports = {
+  POSITION_CONFIG,
+  TRIGGER_CONFIG,
+  calculatePnlPercent,
+  getStopAfterTp1,
+  applyEvent,
+  evaluateBar,
+  resolveAmbiguity,
+  resolveBarPath,
+  evaluateRange
+};
@@ -1,36 +1,418 @@
 /**
  * WebSocket服务器
+ *
+ * 客户端可按主题订阅，服务端按订阅过滤后再推送；从未订阅的客户端收到全部事件（兼容旧客户端）。
+ *
+ * 客户端消息（JSON，id 可选，原样带回确认消息）:
+ *   { action: 'subscribe', id, symbols, signal_types, min_rating, events, snapshot }
+ *     symbols / signal_types / events 追加到订阅，min_rating 覆盖；不带任何主题时订阅全部。
+ *     snapshot 默认 true：确认后推送一次按订阅过滤的活跃信号快照
+ *   { action: 'unsubscribe', id, symbols, signal_types, events, min_rating: true }
+ *     从订阅中移除；不带任何主题时取消全部订阅（不再收到事件）
+ *   { action: 'get_subscription', id }
+ *   { action: 'resume', id, epoch, last_seq }
+ *     断线重连后按当前订阅补发 last_seq 之后的事件；服务端已重启（epoch 不同）、
+ *     缺口早于缓冲区或 last_seq 无效时改为推送快照
+ *
+ * 连接建立: { type: 'hello', epoch, seq, heartbeat_ms }
+ * 服务端确认: { type: 'ack', id, action, success, error?, subscription }
+ * 快照: { type: 'snapshot', seq, data: { signals, scan_status } }
+ *
+ * 每条广播带单调递增的 seq（服务端进程内全局，被订阅过滤掉的事件也占用序号），最近的事件保存在有界缓冲区，
+ * 补发的事件带 replay: true。服务端定时 ping，上一轮未回 pong 的连接直接断开。
+ *
+ * 过滤规则：未设置的主题不限制；事件载荷中的信号（数组、data.signals 或单个对象）逐个按
+ * symbol / signal_type / rating 过滤，字段缺失时不受对应主题限制（如 scan_status）；过滤后为空则不推送。
  */
 
 const WebSocket = require('ws');
+const { DEFAULT_SYMBOLS, normalizeSymbol } = require('./marketVenues');
+
+const WS_CONFIG = {
+  MAX_MESSAGE_BYTES: 16 * 1024,
+  MAX_SYMBOLS: 200,
+  HEARTBEAT_INTERVAL_MS: parseInt(process.env.WS_HEARTBEAT_MS) || 30000,
+  BUFFER_SIZE: parseInt(process.env.WS_BUFFER_SIZE) || 1000
+};
+
+// 可订阅的事件类型
+const EVENT_TYPES = [
+  'new_signals',
+  'price_update',
+  'signal_entered',
+  'signal_partial',
+  'signal_closed',
+  'signal_expired',
+  'signal_invalidated',
+  'scan_status',
+  'paper_fill',
+  'paper_account',
+  'execution_update',
+  'execution_kill_switch'
+];
+
+const SIGNAL_TYPES = ['TRADABLE', 'CANDIDATE'];
+const RATING_ORDER = ['S', 'A', 'B', 'C'];
 
 let wss = null;
+let heartbeatTimer = null;
+
+// 服务端实例标识：重启后序号从头开始，客户端据此判断能否补发
+const epoch = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+let seq = 0;
+
+// 最近广播的事件（按 seq 升序）: [{ seq, type, data, timestamp }]
+const eventBuffer = [];
+
+// 快照数据来源: () => { signals, scan_status }
+let getSnapshot = null;
+
+// 每个连接的订阅: ws -> { symbols, signal_types, min_rating, events }，集合为 null 表示不限制
+const subscriptions = new Map();
+
+/**
+ * 不限制任何主题的订阅
+ */
+function createSubscription() {
+  return { symbols: null, signal_types: null, min_rating: null, events: null };
+}
+
+/**
+ * 订阅的可序列化形式
+ */
+function describeSubscription(subscription) {
+  if (!subscription) return null;
+  const list = set => (set ? Array.from(set) : null);
+  return {
+    symbols: list(subscription.symbols),
+    signal_types: list(subscription.signal_types),
+    min_rating: subscription.min_rating,
+    events: list(subscription.events)
+  };
+}
+
+/**
+ * 校验并规范化主题，返回 { topics } 或 { error }
+ */
+function parseTopics(message, action) {
+  const topics = {};
+
+  if (message.symbols !== undefined) {
+    if (!Array.isArray(message.symbols) || message.symbols.length > WS_CONFIG.MAX_SYMBOLS) {
+      return { error: `symbols must be an array of at most ${WS_CONFIG.MAX_SYMBOLS} symbols` };
+    }
+    const symbols = message.symbols.map(normalizeSymbol);
+    const invalid = message.symbols.filter((s, i) => !symbols[i]);
+    if (invalid.length > 0) return { error: `Invalid symbols: ${invalid.join(', ')}` };
+    topics.symbols = symbols;
+  }
+
+  if (message.signal_types !== undefined) {
+    const types = Array.isArray(message.signal_types) ? message.signal_types.map(t => String(t).toUpperCase()) : null;
+    if (!types || types.some(t => !SIGNAL_TYPES.includes(t))) {
+      return { error: `signal_types must be an array of: ${SIGNAL_TYPES.join(', ')}` };
+    }
+    topics.signal_types = types;
+  }
+
+  if (message.events !== undefined) {
+    const unknown = Array.isArray(message.events) ? message.events.filter(e => !EVENT_TYPES.includes(e)) : null;
+    if (!unknown || unknown.length > 0) {
+      return { error: `Unknown events: ${unknown ? unknown.join(', ') : message.events}`, supported: EVENT_TYPES };
+    }
+    topics.events = message.events;
+  }
+
+  if (message.min_rating !== undefined && message.min_rating !== null) {
+    if (action === 'unsubscribe') {
+      topics.min_rating = true;
+    } else if (!RATING_ORDER.includes(message.min_rating)) {
+      return { error: `min_rating must be one of: ${RATING_ORDER.join(', ')}` };
+    } else {
+      topics.min_rating = message.min_rating;
+    }
+  }
+
+  return { topics };
+}
+
+/**
+ * 追加订阅主题；不带主题时订阅全部
+ */
+function subscribe(current, topics) {
+  if (Object.keys(topics).length === 0) return createSubscription();
+
+  const next = { ...(current || createSubscription()) };
+  for (const field of ['symbols', 'signal_types', 'events']) {
+    if (!topics[field] || topics[field].length === 0) continue;
+    next[field] = new Set([...(next[field] || []), ...topics[field]]);
+  }
+  if (topics.min_rating) next.min_rating = topics.min_rating;
+  return next;
+}
+
+/**
+ * 移除订阅主题；从不限制的主题中移除时，以该主题的全集为起点
+ * 不带主题时取消全部订阅
+ */
+function unsubscribe(current, topics, universe) {
+  if (Object.keys(topics).length === 0) {
+    return { ...createSubscription(), events: new Set() };
+  }
+
+  const next = { ...(current || createSubscription()) };
+  for (const field of ['symbols', 'signal_types', 'events']) {
+    if (!topics[field]) continue;
+    const remaining = new Set(next[field] || universe[field]);
+    topics[field].forEach(value => remaining.delete(value));
+    next[field] = remaining;
+  }
+  if (topics.min_rating) next.min_rating = null;
+  return next;
+}
 
-function initWebSocketServer(server) {
-  wss = new WebSocket.Server({ server });
+/**
+ * 单个信号（或带 symbol 的载荷）是否符合订阅
+ */
+function matchesItem(subscription, item) {
+  if (!item || typeof item !== 'object') return true;
+  if (subscription.symbols && item.symbol && !subscription.symbols.has(item.symbol)) return false;
+  if (subscription.signal_types && item.signal_type && !subscription.signal_types.has(item.signal_type)) return false;
+  if (subscription.min_rating && item.rating &&
+      RATING_ORDER.indexOf(item.rating) > RATING_ORDER.indexOf(subscription.min_rating)) return false;
+  return true;
+}
+
+/**
+ * 按订阅过滤事件，返回要推送的事件（可能只保留部分信号）或 null
+ */
+function filterEvent(subscription, event) {
+  if (!subscription) return event;
+  if (subscription.events && !subscription.events.has(event.type)) return null;
+
+  const { data } = event;
+  if (Array.isArray(data)) {
+    const items = data.filter(item => matchesItem(subscription, item));
+    return items.length > 0 ? { ...event, data: items } : null;
+  }
+  if (data && Array.isArray(data.signals)) {
+    const signals = data.signals.filter(signal => matchesItem(subscription, signal));
+    return signals.length > 0 ? { ...event, data: { ...data, signals } } : null;
+  }
+  return matchesItem(subscription, data) ? event : null;
+}
+
+function send(ws, message) {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * 推送按订阅过滤的活跃信号快照
+ */
+function sendSnapshot(ws) {
+  if (!getSnapshot) return;
+  const subscription = subscriptions.get(ws) || createSubscription();
+  const { signals = [], scan_status: scanStatus = null } = getSnapshot();
+  send(ws, {
+    type: 'snapshot',
+    seq,
+    data: {
+      signals: signals.filter(signal => matchesItem(subscription, signal)),
+      scan_status: scanStatus
+    }
+  });
+}
+
+/**
+ * 断线重连：补发 last_seq 之后、仍在缓冲区内的事件，无法补齐时推送快照
+ */
+function resume(ws, message, reply) {
+  const lastSeq = Number(message.last_seq);
+  const oldestSeq = eventBuffer.length > 0 ? eventBuffer[0].seq : seq + 1;
+  const canReplay = message.epoch === epoch && Number.isInteger(lastSeq) &&
+    lastSeq >= 0 && lastSeq <= seq && lastSeq >= oldestSeq - 1;
+
+  if (!canReplay) {
+    const reason = message.epoch !== epoch ? 'EPOCH_CHANGED'
+      : !Number.isInteger(lastSeq) || lastSeq < 0 || lastSeq > seq ? 'INVALID_SEQ' : 'GAP_TOO_OLD';
+    reply({ success: true, mode: 'snapshot', reason, epoch, seq });
+    return sendSnapshot(ws);
+  }
+
+  const subscription = subscriptions.get(ws);
+  const missed = eventBuffer
+    .filter(entry => entry.seq > lastSeq)
+    .map(entry => filterEvent(subscription, entry))
+    .filter(Boolean);
+
+  reply({ success: true, mode: 'replay', epoch, from_seq: lastSeq + 1, to_seq: seq, count: missed.length });
+  for (const event of missed) {
+    send(ws, { ...event, replay: true });
+  }
+}
+
+/**
+ * 处理客户端消息
+ */
+function handleMessage(ws, raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    return send(ws, { type: 'ack', success: false, error: 'Invalid JSON' });
+  }
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return send(ws, { type: 'ack', success: false, error: 'Message must be a JSON object' });
+  }
+
+  const { id = null, action } = message;
+  const reply = fields => send(ws, { type: 'ack', id, action, ...fields });
+
+  if (action === 'get_subscription') {
+    return reply({ success: true, subscription: describeSubscription(subscriptions.get(ws)) });
+  }
+  if (action === 'resume') {
+    return resume(ws, message, reply);
+  }
+  if (action !== 'subscribe' && action !== 'unsubscribe') {
+    return reply({ success: false, error: `Unknown action: ${action}` });
+  }
+
+  const { topics, error, supported } = parseTopics(message, action);
+  if (error) {
+    return reply({ success: false, error, ...(supported ? { supported } : {}) });
+  }
+
+  const current = subscriptions.get(ws);
+  const next = action === 'subscribe'
+    ? subscribe(current, topics)
+    : unsubscribe(current, topics, { symbols: DEFAULT_SYMBOLS, signal_types: SIGNAL_TYPES, events: EVENT_TYPES });
+  subscriptions.set(ws, next);
+
+  reply({ success: true, subscription: describeSubscription(next) });
+  if (action === 'subscribe' && message.snapshot !== false) {
+    sendSnapshot(ws);
+  }
+}
+
+/**
+ * options.getSnapshot: 订阅时的快照数据来源 () => { signals, scan_status }
+ */
+function initWebSocketServer(server, options = {}) {
+  getSnapshot = options.getSnapshot || null;
+  wss = new WebSocket.Server({ server, maxPayload: WS_CONFIG.MAX_MESSAGE_BYTES });
 
   wss.on('connection', (ws) => {
     console.log('[WebSocket] Client connected');
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    send(ws, { type: 'hello', epoch, seq, heartbeat_ms: WS_CONFIG.HEARTBEAT_INTERVAL_MS });
+
+    ws.on('message', (raw) => {
+      try {
+        handleMessage(ws, raw.toString());
+      } catch (error) {
+        console.error('[WebSocket] Error handling message:', error.message);
+      }
+    });
 
     ws.on('close', () => {
+      subscriptions.delete(ws);
       console.log('[WebSocket] Client disconnected');
     });
   });
 
+  heartbeatTimer = setInterval(heartbeat, WS_CONFIG.HEARTBEAT_INTERVAL_MS);
+
   console.log('[WebSocket] Server initialized');
 }
 
+/**
+ * 心跳：断开上一轮未回 pong 的连接，其余连接重新 ping
+ */
+function heartbeat() {
+  let terminated = 0;
+  wss.clients.forEach((client) => {
+    if (!client.isAlive) {
+      subscriptions.delete(client);
+      client.terminate();
+      terminated++;
+      return;
+    }
+    client.isAlive = false;
+    client.ping();
+  });
+
+  if (terminated > 0) {
+    console.log(`[WebSocket] Terminated ${terminated} unresponsive clients`);
+  }
+}
+
+/**
+ * 停止心跳并关闭所有连接
+ */
+function stopWebSocketServer() {
+  if (heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+  if (!wss) return;
+
+  wss.clients.forEach(client => client.close(1001, 'Server shutting down'));
+  wss.close();
+  wss = null;
+}
+
+/**
+ * 分配序号、写入缓冲区，再按各客户端的订阅过滤后推送
+ */
 function broadcastSignalUpdate(data) {
   if (!wss) return;
 
+  const entry = { ...data, seq: ++seq, timestamp: Date.now() };
+  eventBuffer.push(entry);
+  if (eventBuffer.length > WS_CONFIG.BUFFER_SIZE) {
+    eventBuffer.shift();
+  }
+
+  // 未被过滤改动的事件只序列化一次
+  let payload = null;
   wss.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(JSON.stringify(data));
-    }
+    if (client.readyState !== WebSocket.OPEN) return;
+
+    const event = filterEvent(subscriptions.get(client), entry);
+    if (!event) return;
+    if (event !== entry) return client.send(JSON.stringify(event));
+
+    payload = payload || JSON.stringify(entry);
+    client.send(payload);
   });
 }
 
+/**
+ * 连接与订阅统计
+ */
+function getWebSocketStatus() {
+  return {
+    clients: wss ? wss.clients.size : 0,
+    subscribed: subscriptions.size,
+    epoch,
+    seq,
+    buffered: eventBuffer.length,
+    oldest_seq: eventBuffer.length > 0 ? eventBuffer[0].seq : null
+  };
+}
+
 module.exports = {
+  WS_CONFIG,
+  EVENT_TYPES,
   initWebSocketServer,
-  broadcastSignalUpdate
+  stopWebSocketServer,
+  broadcastSignalUpdate,
+  getWebSocketStatus
 };
@@ -0,0 +1,116 @@
+/**
+ * 绩效归因：维度组合分组、时区、Wilson 置信区间
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attribution-'));
+process.env.SIGNAL_STORE_DIR = path.join(dataDir, 'signals');
+process.env.CANDLE_STORE = 'false';
+
+const { closeSignalStore, RESULT_TYPE } = require('../src/signalLifecycle');
+const { attribute, wilsonInterval, validateAttributionOptions } = require('../src/attribution');
+
+// 周日 23:30 UTC，即上海时间周一 07:30
+const CREATED_AT = Date.parse('2026-03-01T23:30:00Z');
+
+let recordCounter = 0;
+
+function createRecord(fields) {
+  const index = ++recordCounter;
+  return {
+    id: `record_${index}`,
+    symbol: 'BTC_USDT',
+    direction: 'LONG',
+    entry_type: 'FVG_MID',
+    rating: 'S',
+    entry_price: 100,
+    sl: 90,
+    filled: true,
+    created_at: CREATED_AT,
+    closed_at: CREATED_AT + index * 60 * 1000,
+    ...fields
+  };
+}
+
+const records = [
+  createRecord({ pnl_percent: 20, result: RESULT_TYPE.WIN }),
+  createRecord({ pnl_percent: -10, result: RESULT_TYPE.LOSS }),
+  createRecord({ pnl_percent: 10, result: RESULT_TYPE.WIN, direction: 'SHORT' }),
+  createRecord({ pnl_percent: -10, result: RESULT_TYPE.LOSS, entry_type: 'OB_EDGE' }),
+  createRecord({ filled: false, result: RESULT_TYPE.MISSED, pnl_percent: null, entry_type: 'OB_EDGE' }),
+  createRecord({ pnl_percent: 10, result: RESULT_TYPE.WIN, entry_type: undefined })
+];
+
+function findGroup(result, key) {
+  return result.groups.find(group => JSON.stringify(group.key) === JSON.stringify(key));
+}
+
+after(() => {
+  closeSignalStore();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('records are grouped by entry type with fill rate and expectancy', () => {
+  const result = attribute(records);
+
+  const fvg = findGroup(result, { entry_type: 'FVG_MID' });
+  assert.strictEqual(fvg.trades, 3);
+  assert.strictEqual(fvg.win, 2);
+  assert.strictEqual(fvg.loss, 1);
+  assert.ok(Math.abs(fvg.win_rate - 200 / 3) < 1e-9);
+  assert.strictEqual(fvg.total_r, 2);
+
+  const ob = findGroup(result, { entry_type: 'OB_EDGE' });
+  assert.strictEqual(ob.signals, 2);
+  assert.strictEqual(ob.trades, 1);
+  assert.strictEqual(ob.fill_rate, 50);
+  assert.strictEqual(ob.expectancy_r, -1);
+
+  assert.strictEqual(findGroup(result, { entry_type: 'UNKNOWN' }).trades, 1);
+  assert.strictEqual(result.total.signals, 6);
+  assert.strictEqual(result.total.trades, 5);
+  assert.deepStrictEqual(result.groups.map(group => group.trades), [3, 1, 1]);
+});
+
+test('dimensions combine and minTrades drops thin groups', () => {
+  const result = attribute(records, { dimensions: ['entry_type', 'direction'], minTrades: 2 });
+
+  assert.deepStrictEqual(result.groups.map(group => group.key), [{ entry_type: 'FVG_MID', direction: 'LONG' }]);
+  assert.strictEqual(result.groups[0].win_rate, 50);
+});
+
+test('weekday and hour follow the chosen time zone', () => {
+  const utc = attribute(records, { dimensions: ['weekday', 'hour'] });
+  assert.deepStrictEqual(utc.groups.map(group => group.key), [{ weekday: 'Sun', hour: 23 }]);
+
+  const shanghai = attribute(records, { dimensions: ['weekday', 'hour'], timeZone: 'Asia/Shanghai' });
+  assert.strictEqual(shanghai.time_zone, 'Asia/Shanghai');
+  assert.deepStrictEqual(shanghai.groups.map(group => group.key), [{ weekday: 'Mon', hour: 7 }]);
+});
+
+test('the Wilson interval brackets the win rate and narrows with sample size', () => {
+  const small = wilsonInterval(5, 10);
+  assert.ok(Math.abs(small.low - 23.66) < 0.01);
+  assert.ok(Math.abs(small.high - 76.34) < 0.01);
+
+  const large = wilsonInterval(50, 100);
+  assert.ok(large.low > small.low && large.high < small.high);
+
+  assert.strictEqual(wilsonInterval(0, 5).low, 0);
+  assert.strictEqual(wilsonInterval(5, 5).high, 100);
+  assert.deepStrictEqual(wilsonInterval(0, 0), { low: null, high: null });
+});
+
+test('unsupported options are rejected', () => {
+  assert.match(validateAttributionOptions({ dimensions: ['moon_phase'] }), /Unsupported dimension: moon_phase/);
+  assert.match(validateAttributionOptions({ timeZone: 'Mars/Olympus' }), /Invalid time zone/);
+  assert.match(validateAttributionOptions({ confidence: 0.5 }), /Unsupported confidence/);
+  assert.match(validateAttributionOptions({ timeBasis: 'opened' }), /Unsupported time basis/);
+  assert.strictEqual(validateAttributionOptions({ dimensions: ['rating', 'hour'], confidence: 0.9 }), null);
+  assert.throws(() => attribute(records, { dimensions: [] }), /Unsupported dimension/);
+});
@@ -0,0 +1,60 @@
+/**
+ * 回测：交易统计与逐根回放的时间顺序
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.CANDLE_STORE = 'false';
+
+const { runBacktest, summarizeTrades } = require('../src/backtester');
+const { createMarketSimulator } = require('../src/marketSimulator');
+
+function trade(closedAt, pnlPercent, result) {
+  return { filled: true, closed_at: closedAt, entry_price: 100, sl: 95, pnl_percent: pnlPercent, result };
+}
+
+test('trade statistics count only filled trades and measure drawdown on the cumulative curve', () => {
+  const records = [
+    trade(1, 4, 'WIN'),
+    trade(2, -2, 'LOSS'),
+    trade(3, -3, 'LOSS'),
+    trade(4, 6, 'WIN'),
+    { filled: false, closed_at: 5, result: 'MISSED', pnl_percent: null },
+    { filled: false, closed_at: 6, result: 'EXPIRED', pnl_percent: null },
+    { status: 'ACTIVE', closed_at: null }
+  ];
+
+  const stats = summarizeTrades(records);
+  assert.strictEqual(stats.signals, 7);
+  assert.strictEqual(stats.trades, 4);
+  assert.strictEqual(stats.winRate, 50);
+  assert.strictEqual(stats.totalPnL, 5);
+  assert.strictEqual(stats.expectancy, 1.25);
+  assert.strictEqual(stats.expectancyR, 0.25);
+  assert.strictEqual(stats.profitFactor, 2);
+  assert.strictEqual(stats.maxDrawdown, 5);
+  assert.deepStrictEqual({ missed: stats.unfilled.missed, expired: stats.unfilled.expired }, { missed: 1, expired: 1 });
+  assert.strictEqual(stats.unfilled.fill_rate, (4 / 6) * 100);
+  assert.strictEqual(stats.open, 1);
+});
+
+test('replayed signals are created at bar closes inside the range and only fill on later bars', async () => {
+  const days = 10;
+  const result = await runBacktest({ symbols: ['BTC_USDT'], timeframe: '1h', days }, createMarketSimulator({ seed: 3 }));
+  const from = Date.parse(result.params.from);
+  const hour = 60 * 60 * 1000;
+
+  assert.ok(result.trades.length > 0);
+  for (const record of result.trades) {
+    assert.ok(record.created_at > from && record.created_at % hour === 0);
+    if (record.entered_at) assert.ok(record.entered_at >= record.created_at);
+    if (record.closed_at) assert.ok(record.closed_at >= (record.entered_at || record.created_at));
+  }
+
+  const { aggregate } = result;
+  const unfilled = aggregate.unfilled.missed + aggregate.unfilled.cancelled +
+    aggregate.unfilled.expired + aggregate.unfilled.invalidated;
+  assert.strictEqual(aggregate.trades + unfilled + aggregate.open, aggregate.signals);
+  assert.strictEqual(result.params.drilldown, false);
+});
@@ -0,0 +1,106 @@
+/**
+ * K线存储：低周期保留期清理；K线缓存回退
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'candles-'));
+process.env.CANDLE_STORE_DIR = dataDir;
+process.env.CANDLE_STORE = 'false';
+
+const candleStore = require('../src/candleStore');
+const gateio = require('../src/gateio');
+
+const DAY = 24 * 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+function bar(time) {
+  return { time, open: 100, high: 101, low: 99, close: 100.5, volume: 10 };
+}
+
+function listPartitions(symbol, interval) {
+  return fs.readdirSync(path.join(dataDir, symbol, interval)).filter(file => file.endsWith('.csv')).sort();
+}
+
+after(() => {
+  gateio.setTransport(null);
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('low-timeframe partitions older than the retention window are pruned', () => {
+  const now = Date.UTC(2026, 9, 19, 12);
+  const oldTime = now - (candleStore.RETENTION_DAYS['1m'] + 5) * DAY;
+  candleStore.saveCandles('PRUNE_USDT', '1m', [bar(oldTime), bar(now - DAY)]);
+  candleStore.markEmpty('PRUNE_USDT', '1m', oldTime + MINUTE, oldTime + 10 * MINUTE);
+  assert.strictEqual(listPartitions('PRUNE_USDT', '1m').length, 2);
+
+  assert.strictEqual(candleStore.pruneCandles('PRUNE_USDT', '1m', now), 1);
+  assert.deepStrictEqual(listPartitions('PRUNE_USDT', '1m'), ['2026-10-18.csv']);
+  assert.deepStrictEqual(candleStore.getCandles('PRUNE_USDT', '1m', oldTime, now).map(k => k.time), [now - DAY]);
+  assert.strictEqual(candleStore.findGaps('PRUNE_USDT', '1m', oldTime + MINUTE, oldTime + MINUTE).length, 1);
+
+  // 更高周期不受保留期限制
+  candleStore.saveCandles('PRUNE_USDT', '1h', [bar(oldTime)]);
+  assert.strictEqual(candleStore.pruneCandles('PRUNE_USDT', '1h', now), 0);
+  assert.strictEqual(listPartitions('PRUNE_USDT', '1h').length, 1);
+});
+
+test('saving live bars prunes expired partitions but keeps the ones just written', () => {
+  const now = Date.now();
+  const expired = now - (candleStore.RETENTION_DAYS['10s'] + 2) * DAY;
+  const older = expired - 2 * DAY;
+  const partition = time => `${new Date(time).toISOString().slice(0, 10)}.csv`;
+
+  // 之前运行留下的过期分区
+  fs.mkdirSync(path.join(dataDir, 'LIVE_USDT', '10s'), { recursive: true });
+  fs.writeFileSync(path.join(dataDir, 'LIVE_USDT', '10s', partition(older)), `${older},100,101,99,100.5,10\n`);
+
+  candleStore.saveCandles('LIVE_USDT', '10s', [bar(expired), bar(Math.floor(now / 10000) * 10000 - 10000)]);
+  const names = listPartitions('LIVE_USDT', '10s');
+  assert.ok(!names.includes(partition(older)));
+  assert.ok(names.includes(partition(expired)));
+  assert.strictEqual(names.length, 2);
+});
+
+test('stale cache fallback on a failed request returns at most the requested bars', async (t) => {
+  const hour = 60 * MINUTE;
+  const last = Math.floor(Date.now() / hour) * hour;
+  const candles = Array.from({ length: 200 }, (_, i) =>
+    [String((last - (199 - i) * hour) / 1000), '10', '100.5', '101', '99', '100']);
+  let down = false;
+
+  gateio.setTransport(async () => {
+    if (down) throw new Error('network down');
+    return candles;
+  });
+  assert.strictEqual((await gateio.getKlines('CACHE_USDT', '1h', 200)).length, 200);
+
+  // 缓存过期后请求失败，回退到缓存
+  down = true;
+  const realNow = Date.now();
+  t.mock.method(Date, 'now', () => realNow + 2 * DAY);
+  const klines = await gateio.getKlines('CACHE_USDT', '1h', 50);
+  assert.strictEqual(klines.length, 50);
+  assert.strictEqual(klines[49].time, last);
+});
+
+test('only closed bars are stored and missing bars are reported as merged gaps until marked empty', () => {
+  const hour = 60 * MINUTE;
+  const start = Date.UTC(2026, 0, 1);
+  const times = [0, 1, 4, 5].map(i => start + i * hour);
+  const forming = Math.floor(Date.now() / hour) * hour;
+
+  assert.strictEqual(candleStore.saveCandles('GAP_USDT', '1h', [...times.map(bar), bar(forming)]), 4);
+  assert.strictEqual(candleStore.saveCandles('GAP_USDT', '1h', times.map(bar)), 0);
+  assert.deepStrictEqual(candleStore.getCandles('GAP_USDT', '1h', start, forming).map(k => k.time), times);
+
+  assert.deepStrictEqual(candleStore.findGaps('GAP_USDT', '1h', start, start + 5 * hour),
+    [{ from: start + 2 * hour, to: start + 3 * hour, bars: 2 }]);
+  candleStore.markEmpty('GAP_USDT', '1h', start + 2 * hour, start + 3 * hour);
+  assert.deepStrictEqual(candleStore.findGaps('GAP_USDT', '1h', start, start + 5 * hour), []);
+  assert.strictEqual(candleStore.getLastStoredTime('GAP_USDT', '1h'), times[3]);
+});
@@ -0,0 +1,157 @@
+/**
+ * 交易成本：maker/taker 手续费、滑点、资金费与净盈亏
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cost-model-'));
+process.env.SIGNAL_STORE_DIR = path.join(dataDir, 'signals');
+process.env.CANDLE_STORE = 'false';
+
+const {
+  COST_CONFIG,
+  getLegCosts,
+  summarizeCosts,
+  getRiskPercent,
+  getPnlPercent
+} = require('../src/costModel');
+const { addSignal, markEntered, closeSignal, closeSignalStore, getResult, RESULT_TYPE } = require('../src/signalLifecycle');
+
+const HOUR = 60 * 60 * 1000;
+
+function createSignal(fields = {}) {
+  return { symbol: 'BTC_USDT', direction: 'LONG', market: 'spot', entry_price: 100, sl: 90, ...fields };
+}
+
+function near(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} !== ${expected}`);
+}
+
+/**
+ * 临时修改成本配置
+ */
+function withConfig(t, changes) {
+  const previous = {};
+  for (const key of Object.keys(changes)) previous[key] = COST_CONFIG[key];
+  Object.assign(COST_CONFIG, changes);
+  t.after(() => Object.assign(COST_CONFIG, previous));
+}
+
+after(() => {
+  closeSignalStore();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('take-profit exits pay maker fees without slippage, stops pay taker fees plus slippage', (t) => {
+  withConfig(t, { SLIPPAGE_MODEL: 'fixed', SLIPPAGE_BPS: 5 });
+  const schedule = COST_CONFIG.FEE_SCHEDULES.spot;
+  const signal = createSignal();
+
+  const tp = getLegCosts(signal, { reason: 'TP1', price: 110, fraction: 0.5 });
+  assert.strictEqual(tp.liquidity, 'MAKER');
+  assert.strictEqual(tp.slippage_percent, 0);
+  near(tp.fees_percent, schedule.MAKER / 100 * (1 + 1.1));
+
+  const stop = getLegCosts(signal, { reason: 'STOP', price: 90, fraction: 0.5 });
+  assert.strictEqual(stop.liquidity, 'TAKER');
+  near(stop.fees_percent, schedule.MAKER / 100 + schedule.TAKER / 100 * 0.9);
+  near(stop.slippage_percent, 0.05 * 0.9);
+  near(stop.total_percent, stop.fees_percent + stop.slippage_percent);
+});
+
+test('futures use their own schedule and ATR slippage scales with the signal ATR', (t) => {
+  withConfig(t, { SLIPPAGE_MODEL: 'atr', SLIPPAGE_ATR_MULTIPLE: 0.1 });
+  const schedule = COST_CONFIG.FEE_SCHEDULES.futures;
+
+  const costs = getLegCosts(createSignal({ market: 'futures', atr: 4 }), { reason: 'STOP', price: 90 });
+  near(costs.fees_percent, schedule.MAKER / 100 + schedule.TAKER / 100 * 0.9);
+  near(costs.slippage_percent, 0.4);
+});
+
+test('funding is charged per settlement crossed, paid by longs and received by shorts', (t) => {
+  withConfig(t, { FUNDING_ENABLED: true, FUNDING_RATE_BPS: 1, SLIPPAGE_BPS: 0 });
+  const enteredAt = Date.parse('2026-03-01T07:00:00Z');
+  // 08:00、16:00 两次结算
+  const leg = { reason: 'TP2', price: 100, closed_at: enteredAt + 10 * HOUR };
+
+  near(getLegCosts(createSignal({ market: 'futures', entered_at: enteredAt }), leg).funding_percent, 0.02);
+  near(getLegCosts(createSignal({ market: 'futures', direction: 'SHORT', entered_at: enteredAt }), leg).funding_percent, -0.02);
+  near(getLegCosts(createSignal({ market: 'futures', entered_at: enteredAt, funding_rate_bps: 5 }), leg).funding_percent, 0.1);
+  assert.strictEqual(getLegCosts(createSignal({ entered_at: enteredAt }), leg).funding_percent, 0);
+});
+
+test('leg costs are weighted by position fraction', () => {
+  const signal = createSignal();
+  const legs = [
+    { reason: 'TP1', price: 110, fraction: 0.5, pnl_percent: 10 },
+    { reason: 'STOP', price: 100, fraction: 0.5, pnl_percent: 0 }
+  ];
+  const summary = summarizeCosts(signal, legs);
+  const tp = getLegCosts(signal, legs[0]);
+  const stop = getLegCosts(signal, legs[1]);
+
+  near(summary.costs.total_percent, 0.5 * tp.total_percent + 0.5 * stop.total_percent);
+  near(summary.net_pnl_percent, 5 - summary.costs.total_percent);
+  near(summary.legs[0].net_pnl_percent, 10 - tp.total_percent);
+});
+
+test('net PnL of legacy records is estimated from the exit price', () => {
+  const record = createSignal({ pnl_percent: -10, exit_price: 90, exit_reason: 'STOP' });
+  const costs = getLegCosts(record, { reason: 'STOP', price: 90 });
+
+  assert.strictEqual(getPnlPercent(record), -10);
+  near(getPnlPercent(record, 'net'), -10 - costs.total_percent);
+  assert.strictEqual(getPnlPercent({ ...record, net_pnl_percent: -11 }, 'net'), -11);
+  assert.strictEqual(getRiskPercent(createSignal({ entry_price_actual: 80, initial_sl: 76, sl: 80 })), 5);
+});
+
+test('closing a signal stores gross and net PnL in percent and R', () => {
+  const signal = addSignal({
+    id: 'cost_1',
+    symbol: 'COST_USDT',
+    direction: 'LONG',
+    entry_price: 100,
+    sl: 90,
+    tp1: 110,
+    tp2: 130,
+    timeframe: '4H',
+    signal_type: 'TRADABLE',
+    rating: 'S'
+  });
+  markEntered(signal.id, 100);
+  const closed = closeSignal(signal.id, 100.05, 'manual');
+
+  assert.ok(Math.abs(closed.pnl_percent - 0.05) < 1e-9);
+  assert.strictEqual(closed.result, RESULT_TYPE.BREAKEVEN);
+  assert.ok(closed.net_pnl_percent < closed.pnl_percent);
+  near(closed.net_pnl_r, closed.net_pnl_percent / 10);
+  near(closed.pnl_r, closed.pnl_percent / 10);
+  // 毛盈亏保本，扣除成本后为亏损
+  assert.strictEqual(closed.net_result, RESULT_TYPE.LOSS);
+  assert.strictEqual(getResult(closed, 'net'), RESULT_TYPE.LOSS);
+});
+
+/**
+ * 在子进程中按给定环境变量加载成本配置
+ */
+function loadConfig(env) {
+  const script = "console.log(JSON.stringify(require('./src/costModel').COST_CONFIG))";
+  const output = execFileSync(process.execPath, ['-e', script], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'ignore']
+  });
+  return JSON.parse(output.toString());
+}
+
+test('cost settings from the environment accept zero and negative rates', () => {
+  const config = loadConfig({ SPOT_MAKER_FEE_BPS: '-1', SLIPPAGE_BPS: '0', FUTURES_TAKER_FEE_BPS: 'abc' });
+  assert.strictEqual(config.FEE_SCHEDULES.spot.MAKER, -1);
+  assert.strictEqual(config.SLIPPAGE_BPS, 0);
+  assert.strictEqual(config.FEE_SCHEDULES.futures.TAKER, 5);
+});
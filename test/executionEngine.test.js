@@ -0,0 +1,503 @@
+/**
+ * 下单执行：出场单对账（TP1 后撤销原止损与挂 SL2 的交接、触发出的订单未成交、同一轮内 TP1 与止损都成交、
+ * 现货手续费扣除后的出场数量、并发下单）、幂等订单号、熔断开关与试运行
+ * live 模式 + 内存中的假交易所，成交结果写回生命周期；最后对本地模拟交易所跑一遍完整流程
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'execution-'));
+process.env.SIGNAL_STORE_DIR = path.join(dataDir, 'signals');
+process.env.EXECUTION_STORE_DIR = path.join(dataDir, 'executions');
+process.env.CANDLE_STORE = 'false';
+
+const executionEngine = require('../src/executionEngine');
+const { addSignal, getHistory, getActiveSignals, closeSignalStore } = require('../src/signalLifecycle');
+const { isValidClientId, createTradingClient } = require('../src/gateioTrading');
+const { createMockExchange } = require('../src/mockExchange');
+
+const marketData = {
+  getCurrencyPair: async symbol => ({ symbol, amount_precision: 4, price_precision: 1, min_base_amount: 0.0001 }),
+  getKlines: async () => []
+};
+
+/**
+ * 脚本化的交易客户端：订单与条件单保存在内存，cancelTrigger 可替换以模拟撤单失败 / 撤销前已触发
+ */
+function createFakeClient() {
+  const orders = new Map();
+  const triggers = new Map();
+  let nextId = 1;
+
+  const fake = {
+    market: 'spot',
+    orders,
+    triggers,
+    cancelTrigger: null,
+
+    async getOrder(id) {
+      return orders.get(id) || null;
+    },
+    async placeOrder(params) {
+      const order = { id: `o${nextId++}`, client_id: params.clientId, status: 'open', filled_qty: 0, fill_price: null, ...params };
+      orders.set(order.id, order);
+      orders.set(params.clientId, order);
+      return order;
+    },
+    async cancelOrder(id) {
+      const order = orders.get(id);
+      if (order && order.status === 'open') order.status = 'cancelled';
+      return order || null;
+    },
+    async findTriggerOrder(clientId) {
+      return [...triggers.values()].find(t => t.client_id === clientId) || null;
+    },
+    async placeTriggerOrder(params) {
+      const trigger = { id: `t${nextId++}`, client_id: params.clientId, status: 'open', fired_order_id: null, params };
+      triggers.set(trigger.id, trigger);
+      return trigger;
+    },
+    async getTriggerOrder(id) {
+      return triggers.get(id) || null;
+    },
+    async cancelTriggerOrder(id) {
+      if (fake.cancelTrigger) return fake.cancelTrigger(triggers.get(id));
+      const trigger = triggers.get(id);
+      if (trigger.status === 'open') trigger.status = 'cancelled';
+      return trigger;
+    }
+  };
+  return fake;
+}
+
+/**
+ * 条件单触发并按价格成交；filledQty 小于条件单数量时触发出的订单只成交这部分即结束（IOC）
+ */
+function fire(client, trigger, price, filledQty = trigger.params.qty) {
+  const order = {
+    id: `f-${trigger.id}`,
+    status: filledQty >= trigger.params.qty ? 'filled' : 'cancelled',
+    filled_qty: filledQty,
+    fill_price: filledQty > 0 ? price : null
+  };
+  client.orders.set(order.id, order);
+  trigger.status = 'triggered';
+  trigger.fired_order_id = order.id;
+  return trigger;
+}
+
+/**
+ * 按记录的自定义订单号前缀查找某一出场条件单（未登记到记录上的 SL2 也能找到）
+ */
+function findLeg(client, record, leg) {
+  const clientId = executionEngine.getExecution(record.id).orders.SL.client_id.replace(/-SL$/, `-${leg}`);
+  return [...client.triggers.values()].find(t => t.client_id === clientId) || null;
+}
+
+let client;
+let signalCounter = 0;
+
+/**
+ * 生命周期中的 TRADABLE 做多信号：入场 100，止损 90，TP1 110，TP2 130
+ */
+function createSignal(fields = {}) {
+  return addSignal({
+    id: `BTC_USDT_gateio_${++signalCounter}`,
+    symbol: 'BTC_USDT',
+    direction: 'LONG',
+    entry_price: 100,
+    sl: 90,
+    tp1: 110,
+    tp2: 130,
+    timeframe: '4H',
+    signal_type: 'TRADABLE',
+    rating: 'S',
+    venue: 'gateio',
+    ...fields
+  });
+}
+
+/**
+ * 下单、入场成交并挂出出场单；fill 覆盖入场成交字段（如手续费）
+ */
+async function openPosition(fill = {}) {
+  const signal = createSignal();
+  const record = await executionEngine.executeSignal(signal);
+  assert.ok(record.qty > 0, 'position size');
+
+  const entry = client.orders.get(record.orders.ENTRY.id);
+  Object.assign(entry, { status: 'filled', filled_qty: entry.qty, fill_price: 100, ...fill });
+  await executionEngine.reconcile();
+  return record;
+}
+
+/**
+ * 开仓后让 TP1 成交
+ */
+async function openPositionWithTp1Filled() {
+  const record = await openPosition();
+  fire(client, findLeg(client, record, 'TP1'), 110);
+  return record;
+}
+
+function currentTrigger(client, record, leg) {
+  return client.triggers.get(executionEngine.getExecution(record.id).orders[leg].id);
+}
+
+before(() => {
+  client = createFakeClient();
+  executionEngine.initExecution({ mode: 'live', client, marketData });
+});
+
+beforeEach(() => {
+  client.cancelTrigger = null;
+});
+
+after(() => {
+  executionEngine.stopExecution();
+  closeSignalStore();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('SL2 is not placed while the original stop could not be cancelled', async () => {
+  const opened = await openPositionWithTp1Filled();
+  const { id } = opened;
+
+  client.cancelTrigger = () => {
+    throw new Error('network timeout');
+  };
+  await executionEngine.reconcile();
+
+  let record = executionEngine.getExecution(id);
+  assert.strictEqual(record.orders.SL.status, 'open');
+  assert.strictEqual(record.orders.SL2, undefined);
+  assert.strictEqual(findLeg(client, opened, 'SL2'), null);
+
+  // 下次对账撤单成功后按剩余数量挂 SL2
+  client.cancelTrigger = null;
+  await executionEngine.reconcile();
+
+  record = executionEngine.getExecution(id);
+  assert.strictEqual(record.orders.SL.status, 'cancelled');
+  assert.strictEqual(record.orders.SL2.status, 'open');
+  assert.strictEqual(record.orders.SL2.qty, record.qty - record.orders.TP1.filled_qty);
+});
+
+test('a stop that triggered during the cancel closes the position instead of placing SL2', async () => {
+  const opened = await openPositionWithTp1Filled();
+  const { id } = opened;
+
+  client.cancelTrigger = trigger => fire(client, trigger, 90);
+  await executionEngine.reconcile();
+
+  let record = executionEngine.getExecution(id);
+  assert.strictEqual(record.orders.SL.status, 'triggered');
+  assert.strictEqual(record.orders.SL2, undefined);
+  assert.strictEqual(findLeg(client, opened, 'SL2'), null);
+
+  await executionEngine.reconcile();
+
+  record = executionEngine.getExecution(id);
+  assert.strictEqual(record.status, executionEngine.EXECUTION_STATUS.CLOSED);
+  assert.strictEqual(record.exit_price, 90);
+  assert.strictEqual(record.orders.SL2, undefined);
+});
+
+test('a stop whose market order expired unfilled keeps the position open and re-places the stop', async () => {
+  const opened = await openPosition();
+  const { id } = opened;
+  const firstStop = currentTrigger(client, opened, 'SL');
+
+  fire(client, firstStop, 89, 0);
+  await executionEngine.reconcile();
+
+  let record = executionEngine.getExecution(id);
+  assert.strictEqual(record.status, executionEngine.EXECUTION_STATUS.OPEN);
+  assert.strictEqual(record.orders.TP1.status, 'open');
+  assert.strictEqual(record.orders.TP2.status, 'open');
+  assert.strictEqual(record.orders.SL.status, 'open');
+  assert.notStrictEqual(record.orders.SL.client_id, firstStop.client_id);
+  assert.strictEqual(record.orders.SL.qty, record.qty);
+
+  // 重新挂出的止损成交后才平仓
+  fire(client, currentTrigger(client, opened, 'SL'), 88);
+  await executionEngine.reconcile();
+
+  record = executionEngine.getExecution(id);
+  assert.strictEqual(record.status, executionEngine.EXECUTION_STATUS.CLOSED);
+  assert.strictEqual(record.exit_reason, 'SL');
+  assert.strictEqual(record.exit_price, 88);
+  assert.strictEqual(record.orders.TP1.status, 'cancelled');
+});
+
+test('a partially filled stop re-places the rest and settles at the average price', async () => {
+  const opened = await openPosition();
+  const { id } = opened;
+  const qty = executionEngine.getExecution(id).qty;
+  const half = Math.floor(qty / 2 * 1e4) / 1e4;
+
+  fire(client, currentTrigger(client, opened, 'SL'), 90, half);
+  await executionEngine.reconcile();
+
+  let record = executionEngine.getExecution(id);
+  assert.strictEqual(record.status, executionEngine.EXECUTION_STATUS.OPEN);
+  assert.ok(Math.abs(record.orders.SL.qty - (qty - half)) < 1e-9);
+
+  fire(client, currentTrigger(client, opened, 'SL'), 80);
+  await executionEngine.reconcile();
+
+  record = executionEngine.getExecution(id);
+  assert.strictEqual(record.status, executionEngine.EXECUTION_STATUS.CLOSED);
+  assert.ok(Math.abs(record.orders.SL.filled_qty - qty) < 1e-9);
+  const expected = (half * 90 + (qty - half) * 80) / qty;
+  assert.ok(Math.abs(record.exit_price - expected) < 1e-9);
+});
+
+test('a stop that keeps expiring unfilled is flagged and the record stays open', async () => {
+  const opened = await openPosition();
+  const { id } = opened;
+
+  for (let i = 0; i <= executionEngine.EXECUTION_CONFIG.MAX_EXIT_RETRIES; i++) {
+    fire(client, currentTrigger(client, opened, 'SL'), 89, 0);
+    await executionEngine.reconcile();
+  }
+
+  const record = executionEngine.getExecution(id);
+  assert.strictEqual(record.status, executionEngine.EXECUTION_STATUS.OPEN);
+  assert.strictEqual(record.orders.SL.status, 'failed');
+  assert.strictEqual(record.orders.TP1.status, 'open');
+  assert.ok(record.events.some(event => event.type === 'ERROR' && /manual action required/.test(event.message)));
+});
+
+test('TP1 and the stop filling in the same interval book the partial profit before the stop', async () => {
+  const opened = await openPosition();
+  const { id } = opened;
+  const qty = executionEngine.getExecution(id).qty;
+
+  fire(client, currentTrigger(client, opened, 'TP1'), 110);
+  // 止损为全仓数量，只减仓：交易所只平掉剩余部分
+  const tp1Qty = executionEngine.getExecution(id).orders.TP1.qty;
+  fire(client, currentTrigger(client, opened, 'SL'), 90, qty - tp1Qty);
+  await executionEngine.reconcile();
+
+  const record = executionEngine.getExecution(id);
+  assert.strictEqual(record.status, executionEngine.EXECUTION_STATUS.CLOSED);
+  assert.strictEqual(record.tp1_filled, true);
+  assert.strictEqual(record.orders.TP1.status, 'filled');
+  assert.strictEqual(record.exit_reason, 'STOP');
+  assert.strictEqual(record.orders.TP2.status, 'cancelled');
+
+  // 生命周期：TP1 一半 +10%，剩余一半 -10%，而不是全仓止损 -10%
+  const signal = getHistory().records.find(r => r.id === id);
+  assert.deepStrictEqual(signal.legs.map(leg => leg.reason), ['TP1', 'STOP']);
+  assert.ok(Math.abs(signal.pnl_percent) < 1e-9);
+});
+
+test('an original stop rejected after TP1 is re-placed for the remaining position only', async () => {
+  const opened = await openPosition();
+  const { id } = opened;
+
+  fire(client, currentTrigger(client, opened, 'TP1'), 110);
+  // 现货全仓卖出超过余额，触发出的订单未成交
+  fire(client, currentTrigger(client, opened, 'SL'), 90, 0);
+  await executionEngine.reconcile();
+
+  const record = executionEngine.getExecution(id);
+  assert.strictEqual(record.status, executionEngine.EXECUTION_STATUS.OPEN);
+  assert.strictEqual(record.tp1_filled, true);
+  assert.ok(Math.abs(record.orders.SL.qty - (record.qty - record.orders.TP1.filled_qty)) < 1e-9);
+  assert.strictEqual(record.orders.SL2.status, 'open');
+});
+
+test('concurrent executions of the same signal place the entry once', async () => {
+  const signal = createSignal();
+  const placedBefore = executionEngine.getExecutionStatus().placed_orders;
+
+  // 手动执行与扫描后的自动执行同时到达
+  const [manual, scan] = await Promise.all([
+    executionEngine.executeSignal(signal),
+    executionEngine.executeSignals([signal])
+  ]);
+
+  assert.strictEqual(executionEngine.getExecutionStatus().placed_orders - placedBefore, 1);
+  assert.strictEqual(manual.orders.ENTRY.status, 'open');
+  assert.strictEqual(scan[0].skipped, 'IN_PROGRESS');
+
+  // 完成后再次执行返回已有记录
+  const again = await executionEngine.executeSignal(signal);
+  assert.strictEqual(again.id, signal.id);
+  assert.strictEqual(executionEngine.getExecutionStatus().placed_orders - placedBefore, 1);
+});
+
+test('spot exits are sized from the entry fill net of the base currency fee', async () => {
+  const opened = await openPosition({ fee: 0.0123, fee_currency: 'BTC' });
+  const record = executionEngine.getExecution(opened.id);
+  const gross = record.orders.ENTRY.filled_qty;
+  const net = Math.floor((gross - 0.0123) * 1e4 + 1e-9) / 1e4;
+
+  assert.strictEqual(record.qty, net);
+  assert.strictEqual(record.orders.SL.qty, net);
+  assert.ok(Math.abs(record.orders.TP1.qty + record.orders.TP2.qty - net) < 1e-9);
+  assert.strictEqual(currentTrigger(client, opened, 'SL').params.qty, net);
+});
+
+test('a fee charged in the quote currency leaves the exit size unchanged', async () => {
+  const opened = await openPosition({ fee: 1.5, fee_currency: 'USDT' });
+  const record = executionEngine.getExecution(opened.id);
+
+  assert.strictEqual(record.qty, record.orders.ENTRY.filled_qty);
+  assert.strictEqual(record.orders.SL.qty, record.qty);
+});
+
+function findLifecycle(id) {
+  return getActiveSignals().find(signal => signal.id === id) || null;
+}
+
+function findClosed(id) {
+  return getHistory().records.find(record => record.id === id) || null;
+}
+
+test('client order ids are stable per signal and leg and valid for Gate.io', () => {
+  const id = executionEngine.getClientOrderId('BTC_USDT_gateio_1', 'ENTRY');
+  assert.strictEqual(executionEngine.getClientOrderId('BTC_USDT_gateio_1', 'ENTRY'), id);
+  assert.notStrictEqual(executionEngine.getClientOrderId('BTC_USDT_gateio_1', 'SL'), id);
+  assert.notStrictEqual(executionEngine.getClientOrderId('BTC_USDT_gateio_2', 'ENTRY'), id);
+  assert.ok(isValidClientId(id));
+  assert.ok(isValidClientId(executionEngine.getClientOrderId('x'.repeat(200), 'SL2-3')));
+});
+
+test('signals that cannot be executed are skipped with a reason', async () => {
+  const candidate = await executionEngine.executeSignal(createSignal({ signal_type: 'CANDIDATE' }));
+  const otherVenue = await executionEngine.executeSignal(createSignal({ venue: 'binance' }));
+  const short = await executionEngine.executeSignal(createSignal({ direction: 'SHORT', sl: 110, tp1: 90, tp2: 70 }));
+
+  assert.deepStrictEqual([candidate.skipped, otherVenue.skipped, short.skipped], ['NOT_TRADABLE', 'VENUE', 'SPOT_SHORT']);
+  assert.strictEqual(executionEngine.getExecution(candidate.signal_id), null);
+});
+
+test('an entry that already exists on the exchange is reused instead of placed again', async () => {
+  const signal = createSignal();
+  const existing = await client.placeOrder({
+    clientId: executionEngine.getClientOrderId(signal.id, 'ENTRY'),
+    symbol: 'BTC_USDT',
+    side: 'buy',
+    qty: 10,
+    price: 100
+  });
+  const placedBefore = executionEngine.getExecutionStatus().placed_orders;
+
+  const record = await executionEngine.executeSignal(signal);
+  assert.strictEqual(record.orders.ENTRY.id, existing.id);
+  assert.ok(record.events.some(event => event.type === 'ORDER_FOUND'));
+  assert.strictEqual(executionEngine.getExecutionStatus().placed_orders, placedBefore);
+  assert.strictEqual(findLifecycle(signal.id).execution.client_order_id, existing.client_id);
+});
+
+test('fills are written back to the lifecycle from entry through TP1 to TP2', async () => {
+  const opened = await openPosition();
+  assert.strictEqual(findLifecycle(opened.id).status, 'ENTERED');
+
+  fire(client, findLeg(client, opened, 'TP1'), 110);
+  await executionEngine.reconcile();
+  let record = executionEngine.getExecution(opened.id);
+  assert.strictEqual(findLifecycle(opened.id).status, 'TP1_HIT');
+  assert.strictEqual(record.orders.SL.status, 'cancelled');
+  assert.deepStrictEqual([record.orders.SL2.trigger_price, record.orders.SL2.qty], [100, record.qty - record.orders.TP1.qty]);
+
+  fire(client, currentTrigger(client, opened, 'TP2'), 130);
+  await executionEngine.reconcile();
+  record = executionEngine.getExecution(opened.id);
+  assert.deepStrictEqual([record.status, record.exit_reason, record.exit_price], ['CLOSED', 'TP2', 130]);
+  assert.strictEqual(record.orders.SL2.status, 'cancelled');
+
+  const closed = findClosed(opened.id);
+  assert.deepStrictEqual(closed.legs.map(leg => [leg.reason, leg.price]), [['TP1', 110], ['TP2', 130]]);
+  assert.strictEqual(closed.pnl_percent, 20);
+});
+
+test('the kill switch cancels pending entries, blocks new signals and is persisted', async (t) => {
+  t.after(() => executionEngine.setKillSwitch(false));
+  const pending = await executionEngine.executeSignal(createSignal());
+
+  const state = await executionEngine.setKillSwitch(true, 'test');
+  assert.strictEqual(state.active, true);
+  assert.ok(state.cancelled_entries >= 1);
+
+  const record = executionEngine.getExecution(pending.id);
+  assert.strictEqual(record.status, 'CANCELLED');
+  assert.strictEqual(client.orders.get(record.orders.ENTRY.id).status, 'cancelled');
+  assert.strictEqual(findClosed(pending.id).status, 'CANCELLED');
+
+  const blocked = await executionEngine.executeSignal(createSignal());
+  assert.strictEqual(blocked.skipped, 'KILL_SWITCH');
+
+  const saved = JSON.parse(fs.readFileSync(path.join(process.env.EXECUTION_STORE_DIR, 'kill_switch.json'), 'utf8'));
+  assert.deepStrictEqual([saved.active, saved.reason], [true, 'test']);
+});
+
+test('dry-run records the orders it would send without touching the lifecycle', async (t) => {
+  const logs = [];
+  t.mock.method(console, 'log', message => logs.push(String(message)));
+  t.after(() => executionEngine.initExecution({ mode: 'live', client, marketData }));
+  executionEngine.initExecution({ mode: 'dry-run', marketData });
+
+  const signal = createSignal();
+  const record = await executionEngine.executeSignal(signal);
+  assert.strictEqual(record.mode, 'dry-run');
+  assert.strictEqual(record.orders.ENTRY.status, 'open');
+  assert.ok(logs.some(line => /DRY-RUN POST \/spot\/orders/.test(line)));
+
+  await executionEngine.reconcile();
+  assert.strictEqual(executionEngine.getExecution(signal.id).status, 'PENDING_ENTRY');
+  const lifecycle = findLifecycle(signal.id);
+  assert.strictEqual(lifecycle.status, 'ACTIVE');
+  assert.strictEqual(lifecycle.execution, undefined);
+});
+
+test('a signal runs end to end against the local mock exchange', async (t) => {
+  const exchange = createMockExchange({ apiKey: 'test-key', apiSecret: 'test-secret', feeRate: 0.002 });
+  const server = await new Promise(resolve => {
+    const listening = exchange.listen(0, () => resolve(listening));
+  });
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  t.after(() => executionEngine.initExecution({ mode: 'live', client, marketData }));
+
+  const tradingClient = createTradingClient({
+    market: 'spot',
+    baseUrl: `http://localhost:${server.address().port}/api/v4`,
+    apiKey: 'test-key',
+    apiSecret: 'test-secret'
+  });
+  executionEngine.initExecution({ mode: 'live', client: tradingClient, marketData });
+
+  const signal = createSignal({ symbol: 'MOCK_USDT', id: 'MOCK_USDT_gateio_1' });
+  await executionEngine.executeSignal(signal);
+
+  exchange.setPrices({ MOCK_USDT: 100 });
+  await executionEngine.reconcile();
+  let record = executionEngine.getExecution(signal.id);
+  // 买入手续费以基础币扣除，出场数量按到账数量
+  assert.strictEqual(record.status, 'OPEN');
+  assert.strictEqual(record.qty, 9.98);
+  assert.strictEqual(findLifecycle(signal.id).status, 'ENTERED');
+
+  exchange.setPrices({ MOCK_USDT: 110 });
+  await executionEngine.reconcile();
+  record = executionEngine.getExecution(signal.id);
+  assert.strictEqual(record.tp1_filled, true);
+  assert.strictEqual(record.orders.SL2.qty, 4.99);
+  assert.strictEqual(findLifecycle(signal.id).status, 'TP1_HIT');
+
+  exchange.setPrices({ MOCK_USDT: 100 });
+  await executionEngine.reconcile();
+  record = executionEngine.getExecution(signal.id);
+  assert.deepStrictEqual([record.status, record.exit_reason], ['CLOSED', 'STOP']);
+  assert.strictEqual(findClosed(signal.id).outcome, 'TP1_BE');
+
+  const open = exchange.getState().triggers.filter(trigger => trigger.status === 'open');
+  assert.deepStrictEqual(open, []);
+});
@@ -0,0 +1,55 @@
+/**
+ * Gate.io 行情：按时间区间分页获取K线
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+process.env.CANDLE_STORE = 'false';
+
+const gateio = require('../src/gateio');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * 按请求的 from / to（秒）返回整点K线，记录每次请求
+ */
+function createTransport(requests) {
+  return async (endpoint, params) => {
+    requests.push(params);
+    const candles = [];
+    for (let time = params.from * 1000; time <= params.to * 1000; time += HOUR) {
+      candles.push([String(time / 1000), '10', '100.5', '101', '99', '100']);
+    }
+    return candles.slice(-gateio.MAX_CANDLES_PER_REQUEST);
+  };
+}
+
+after(() => {
+  gateio.setTransport(null);
+});
+
+test('range queries page backwards and return the whole inclusive range in order', async () => {
+  const requests = [];
+  gateio.setTransport(createTransport(requests));
+  const to = Date.UTC(2026, 9, 1);
+  const from = to - 2499 * HOUR;
+
+  const klines = await gateio.getKlinesRange('BTC_USDT', '1h', from, to);
+  assert.strictEqual(klines.length, 2500);
+  assert.strictEqual(klines[0].time, from);
+  assert.strictEqual(klines[klines.length - 1].time, to);
+  assert.ok(klines.every((k, i) => i === 0 || k.time - klines[i - 1].time === HOUR));
+  assert.strictEqual(requests.length, 3);
+  assert.ok(requests.every(params => params.interval === '1h' && params.currency_pair === 'BTC_USDT'));
+});
+
+test('range queries keep only the newest maxBars bars', async () => {
+  gateio.setTransport(createTransport([]));
+  const to = Date.UTC(2026, 9, 1);
+
+  const klines = await gateio.getKlinesRange('BTC_USDT', '1h', to - 2000 * HOUR, to, { maxBars: 500 });
+  assert.strictEqual(klines.length, 500);
+  assert.strictEqual(klines[0].time, to - 499 * HOUR);
+  assert.strictEqual(klines[klines.length - 1].time, to);
+});
@@ -0,0 +1,169 @@
+/**
+ * 永续合约行情：按录制的响应验证解析、缓存与按标记价格触发
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'futures-'));
+process.env.SIGNAL_STORE_DIR = path.join(dataDir, 'signals');
+process.env.CANDLE_STORE = 'false';
+
+const { createFuturesClient, createFixtureTransport, getFixtureName } = require('../src/gateioFutures');
+const { addSignal, markEntered, processPriceUpdate, getActiveSignals, closeSignalStore, SIGNAL_STATUS } = require('../src/signalLifecycle');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'gateio-futures');
+const HOUR = 60 * 60 * 1000;
+const FIRST_BAR = 1717200000 * 1000;
+
+/**
+ * 读取录制文件并记录每次请求
+ */
+function createClient(options = {}) {
+  const calls = [];
+  const fixtures = createFixtureTransport(FIXTURE_DIR);
+  const transport = async (endpoint, params) => {
+    calls.push({ endpoint, params });
+    if (options.fail && options.fail()) throw new Error('network down');
+    return fixtures(endpoint, params);
+  };
+  return { client: createFuturesClient({ transport, symbols: ['BTC_USDT', 'ETH_USDT'] }), calls };
+}
+
+after(() => {
+  closeSignalStore();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('fixture names follow the endpoint, contract and interval', () => {
+  assert.strictEqual(getFixtureName('/candlesticks', { contract: 'mark_BTC_USDT', interval: '1h', limit: 5 }),
+    'candlesticks_mark_BTC_USDT_1h.json');
+  assert.strictEqual(getFixtureName('/contracts/BTC_USDT'), 'contracts_BTC_USDT.json');
+  assert.strictEqual(getFixtureName('/funding_rate', { contract: 'ETH_USDT', limit: 3 }), 'funding_rate_ETH_USDT.json');
+});
+
+test('contract specs are parsed and mapped to spot-style order rules', async () => {
+  const { client } = createClient();
+
+  const contract = await client.getContract('BTC_USDT');
+  assert.strictEqual(contract.quanto_multiplier, 0.0001);
+  assert.strictEqual(contract.leverage_min, 1);
+  assert.strictEqual(contract.leverage_max, 125);
+  assert.strictEqual(contract.maker_fee_rate, -0.0001);
+  assert.strictEqual(contract.funding_interval, 28800);
+  assert.strictEqual(contract.funding_next_apply, 1717228800 * 1000);
+
+  const pair = await client.getCurrencyPair('BTC_USDT');
+  assert.strictEqual(pair.amount_precision, 4);
+  assert.strictEqual(pair.price_precision, 1);
+  assert.strictEqual(pair.min_base_amount, 0.0001);
+  assert.strictEqual(pair.contract_size, 0.0001);
+  assert.strictEqual(pair.trade_status, 'tradable');
+});
+
+test('last, mark and index candles come from their own contracts', async () => {
+  const { client, calls } = createClient();
+
+  const last = await client.getKlines('BTC_USDT', '1h', 6);
+  const mark = await client.getMarkPriceKlines('BTC_USDT', '1h', 6);
+  const index = await client.getIndexPriceKlines('BTC_USDT', '1h', 6);
+
+  assert.deepStrictEqual(calls.map(c => c.params.contract), ['BTC_USDT', 'mark_BTC_USDT', 'index_BTC_USDT']);
+  assert.strictEqual(last.length, 6);
+  assert.deepStrictEqual(last[0], {
+    time: FIRST_BAR, volume: 18234, close: 67512.3, high: 67593.3, low: 67425.8, open: 67500
+  });
+  assert.strictEqual(mark[0].volume, 0);
+  assert.strictEqual(mark[5].close, 67897.2);
+  assert.strictEqual(mark[5].time, FIRST_BAR + 5 * HOUR);
+  assert.ok(index.every((k, i) => i === 0 || k.time > index[i - 1].time));
+});
+
+test('klines are cached and served from cache when a refresh fails', async (t) => {
+  let down = false;
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  const { client, calls } = createClient({ fail: () => down });
+
+  await client.getKlines('ETH_USDT', '1h', 6);
+  const cached = await client.getKlines('ETH_USDT', '1h', 3);
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(cached.length, 3);
+
+  down = true;
+  now += 24 * HOUR;
+  const fallback = await client.getKlines('ETH_USDT', '1h', 6);
+  assert.strictEqual(calls.length, 2);
+  assert.strictEqual(fallback.length, 6);
+});
+
+test('range requests page the chosen price type and keep bars inside the range', async () => {
+  const { client, calls } = createClient();
+
+  const klines = await client.getKlinesRange('BTC_USDT', '1h', FIRST_BAR + HOUR, FIRST_BAR + 3 * HOUR, { priceType: 'mark' });
+  assert.deepStrictEqual(klines.map(k => k.time), [FIRST_BAR + HOUR, FIRST_BAR + 2 * HOUR, FIRST_BAR + 3 * HOUR]);
+  assert.strictEqual(calls[0].params.contract, 'mark_BTC_USDT');
+
+  const limited = await client.getKlinesRange('BTC_USDT', '1h', FIRST_BAR, FIRST_BAR + 5 * HOUR, { maxBars: 2 });
+  assert.deepStrictEqual(limited.map(k => k.time), [FIRST_BAR + 4 * HOUR, FIRST_BAR + 5 * HOUR]);
+
+  await assert.rejects(client.getKlinesRange('BTC_USDT', '7m', 0, 1), /Unsupported interval/);
+});
+
+test('tickers carry mark, index and funding, and funding history is newest first', async () => {
+  const { client } = createClient();
+
+  const ticker = await client.getTicker('BTC_USDT');
+  assert.strictEqual(ticker.last, 67890.4);
+  assert.strictEqual(ticker.mark_price, 67897.2);
+  assert.strictEqual(ticker.funding_rate, 0.0001);
+  assert.strictEqual(await client.getTicker('SOL_USDT'), null);
+
+  const funding = await client.getFundingRateHistory('BTC_USDT', 3);
+  assert.strictEqual(funding.length, 3);
+  assert.deepStrictEqual(funding[0], { time: FIRST_BAR, rate: 0.0001 });
+  assert.ok(funding[1].time < funding[0].time);
+});
+
+test('the fixture check command parses every recorded response', () => {
+  const output = execFileSync(process.execPath, ['src/gateioFutures.js', '--fixtures', 'fixtures/gateio-futures'], {
+    cwd: path.join(__dirname, '..'),
+    stdio: ['ignore', 'pipe', 'ignore']
+  }).toString();
+
+  assert.match(output, /BTC_USDT: multiplier 0\.0001, leverage 1-125x/);
+  assert.match(output, /ETH_USDT: /);
+  assert.match(output, /parsed OK/);
+});
+
+test('futures positions trigger their stop on the mark price, spot positions on the last price', () => {
+  const create = (id, market) => addSignal({
+    id,
+    symbol: 'MARK_USDT',
+    market,
+    direction: 'LONG',
+    entry_price: 100,
+    sl: 90,
+    tp1: 110,
+    tp2: 130,
+    timeframe: '4H',
+    signal_type: 'TRADABLE',
+    rating: 'S'
+  });
+  const futures = create('mark_futures', 'futures');
+  const spot = create('mark_spot', 'spot');
+  markEntered(futures.id, 100);
+  markEntered(spot.id, 100);
+
+  // 最新成交价插针到止损下方，标记价格未到
+  const { closed } = processPriceUpdate('MARK_USDT', 89, 95);
+  assert.deepStrictEqual(closed.map(s => s.id), [spot.id]);
+  assert.strictEqual(getActiveSignals({ symbol: 'MARK_USDT' })[0].status, SIGNAL_STATUS.ENTERED);
+
+  const { closed: markClosed } = processPriceUpdate('MARK_USDT', 91, 89.5);
+  assert.deepStrictEqual(markClosed.map(s => s.id), [futures.id]);
+});
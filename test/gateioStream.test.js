@@ -0,0 +1,162 @@
+/**
+ * Gate.io 行情推送：推送写入K线与价格缓存、断档补齐、重连与本地回放服务
+ */
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+
+process.env.CANDLE_STORE = 'false';
+
+const WebSocket = require('ws');
+const gateio = require('../src/gateio');
+const { parseStreamCandle, initMarketStream, stopMarketStream, getStreamStatus } = require('../src/gateioStream');
+const { createStreamReplay, loadFrames } = require('../src/gateioStreamReplay');
+
+const ROOT = path.join(__dirname, '..');
+const FRAMES_FILE = path.join(ROOT, 'fixtures', 'gateio-ws', 'spot_1h.jsonl');
+const HOUR = 60 * 60 * 1000;
+// 录制的 BTC_USDT 1h K线最后一根
+const LAST_BAR = 1717225200 * 1000;
+
+let requests;
+
+function candleFrame(time, close) {
+  return {
+    time_ms: 0,
+    channel: 'spot.candlesticks',
+    event: 'update',
+    result: { t: String(time / 1000), v: '100', c: String(close), h: String(close), l: String(close), o: String(close), n: '1h_BTC_USDT', a: '1', w: false }
+  };
+}
+
+function kline(time, close) {
+  return { time, open: close, high: close, low: close, close, volume: 100 };
+}
+
+beforeEach(() => {
+  requests = [];
+  const fixtures = gateio.createFixtureTransport(path.join(ROOT, 'fixtures', 'gateio'));
+  gateio.setTransport((endpoint, params) => {
+    requests.push(endpoint);
+    return fixtures(endpoint, params);
+  });
+});
+
+after(() => {
+  stopMarketStream();
+  gateio.setTransport(null);
+});
+
+test('candlestick updates carry the interval and symbol in the n field', () => {
+  const { result } = loadFrames(FRAMES_FILE)[0];
+  assert.deepStrictEqual(parseStreamCandle(result), {
+    interval: '1h',
+    symbol: 'BTC_USDT',
+    kline: { time: LAST_BAR, open: 67473.1, high: 67537.6, low: 67243.6, close: 67290.5, volume: 9608212.4 }
+  });
+});
+
+test('streamed bars replace the current bar, append the next one and reject gaps', async () => {
+  assert.strictEqual(gateio.ingestKline('BTC_USDT', '1h', kline(LAST_BAR, 1)), false);
+
+  await gateio.refreshKlines('BTC_USDT', '1h', 8);
+  assert.strictEqual(gateio.ingestKline('BTC_USDT', '1h', kline(LAST_BAR, 67400)), true);
+  assert.strictEqual(gateio.ingestKline('BTC_USDT', '1h', kline(LAST_BAR + HOUR, 67500)), true);
+  assert.strictEqual(gateio.ingestKline('BTC_USDT', '1h', kline(LAST_BAR + 3 * HOUR, 67600)), false);
+
+  // 推送维护中的缓存不再请求REST
+  const count = requests.length;
+  const klines = await gateio.getKlines('BTC_USDT', '1h', 8);
+  assert.strictEqual(requests.length, count);
+  assert.strictEqual(klines.length, 8);
+  assert.deepStrictEqual(klines.slice(-2).map(k => [k.time, k.close]), [[LAST_BAR, 67400], [LAST_BAR + HOUR, 67500]]);
+
+  gateio.ingestTicker('BTC_USDT', gateio.parseTicker({ last: '67500' }));
+  assert.strictEqual((await gateio.getTickers()).BTC_USDT.last, 67500);
+  assert.strictEqual(requests.length, count);
+  gateio.releaseStream();
+});
+
+test('the replay server answers pings and subscriptions and only sends subscribed topics', async () => {
+  const replay = createStreamReplay({ file: FRAMES_FILE, intervalMs: 0 });
+  const port = await replay.listen(0);
+  const ws = new WebSocket(`ws://localhost:${port}`);
+  const messages = [];
+  ws.on('message', raw => messages.push(JSON.parse(raw.toString())));
+  await new Promise(resolve => ws.on('open', resolve));
+
+  ws.send(JSON.stringify({ channel: 'spot.ping' }));
+  ws.send(JSON.stringify({ channel: 'spot.order_book', event: 'subscribe', payload: ['BTC_USDT'] }));
+  ws.send(JSON.stringify({ channel: 'spot.tickers', event: 'subscribe', payload: ['BTC_USDT'] }));
+  await replay.done();
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  assert.strictEqual(messages[0].channel, 'spot.pong');
+  assert.strictEqual(messages[1].error.code, 2);
+  assert.deepStrictEqual(messages[2].result, { status: 'success' });
+  const updates = messages.filter(m => m.event === 'update');
+  assert.deepStrictEqual(updates.map(m => m.result.last), ['67290.5', '67301.2', '67313.0', '67355.0']);
+  assert.deepStrictEqual(replay.getStatus(), { frames: 16, sent: 16, cursor: 16, clients: 1, dropped: false, finished: true });
+
+  ws.terminate();
+  await replay.close();
+});
+
+test('the stream backfills over REST on connect and again after a gap, and batches ticker changes', async () => {
+  const frames = [
+    candleFrame(LAST_BAR + 2 * HOUR, 67700),
+    ...loadFrames(FRAMES_FILE).filter(f => f.channel === 'spot.tickers' && f.result.currency_pair === 'BTC_USDT'),
+    candleFrame(LAST_BAR + HOUR, 67650)
+  ];
+  const replay = createStreamReplay({ frames, intervalMs: 100 });
+  const port = await replay.listen(0);
+
+  const batches = [];
+  const before = getStreamStatus();
+  initMarketStream({
+    url: `ws://localhost:${port}`,
+    symbols: ['BTC_USDT'],
+    intervals: ['1h'],
+    onTickers: tickers => batches.push(tickers),
+    backfillBars: 8,
+    backfillDelayMs: 0,
+    flushMs: 50
+  });
+
+  await replay.done();
+  await new Promise(resolve => setTimeout(resolve, 150));
+  const status = getStreamStatus();
+  stopMarketStream();
+  await replay.close();
+
+  assert.strictEqual(status.connects - before.connects, 1);
+  assert.strictEqual(status.gaps - before.gaps, 1);
+  assert.strictEqual(status.backfills - before.backfills, 2);
+  assert.strictEqual(status.candles - before.candles, 2);
+  assert.strictEqual(requests.filter(e => e === '/spot/candlesticks').length, 2);
+
+  // 断档补齐后，下一根推送接在REST数据之后
+  const klines = await gateio.getKlines('BTC_USDT', '1h', 8);
+  assert.deepStrictEqual(klines.slice(-2).map(k => k.time), [LAST_BAR, LAST_BAR + HOUR]);
+  assert.strictEqual(klines[klines.length - 1].close, 67650);
+
+  assert.ok(batches.length >= 1);
+  assert.ok(batches.every(batch => Object.keys(batch).join() === 'BTC_USDT'));
+  assert.strictEqual(batches[batches.length - 1].BTC_USDT.last, 67355);
+});
+
+test('the replay check reconnects after a dropped connection, resubscribes and ends in sync', () => {
+  const output = execFileSync(process.execPath, [
+    'src/gateioStream.js', '--replay', 'fixtures/gateio-ws/spot_1h.jsonl', '--fixtures', 'fixtures/gateio'
+  ], {
+    cwd: ROOT,
+    env: { ...process.env, CANDLE_STORE: 'false' },
+    stdio: ['ignore', 'pipe', 'ignore'],
+    timeout: 30000
+  }).toString();
+
+  assert.match(output, /Replayed 16 frames: connects 2,/);
+  assert.match(output, /Stream cache matches the last replayed frames/);
+});
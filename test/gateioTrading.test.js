@@ -0,0 +1,103 @@
+/**
+ * Gate.io 交易客户端：签名、对本地模拟交易所下单（成交、手续费、拒单）与试运行
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  createTradingClient,
+  createDryRunTransport,
+  signRequest,
+  verifySignature
+} = require('../src/gateioTrading');
+const { createMockExchange } = require('../src/mockExchange');
+
+let exchange;
+let server;
+let client;
+
+before(async () => {
+  exchange = createMockExchange({ apiKey: 'test-key', apiSecret: 'test-secret', feeRate: 0.002 });
+  server = await new Promise(resolve => {
+    const listening = exchange.listen(0, () => resolve(listening));
+  });
+  client = createTradingClient({
+    market: 'spot',
+    baseUrl: `http://localhost:${server.address().port}/api/v4`,
+    apiKey: 'test-key',
+    apiSecret: 'test-secret'
+  });
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('spot buy fills report the fee in the base currency', async () => {
+  exchange.setPrices({ BTC_USDT: 100 });
+  await client.placeOrder({ clientId: 't-fee-buy', symbol: 'BTC_USDT', side: 'buy', qty: 2, price: 100 });
+
+  const order = await client.getOrder('t-fee-buy', 'BTC_USDT');
+  assert.strictEqual(order.status, 'filled');
+  assert.strictEqual(order.filled_qty, 2);
+  assert.strictEqual(order.fee_currency, 'BTC');
+  assert.ok(Math.abs(order.fee - 0.004) < 1e-12);
+});
+
+test('spot sell fills report the fee in the quote currency', async () => {
+  await client.placeOrder({ clientId: 't-fee-sell', symbol: 'BTC_USDT', side: 'sell', qty: 1, price: 100 });
+
+  const order = await client.getOrder('t-fee-sell', 'BTC_USDT');
+  assert.strictEqual(order.status, 'filled');
+  assert.strictEqual(order.fee_currency, 'USDT');
+  assert.ok(Math.abs(order.fee - 0.2) < 1e-12);
+});
+
+test('open orders carry no fee', async () => {
+  await client.placeOrder({ clientId: 't-fee-open', symbol: 'BTC_USDT', side: 'buy', qty: 1, price: 90 });
+
+  const order = await client.getOrder('t-fee-open', 'BTC_USDT');
+  assert.strictEqual(order.status, 'open');
+  assert.strictEqual(order.fee, 0);
+});
+
+test('signatures verify only for the signed request and secret', () => {
+  const request = { method: 'POST', path: '/spot/orders', query: '', body: '{"amount":"1"}' };
+  const signed = signRequest({ ...request, apiKey: 'k', apiSecret: 's', timestamp: 1700000000 });
+  const headers = { key: signed.KEY, timestamp: signed.Timestamp, sign: signed.SIGN };
+
+  assert.strictEqual(verifySignature({ ...request, headers, apiSecret: 's' }), true);
+  assert.strictEqual(verifySignature({ ...request, headers, apiSecret: 'other' }), false);
+  assert.strictEqual(verifySignature({ ...request, body: '{"amount":"2"}', headers, apiSecret: 's' }), false);
+});
+
+test('the exchange rejects a wrong secret, invalid client ids and reused client ids', async () => {
+  const intruder = createTradingClient({
+    market: 'spot',
+    baseUrl: `http://localhost:${server.address().port}/api/v4`,
+    apiKey: 'test-key',
+    apiSecret: 'wrong-secret'
+  });
+  await assert.rejects(intruder.getOrder('t-any', 'BTC_USDT'), error => error.status === 401 && error.label === 'INVALID_SIGNATURE');
+
+  await assert.rejects(client.placeOrder({ clientId: 'no-prefix', symbol: 'BTC_USDT', side: 'buy', qty: 1, price: 90 }),
+    /Invalid client order id/);
+
+  await client.placeOrder({ clientId: 't-once', symbol: 'BTC_USDT', side: 'buy', qty: 1, price: 90 });
+  await assert.rejects(client.placeOrder({ clientId: 't-once', symbol: 'BTC_USDT', side: 'buy', qty: 1, price: 90 }),
+    error => error.status === 400 && error.label === 'DUPLICATE_CLIENT_ID');
+});
+
+test('dry-run accepts and cancels orders but never fills them', async () => {
+  const logs = [];
+  const dryRun = createTradingClient({ market: 'spot', transport: createDryRunTransport(line => logs.push(line)) });
+
+  const placed = await dryRun.placeOrder({ clientId: 't-dry', symbol: 'BTC_USDT', side: 'buy', qty: 1, price: 100 });
+  assert.strictEqual(placed.status, 'open');
+  assert.strictEqual((await dryRun.getOrder('t-dry', 'BTC_USDT')).status, 'open');
+  assert.strictEqual((await dryRun.cancelOrder(placed.id, 'BTC_USDT')).status, 'cancelled');
+  assert.strictEqual(await dryRun.getOrder('t-missing', 'BTC_USDT'), null);
+  assert.strictEqual(await dryRun.findTriggerOrder('t-dry-SL', 'BTC_USDT'), null);
+  assert.match(logs[0], /DRY-RUN POST \/spot\/orders/);
+});
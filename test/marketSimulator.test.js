@@ -0,0 +1,54 @@
+/**
+ * 演示模式：可复现的模拟行情，合成信号与真实数据隔离
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'simulator-'));
+process.env.SIGNAL_STORE_DIR = path.join(dataDir, 'signals');
+process.env.CANDLE_STORE = 'false';
+
+const { createMarketSimulator, tagSynthetic } = require('../src/marketSimulator');
+const { addSignal, getActiveSignals, isSynthetic, closeSignalStore } = require('../src/signalLifecycle');
+
+after(() => {
+  closeSignalStore();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('the same seed reproduces the same candles and every interval ends at the ticker price', async () => {
+  const first = createMarketSimulator({ seed: 7, symbols: ['BTC_USDT'] });
+  const second = createMarketSimulator({ seed: 7, symbols: ['BTC_USDT'] });
+  const other = createMarketSimulator({ seed: 8, symbols: ['BTC_USDT'] });
+
+  const klines = await first.getKlines('BTC_USDT', '1h', 50);
+  assert.deepStrictEqual(await second.getKlines('BTC_USDT', '1h', 50), klines);
+  assert.notDeepStrictEqual(await other.getKlines('BTC_USDT', '1h', 50), klines);
+
+  const last = (await first.getTickers()).BTC_USDT.last;
+  for (const interval of ['5m', '1h', '4h']) {
+    const series = await first.getKlines('BTC_USDT', interval, 10);
+    assert.strictEqual(series[series.length - 1].close, last);
+  }
+  assert.ok(klines.every(k => k.low <= Math.min(k.open, k.close) && k.high >= Math.max(k.open, k.close)));
+});
+
+test('synthetic signals are only visible in the demo scope', () => {
+  const base = {
+    symbol: 'BTC_USDT', direction: 'LONG', entry_price: 100, sl: 90, tp1: 110, tp2: 130,
+    timeframe: '4H', signal_type: 'TRADABLE', rating: 'S'
+  };
+  addSignal({ ...base, id: 'real_1' });
+  addSignal(tagSynthetic({ ...base, id: 'sim_1' }, 7));
+  // 旧版 generateMockSignals 的记录没有标签
+  addSignal({ ...base, id: 'sig_1700000000000_1' });
+
+  assert.deepStrictEqual(getActiveSignals().map(s => s.id), ['real_1']);
+  assert.deepStrictEqual(getActiveSignals({ synthetic: true }).map(s => s.id).sort(),
+    ['demo_sim_1', 'sig_1700000000000_1']);
+  assert.strictEqual(isSynthetic({ id: 'demo_sim_1', synthetic: true }), true);
+});
@@ -0,0 +1,111 @@
+/**
+ * 行情交易所：统一交易对名、适配器注册，以及 Binance / OKX 适配器按录制的响应解析
+ */
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  normalizeSymbol,
+  parseVenues,
+  supportsMarket,
+  createVenueClient,
+  listVenues
+} = require('../src/marketVenues');
+const binance = require('../src/binance');
+const okx = require('../src/okx');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures');
+const HOUR = 60 * 60 * 1000;
+const FIRST_BAR = 1717200000000;
+const SYMBOLS = ['BTC_USDT', 'ETH_USDT'];
+
+function createClient(name) {
+  const transport = (name === 'binance' ? binance : okx).createFixtureTransport(path.join(FIXTURE_DIR, name));
+  return createVenueClient(name, { transport, symbols: SYMBOLS });
+}
+
+test('symbols from any venue format normalise to BASE_QUOTE', () => {
+  assert.strictEqual(normalizeSymbol('BTC/USDT'), 'BTC_USDT');
+  assert.strictEqual(normalizeSymbol('eth-usdt'), 'ETH_USDT');
+  assert.strictEqual(normalizeSymbol(' SOL_USDT '), 'SOL_USDT');
+  assert.strictEqual(normalizeSymbol('BTCUSDT'), 'BTC_USDT');
+  assert.strictEqual(normalizeSymbol('ETHFDUSD'), 'ETH_FDUSD');
+  assert.strictEqual(normalizeSymbol('ETHBTC'), 'ETH_BTC');
+  assert.strictEqual(normalizeSymbol('USDT'), null);
+  assert.strictEqual(normalizeSymbol('A_B_C'), null);
+  assert.strictEqual(normalizeSymbol(42), null);
+});
+
+test('venue lists are parsed, de-duplicated and checked against the registry', () => {
+  assert.deepStrictEqual(parseVenues('Binance, okx,binance'), { venues: ['binance', 'okx'], unknown: [] });
+  assert.deepStrictEqual(parseVenues(['gateio', 'kraken']), { venues: ['gateio'], unknown: ['kraken'] });
+  assert.deepStrictEqual(listVenues().map(v => v.name), ['gateio', 'binance', 'okx']);
+
+  assert.strictEqual(supportsMarket('gateio', 'futures'), true);
+  assert.strictEqual(supportsMarket('okx', 'futures'), false);
+  assert.throws(() => createVenueClient('kraken'), /Unknown venue: kraken/);
+  assert.throws(() => createVenueClient('binance', { market: 'futures' }), /does not support futures/);
+});
+
+test('Binance klines, tickers and symbol rules parse into the common layout', async () => {
+  const client = createClient('binance');
+  assert.deepStrictEqual([client.venue, client.market, client.toVenueSymbol('BTC_USDT')], ['binance', 'spot', 'BTCUSDT']);
+
+  const klines = await client.getKlines('BTC_USDT', '1h', 8);
+  assert.strictEqual(klines.length, 8);
+  // volume 取成交额（计价币）
+  assert.deepStrictEqual(klines[0], {
+    time: FIRST_BAR, volume: 16889846.29, close: 67589, high: 67642.6, low: 67419.5, open: 67506.75
+  });
+  assert.deepStrictEqual(await client.getKlines('BTC_USDT', '10s', 5), []);
+
+  const range = await client.getKlinesRange('BTC_USDT', '1h', FIRST_BAR + HOUR, FIRST_BAR + 3 * HOUR);
+  assert.deepStrictEqual(range.map(k => k.time), [FIRST_BAR + HOUR, FIRST_BAR + 2 * HOUR, FIRST_BAR + 3 * HOUR]);
+
+  const ticker = await client.getTicker('BTC_USDT');
+  assert.strictEqual(ticker.last, 67340.5);
+  assert.strictEqual(ticker.change_percentage, -0.246);
+
+  const pair = await client.getCurrencyPair('BTC_USDT');
+  assert.deepStrictEqual(
+    [pair.base, pair.quote, pair.amount_precision, pair.price_precision, pair.min_base_amount, pair.min_quote_amount, pair.trade_status],
+    ['BTC', 'USDT', 5, 2, 0.00001, 5, 'tradable']
+  );
+  assert.deepStrictEqual((await client.getSymbols()).map(p => p.symbol), SYMBOLS);
+});
+
+test('OKX candles arrive newest first and are returned in ascending order', async () => {
+  const client = createClient('okx');
+  assert.deepStrictEqual([client.venue, client.toVenueSymbol('BTC_USDT'), client.fromVenueSymbol('btc-usdt')],
+    ['okx', 'BTC-USDT', 'BTC_USDT']);
+
+  const klines = await client.getKlines('BTC_USDT', '1h', 5);
+  assert.strictEqual(klines.length, 5);
+  assert.ok(klines.every((k, i) => i === 0 || k.time - klines[i - 1].time === HOUR));
+  assert.deepStrictEqual(klines[4], {
+    time: 1717225200000, volume: 17161197.24, close: 67031.6, high: 67047.4, low: 66912.7, open: 66972.1
+  });
+
+  const ticker = await client.getTicker('BTC_USDT');
+  assert.strictEqual(ticker.last, 67031.6);
+  assert.ok(Math.abs(ticker.change_percentage - (67031.6 - 67493.2) / 67493.2 * 100) < 1e-9);
+
+  const pair = await client.getCurrencyPair('BTC_USDT');
+  assert.deepStrictEqual([pair.amount_precision, pair.price_precision, pair.min_base_amount], [8, 1, 0.00001]);
+});
+
+test('the fixture check command verifies every venue adapter', () => {
+  const output = execFileSync(process.execPath, ['src/marketVenues.js', '--fixtures', 'fixtures'], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, CANDLE_STORE: 'false' },
+    stdio: ['ignore', 'pipe', 'ignore']
+  }).toString();
+
+  for (const venue of ['gateio', 'binance', 'okx']) {
+    assert.match(output, new RegExp(`Fixtures in fixtures/${venue} parsed OK`));
+  }
+  assert.match(output, /okx BTC_USDT \(BTC-USDT\)/);
+});
@@ -0,0 +1,43 @@
+/**
+ * 多时间框架分析：只基于已收盘K线
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.CANDLE_STORE = 'false';
+
+const { TIMEFRAME_MS } = require('../src/gateio');
+const { analyzeHTF, MTF_CONFIG } = require('../src/multiTimeframeV3');
+
+/**
+ * 截至当前bar之前的已收盘K线（缓慢上涨带波动），forming 为正在形成的bar
+ */
+function buildKlines(interval, forming = null) {
+  const timeframeMs = TIMEFRAME_MS[interval];
+  const currentBarStart = Math.floor(Date.now() / timeframeMs) * timeframeMs;
+  const klines = [];
+
+  for (let i = MTF_CONFIG.KLINE_LIMIT; i > 0; i--) {
+    const index = MTF_CONFIG.KLINE_LIMIT - i;
+    const close = 100 + index * 0.5 + Math.sin(index / 3) * 4;
+    klines.push({ time: currentBarStart - i * timeframeMs, open: close - 1, high: close + 2, low: close - 2, close, volume: 1000 });
+  }
+  if (forming) klines.push({ time: currentBarStart, volume: 10, ...forming });
+  return klines;
+}
+
+function createMarketData(forming) {
+  return {
+    getAllKlines: async (interval, limit, symbols) =>
+      Object.fromEntries(symbols.map(symbol => [symbol, buildKlines(interval, forming)]))
+  };
+}
+
+test('HTF analysis ignores the bar that is still forming', async () => {
+  const closedOnly = await analyzeHTF(['BTC_USDT'], createMarketData(null));
+  const withForming = await analyzeHTF(['BTC_USDT'], createMarketData({ open: 150, high: 150, low: 20, close: 20 }));
+
+  assert.ok(closedOnly.symbols.BTC_USDT);
+  assert.deepStrictEqual(withForming.symbols, closedOnly.symbols);
+});
@@ -0,0 +1,53 @@
+/**
+ * 参数优化：滚动窗口划分与候选参数生成
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.CANDLE_STORE = 'false';
+
+const { PARAM_SPACE, buildCandidates, buildWindows, toStrategyConfig } = require('../src/optimizer');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('walk-forward windows train right before each test window and roll by the test length', () => {
+  const windows = buildWindows(0, 100 * DAY, 60 * DAY, 20 * DAY);
+
+  assert.strictEqual(windows.length, 2);
+  assert.deepStrictEqual(windows[0], { index: 0, train: { from: 0, to: 60 * DAY }, test: { from: 60 * DAY, to: 80 * DAY } });
+  assert.deepStrictEqual(windows[1].train, { from: 20 * DAY, to: 80 * DAY });
+  assert.deepStrictEqual(windows[1].test, { from: 80 * DAY, to: 100 * DAY });
+  assert.deepStrictEqual(buildWindows(0, 70 * DAY, 60 * DAY, 20 * DAY), []);
+});
+
+test('grid search keeps the baseline first and drops inconsistent take-profit pairs', () => {
+  const candidates = buildCandidates({ method: 'grid', params: ['TP1_R_MULTIPLE', 'TP2_R_MULTIPLE'] });
+
+  assert.strictEqual(candidates[0].id, 'baseline');
+  assert.ok(candidates.every(c => c.params.TP2_R_MULTIPLE > c.params.TP1_R_MULTIPLE));
+  const pairs = new Set(candidates.map(c => `${c.params.TP1_R_MULTIPLE}/${c.params.TP2_R_MULTIPLE}`));
+  assert.strictEqual(pairs.size, candidates.length);
+  assert.ok(pairs.has('2.5/4') && !pairs.has('2.5/2.5'));
+  assert.ok(candidates.every(c => c.params.SWING_LOOKBACK === candidates[0].params.SWING_LOOKBACK));
+  assert.throws(() => buildCandidates({ method: 'grid' }), /Grid too large/);
+  assert.throws(() => buildCandidates({ params: ['UNKNOWN'] }), /Unknown parameters/);
+});
+
+test('random search is reproducible for a seed and stays inside the parameter space', () => {
+  const first = buildCandidates({ method: 'random', samples: 8, seed: 5 });
+  const second = buildCandidates({ method: 'random', samples: 8, seed: 5 });
+
+  assert.deepStrictEqual(first, second);
+  assert.strictEqual(first.length, 9);
+  for (const { params } of first.slice(1)) {
+    for (const [name, values] of Object.entries(PARAM_SPACE)) assert.ok(values.includes(params[name]));
+  }
+});
+
+test('flat parameter sets map to nested strategy config overrides', () => {
+  assert.deepStrictEqual(toStrategyConfig({ SWING_LOOKBACK: 4, 'RATING_THRESHOLDS.A': 70, 'RATING_THRESHOLDS.S': 85 }), {
+    SWING_LOOKBACK: 4,
+    RATING_THRESHOLDS: { A: 70, S: 85 }
+  });
+});
@@ -0,0 +1,295 @@
+/**
+ * 模拟盘：按信号挂单、撮合与撤单
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'paper-'));
+process.env.SIGNAL_STORE_DIR = path.join(dataDir, 'signals');
+process.env.CANDLE_STORE = 'false';
+
+const paperTrading = require('../src/paperTrading');
+const { addSignal, closeSignalStore } = require('../src/signalLifecycle');
+
+let signalCounter = 0;
+let accountDir;
+
+function createSignal(fields = {}) {
+  return addSignal({
+    id: `paper_${++signalCounter}`,
+    symbol: 'BTC_USDT',
+    direction: 'LONG',
+    entry_price: 100,
+    sl: 90,
+    tp1: 110,
+    tp2: 130,
+    timeframe: '4H',
+    signal_type: 'TRADABLE',
+    rating: 'S',
+    ...fields
+  });
+}
+
+/**
+ * 每个测试使用新的账户目录，options 传给 initPaperTrading
+ */
+function start(options = {}) {
+  accountDir = fs.mkdtempSync(path.join(dataDir, 'accounts-'));
+  paperTrading.initPaperTrading({ dir: accountDir, ...options });
+}
+
+function getAccount() {
+  return paperTrading.getAccount('default');
+}
+
+beforeEach(() => {
+  paperTrading.stopPaperTrading();
+});
+
+after(() => {
+  paperTrading.stopPaperTrading();
+  closeSignalStore();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('demo scope keeps entries of synthetic signals and fills them', () => {
+  start({ scope: { synthetic: true } });
+  const signal = createSignal({ synthetic: true });
+  paperTrading.followSignals([signal]);
+
+  paperTrading.processPrices({ BTC_USDT: 105 });
+  assert.deepStrictEqual(getAccount().open_orders.map(o => o.purpose), ['ENTRY']);
+
+  paperTrading.processPrices({ BTC_USDT: 100 });
+  const account = getAccount();
+  assert.strictEqual(account.positions.length, 1);
+  assert.strictEqual(account.positions[0].signal_id, signal.id);
+});
+
+test('entries of signals outside the scope are cancelled as closed', () => {
+  start();
+  const synthetic = createSignal({ synthetic: true });
+  const real = createSignal();
+  paperTrading.followSignals([synthetic, real]);
+
+  paperTrading.processPrices({ BTC_USDT: 105 });
+
+  const orders = getAccount().open_orders;
+  assert.deepStrictEqual(orders.map(o => o.signal_id), [real.id]);
+  const cancelled = paperTrading.getLedger('default', { type: 'ORDER_CANCELLED' });
+  assert.strictEqual(cancelled[0].order.signal_id, synthetic.id);
+  assert.strictEqual(cancelled[0].order.reason, 'SIGNAL_CLOSED');
+});
+
+const HOUR = 60 * 60 * 1000;
+const QUARTER = 15 * 60 * 1000;
+const BAR_TIME = Math.floor(Date.now() / HOUR) * HOUR - 24 * HOUR;
+
+/**
+ * 开仓：挂入场单并按入场价成交
+ */
+function openPaperPosition() {
+  const signal = createSignal();
+  paperTrading.followSignals([signal]);
+  paperTrading.processPrices({ BTC_USDT: 100 });
+  assert.strictEqual(getAccount().positions.length, 1);
+  return signal;
+}
+
+// 阴线同时扫过 TP1（110）与止损（90）：按K线颜色会先高后低（先 TP1），悲观策略取先触及止损
+const AMBIGUOUS_BAR = { time: BAR_TIME, open: 100, high: 111, low: 89, close: 95 };
+
+// 15m 明细：先到 111（TP1），回落到 95 打掉保本止损，之后才跌到 89
+const QUARTER_BARS = [
+  { time: BAR_TIME, open: 100, high: 111, low: 101, close: 110 },
+  { time: BAR_TIME + QUARTER, open: 110, high: 110, low: 95, close: 96 },
+  { time: BAR_TIME + 2 * QUARTER, open: 96, high: 96, low: 89, close: 90 },
+  { time: BAR_TIME + 3 * QUARTER, open: 90, high: 96, low: 90, close: 95 }
+];
+
+async function fetchQuarterBars(interval) {
+  return interval === '15m' ? QUARTER_BARS : [];
+}
+
+test('replay resolves an ambiguous bar with the trigger engine policy instead of the candle colour', async () => {
+  start();
+  openPaperPosition();
+
+  const fills = await paperTrading.replayKlines('default', 'BTC_USDT', [AMBIGUOUS_BAR], { interval: '1h' });
+
+  assert.deepStrictEqual(fills.map(fill => fill.purpose), ['SL']);
+  assert.ok(Math.abs(fills[0].price - 90 * (1 - paperTrading.PAPER_CONFIG.SLIPPAGE_BPS / 10000)) < 1e-6);
+});
+
+test('replay follows the policy passed in options', async () => {
+  start();
+  openPaperPosition();
+
+  const fills = await paperTrading.replayKlines('default', 'BTC_USDT', [AMBIGUOUS_BAR], {
+    interval: '1h',
+    policy: 'OPTIMISTIC'
+  });
+
+  // 先高后低：TP1 成交后止损移到保本，回落时打掉剩余仓位
+  assert.deepStrictEqual(fills.map(fill => fill.purpose), ['TP1', 'SL']);
+  assert.strictEqual(fills[0].price, 110);
+});
+
+test('replay drills an ambiguous bar down to lower timeframe bars', async () => {
+  start();
+  openPaperPosition();
+
+  const fills = await paperTrading.replayKlines('default', 'BTC_USDT', [AMBIGUOUS_BAR], {
+    interval: '1h',
+    fetchBars: fetchQuarterBars
+  });
+
+  // TP1 后止损移到保本，第二根 15m 打掉剩余仓位
+  assert.deepStrictEqual(fills.map(fill => fill.purpose), ['TP1', 'SL']);
+  assert.strictEqual(fills[0].time, BAR_TIME);
+  assert.strictEqual(fills[1].time, BAR_TIME + QUARTER);
+  assert.ok(Math.abs(fills[1].price - 100 * (1 - paperTrading.PAPER_CONFIG.SLIPPAGE_BPS / 10000)) < 1e-6);
+  assert.strictEqual(getAccount().positions.length, 0);
+});
+
+/**
+ * 在子进程中按给定环境变量加载配置
+ */
+function loadConfig(env) {
+  const script = "console.log(JSON.stringify(require('./src/paperTrading').PAPER_CONFIG))";
+  const output = execFileSync(process.execPath, ['-e', script], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'ignore']
+  });
+  return JSON.parse(output.toString());
+}
+
+test('paper settings from the environment keep valid values and reject non-positive ones', () => {
+  const valid = loadConfig({
+    PAPER_STARTING_BALANCE: '2500',
+    PAPER_LEVERAGE: '0.5',
+    PAPER_RISK_PERCENT: '0.25',
+    PAPER_SLIPPAGE_BPS: '0'
+  });
+  assert.strictEqual(valid.STARTING_BALANCE, 2500);
+  assert.strictEqual(valid.LEVERAGE, 0.5);
+  assert.strictEqual(valid.RISK_PER_TRADE_PERCENT, 0.25);
+  assert.strictEqual(valid.SLIPPAGE_BPS, 0);
+
+  const invalid = loadConfig({ PAPER_STARTING_BALANCE: '0', PAPER_LEVERAGE: '-2', PAPER_RISK_PERCENT: 'abc' });
+  assert.strictEqual(invalid.STARTING_BALANCE, 10000);
+  assert.strictEqual(invalid.LEVERAGE, 1);
+  assert.strictEqual(invalid.RISK_PER_TRADE_PERCENT, 1);
+});
+
+/**
+ * 只看指定账户的成交
+ */
+function priceTick(accountId, prices) {
+  return paperTrading.processPrices(prices).filter(fill => fill.order_id.startsWith(`${accountId}-`));
+}
+
+test('fills charge maker and taker fees, TP1 moves the stop and the balance adds up', () => {
+  start();
+  paperTrading.createAccount({
+    id: 'fees', starting_balance: 10000, leverage: 2, risk_percent: 1,
+    maker_fee_bps: 2, taker_fee_bps: 5, slippage_bps: 10
+  });
+  const signal = createSignal({ symbol: 'ACC_USDT' });
+  paperTrading.followSignals([signal]);
+
+  const [entry] = priceTick('fees', { ACC_USDT: 100 });
+  assert.deepStrictEqual([entry.purpose, entry.price, entry.qty, entry.fee, entry.liquidity], ['ENTRY', 100, 10, 0.2, 'MAKER']);
+  let account = paperTrading.getAccount('fees');
+  assert.strictEqual(account.used_margin, 500);
+  assert.deepStrictEqual(account.open_orders.map(o => [o.purpose, o.type, o.price, o.qty]),
+    [['SL', 'STOP', 90, 10], ['TP1', 'LIMIT', 110, 5], ['TP2', 'LIMIT', 130, 5]]);
+
+  const [tp1] = priceTick('fees', { ACC_USDT: 110 });
+  assert.deepStrictEqual([tp1.purpose, tp1.realized_pnl, tp1.fee], ['TP1', 50, 0.11]);
+  const stop = paperTrading.getAccount('fees').open_orders.find(o => o.purpose === 'SL');
+  assert.deepStrictEqual([stop.price, stop.qty], [100, 5]);
+
+  // 止损按触发价加 10bps 不利滑点成交，收 taker 费
+  const [sl] = priceTick('fees', { ACC_USDT: 99 });
+  assert.deepStrictEqual([sl.purpose, sl.price, sl.liquidity], ['SL', 98.901, 'TAKER']);
+
+  account = paperTrading.getAccount('fees');
+  assert.strictEqual(account.positions.length, 0);
+  assert.strictEqual(account.open_orders.length, 0);
+  assert.strictEqual(account.used_margin, 0);
+  assert.strictEqual(account.realized_pnl, 44.505);
+  assert.strictEqual(account.fees_paid, 0.5572525);
+  assert.strictEqual(account.balance, 10043.9477475);
+  assert.strictEqual(account.equity, account.balance);
+
+  const [closed] = paperTrading.getLedger('fees', { type: 'POSITION_CLOSED' });
+  assert.strictEqual(closed.position.exit_reason, 'SL');
+  assert.strictEqual(closed.position.net_pnl, 43.9477475);
+  const [cancelled] = paperTrading.getLedger('fees', { type: 'ORDER_CANCELLED' });
+  assert.deepStrictEqual([cancelled.order.purpose, cancelled.order.reason], ['TP2', 'OCO_SL']);
+});
+
+test('entries are capped by available margin and rejected when none is left', () => {
+  start();
+  paperTrading.createAccount({ id: 'small', starting_balance: 1000, leverage: 1, risk_percent: 5, min_rating: 'S' });
+  const first = createSignal({ symbol: 'CAP_USDT', sl: 99 });
+  const second = createSignal({ symbol: 'CAP2_USDT', sl: 99 });
+  const skipped = createSignal({ symbol: 'CAP3_USDT', rating: 'B' });
+
+  paperTrading.followSignals([first, second, skipped]);
+
+  const account = paperTrading.getAccount('small');
+  assert.strictEqual(account.open_orders.length, 1);
+  assert.strictEqual(account.open_orders[0].qty, 10);
+  assert.strictEqual(account.open_orders[0].size_capped, true);
+  assert.strictEqual(account.available_margin, 0);
+
+  const [rejected] = paperTrading.getLedger('small', { type: 'ORDER_REJECTED' });
+  assert.deepStrictEqual([rejected.order.signal_id, rejected.order.reason], [second.id, 'INSUFFICIENT_MARGIN']);
+  assert.ok(!paperTrading.getLedger('small').some(e => e.order && e.order.signal_id === skipped.id));
+});
+
+test('invalid account settings and duplicate ids are rejected', () => {
+  start();
+  assert.match(paperTrading.validateAccountOptions({ id: 'bad id' }), /Invalid account id/);
+  assert.strictEqual(paperTrading.validateAccountOptions({ starting_balance: 0 }), 'Invalid starting_balance');
+  assert.strictEqual(paperTrading.validateAccountOptions({ taker_fee_bps: -1 }), 'Invalid taker_fee_bps');
+  assert.match(paperTrading.validateAccountOptions({ leverage: 500 }), /Leverage exceeds max/);
+  assert.match(paperTrading.validateAccountOptions({ market: 'options' }), /Unsupported market/);
+  assert.match(paperTrading.validateAccountOptions({ min_rating: 'Z' }), /Unknown rating/);
+  assert.strictEqual(paperTrading.validateAccountOptions({ maker_fee_bps: 0, leverage: 10, market: 'futures' }), null);
+
+  assert.throws(() => paperTrading.createAccount({ id: 'default' }), /already exists/);
+});
+
+test('accounts survive a restart, and a reset restores the balance but keeps the ledger', () => {
+  start();
+  paperTrading.createAccount({ id: 'persist', starting_balance: 5000 });
+  paperTrading.followSignals([createSignal({ symbol: 'KEEP_USDT' })]);
+  priceTick('persist', { KEEP_USDT: 100 });
+  paperTrading.stopPaperTrading();
+
+  paperTrading.initPaperTrading({ dir: accountDir });
+  let account = paperTrading.getAccount('persist');
+  assert.strictEqual(account.positions.length, 1);
+  assert.ok(account.balance < 5000);
+  assert.ok(paperTrading.getEquityHistory('persist').length >= 2);
+
+  account = paperTrading.resetAccount('persist');
+  assert.strictEqual(account.balance, 5000);
+  assert.deepStrictEqual([account.positions.length, account.open_orders.length], [0, 0]);
+  const ledger = paperTrading.getLedger('persist');
+  assert.strictEqual(ledger[0].type, 'RESET');
+  assert.strictEqual(ledger[ledger.length - 1].type, 'ACCOUNT_CREATED');
+  assert.strictEqual(paperTrading.resetAccount('missing'), null);
+
+  assert.strictEqual(paperTrading.deleteAccount('persist'), true);
+  assert.ok(!fs.existsSync(path.join(accountDir, 'persist.json')));
+});
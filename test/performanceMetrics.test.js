@@ -0,0 +1,124 @@
+/**
+ * 绩效指标：R倍数统计、回撤、连胜连亏与权益曲线
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-'));
+process.env.SIGNAL_STORE_DIR = path.join(dataDir, 'signals');
+process.env.CANDLE_STORE = 'false';
+
+const { closeSignalStore, RESULT_TYPE } = require('../src/signalLifecycle');
+const { computeMetrics, buildEquityCurve, getPeriodStart } = require('../src/performanceMetrics');
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.parse('2026-03-01T00:00:00Z');
+
+function createTrade(index, pnlPercent, result) {
+  return {
+    id: `trade_${index}`,
+    symbol: 'BTC_USDT',
+    direction: 'LONG',
+    entry_price: 100,
+    sl: 90,
+    filled: true,
+    entered_at: START + (index - 1) * HOUR,
+    closed_at: START + index * HOUR,
+    pnl_percent: pnlPercent,
+    net_pnl_percent: pnlPercent - 1,
+    result
+  };
+}
+
+// 止损距离 10%，R 序列为 2, -1, -1, 3；另有一条未成交记录
+const records = [
+  createTrade(4, 30, RESULT_TYPE.WIN),
+  createTrade(1, 20, RESULT_TYPE.WIN),
+  createTrade(2, -10, RESULT_TYPE.LOSS),
+  createTrade(3, -10, RESULT_TYPE.LOSS),
+  { id: 'missed', filled: false, result: RESULT_TYPE.MISSED, closed_at: START, pnl_percent: null }
+];
+
+after(() => {
+  closeSignalStore();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('metrics are computed in R over filled trades in close order', () => {
+  const metrics = computeMetrics(records);
+
+  assert.strictEqual(metrics.trades, 4);
+  assert.strictEqual(metrics.win, 2);
+  assert.strictEqual(metrics.loss, 2);
+  assert.strictEqual(metrics.win_rate, 50);
+  assert.strictEqual(metrics.total_r, 3);
+  assert.strictEqual(metrics.expectancy_r, 0.75);
+  assert.strictEqual(metrics.profit_factor, 2.5);
+  assert.strictEqual(metrics.payoff_ratio, 2.5);
+  assert.ok(Math.abs(metrics.sharpe - 0.75 / Math.sqrt(12.75 / 3)) < 1e-9);
+  assert.ok(Math.abs(metrics.sortino - 0.75 / Math.sqrt(0.5)) < 1e-9);
+  assert.strictEqual(metrics.longest_win_streak, 1);
+  assert.strictEqual(metrics.longest_loss_streak, 2);
+  assert.strictEqual(metrics.first_trade_at, START + HOUR);
+  assert.strictEqual(metrics.last_trade_at, START + 4 * HOUR);
+});
+
+test('the max drawdown runs from the peak until the curve makes a new high', () => {
+  const metrics = computeMetrics(records);
+
+  assert.strictEqual(metrics.max_drawdown_r, 2);
+  assert.deepStrictEqual(metrics.max_drawdown, {
+    depth_r: 2,
+    peak_at: START + HOUR,
+    trough_at: START + 3 * HOUR,
+    trades: 2,
+    recovered: true,
+    recovered_at: START + 4 * HOUR,
+    duration_ms: 3 * HOUR
+  });
+  assert.strictEqual(metrics.longest_drawdown_duration_ms, 3 * HOUR);
+});
+
+test('the R histogram counts each trade in its bin', () => {
+  const bins = computeMetrics(records).r_histogram.filter(bin => bin.count > 0);
+  assert.deepStrictEqual(bins, [
+    { from: -1, to: -0.5, count: 2 },
+    { from: 2, to: 2.5, count: 1 },
+    { from: 3, to: 3.5, count: 1 }
+  ]);
+
+  const empty = computeMetrics([]);
+  assert.strictEqual(empty.trades, 0);
+  assert.strictEqual(empty.profit_factor, null);
+  assert.strictEqual(empty.sharpe, null);
+});
+
+test('the net basis uses PnL after costs', () => {
+  const metrics = computeMetrics(records, { basis: 'net' });
+  assert.strictEqual(metrics.basis, 'net');
+  assert.ok(Math.abs(metrics.total_r - 2.6) < 1e-9);
+});
+
+test('the equity curve compounds a fixed risk per trade', () => {
+  const curve = buildEquityCurve(records, { riskPercent: 1, initialEquity: 10000 });
+
+  assert.deepStrictEqual(curve.points.map(p => p.id), ['trade_1', 'trade_2', 'trade_3', 'trade_4']);
+  assert.deepStrictEqual(curve.points.map(p => p.cumulative_r), [2, 1, 0, 3]);
+  assert.deepStrictEqual(curve.points.map(p => p.drawdown_r), [0, 1, 2, 0]);
+
+  const expected = 10000 * 1.02 * 0.99 * 0.99 * 1.03;
+  assert.ok(Math.abs(curve.final_equity - expected) < 1e-6);
+  assert.ok(Math.abs(curve.return_percent - (expected / 10000 - 1) * 100) < 1e-9);
+  assert.ok(Math.abs(curve.max_drawdown_percent - (1 - 0.99 * 0.99) * 100) < 1e-9);
+});
+
+test('period start is relative to now and rejects unknown periods', () => {
+  const now = START;
+  assert.strictEqual(getPeriodStart('all', now), null);
+  assert.strictEqual(getPeriodStart('7d', now), now - 7 * 24 * HOUR);
+  assert.strictEqual(getPeriodStart('2w', now), undefined);
+});
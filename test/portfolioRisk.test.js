@@ -0,0 +1,196 @@
+/**
+ * 组合风险：总风险、单方向与相关性上限、亏损熔断、被拦截信号存储
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-'));
+process.env.SIGNAL_STORE_DIR = path.join(dataDir, 'signals');
+process.env.BLOCKED_STORE_DIR = path.join(dataDir, 'blocked');
+process.env.CANDLE_STORE = 'false';
+
+const { createMemoryStore } = require('../src/signalStore');
+const { setSignalStore, SIGNAL_STATUS } = require('../src/signalLifecycle');
+const {
+  getSignalRiskPercent,
+  getCircuitBreaker,
+  screenSignals,
+  recordBlocked,
+  getBlockedSignals,
+  getCorrelationClusters,
+  setBlockedStore
+} = require('../src/portfolioRisk');
+
+const DAY = 24 * 60 * 60 * 1000;
+// 2026-03-04 为周三，本周一为 03-02
+const NOW = Date.parse('2026-03-04T12:00:00Z');
+
+let signalStore;
+let signalCounter = 0;
+
+function createSignal(fields = {}) {
+  return {
+    id: `portfolio_${++signalCounter}`,
+    symbol: 'BTC_USDT',
+    direction: 'LONG',
+    signal_type: 'TRADABLE',
+    status: SIGNAL_STATUS.ACTIVE,
+    entry_price: 100,
+    sl: 90,
+    created_at: NOW - DAY,
+    ...fields
+  };
+}
+
+function addOpen(fields) {
+  const signal = createSignal(fields);
+  signalStore.transaction(tx => tx.put(signal));
+  return signal;
+}
+
+// 净亏损 1R（单笔风险 1%）
+function addLoss(closedAt) {
+  signalStore.transaction(tx => tx.archive(createSignal({
+    status: 'CLOSED',
+    filled: true,
+    entered_at: closedAt - 1000,
+    closed_at: closedAt,
+    pnl_percent: -10,
+    net_pnl_percent: -10,
+    result: 'LOSS'
+  })));
+}
+
+// 同向波动的一组合约与一个独立合约的1h K线
+function createMarketData() {
+  const series = {
+    ALT1_USDT: i => Math.sin(i),
+    ALT2_USDT: i => Math.sin(i) * 1.5,
+    ALT3_USDT: i => Math.sin(i) * 0.8 + 0.0001,
+    ALT4_USDT: i => Math.sin(i) * 2,
+    SOLO_USDT: i => Math.cos(i * 2.7)
+  };
+
+  return {
+    async getAllKlines(interval, limit, symbols) {
+      const result = {};
+      for (const [symbol, move] of Object.entries(series)) {
+        let close = 100;
+        result[symbol] = Array.from({ length: limit }, (_, i) => {
+          close *= Math.exp(move(i) * 0.01);
+          return { time: i * 3600000, open: close, high: close, low: close, close };
+        });
+      }
+      return result;
+    }
+  };
+}
+
+beforeEach(() => {
+  signalStore = createMemoryStore();
+  setSignalStore(signalStore);
+  setBlockedStore(createMemoryStore());
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('open risk counts pending orders in full and reduces as the stop moves up', () => {
+  assert.strictEqual(getSignalRiskPercent(createSignal()), 1);
+  assert.strictEqual(getSignalRiskPercent(createSignal({ status: SIGNAL_STATUS.ENTERED, entry_price_actual: 100 })), 1);
+  assert.strictEqual(getSignalRiskPercent(createSignal({
+    status: SIGNAL_STATUS.TP1_HIT,
+    stop_price: 100,
+    remaining_fraction: 0.5
+  })), 0);
+  assert.strictEqual(getSignalRiskPercent(createSignal({
+    status: SIGNAL_STATUS.TP1_HIT,
+    stop_price: 95,
+    remaining_fraction: 0.5
+  })), 0.25);
+});
+
+test('signals accepted earlier in a batch count towards the aggregate and direction caps', async (t) => {
+  t.mock.method(Date, 'now', () => NOW);
+  for (let i = 0; i < 5; i++) addOpen({ symbol: `OPEN${i}_USDT` });
+
+  const first = createSignal({ symbol: 'NEW1_USDT' });
+  const second = createSignal({ symbol: 'NEW2_USDT' });
+  const candidate = createSignal({ symbol: 'NEW3_USDT', signal_type: 'CANDIDATE' });
+  const { accepted, blocked } = await screenSignals([first, second, candidate]);
+
+  assert.deepStrictEqual(accepted.map(s => s.id), [first.id, candidate.id]);
+  assert.strictEqual(blocked[0].signal.id, second.id);
+  assert.deepStrictEqual(blocked[0].reasons.map(r => r.rule), ['MAX_AGGREGATE_RISK', 'MAX_PER_DIRECTION']);
+});
+
+test('a new signal is blocked when too many open signals in its direction are correlated with it', async (t) => {
+  t.mock.method(Date, 'now', () => NOW);
+  for (const symbol of ['ALT1_USDT', 'ALT2_USDT', 'ALT3_USDT']) addOpen({ symbol });
+
+  const { accepted, blocked } = await screenSignals([
+    createSignal({ symbol: 'ALT4_USDT' }),
+    createSignal({ symbol: 'ALT4_USDT', direction: 'SHORT' }),
+    createSignal({ symbol: 'SOLO_USDT' })
+  ], { marketData: createMarketData() });
+
+  assert.deepStrictEqual(accepted.map(s => [s.symbol, s.direction]), [['ALT4_USDT', 'SHORT'], ['SOLO_USDT', 'LONG']]);
+  assert.strictEqual(blocked.length, 1);
+  const reason = blocked[0].reasons.find(r => r.rule === 'CORRELATION_CLUSTER');
+  assert.deepStrictEqual(reason.cluster.map(c => c.symbol), ['ALT1_USDT', 'ALT2_USDT', 'ALT3_USDT']);
+  assert.ok(reason.cluster.every(c => c.correlation > 0.99));
+
+  assert.deepStrictEqual(getCorrelationClusters(), [['ALT1_USDT', 'ALT2_USDT', 'ALT3_USDT', 'ALT4_USDT']]);
+});
+
+test('the daily breaker trips on realized losses and suspends new TRADABLE signals', async (t) => {
+  t.mock.method(Date, 'now', () => NOW);
+  addLoss(NOW - 7 * DAY);
+  addLoss(NOW - 3 * 60 * 60 * 1000);
+  addLoss(NOW - 2 * 60 * 60 * 1000);
+  assert.strictEqual(getCircuitBreaker({}, NOW).tripped, false);
+
+  addLoss(NOW - 60 * 60 * 1000);
+  const breaker = getCircuitBreaker({}, NOW);
+  assert.strictEqual(breaker.tripped, true);
+  assert.strictEqual(breaker.resumes_at, Date.parse('2026-03-05T00:00:00Z'));
+  assert.deepStrictEqual(breaker.windows.map(w => [w.window, w.tripped]), [['day', true], ['week', false]]);
+  assert.ok(Math.abs(breaker.windows[1].realized_percent + 3) < 1e-9);
+
+  const { accepted, blocked } = await screenSignals([
+    createSignal({ signal_type: 'CANDIDATE' }),
+    createSignal()
+  ]);
+  assert.strictEqual(accepted.length, 1);
+  assert.strictEqual(blocked[0].reasons[0].rule, 'CIRCUIT_BREAKER');
+});
+
+test('the weekly breaker counts losses since Monday and resumes next week', () => {
+  for (let i = 0; i < 6; i++) addLoss(Date.parse('2026-03-02T10:00:00Z') + i * 1000);
+
+  const breaker = getCircuitBreaker({}, NOW);
+  assert.deepStrictEqual(breaker.windows.map(w => [w.window, w.tripped]), [['day', false], ['week', true]]);
+  assert.strictEqual(breaker.resumes_at, Date.parse('2026-03-09T00:00:00Z'));
+});
+
+test('blocked signals are kept with their reasons, newest first and out of the signal history', (t) => {
+  let now = NOW;
+  t.mock.method(Date, 'now', () => now);
+  const reasons = [{ rule: 'MAX_OPEN_SIGNALS', message: '10 open signals, max 10' }];
+
+  recordBlocked(createSignal({ symbol: 'ETH_USDT' }), reasons);
+  now += 1000;
+  const latest = recordBlocked(createSignal({ symbol: 'SOL_USDT' }), reasons);
+  recordBlocked(createSignal({ id: 'sig_1700000000000_1', symbol: 'SOL_USDT' }), reasons);
+
+  assert.strictEqual(latest.status, 'BLOCKED');
+  assert.deepStrictEqual(getBlockedSignals().map(s => s.symbol), ['SOL_USDT', 'ETH_USDT']);
+  assert.deepStrictEqual(getBlockedSignals({ symbol: 'ETH_USDT' })[0].block_reasons, reasons);
+  assert.deepStrictEqual(getBlockedSignals({ synthetic: true }).map(s => s.id), ['sig_1700000000000_1']);
+  assert.deepStrictEqual(signalStore.queryHistory(), []);
+});
@@ -0,0 +1,115 @@
+/**
+ * 价格监控：轮询与外部推送互斥、K线获取范围
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'monitor-'));
+process.env.SIGNAL_STORE_DIR = path.join(dataDir, 'signals');
+process.env.CANDLE_STORE = 'false';
+
+const priceMonitor = require('../src/priceMonitor');
+const { addSignal, closeSignalStore } = require('../src/signalLifecycle');
+
+after(() => {
+  priceMonitor.stopPriceMonitor();
+  closeSignalStore();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('pushed prices are rejected while a poll is checking triggers', async () => {
+  let releaseTickers;
+  const marketData = {
+    getTickers: () => new Promise(resolve => { releaseTickers = resolve; })
+  };
+  priceMonitor.initPriceMonitor({ marketData, intervalMs: 60 * 60 * 1000, triggerSource: 'ticker' });
+
+  const polling = priceMonitor.poll();
+  assert.strictEqual(priceMonitor.pushPrices([{ symbol: 'BTC_USDT', price: 100 }]), null);
+
+  releaseTickers({});
+  await polling;
+  assert.ok(priceMonitor.pushPrices([{ symbol: 'BTC_USDT', price: 100 }]));
+  priceMonitor.stopPriceMonitor();
+});
+
+test('kline checks over a long gap page the whole range instead of keeping only the newest bars', async () => {
+  const minute = 60 * 1000;
+  const start = Math.floor(Date.now() / minute) * minute - 6000 * minute;
+  const bar = time => time === start
+    ? { time, open: 105, high: 105, low: 99, close: 104 }
+    : { time, open: 105, high: 105, low: 105, close: 105 };
+
+  // 与交易所一致：单次区间查询只保留最新的 maxBars 根
+  const marketData = {
+    getTickers: async () => ({ ETH_USDT: { last: 105 } }),
+    getKlines: async () => [],
+    getKlinesRange: async (symbol, interval, from, to, options = {}) => {
+      const klines = [];
+      for (let time = Math.floor(from / minute) * minute; time <= to && time < Date.now(); time += minute) {
+        klines.push(bar(time));
+      }
+      return klines.slice(-(options.maxBars || 5000));
+    }
+  };
+
+  addSignal({
+    id: 'monitor_gap',
+    symbol: 'ETH_USDT',
+    direction: 'LONG',
+    entry_price: 100,
+    sl: 90,
+    tp1: 110,
+    tp2: 130,
+    timeframe: '4H',
+    signal_type: 'TRADABLE',
+    rating: 'S',
+    checked_until: start
+  });
+  priceMonitor.initPriceMonitor({ marketData, intervalMs: 60 * 60 * 1000, triggerSource: 'klines' });
+
+  const result = await priceMonitor.poll();
+  priceMonitor.stopPriceMonitor();
+  assert.deepStrictEqual(result.entered.map(signal => signal.id), ['monitor_gap']);
+});
+
+test('a ticker poll enters touched signals, broadcasts the lifecycle and forwards the prices', async () => {
+  addSignal({
+    id: 'monitor_ticker',
+    symbol: 'SOL_USDT',
+    direction: 'LONG',
+    entry_price: 100,
+    sl: 90,
+    tp1: 110,
+    tp2: 130,
+    timeframe: '4H',
+    signal_type: 'TRADABLE',
+    rating: 'S'
+  });
+  const messages = [];
+  const forwarded = [];
+  let price = 105;
+  priceMonitor.initPriceMonitor({
+    marketData: { getTickers: async () => ({ SOL_USDT: { last: price } }) },
+    broadcast: message => messages.push(message),
+    onPrices: priceMap => forwarded.push(priceMap),
+    intervalMs: 60 * 60 * 1000,
+    triggerSource: 'ticker'
+  });
+
+  assert.deepStrictEqual((await priceMonitor.poll()).entered, []);
+  price = 99.5;
+  const result = await priceMonitor.poll();
+  priceMonitor.stopPriceMonitor();
+
+  assert.deepStrictEqual(result.entered.map(signal => signal.id), ['monitor_ticker']);
+  assert.strictEqual(result.entered[0].entry_price_actual, 100);
+  assert.deepStrictEqual(messages.filter(m => m.type === 'signal_entered').map(m => m.data.signalId), ['monitor_ticker']);
+  assert.ok(messages.some(m => m.type === 'price_update'));
+  assert.deepStrictEqual(forwarded, [{ SOL_USDT: 105 }, { SOL_USDT: 99.5 }]);
+  assert.strictEqual(priceMonitor.getMonitorStatus().running, false);
+});
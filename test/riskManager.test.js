@@ -0,0 +1,116 @@
+/**
+ * 风险管理：按止损距离计算仓位、下单规则取整与风险等级
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  getRiskAssessment,
+  assessSignalRisk,
+  calculateVolatilityRatio
+} = require('../src/riskManager');
+
+const PAIR = { amount_precision: 3, min_base_amount: 0.001, min_quote_amount: 1 };
+
+function createSignal(fields = {}) {
+  return { symbol: 'BTC_USDT', entry_price: 100, sl: 97, rating: 'S', timeframe: '4H', ...fields };
+}
+
+// 前 25 根真实波幅为 2，后 15 根为 4
+function createKlines() {
+  return Array.from({ length: 40 }, (_, i) => {
+    const half = i < 25 ? 1 : 2;
+    return { time: i * 60000, open: 100, high: 100 + half, low: 100 - half, close: 100 };
+  });
+}
+
+test('size risks the configured share of equity and is floored to the pair precision', () => {
+  const risk = getRiskAssessment(createSignal(), { equity: 10000, riskPercent: 1, pair: PAIR });
+
+  assert.strictEqual(risk.risk_amount, 100);
+  assert.strictEqual(risk.stop_distance, 3);
+  assert.strictEqual(risk.suggested_position_size, 33.333);
+  assert.ok(risk.max_loss <= 100 && risk.max_loss > 99.99);
+  assert.ok(Math.abs(risk.position_notional - 3333.3) < 1e-9);
+  assert.ok(Math.abs(risk.leverage_required - 0.33333) < 1e-9);
+  assert.deepStrictEqual(risk.warnings, []);
+});
+
+test('the actual fill and the initial stop take precedence over the planned levels', () => {
+  const risk = getRiskAssessment(createSignal({ entry_price_actual: 101, initial_sl: 96, sl: 101 }), {
+    equity: 10000,
+    riskPercent: 1,
+    pair: PAIR
+  });
+  assert.strictEqual(risk.stop_distance, 5);
+  assert.strictEqual(risk.suggested_position_size, 20);
+});
+
+test('a size below the minimum order is zeroed with a warning', () => {
+  const risk = getRiskAssessment(createSignal(), {
+    equity: 100,
+    riskPercent: 1,
+    pair: { amount_precision: 2, min_base_amount: 1, min_quote_amount: 5 }
+  });
+
+  assert.strictEqual(risk.suggested_position_size, 0);
+  assert.strictEqual(risk.max_loss, 0);
+  assert.match(risk.warnings[0], /below minimum order/);
+});
+
+test('excess leverage and missing precision are reported', () => {
+  const risk = getRiskAssessment(createSignal({ sl: 99.9 }), { equity: 10000, riskPercent: 1 });
+
+  assert.ok(Math.abs(risk.leverage_required - 10) < 1e-6);
+  assert.ok(risk.warnings.some(w => /not rounded/.test(w)));
+  assert.ok(risk.warnings.some(w => /exceeds max 5x/.test(w)));
+});
+
+test('the risk level combines stop width in ATR, rating and volatility', () => {
+  const low = getRiskAssessment(createSignal(), { atr: 3, pair: PAIR });
+  assert.strictEqual(low.risk_level, 'LOW');
+  assert.strictEqual(low.factors.stop_atr_multiple, 1);
+
+  const medium = getRiskAssessment(createSignal({ rating: 'A' }), { atr: 3, volatilityRatio: 1.3, pair: PAIR });
+  assert.strictEqual(medium.risk_score, 2);
+  assert.strictEqual(medium.risk_level, 'MEDIUM');
+
+  // 止损只有半个ATR，且评级为 B
+  const high = getRiskAssessment(createSignal({ rating: 'B' }), { atr: 6, pair: PAIR });
+  assert.strictEqual(high.risk_score, 4);
+  assert.strictEqual(high.risk_level, 'HIGH');
+});
+
+test('a signal without a stop is HIGH risk with no size', () => {
+  const risk = getRiskAssessment(createSignal({ sl: 100 }));
+  assert.strictEqual(risk.risk_level, 'HIGH');
+  assert.strictEqual(risk.suggested_position_size, 0);
+});
+
+test('assessSignalRisk reads pair rules and recent volatility from market data', async () => {
+  const klines = createKlines();
+  assert.ok(Math.abs(calculateVolatilityRatio(klines) - 4 / (108 / 39)) < 1e-9);
+  assert.strictEqual(calculateVolatilityRatio(klines.slice(0, 10)), null);
+
+  const requested = [];
+  const marketData = {
+    getCurrencyPair: async symbol => PAIR,
+    getKlines: async (symbol, interval, limit) => {
+      requested.push([symbol, interval, limit]);
+      return klines;
+    }
+  };
+
+  const risk = await assessSignalRisk(createSignal({ sl: 96, rating: 'A' }), marketData, { equity: 10000 });
+  assert.deepStrictEqual(requested, [['BTC_USDT', '4h', 100]]);
+  assert.strictEqual(risk.factors.stop_atr_multiple, 1);
+  assert.strictEqual(risk.risk_level, 'MEDIUM');
+  assert.strictEqual(risk.suggested_position_size, 25);
+
+  const offline = await assessSignalRisk(createSignal(), {
+    getKlines: async () => { throw new Error('offline'); }
+  });
+  assert.strictEqual(offline.factors.stop_atr_multiple, null);
+  assert.strictEqual(offline.factors.volatility_ratio, null);
+});
@@ -0,0 +1,36 @@
+/**
+ * 扫描调度：防重入判断
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+process.env.CANDLE_STORE = 'false';
+
+const scanScheduler = require('../src/scanScheduler');
+
+after(() => {
+  scanScheduler.stopScanScheduler();
+});
+
+test('a running scheduled scan or a busy manual scan blocks other scan entry points', async () => {
+  let busy = false;
+  let finish;
+  scanScheduler.initScanScheduler({
+    handlers: { v2: () => new Promise(resolve => { finish = resolve; }) },
+    isBusy: () => busy,
+    schedules: [{ id: 'v2_test', timeframe: '4h', job: 'v2', paused: true }]
+  });
+
+  assert.strictEqual(scanScheduler.isScanInProgress(), false);
+  busy = true;
+  assert.strictEqual(scanScheduler.isScanInProgress(), true);
+  assert.deepStrictEqual(await scanScheduler.runSchedule('v2_test', 'manual'), { skipped: true });
+
+  busy = false;
+  const run = scanScheduler.runSchedule('v2_test', 'manual');
+  assert.strictEqual(scanScheduler.isScanInProgress(), true);
+  finish();
+  assert.strictEqual((await run).skipped, false);
+  assert.strictEqual(scanScheduler.isScanInProgress(), false);
+});
@@ -0,0 +1,162 @@
+/**
+ * 信号生命周期：入场、分批止盈与平仓的状态约束
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifecycle-'));
+process.env.SIGNAL_STORE_DIR = path.join(dataDir, 'signals');
+process.env.CANDLE_STORE = 'false';
+
+const {
+  addSignal,
+  markEntered,
+  closeSignal,
+  takePartialProfit,
+  processPriceUpdate,
+  processKlineUpdate,
+  getActiveSignals,
+  getHistory,
+  getWinRateStats,
+  closeSignalStore,
+  SIGNAL_STATUS,
+  RESULT_TYPE
+} = require('../src/signalLifecycle');
+
+let signalCounter = 0;
+
+function createSignal(fields = {}) {
+  return addSignal({
+    id: `lifecycle_${++signalCounter}`,
+    symbol: 'BTC_USDT',
+    direction: 'LONG',
+    entry_price: 100,
+    sl: 90,
+    tp1: 110,
+    tp2: 130,
+    timeframe: '4H',
+    signal_type: 'TRADABLE',
+    rating: 'S',
+    ...fields
+  });
+}
+
+function findActive(id) {
+  return getActiveSignals().find(signal => signal.id === id);
+}
+
+after(() => {
+  closeSignalStore();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('closeSignal ignores a signal that was never entered', () => {
+  const signal = createSignal();
+
+  assert.strictEqual(closeSignal(signal.id, 95, 'manual'), null);
+  assert.strictEqual(findActive(signal.id).status, SIGNAL_STATUS.ACTIVE);
+  assert.ok(!getHistory().records.some(record => record.id === signal.id));
+});
+
+test('closeSignal settles an entered signal once', () => {
+  const signal = createSignal();
+  markEntered(signal.id, 100);
+
+  const closed = closeSignal(signal.id, 95, 'manual');
+  assert.strictEqual(closed.filled, true);
+  assert.strictEqual(closed.pnl_percent, -5);
+  assert.strictEqual(findActive(signal.id), undefined);
+
+  assert.strictEqual(closeSignal(signal.id, 120, 'manual'), null);
+  assert.strictEqual(getHistory().records.find(record => record.id === signal.id).exit_price, 95);
+});
+
+test('a repeated TP1 is ignored once the signal left ENTERED', () => {
+  const signal = createSignal();
+  markEntered(signal.id, 100);
+
+  const partial = takePartialProfit(signal.id, 110);
+  assert.strictEqual(partial.status, SIGNAL_STATUS.TP1_HIT);
+  assert.strictEqual(partial.remaining_fraction, 0.5);
+
+  assert.strictEqual(takePartialProfit(signal.id, 110), null);
+  const current = findActive(signal.id);
+  assert.strictEqual(current.status, SIGNAL_STATUS.TP1_HIT);
+  assert.strictEqual(current.legs.length, 1);
+});
+
+test('kline check drops its TP1 when a price push took TP1 during the fetch', async () => {
+  const signal = createSignal({ symbol: 'ETH_USDT' });
+  markEntered(signal.id, 100);
+  const minute = 60 * 1000;
+  const barTime = Math.ceil(signal.created_at / minute) * minute;
+  const bar = { time: barTime, open: 101, high: 111, low: 100.5, close: 110 };
+  let pushed = false;
+
+  const result = await processKlineUpdate('ETH_USDT', async (interval) => {
+    // 等待K线期间，外部推送的价格先触发了 TP1
+    if (!pushed) processPriceUpdate('ETH_USDT', 110);
+    pushed = true;
+    return interval === '1m' ? [bar] : [];
+  }, { interval: '1m', now: barTime + minute });
+
+  assert.deepStrictEqual(result, { entered: [], partial: [], closed: [] });
+  const current = findActive(signal.id);
+  assert.strictEqual(current.status, SIGNAL_STATUS.TP1_HIT);
+  assert.strictEqual(current.legs.length, 1);
+  assert.strictEqual(current.remaining_fraction, 0.5);
+});
+
+test('a pending LONG fills at its limit price only once the price touches entry', () => {
+  const signal = createSignal({ symbol: 'ENTRY_USDT' });
+
+  assert.deepStrictEqual(processPriceUpdate('ENTRY_USDT', 100.5).entered, []);
+  const { entered } = processPriceUpdate('ENTRY_USDT', 99.2);
+  assert.deepStrictEqual(entered.map(s => s.id), [signal.id]);
+  assert.strictEqual(entered[0].status, SIGNAL_STATUS.ENTERED);
+  assert.strictEqual(entered[0].entry_price_actual, 100);
+});
+
+test('unfilled signals close as MISSED or CANCELLED and stay out of the win rate', () => {
+  const missed = createSignal({ symbol: 'MISS_USDT' });
+  const cancelled = createSignal({ symbol: 'GAP_USDT' });
+  const before = getWinRateStats('all');
+
+  const { closed: missedClosed } = processPriceUpdate('MISS_USDT', 111);
+  assert.strictEqual(missedClosed[0].status, SIGNAL_STATUS.MISSED);
+  assert.strictEqual(missedClosed[0].result, RESULT_TYPE.MISSED);
+  assert.strictEqual(missedClosed[0].filled, false);
+
+  // 未成交时跳空越过止损，挂单撤销
+  const { closed: gapClosed } = processPriceUpdate('GAP_USDT', 89);
+  assert.strictEqual(gapClosed[0].id, cancelled.id);
+  assert.strictEqual(gapClosed[0].status, SIGNAL_STATUS.CANCELLED);
+  assert.strictEqual(gapClosed[0].pnl_percent, null);
+
+  const after = getWinRateStats('all');
+  assert.strictEqual(after.total, before.total);
+  assert.strictEqual(after.unfilled.missed, before.unfilled.missed + 1);
+  assert.strictEqual(after.unfilled.cancelled, before.unfilled.cancelled + 1);
+  assert.strictEqual(findActive(missed.id), undefined);
+});
+
+test('TP1 closes half, moves the stop to breakeven and the runner settles the weighted result', () => {
+  const signal = createSignal({ symbol: 'RUNNER_USDT' });
+  processPriceUpdate('RUNNER_USDT', 100);
+
+  const { partial } = processPriceUpdate('RUNNER_USDT', 110);
+  assert.strictEqual(partial[0].status, SIGNAL_STATUS.TP1_HIT);
+  assert.strictEqual(partial[0].stop_price, 100);
+  assert.strictEqual(partial[0].realized_pnl_percent, 5);
+
+  const { closed } = processPriceUpdate('RUNNER_USDT', 100);
+  assert.strictEqual(closed[0].id, signal.id);
+  assert.strictEqual(closed[0].outcome, 'TP1_BE');
+  assert.deepStrictEqual(closed[0].legs.map(leg => [leg.reason, leg.fraction, leg.price]), [['TP1', 0.5, 110], ['STOP', 0.5, 100]]);
+  assert.strictEqual(closed[0].pnl_percent, 5);
+  assert.strictEqual(closed[0].result, RESULT_TYPE.WIN);
+});
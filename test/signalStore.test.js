@@ -0,0 +1,154 @@
+/**
+ * 信号存储：事务、日志重放与旧版JSON迁移
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+process.env.SIGNAL_STORE_FSYNC = 'false';
+
+const { createMemoryStore, createJournalStore } = require('../src/signalStore');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signal-store-'));
+let dirCounter = 0;
+
+function nextDir() {
+  return path.join(dataDir, `store_${++dirCounter}`);
+}
+
+function createRecord(id, fields = {}) {
+  return {
+    id,
+    symbol: 'BTC_USDT',
+    status: 'ACTIVE',
+    created_at: Date.parse('2026-03-01T00:00:00Z'),
+    ...fields
+  };
+}
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('a transaction that throws leaves the store unchanged', () => {
+  const store = createMemoryStore();
+  store.transaction(tx => tx.put(createRecord('a')));
+
+  assert.throws(() => store.transaction(tx => {
+    tx.put({ ...tx.get('a'), status: 'ENTERED' });
+    tx.put(createRecord('b'));
+    throw new Error('boom');
+  }), /boom/);
+
+  assert.strictEqual(store.getActive('a').status, 'ACTIVE');
+  assert.strictEqual(store.getActive('b'), null);
+});
+
+test('a nested transaction joins the outer one and sees its pending writes', () => {
+  const store = createMemoryStore();
+
+  assert.throws(() => store.transaction(tx => {
+    tx.put(createRecord('a'));
+    store.transaction(inner => {
+      assert.strictEqual(inner.get('a').id, 'a');
+      inner.put(createRecord('b'));
+    });
+    throw new Error('abort');
+  }), /abort/);
+  assert.deepStrictEqual(store.listActive(), []);
+
+  store.transaction(tx => {
+    tx.put(createRecord('a'));
+    store.transaction(inner => inner.put(createRecord('b')));
+  });
+  assert.deepStrictEqual(store.listActive().map(s => s.id).sort(), ['a', 'b']);
+});
+
+test('archived records are queried by symbol, status and time range in close order', () => {
+  const store = createMemoryStore();
+  const day = 24 * 60 * 60 * 1000;
+  const base = Date.parse('2026-03-01T00:00:00Z');
+
+  store.transaction(tx => {
+    tx.archive(createRecord('late', { status: 'CLOSED', result: 'WIN', closed_at: base + 3 * day }));
+    tx.archive(createRecord('early', { status: 'CLOSED', result: 'LOSS', closed_at: base + day }));
+    tx.archive(createRecord('eth', { symbol: 'ETH_USDT', status: 'MISSED', closed_at: base + 2 * day }));
+  });
+
+  assert.deepStrictEqual(store.queryHistory().map(r => r.id), ['early', 'eth', 'late']);
+  assert.deepStrictEqual(store.queryHistory({ symbol: 'BTC_USDT' }).map(r => r.id), ['early', 'late']);
+  assert.deepStrictEqual(store.queryHistory({ status: 'MISSED' }).map(r => r.id), ['eth']);
+  assert.deepStrictEqual(store.queryHistory({ result: 'WIN' }).map(r => r.id), ['late']);
+  assert.deepStrictEqual(store.queryHistory({ from: base + 2 * day, to: base + 3 * day }).map(r => r.id), ['eth', 'late']);
+  assert.deepStrictEqual(store.queryHistory({ limit: 1 }).map(r => r.id), ['late']);
+});
+
+test('the journal store restores active and archived records after a reopen', () => {
+  const dir = nextDir();
+  const store = createJournalStore({ dir });
+  store.transaction(tx => {
+    tx.put(createRecord('open'));
+    tx.put(createRecord('done'));
+  });
+  store.transaction(tx => tx.archive({ ...tx.get('done'), status: 'CLOSED', closed_at: Date.parse('2026-03-02T00:00:00Z') }));
+  store.close();
+
+  assert.ok(fs.existsSync(path.join(dir, 'history', '2026-03.jsonl')));
+
+  const reopened = createJournalStore({ dir });
+  assert.deepStrictEqual(reopened.listActive().map(s => s.id), ['open']);
+  assert.deepStrictEqual(reopened.queryHistory().map(r => r.id), ['done']);
+  reopened.close();
+});
+
+test('an uncompacted journal is replayed and a torn last line is dropped', () => {
+  const dir = nextDir();
+  const crashDir = nextDir();
+  const store = createJournalStore({ dir });
+  store.transaction(tx => tx.put(createRecord('a')));
+  store.transaction(tx => tx.put({ ...tx.get('a'), status: 'ENTERED' }));
+  store.transaction(tx => tx.archive({ ...tx.get('a'), status: 'CLOSED', closed_at: Date.parse('2026-03-05T00:00:00Z') }));
+  store.transaction(tx => tx.put(createRecord('b')));
+
+  // 复制未压缩的目录模拟进程崩溃，再追加一行写了一半的事务
+  fs.cpSync(dir, crashDir, { recursive: true });
+  store.close();
+  const torn = JSON.stringify({ seq: 99, ts: Date.now(), ops: [{ op: 'put', signal: createRecord('torn') }] });
+  fs.appendFileSync(path.join(crashDir, 'journal.log'), torn.slice(0, 20));
+
+  const recovered = createJournalStore({ dir: crashDir });
+  assert.deepStrictEqual(recovered.listActive().map(s => s.id), ['b']);
+  assert.deepStrictEqual(recovered.queryHistory().map(r => [r.id, r.status]), [['a', 'CLOSED']]);
+  assert.strictEqual(recovered.getStats().seq, 4);
+  assert.strictEqual(recovered.getStats().journal_bytes, 0);
+  recovered.close();
+});
+
+test('legacy JSON files are migrated once and renamed', () => {
+  const dir = nextDir();
+  const legacyDir = nextDir();
+  fs.mkdirSync(legacyDir, { recursive: true });
+  fs.writeFileSync(path.join(legacyDir, 'active_signals.json'), JSON.stringify({
+    pending: createRecord('pending')
+  }));
+  fs.writeFileSync(path.join(legacyDir, 'signals_history.json'), JSON.stringify({
+    records: [createRecord('old', { status: 'CLOSED', closed_at: Date.parse('2026-02-10T00:00:00Z') })]
+  }));
+
+  const store = createJournalStore({ dir, legacyDir });
+  assert.deepStrictEqual(store.listActive().map(s => s.id), ['pending']);
+  assert.deepStrictEqual(store.queryHistory().map(r => r.id), ['old']);
+  store.close();
+
+  assert.ok(fs.existsSync(path.join(legacyDir, 'active_signals.json.migrated')));
+  assert.ok(fs.existsSync(path.join(legacyDir, 'signals_history.json.migrated')));
+  assert.ok(!fs.existsSync(path.join(legacyDir, 'active_signals.json')));
+
+  const reopened = createJournalStore({ dir, legacyDir });
+  assert.deepStrictEqual(reopened.listActive().map(s => s.id), ['pending']);
+  assert.strictEqual(reopened.queryHistory().length, 1);
+  reopened.close();
+});
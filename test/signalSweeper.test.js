@@ -0,0 +1,99 @@
+/**
+ * 信号清理：过期与入场区间回补失效
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sweeper-'));
+process.env.SIGNAL_STORE_DIR = path.join(dataDir, 'signals');
+process.env.CANDLE_STORE = 'false';
+
+const signalSweeper = require('../src/signalSweeper');
+const { addSignal, getActiveSignals, closeSignalStore, SIGNAL_STATUS, RESULT_TYPE } = require('../src/signalLifecycle');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+function createSignal(fields) {
+  return addSignal({
+    direction: 'LONG',
+    entry_price: 100,
+    sl: 90,
+    tp1: 110,
+    tp2: 130,
+    timeframe: '1H',
+    signal_type: 'TRADABLE',
+    rating: 'S',
+    ...fields
+  });
+}
+
+function start(marketData, messages) {
+  signalSweeper.initSignalSweeper({
+    marketData,
+    broadcast: message => messages.push(message),
+    intervalMs: 60 * 60 * 1000
+  });
+}
+
+after(() => {
+  signalSweeper.stopSignalSweeper();
+  closeSignalStore();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('pending signals past their validity expire with an event, the others stay', async (t) => {
+  const expiring = createSignal({ id: 'sweep_expire', symbol: 'EXP_USDT', expires_in_minutes: 30 });
+  createSignal({ id: 'sweep_keep', symbol: 'EXP_USDT', expires_in_minutes: 120 });
+  const messages = [];
+  start({ getKlines: async () => [] }, messages);
+
+  const realNow = Date.now();
+  t.mock.method(Date, 'now', () => realNow + 31 * MINUTE);
+  const result = await signalSweeper.sweep();
+  signalSweeper.stopSignalSweeper();
+
+  assert.deepStrictEqual(result.expired.map(s => s.id), [expiring.id]);
+  assert.strictEqual(result.expired[0].status, SIGNAL_STATUS.EXPIRED);
+  assert.strictEqual(result.expired[0].result, RESULT_TYPE.EXPIRED);
+  assert.strictEqual(result.expired[0].filled, false);
+  assert.deepStrictEqual(messages.map(m => [m.type, m.data.id]), [['signal_expired', expiring.id]]);
+  assert.deepStrictEqual(getActiveSignals({ symbol: 'EXP_USDT' }).map(s => s.id), ['sweep_keep']);
+});
+
+test('a closed bar through the entry zone after creation invalidates the signal', async (t) => {
+  const signal = createSignal({
+    id: 'sweep_zone',
+    symbol: 'ZONE_USDT',
+    entry_zone: { type: 'FVG', top: 101, bottom: 99 }
+  });
+  const now = signal.created_at + 3 * HOUR;
+  const currentBar = Math.floor(now / HOUR) * HOUR;
+  const createdBar = Math.floor(signal.created_at / HOUR) * HOUR;
+  const mitigatedAt = createdBar + HOUR;
+
+  // 创建之前的影线不算回补
+  const klines = Array.from({ length: 100 }, (_, i) => {
+    const time = currentBar - (99 - i) * HOUR;
+    const low = time === createdBar - HOUR ? 98 : time === mitigatedAt ? 98.5 : 101.5;
+    return { time, open: 102, high: 102.5, low, close: 102, volume: 10 };
+  });
+  const messages = [];
+  start({ getKlines: async () => klines }, messages);
+
+  t.mock.method(Date, 'now', () => now);
+  const result = await signalSweeper.sweep();
+  signalSweeper.stopSignalSweeper();
+
+  assert.deepStrictEqual(result.invalidated.map(s => s.id), [signal.id]);
+  const closed = result.invalidated[0];
+  assert.strictEqual(closed.status, SIGNAL_STATUS.INVALIDATED);
+  assert.strictEqual(closed.exit_reason, 'FVG_MITIGATED');
+  assert.strictEqual(closed.close_details.timestamp, mitigatedAt);
+  assert.strictEqual(closed.close_details.price, 98.5);
+  assert.deepStrictEqual(messages.filter(m => m.data.id === signal.id).map(m => m.type), ['signal_invalidated']);
+});
@@ -0,0 +1,85 @@
+/**
+ * 触发引擎：持仓配置与区间评估
+ */
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+/**
+ * 在子进程中按给定环境变量加载持仓配置
+ */
+function loadConfig(env) {
+  const script = "console.log(JSON.stringify(require('./src/triggerEngine').POSITION_CONFIG))";
+  const output = execFileSync(process.execPath, ['-e', script], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, TP1_CLOSE_FRACTION: '', STOP_AFTER_TP1: '', ...env },
+    stdio: ['ignore', 'pipe', 'ignore']
+  });
+  return JSON.parse(output.toString());
+}
+
+test('TP1 close fraction keeps zero, clamps out-of-range values and falls back only on non-numbers', () => {
+  assert.strictEqual(loadConfig({}).TP1_CLOSE_FRACTION, 0.5);
+  assert.strictEqual(loadConfig({ TP1_CLOSE_FRACTION: '0' }).TP1_CLOSE_FRACTION, 0);
+  assert.strictEqual(loadConfig({ TP1_CLOSE_FRACTION: '0.3' }).TP1_CLOSE_FRACTION, 0.3);
+  assert.strictEqual(loadConfig({ TP1_CLOSE_FRACTION: '1.5' }).TP1_CLOSE_FRACTION, 1);
+  assert.strictEqual(loadConfig({ TP1_CLOSE_FRACTION: '-0.2' }).TP1_CLOSE_FRACTION, 0);
+  assert.strictEqual(loadConfig({ TP1_CLOSE_FRACTION: 'half' }).TP1_CLOSE_FRACTION, 0.5);
+});
+
+test('stop rule after TP1 is normalized at load time', () => {
+  assert.strictEqual(loadConfig({}).STOP_AFTER_TP1, 'BREAKEVEN');
+  assert.strictEqual(loadConfig({ STOP_AFTER_TP1: 'half_r' }).STOP_AFTER_TP1, 'HALF_R');
+  assert.strictEqual(loadConfig({ STOP_AFTER_TP1: 'ORIGINAL' }).STOP_AFTER_TP1, 'ORIGINAL');
+  assert.strictEqual(loadConfig({ STOP_AFTER_TP1: 'trailing' }).STOP_AFTER_TP1, 'BREAKEVEN');
+});
+
+test('a lowest-timeframe bar that opened before the range start is judged by its close only', async () => {
+  const { evaluateRange } = require('../src/triggerEngine');
+  const state = { status: 'ACTIVE', direction: 'LONG', entry_price: 100, sl: 90, tp1: 110, tp2: 130 };
+  const barTime = 1700000000000;
+  const evaluate = bar => evaluateRange(state, '10s', barTime + 5000, barTime + 10000,
+    async () => [{ time: barTime, ...bar }], { now: barTime + 10000 });
+
+  // 低点可能出现在区间起点之前，不算入场
+  const skipped = await evaluate({ open: 105, high: 106, low: 99, close: 104 });
+  assert.deepStrictEqual(skipped.events, []);
+  assert.strictEqual(skipped.checkedUntil, barTime + 10000);
+
+  const entered = await evaluate({ open: 105, high: 106, low: 99, close: 99.5 });
+  assert.deepStrictEqual(entered.events.map(event => event.reason), ['ENTRY']);
+});
+
+test('an ambiguous bar is resolved from lower timeframe bars, or by the policy when they are missing', async () => {
+  const { evaluateRange } = require('../src/triggerEngine');
+  const state = {
+    status: 'ENTERED', direction: 'LONG', entry_price: 100, entry_price_actual: 100,
+    sl: 90, stop_price: 90, tp1: 110, tp2: 130, remaining_fraction: 1
+  };
+  const barTime = Date.UTC(2026, 9, 1);
+  const quarter = 15 * 60 * 1000;
+  const hourBar = { time: barTime, open: 100, high: 111, low: 89, close: 100 };
+  const quarterBars = [
+    { time: barTime, open: 100.5, high: 111, low: 100.5, close: 108 },
+    { time: barTime + quarter, open: 108, high: 108, low: 95, close: 96 },
+    { time: barTime + 2 * quarter, open: 96, high: 97, low: 89, close: 92 },
+    { time: barTime + 3 * quarter, open: 92, high: 101, low: 91, close: 100 }
+  ];
+  const evaluate = (lower, policy) => evaluateRange(state, '1h', barTime, barTime + 4 * quarter,
+    async interval => (interval === '1h' ? [hourBar] : interval === '15m' ? lower : []),
+    { now: barTime + 8 * quarter, policy });
+
+  // 15m 显示先到 TP1，再回落打到保本止损
+  const drilled = await evaluate(quarterBars, 'PESSIMISTIC');
+  assert.deepStrictEqual(drilled.events.map(e => [e.reason, e.price]), [['TP1', 110], ['STOP', 100]]);
+  assert.strictEqual(drilled.events[1].time, barTime + quarter);
+
+  const pessimistic = await evaluate([], 'PESSIMISTIC');
+  assert.deepStrictEqual(pessimistic.events.map(e => e.reason), ['SL']);
+  assert.strictEqual(pessimistic.events[0].resolution, 'POLICY_PESSIMISTIC');
+
+  const optimistic = await evaluate([], 'OPTIMISTIC');
+  assert.deepStrictEqual(optimistic.events.map(e => e.reason), ['TP1', 'STOP']);
+});
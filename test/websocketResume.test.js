@@ -0,0 +1,169 @@
+/**
+ * WebSocket 心跳、广播序号、有界事件缓冲与断线重连补发
+ */
+
+const http = require('http');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+process.env.WS_HEARTBEAT_MS = '100';
+process.env.WS_BUFFER_SIZE = '5';
+process.env.CANDLE_STORE = 'false';
+
+const WebSocket = require('ws');
+const {
+  initWebSocketServer,
+  stopWebSocketServer,
+  broadcastSignalUpdate,
+  getWebSocketStatus
+} = require('../src/websocketServer');
+
+let server;
+let url;
+
+/**
+ * 客户端：收到的消息排队，next(type) 等待下一条指定类型的消息
+ */
+function connect(options = {}) {
+  const ws = new WebSocket(url, options);
+  const messages = [];
+  const waiters = [];
+
+  ws.on('message', raw => {
+    messages.push(JSON.parse(raw.toString()));
+    waiters.splice(0).forEach(check => check());
+  });
+
+  function next(type, timeoutMs = 2000) {
+    return new Promise((resolve, reject) => {
+      const check = () => {
+        const index = messages.findIndex(message => message.type === type);
+        if (index < 0) return waiters.push(check);
+        clearTimeout(timer);
+        resolve(messages.splice(index, 1)[0]);
+      };
+      const timer = setTimeout(() => {
+        const index = waiters.indexOf(check);
+        if (index >= 0) waiters.splice(index, 1);
+        reject(new Error(`Timed out waiting for ${type}`));
+      }, timeoutMs);
+      check();
+    });
+  }
+
+  async function request(message) {
+    ws.send(JSON.stringify(message));
+    return next('ack');
+  }
+
+  return new Promise(resolve => ws.on('open', () => resolve({ ws, next, request })));
+}
+
+function closed(symbol) {
+  broadcastSignalUpdate({ type: 'signal_closed', data: { signalId: `${symbol}_1`, symbol } });
+}
+
+before(async () => {
+  server = http.createServer();
+  initWebSocketServer(server, {
+    getSnapshot: () => ({ signals: [{ id: 'open_1', symbol: 'BTC_USDT' }], scan_status: null })
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  url = `ws://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  stopWebSocketServer();
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('every broadcast gets the next sequence number and the buffer keeps only the latest events', async () => {
+  const client = await connect();
+  const hello = await client.next('hello');
+  assert.strictEqual(hello.heartbeat_ms, 100);
+
+  await client.request({ action: 'subscribe', symbols: ['BTC_USDT'], snapshot: false });
+  closed('ETH_USDT');
+  closed('BTC_USDT');
+
+  // 被过滤掉的事件也占用序号
+  const event = await client.next('signal_closed');
+  assert.strictEqual(event.seq, hello.seq + 2);
+  assert.strictEqual(typeof event.timestamp, 'number');
+
+  for (let i = 0; i < 5; i++) closed('SOL_USDT');
+  const status = getWebSocketStatus();
+  assert.strictEqual(status.seq, hello.seq + 7);
+  assert.strictEqual(status.buffered, 5);
+  assert.strictEqual(status.oldest_seq, status.seq - 4);
+  assert.strictEqual(status.epoch, hello.epoch);
+
+  client.ws.terminate();
+});
+
+test('a reconnecting client gets the events it missed, filtered by its subscription', async () => {
+  const first = await connect();
+  const { epoch, seq } = await first.next('hello');
+  first.ws.terminate();
+
+  closed('BTC_USDT');
+  closed('ETH_USDT');
+  closed('BTC_USDT');
+
+  const client = await connect();
+  await client.request({ action: 'subscribe', symbols: ['BTC_USDT'], snapshot: false });
+  const ack = await client.request({ action: 'resume', id: 3, epoch, last_seq: seq });
+  assert.deepStrictEqual(ack, {
+    type: 'ack', id: 3, action: 'resume', success: true, mode: 'replay', epoch, from_seq: seq + 1, to_seq: seq + 3, count: 2
+  });
+
+  const replayed = [await client.next('signal_closed'), await client.next('signal_closed')];
+  assert.deepStrictEqual(replayed.map(e => [e.seq, e.replay]), [[seq + 1, true], [seq + 3, true]]);
+
+  // 已是最新时不补发
+  const upToDate = await client.request({ action: 'resume', epoch, last_seq: seq + 3 });
+  assert.strictEqual(upToDate.count, 0);
+
+  client.ws.terminate();
+});
+
+test('a gap older than the buffer, another epoch or an invalid seq falls back to a snapshot', async () => {
+  const client = await connect();
+  const { epoch, seq } = await client.next('hello');
+  for (let i = 0; i < 6; i++) closed('SOL_USDT');
+
+  const cases = [
+    [{ epoch, last_seq: seq }, 'GAP_TOO_OLD'],
+    [{ epoch: 'restarted', last_seq: seq + 6 }, 'EPOCH_CHANGED'],
+    [{ epoch, last_seq: seq + 7 }, 'INVALID_SEQ'],
+    [{ epoch, last_seq: 'abc' }, 'INVALID_SEQ']
+  ];
+  for (const [message, reason] of cases) {
+    const ack = await client.request({ action: 'resume', ...message });
+    assert.deepStrictEqual([ack.mode, ack.reason, ack.seq], ['snapshot', reason, seq + 6]);
+    const snapshot = await client.next('snapshot');
+    assert.deepStrictEqual(snapshot.data.signals.map(s => s.id), ['open_1']);
+  }
+
+  // 缓冲区内最早事件的前一个序号仍可补发
+  const ack = await client.request({ action: 'resume', epoch, last_seq: seq + 1 });
+  assert.deepStrictEqual([ack.mode, ack.count], ['replay', 5]);
+
+  client.ws.terminate();
+});
+
+test('the heartbeat terminates clients that stop answering pings', async () => {
+  const live = await connect();
+  const dead = await connect({ autoPong: false });
+  const closedAt = new Promise(resolve => dead.ws.on('close', resolve));
+  assert.strictEqual(getWebSocketStatus().clients, 2);
+
+  // 第一轮 ping 未回应，第二轮断开
+  await closedAt;
+  assert.strictEqual(live.ws.readyState, WebSocket.OPEN);
+  await new Promise(resolve => setTimeout(resolve, 250));
+  assert.strictEqual(live.ws.readyState, WebSocket.OPEN);
+  assert.strictEqual(getWebSocketStatus().clients, 1);
+
+  live.ws.terminate();
+});
@@ -0,0 +1,235 @@
+/**
+ * WebSocket 订阅：主题的追加与移除、确认消息、快照，以及生命周期事件按信号类型与评级过滤
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ws-filter-'));
+process.env.SIGNAL_STORE_DIR = storeDir;
+process.env.CANDLE_STORE = 'false';
+
+const WebSocket = require('ws');
+const { initWebSocketServer, stopWebSocketServer, broadcastSignalUpdate } = require('../src/websocketServer');
+const { addSignal, closeSignalStore } = require('../src/signalLifecycle');
+const priceMonitor = require('../src/priceMonitor');
+
+let server;
+let url;
+let snapshot = { signals: [], scan_status: null };
+
+/**
+ * 客户端：收到的消息排队，next(type) 等待下一条指定类型的消息
+ */
+function connect() {
+  const ws = new WebSocket(url);
+  const messages = [];
+  const waiters = [];
+
+  ws.on('message', raw => {
+    messages.push(JSON.parse(raw.toString()));
+    waiters.splice(0).forEach(check => check());
+  });
+
+  function next(type, timeoutMs = 2000) {
+    return new Promise((resolve, reject) => {
+      const check = () => {
+        const index = messages.findIndex(message => message.type === type);
+        if (index < 0) return waiters.push(check);
+        clearTimeout(timer);
+        resolve(messages.splice(index, 1)[0]);
+      };
+      // 超时后不再占用之后到达的消息
+      const timer = setTimeout(() => {
+        const index = waiters.indexOf(check);
+        if (index >= 0) waiters.splice(index, 1);
+        reject(new Error(`Timed out waiting for ${type}`));
+      }, timeoutMs);
+      check();
+    });
+  }
+
+  return new Promise(resolve => ws.on('open', () => resolve({ ws, next })));
+}
+
+function createSignal(id, signalType, rating) {
+  return addSignal({
+    id,
+    symbol: 'BTC_USDT',
+    direction: 'LONG',
+    entry_price: 100,
+    sl: 90,
+    tp1: 120,
+    tp2: 140,
+    timeframe: '4H',
+    signal_type: signalType,
+    rating
+  });
+}
+
+before(async () => {
+  server = http.createServer();
+  initWebSocketServer(server, { getSnapshot: () => snapshot });
+  await new Promise(resolve => server.listen(0, resolve));
+  url = `ws://localhost:${server.address().port}`;
+
+  priceMonitor.initPriceMonitor({ marketData: {}, broadcast: broadcastSignalUpdate, intervalMs: 60000 });
+});
+
+after(async () => {
+  priceMonitor.stopPriceMonitor();
+  stopWebSocketServer();
+  await new Promise(resolve => server.close(resolve));
+  closeSignalStore();
+  fs.rmSync(storeDir, { recursive: true, force: true });
+});
+
+test('filtered subscriber does not receive entries of CANDIDATE or low-rated signals', async () => {
+  const filtered = await connect();
+  const unfiltered = await connect();
+
+  filtered.ws.send(JSON.stringify({
+    action: 'subscribe',
+    id: 1,
+    signal_types: ['TRADABLE'],
+    min_rating: 'A',
+    snapshot: false
+  }));
+  assert.strictEqual((await filtered.next('ack')).success, true);
+
+  createSignal('candidate', 'CANDIDATE', 'C');
+  createSignal('low_rated', 'TRADABLE', 'B');
+  priceMonitor.pushPrices([{ symbol: 'BTC_USDT', price: 100 }]);
+
+  createSignal('tradable', 'TRADABLE', 'S');
+  priceMonitor.pushPrices([{ symbol: 'BTC_USDT', price: 100 }]);
+
+  // 不限制的客户端收到全部三条入场
+  const all = [];
+  for (let i = 0; i < 3; i++) all.push((await unfiltered.next('signal_entered')).data);
+  assert.deepStrictEqual(all.map(data => data.signalId).sort(), ['candidate', 'low_rated', 'tradable']);
+  assert.ok(all.every(data => data.symbol === 'BTC_USDT' && data.signal_type && data.rating));
+
+  // 过滤后的客户端收到的第一条入场就是 TRADABLE/S，之前的两条被过滤
+  const first = await filtered.next('signal_entered');
+  assert.strictEqual(first.data.signalId, 'tradable');
+  await assert.rejects(filtered.next('signal_entered', 200));
+
+  filtered.ws.terminate();
+  unfiltered.ws.terminate();
+});
+
+/**
+ * 发送一条客户端消息并等待确认
+ */
+async function request(client, message) {
+  client.ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+  return client.next('ack');
+}
+
+test('subscriptions are validated, normalised and echo the request id', async () => {
+  const client = await connect();
+  const hello = await client.next('hello');
+  assert.strictEqual(typeof hello.epoch, 'string');
+  assert.ok(Number.isInteger(hello.seq));
+
+  assert.deepStrictEqual(await request(client, 'not json'), { type: 'ack', success: false, error: 'Invalid JSON' });
+  assert.match((await request(client, { action: 'listen', id: 'x' })).error, /Unknown action: listen/);
+  assert.match((await request(client, { action: 'subscribe', symbols: ['BTC'] })).error, /Invalid symbols: BTC/);
+  assert.match((await request(client, { action: 'subscribe', min_rating: 'D' })).error, /min_rating must be one of/);
+  const unknownEvent = await request(client, { action: 'subscribe', events: ['order_book'] });
+  assert.match(unknownEvent.error, /Unknown events: order_book/);
+  assert.ok(unknownEvent.supported.includes('signal_closed'));
+
+  const ack = await request(client, {
+    action: 'subscribe',
+    id: 7,
+    symbols: ['btc/usdt', 'ETHUSDT'],
+    min_rating: 'A',
+    snapshot: false
+  });
+  assert.strictEqual(ack.id, 7);
+  assert.strictEqual(ack.action, 'subscribe');
+  assert.deepStrictEqual(ack.subscription, {
+    symbols: ['BTC_USDT', 'ETH_USDT'],
+    signal_types: null,
+    min_rating: 'A',
+    events: null
+  });
+
+  // 追加主题，min_rating 被覆盖
+  await request(client, { action: 'subscribe', symbols: ['SOL_USDT'], min_rating: 'B', snapshot: false });
+  const current = await request(client, { action: 'get_subscription', id: 8 });
+  assert.deepStrictEqual(current.subscription.symbols, ['BTC_USDT', 'ETH_USDT', 'SOL_USDT']);
+  assert.strictEqual(current.subscription.min_rating, 'B');
+
+  client.ws.terminate();
+});
+
+test('subscribing sends a snapshot of active signals filtered by the subscription', async (t) => {
+  snapshot = {
+    signals: [
+      { id: 'snap_btc', symbol: 'BTC_USDT', signal_type: 'TRADABLE', rating: 'S' },
+      { id: 'snap_eth', symbol: 'ETH_USDT', signal_type: 'TRADABLE', rating: 'S' },
+      { id: 'snap_btc_c', symbol: 'BTC_USDT', signal_type: 'CANDIDATE', rating: 'C' }
+    ],
+    scan_status: { isScanning: false }
+  };
+  t.after(() => {
+    snapshot = { signals: [], scan_status: null };
+  });
+  const client = await connect();
+
+  await request(client, { action: 'subscribe', symbols: ['BTC_USDT'], signal_types: ['TRADABLE'] });
+  const first = await client.next('snapshot');
+  assert.deepStrictEqual(first.data.signals.map(s => s.id), ['snap_btc']);
+  assert.deepStrictEqual(first.data.scan_status, { isScanning: false });
+  assert.ok(Number.isInteger(first.seq));
+
+  await request(client, { action: 'subscribe', symbols: ['ETH_USDT'], snapshot: false });
+  await assert.rejects(client.next('snapshot', 200));
+
+  client.ws.terminate();
+});
+
+test('unsubscribing removes topics, starting from everything when a topic was unrestricted', async () => {
+  const client = await connect();
+
+  const ack = await request(client, { action: 'unsubscribe', id: 1, signal_types: ['CANDIDATE'], events: ['price_update'] });
+  assert.deepStrictEqual(ack.subscription.signal_types, ['TRADABLE']);
+  assert.ok(!ack.subscription.events.includes('price_update'));
+  assert.ok(ack.subscription.events.includes('new_signals'));
+  assert.strictEqual(ack.subscription.symbols, null);
+
+  broadcastSignalUpdate({ type: 'price_update', data: { symbol: 'BTC_USDT', price: 100 } });
+  broadcastSignalUpdate({
+    type: 'new_signals',
+    data: [
+      { id: 'u_candidate', symbol: 'BTC_USDT', signal_type: 'CANDIDATE', rating: 'A' },
+      { id: 'u_tradable', symbol: 'BTC_USDT', signal_type: 'TRADABLE', rating: 'A' }
+    ]
+  });
+  // 数组载荷只保留符合订阅的信号
+  const update = await client.next('new_signals');
+  assert.deepStrictEqual(update.data.map(s => s.id), ['u_tradable']);
+  assert.ok(Number.isInteger(update.seq));
+  await assert.rejects(client.next('price_update', 200));
+
+  // 不带主题时取消全部订阅
+  const all = await request(client, { action: 'unsubscribe' });
+  assert.deepStrictEqual(all.subscription.events, []);
+  broadcastSignalUpdate({ type: 'scan_status', data: { isScanning: true } });
+  await assert.rejects(client.next('scan_status', 200));
+
+  // 重新订阅全部
+  const again = await request(client, { action: 'subscribe', snapshot: false });
+  assert.deepStrictEqual(again.subscription, { symbols: null, signal_types: null, min_rating: null, events: null });
+  broadcastSignalUpdate({ type: 'scan_status', data: { isScanning: false } });
+  assert.deepStrictEqual((await client.next('scan_status')).data, { isScanning: false });
+
+  client.ws.terminate();
+});